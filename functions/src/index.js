@@ -0,0 +1,107 @@
+import { initializeApp } from "firebase-admin/app";
+import { getFirestore } from "firebase-admin/firestore";
+import { getMessaging } from "firebase-admin/messaging";
+import { onDocumentWritten } from "firebase-functions/v2/firestore";
+import { onSchedule } from "firebase-functions/v2/scheduler";
+import { logger } from "firebase-functions";
+import { setIdioma } from "../../src/i18n";
+import { PREFERENCIAS_AVISOS_VACIAS, detectarAvisos, prepararAvisosPush } from "../../src/datos/avisos";
+import { getEstadoMicrobus } from "../../src/datos/reglas";
+
+/**
+ * Tareas del servidor: avisos push y microbuses vencidos.
+ * ------------------------------------------------------------
+ * Cada escritura en vehículos, reservas o reservas de microbus se convierte en
+ * los mismos avisos que vería la app abierta (src/datos/avisos.js) y se manda
+ * por Firebase Cloud Messaging a los dispositivos de cada interesado
+ * (participantes/{uid}/dispositivos/{token}), según sus preferencias y en el
+ * idioma de cada dispositivo. Los microbuses que llegan a su fecha límite sin
+ * el mínimo se guardan como cancelados. Se compila con `npm run build:functions`.
+ */
+
+initializeApp();
+const db = getFirestore();
+
+const COLECCIONES_AVISO = ["vehiculos", "reservas", "reservasMicrobus"];
+
+// Tokens que FCM ya no reconoce: el dispositivo desinstaló la app o quitó el permiso
+const TOKEN_VENCIDO = ["messaging/registration-token-not-registered", "messaging/invalid-registration-token"];
+
+const leerDoc = (snap) => (snap?.exists ? { id: snap.id, ...snap.data() } : null);
+
+// Manda a `uid` los avisos que le tocan, agrupando sus dispositivos por idioma
+const avisarA = async (uid, url, cambios, contexto) => {
+  const participante = db.doc(`participantes/${uid}`);
+  const [perfil, dispositivos] = await Promise.all([participante.get(), participante.collection("dispositivos").get()]);
+  if (dispositivos.empty) return;
+  const preferencias = { ...PREFERENCIAS_AVISOS_VACIAS, ...perfil.data()?.avisos };
+
+  const porIdioma = new Map();
+  dispositivos.docs.forEach((d) => {
+    const idioma = d.get("idioma") || "es";
+    porIdioma.set(idioma, [...(porIdioma.get(idioma) ?? []), d.id]);
+  });
+
+  for (const [idioma, tokens] of porIdioma) {
+    setIdioma(idioma);
+    const avisos = detectarAvisos(cambios, { uid, ...contexto }).filter((aviso) => preferencias[aviso.evento]);
+    for (const aviso of avisos) {
+      const { responses } = await getMessaging().sendEachForMulticast({
+        tokens,
+        data: { titulo: aviso.titulo, mensaje: aviso.mensaje, url, idioma },
+      });
+      const vencidos = tokens.filter((token, i) => TOKEN_VENCIDO.includes(responses[i].error?.code));
+      await Promise.all(vencidos.map((token) => participante.collection("dispositivos").doc(token).delete()));
+    }
+  }
+};
+
+export const avisarCambios = onDocumentWritten("viajes/{viajeId}/{coleccion}/{docId}", async (event) => {
+  const { viajeId, coleccion, docId } = event.params;
+  if (!COLECCIONES_AVISO.includes(coleccion)) return;
+
+  const antes = leerDoc(event.data.before);
+  const despues = leerDoc(event.data.after);
+  const cambio = { coleccion, tipo: !antes ? "added" : !despues ? "removed" : "modified", antes, despues };
+  const vehiculoId = coleccion === "vehiculos" ? docId : (despues || antes).vehiculoId;
+
+  const viaje = db.doc(`viajes/${viajeId}`);
+  const [vehiculo, ...porColeccion] = await Promise.all([
+    viaje.collection("vehiculos").doc(vehiculoId).get(),
+    ...["reservas", "reservasMicrobus"].map((c) => viaje.collection(c).where("vehiculoId", "==", vehiculoId).get()),
+  ]);
+  const reservas = porColeccion.flatMap((snap) => snap.docs.map(leerDoc));
+
+  const { uids, cambios, vehiculos } = prepararAvisosPush(cambio, { vehiculo: leerDoc(vehiculo), reservas });
+  const url = `/?${new URLSearchParams({ tour: viajeId, vehiculo: vehiculoId })}`;
+  try {
+    await Promise.all(uids.map((uid) => avisarA(uid, url, cambios, { vehiculos, reservas })));
+  } catch (error) {
+    logger.error("Error al mandar avisos push", { viajeId, coleccion, docId, error });
+  }
+});
+
+// Un microbus que llegó a su fecha límite sin el mínimo ya cuenta como cancelado
+// (ver getEstadoMicrobus); guardarlo dispara el aviso a sus pasajeros
+export const cancelarMicrobusesVencidos = onSchedule("every 15 minutes", async () => {
+  const ahora = new Date();
+  const vencidos = await db.collectionGroup("vehiculos")
+    .where("tipoVehiculo", "==", "renta")
+    .where("fechaLimite", "<=", ahora.getTime())
+    .get();
+
+  const porCancelar = vencidos.docs.filter((d) => {
+    const microbus = d.data();
+    return microbus.estado !== "cancelado"
+      && !microbus.retirado
+      && getEstadoMicrobus(microbus, microbus.asientosOcupados ?? 0, ahora) === "cancelado";
+  });
+
+  await Promise.all(porCancelar.map(async (d) => {
+    // Los viajes archivados quedan como estaban
+    const viaje = await d.ref.parent.parent.get();
+    if (viaje.get("archivado")) return;
+    await d.ref.update({ estado: "cancelado" });
+    logger.info("Microbus cancelado por fecha límite", { ruta: d.ref.path });
+  }));
+});
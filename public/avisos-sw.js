@@ -0,0 +1,29 @@
+/* global clients */
+// Avisos push dentro del service worker de la PWA (lo importa workbox, ver
+// vite.config.js). functions/ los manda por Firebase Cloud Messaging solo con
+// `data`: { titulo, mensaje, url, idioma }, así que aquí se arma la notificación.
+
+self.addEventListener("push", (event) => {
+  const { data } = event.data?.json() ?? {};
+  if (!data?.titulo) return;
+  event.waitUntil(
+    self.registration.showNotification(data.titulo, {
+      body: data.mensaje,
+      icon: "/icono-192.png",
+      lang: data.idioma,
+      data: { url: data.url },
+    })
+  );
+});
+
+// Tocar el aviso abre el viaje en una pestaña de la app (o en una nueva)
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || "/", self.location.origin).href;
+  event.waitUntil(
+    clients.matchAll({ type: "window", includeUncontrolled: true }).then((ventanas) => {
+      const abierta = ventanas.find((ventana) => "navigate" in ventana);
+      return abierta ? abierta.navigate(url).then((ventana) => ventana?.focus()) : clients.openWindow(url);
+    })
+  );
+});
@@ -1,17 +1,54 @@
 import React, { useEffect, useState } from "react";
-import { initializeApp, getApps } from "firebase/app";
 import {
-  getFirestore,
-  collection,
-  doc,
-  addDoc,
-  deleteDoc,
-  onSnapshot,
-  query,
-  where,
-  orderBy,
-  serverTimestamp,
-} from "firebase/firestore";
+  onAuthStateChanged,
+  signInAnonymously,
+  sendSignInLinkToEmail,
+  isSignInWithEmailLink,
+  signInWithEmailLink,
+  linkWithCredential,
+  EmailAuthProvider,
+  signOut,
+} from "firebase/auth";
+import { MapContainer, TileLayer, CircleMarker, Tooltip, useMapEvents } from "react-leaflet";
+import "leaflet/dist/leaflet.css";
+import { t, getLocale, formatearMonto, unirLista, IDIOMAS, getIdioma, setIdioma } from "./i18n";
+import { auth, adaptador, pedirTokenPush, soltarTokenPush } from "./datos/firebase";
+import { crearRepositorio } from "./datos/repositorio";
+import {
+  ReservaError,
+  TIPO_POR_COLECCION,
+  COLECCION_POR_TIPO,
+  limpiarNombre,
+  normalizarNombre,
+  esMismoNombre,
+  aSlug,
+  getTramos,
+  ofreceRegreso,
+  getCapacidadTramo,
+  MAX_ACOMPANANTES,
+  asientosDeReserva,
+  contarAsientos,
+  nombresDeReserva,
+  leerAcompanantes,
+  errorDeGrupo,
+  asientosOcupadosEnTramo,
+  hayLugarEnTramos,
+  esDeUsuario,
+  puedeGestionarVehiculo,
+  getMinimoPasajeros,
+  getEstadoMicrobus,
+  vehiculoCancelado,
+  OTRO_LUGAR,
+} from "./datos/reglas";
+import { leerFilasImportacion, planificarImportacion } from "./datos/importacion";
+import { asignarSolicitudes } from "./datos/asignacion";
+import {
+  EVENTOS_AVISO,
+  PREFERENCIAS_AVISOS_VACIAS,
+  leerCambios,
+  documentosConocidos,
+  detectarAvisos,
+} from "./datos/avisos";
 
 /**
  * Organización de Transporte – React + Firebase
@@ -20,55 +57,642 @@ import {
  * - Módulo 1: "Yo tengo un vehículo" - Ofrecer vehículo con asientos disponibles
  * - Módulo 2: "Quiero pedir ride" - Reservar asiento en vehículos disponibles
  * - Módulo 3: "Yo quiero ir en el microbus" - Reservar asiento en microbus rentado
+ *   y reportar la transferencia del pago, que luego verifica el organizador.
+ *   Cada microbus pasa por reuniendo → mínimo alcanzado → confirmado (o cancelado
+ *   si no se llega al mínimo antes de la fecha límite).
  * - Todo se actualiza en tiempo real vía onSnapshot.
  *
- * Estructura de datos (Firestore):
- * - vehiculos/{autoId}                 { propietario, asientosDisponibles, puntoEncuentro, tipoVehiculo, createdAt }
- * - reservas/{autoId}                  { vehiculoId, pasajero, createdAt }
- * - microbus/{autoId}                  { propietario, asientosDisponibles, createdAt }
- * - reservasMicrobus/{autoId}          { pasajero, createdAt }
+ * Estructura de datos (Firestore), todo dentro de un viaje:
+ * - viajes/{autoId}                    { nombre, fecha, destino, puntosEncuentro: [{ nombre, lat, lng }], precioMicrobus, costoMicrobus?, archivado, createdAt }
+ * - viajes/{viajeId}/vehiculos/{autoId}                 { uid, propietario, asientosDisponibles, asientosOcupados, puntoEncuentro, ubicacion?, horaSalida?, horaRegreso?, asientosRegreso?, asientosOcupadosRegreso?, tipoVehiculo, telefono?, costoAsiento?, costoTotal?, minimoPasajeros?, fechaLimite?, estado?, retirado?, ultimaPromocion?, createdAt }
+ * - viajes/{viajeId}/reservas/{vehiculoId_uid}         { uid, vehiculoId, pasajero, acompanantes?, tramos?, afectada?, createdAt }
+ * - viajes/{viajeId}/reservasMicrobus/{vehiculoId_uid} { uid, vehiculoId, pasajero, acompanantes?, afectada?, pagoEstado?, pagoReferencia?, createdAt }
+ *
+ * Las reservas se hacen dentro de una transacción (ver src/datos/repositorio.js).
+ * Una reserva de grupo guarda los nombres de sus `acompanantes` y ocupa un
+ * asiento por persona: entra completa o no entra.
+ * Un vehículo propio con `asientosRegreso` ofrece también el regreso, con su propio
+ * contador (`asientosOcupadosRegreso`); la reserva guarda en `tramos` si es de ida,
+ * de regreso o ambos (sin `tramos` es solo de ida).
+ *
+ * Los pasajeros importados por el organizador desde CSV no tienen sesión: su
+ * uid es "importado-<nombre>" y la reserva lleva `importada: true`.
+ *
+ * - viajes/{viajeId}/esperas/{vehiculoId_uid}          { uid, vehiculoId, pasajero, coleccion, tramos?, createdAt }
+ *   Lista de espera por vehículo, en orden de llegada. Al liberarse un asiento
+ *   (cancelación o más asientos) el primero pasa a tener reserva automáticamente.
+ * - viajes/{viajeId}/solicitudes/{uid}                { uid, pasajero, telefono?, puntoEncuentro, grupo?, createdAt }
+ *   Ride sin vehículo elegido; el organizador las asigna por punto de encuentro
+ *   y las convierte en reservas (con `asignada: true`).
+ * - organizadores/{uid}                { nombre } (se crea a mano en la consola)
+ * - configuracion/general              { titulo, organizadorNombre, organizadorContacto, precioMicrobus, puntosEncuentro, instrucciones }
+ *   Lo propio de cada grupo; la edita el organizador desde la página de inicio.
+ *
+ * Sin conexión la app abre desde la caché (PWA + caché persistente de Firestore);
+ * las reservas y cancelaciones se guardan en una cola local y se envían al
+ * reconectar (ver sincronizarCola).
+ *
+ * Los avisos (pasajeros nuevos o que cancelan, cambios en el vehículo, microbus
+ * confirmado) se detectan en el cliente a partir de los snapshots (ver
+ * src/datos/avisos.js); con la app cerrada llegan como push desde functions/.
+ * Cada participante elige los suyos en participantes/{uid}.
+ *
+ * Las lecturas y escrituras de vehículos, reservas, esperas y solicitudes pasan
+ * por el repositorio de src/datos; las reglas de reserva están en src/datos/reglas.js.
+ *
+ * Los textos salen de los catálogos de src/i18n (español e inglés) vía t(); los
+ * valores guardados (puntos, estados, tipos) siguen en español y se traducen al mostrarse.
+ *
+ * Identidad: cada visitante entra con una sesión anónima de Firebase Auth que
+ * puede convertir en permanente con un enlace a su correo. El `uid` decide
+ * quién puede cancelar una reserva; el nombre solo se muestra.
  */
 
-// 1) Configuración de Firebase desde variables de entorno
-const FIREBASE_CONFIG = {
-  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
-  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
-  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
-  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
-  appId: import.meta.env.VITE_FIREBASE_APP_ID,
+// 1) y 2) Firebase se inicializa en src/datos/firebase.js. Vehículos, reservas,
+// listas de espera y solicitudes pasan por el repositorio; viajes, configuración
+// y organizadores se leen directo del adaptador.
+const repositorio = crearRepositorio(adaptador);
+
+const EMAIL_INGRESO_KEY = "emailParaIngreso";
+
+// Perfil del participante guardado en este dispositivo
+const PERFIL_KEY = "perfilParticipante";
+const PERFIL_VACIO = { nombre: "", telefono: "", puntoPreferido: "" };
+
+const cargarPerfil = () => {
+  try {
+    return { ...PERFIL_VACIO, ...JSON.parse(localStorage.getItem(PERFIL_KEY) || "{}") };
+  } catch {
+    return PERFIL_VACIO;
+  }
+};
+
+// El viaje activo vive en la URL (?tour=<viajeId>) para poder compartirlo
+const VIAJE_PARAM = "tour";
+const leerViajeDeUrl = () => new URLSearchParams(window.location.search).get(VIAJE_PARAM);
+
+// Filtros de la lista de vehículos; viven en la URL para poder compartir
+// enlaces como ?tour=abc&punto=Santa+Tecla&libres=1
+const FILTROS_VACIOS = { conductor: "", punto: "", desde: "", hasta: "", libres: false, orden: "" };
+
+const leerFiltrosDeUrl = () => {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    conductor: params.get("conductor") || "",
+    punto: params.get("punto") || "",
+    desde: params.get("desde") || "",
+    hasta: params.get("hasta") || "",
+    libres: params.get("libres") === "1",
+    orden: params.get("orden") || "",
+  };
+};
+
+const hayFiltros = (filtros) => Object.keys(FILTROS_VACIOS).some((clave) => filtros[clave] !== FILTROS_VACIOS[clave]);
+
+const urlConFiltros = (viajeId, filtros) => {
+  const params = new URLSearchParams({ [VIAJE_PARAM]: viajeId });
+  Object.entries(filtros).forEach(([clave, valor]) => {
+    if (valor) params.set(clave, valor === true ? "1" : valor);
+  });
+  return `${window.location.pathname}?${params}`;
+};
+
+// Pagos del microbus: el pasajero reporta su transferencia y el organizador la
+// verifica. Estados: pendiente, reportado, verificado
+const etiquetaPago = (estado) => t(`pagos.${estado}`);
+
+// Costo por asiento: el total de la renta dividido entre los pasajeros,
+// si no el costo fijo del microbus y si no el del viaje
+const getCostoAsiento = (microbus, viaje, ocupados) => {
+  if (microbus.costoTotal != null) {
+    return microbus.costoTotal / Math.max(ocupados, 1);
+  }
+  return microbus.costoAsiento ?? viaje?.costoMicrobus ?? null;
+};
+
+// Ciclo de vida del microbus rentado (ver getEstadoMicrobus en src/datos/reglas.js)
+const ESTADOS_MICROBUS = {
+  reuniendo: { clase: "bg-yellow-100 text-yellow-800" },
+  minimoAlcanzado: { clase: "bg-blue-100 text-blue-800" },
+  confirmado: { clase: "bg-emerald-100 text-emerald-800" },
+  cancelado: { clase: "bg-red-100 text-red-800" },
+};
+
+const etiquetaEstadoMicrobus = (estado) => t(`microbus.estados.${estado}`);
+
+const formatearFechaHora = (fechaHora) =>
+  new Date(fechaHora).toLocaleString(getLocale(), {
+    weekday: "short",
+    day: "numeric",
+    month: "short",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+
+// `fechaLimite` se guarda en milisegundos; el campo datetime-local la quiere en hora local
+const aFechaHoraLocal = (fechaHora) => {
+  const fecha = new Date(fechaHora);
+  return new Date(fecha.getTime() - fecha.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// Totales de pago de un microbus por asiento (una reserva de grupo paga todos
+// los suyos); los montos son null si no hay costo definido
+const resumirPagos = (reservasVehiculo, costo) => {
+  const cuenta = { pendiente: 0, reportado: 0, verificado: 0 };
+  reservasVehiculo.forEach((reserva) => {
+    cuenta[reserva.pagoEstado || "pendiente"] += asientosDeReserva(reserva);
+  });
+
+  const monto = (cantidad) => (costo == null ? null : cantidad * costo);
+  return {
+    cuenta,
+    pagado: monto(cuenta.verificado),
+    reportado: monto(cuenta.reportado),
+    pendiente: monto(cuenta.pendiente),
+  };
+};
+
+// Fechas de viaje guardadas como "AAAA-MM-DD"
+const formatearFecha = (fecha) => {
+  if (!fecha) return "";
+  const [anio, mes, dia] = fecha.split("-").map(Number);
+  return new Date(anio, mes - 1, dia).toLocaleDateString(getLocale(), {
+    weekday: "long",
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+};
+
+// Horas guardadas como "HH:MM" (input type="time"); el día es la fecha del viaje
+const formatearHora = (hora) => {
+  const [horas, minutos] = hora.split(":").map(Number);
+  return new Date(2000, 0, 1, horas, minutos).toLocaleTimeString(getLocale(), {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+};
+
+// 3) Puntos de encuentro, tramos y grupos
+// Opción siempre disponible: el conductor marca su propio punto en el mapa
+// (OTRO_LUGAR). Se guarda con ese nombre y se muestra traducido con nombrePunto.
+const nombrePunto = (nombre) => (nombre === OTRO_LUGAR ? t("puntos.otroLugar") : nombre);
+
+// Los viajes viejos guardan los puntos como texto, sin coordenadas
+const normalizarPuntos = (puntos) =>
+  puntos
+    .map((punto) => (typeof punto === "string" ? { nombre: punto, lat: null, lng: null } : punto))
+    .filter((punto) => punto.nombre !== OTRO_LUGAR);
+
+const tieneUbicacion = (punto) => punto?.lat != null && punto?.lng != null;
+
+// Distancia en línea recta (fórmula del haversine)
+const distanciaKm = (a, b) => {
+  const rad = (grados) => (grados * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+};
+
+const formatearDistancia = (km) => (km < 1 ? `${Math.round(km * 1000)} m` : `${km.toFixed(1)} km`);
+
+// Lo que el pasajero puede elegir en un vehículo con regreso
+const OPCIONES_TRAMOS = {
+  ambos: ["ida", "regreso"],
+  ida: ["ida"],
+  regreso: ["regreso"],
+};
+
+const describirGrupo = (acompanantes) =>
+  acompanantes.length === 0
+    ? t("grupo.unAsiento")
+    : t("grupo.varios", { count: acompanantes.length + 1, nombres: acompanantes.join(", ") });
+
+const describirTramos = (tramos) => unirLista(tramos.map((tramo) => t(`tramos.${tramo}`)));
+
+// 4) Reservas y acciones del organizador: transacciones en src/datos/repositorio.js
+
+// 5) Mapa de puntos de encuentro (Leaflet)
+// VITE_MAP_TILES_URL permite usar teselas propias, p. ej. "/tiles/{z}/{x}/{y}.png"
+// servidas desde public/, o "none" para un mapa sin fondo (pruebas sin conexión).
+const MAPA_TILES_URL = import.meta.env.VITE_MAP_TILES_URL || "https://tile.openstreetmap.org/{z}/{x}/{y}.png";
+const CENTRO_MAPA = { lat: 13.6929, lng: -89.2182 }; // San Salvador
+
+function ClicEnMapa({ onClic }) {
+  useMapEvents({
+    click: (e) => onClic?.({ lat: e.latlng.lat, lng: e.latlng.lng }),
+  });
+  return null;
+}
+
+function MapaPuntos({ puntos, seleccionado, pin, etiquetaPin = t("puntos.otroLugar"), onSeleccionarPunto, onClicMapa }) {
+  const conUbicacion = puntos.filter(tieneUbicacion);
+  const centro = pin || conUbicacion.find(p => p.nombre === seleccionado) || conUbicacion[0] || CENTRO_MAPA;
+
+  return (
+    <div className="h-64 rounded-2xl overflow-hidden border border-gray-300 isolate bg-gray-100">
+      <MapContainer center={[centro.lat, centro.lng]} zoom={12} className="h-full w-full">
+        {MAPA_TILES_URL !== "none" && (
+          <TileLayer
+            url={MAPA_TILES_URL}
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
+          />
+        )}
+        <ClicEnMapa onClic={onClicMapa} />
+        {conUbicacion.map((punto) => (
+          <CircleMarker
+            key={punto.nombre}
+            center={[punto.lat, punto.lng]}
+            radius={punto.nombre === seleccionado ? 10 : 7}
+            bubblingMouseEvents={false}
+            pathOptions={{ color: punto.nombre === seleccionado ? "#047857" : "#4b5563", fillOpacity: 0.7 }}
+            eventHandlers={{ click: () => onSeleccionarPunto?.(punto) }}
+          >
+            <Tooltip>{punto.nombre}</Tooltip>
+          </CircleMarker>
+        ))}
+        {pin && (
+          <CircleMarker center={[pin.lat, pin.lng]} radius={10} pathOptions={{ color: "#ea580c", fillOpacity: 0.7 }}>
+            <Tooltip permanent>{etiquetaPin}</Tooltip>
+          </CircleMarker>
+        )}
+      </MapContainer>
+    </div>
+  );
+}
+
+// 6) Manifiesto de pasajeros: una fila por pasajero, para la empresa del microbus
+// El título de cada columna es manifiesto.columnas.<clave> en el idioma activo
+const COLUMNAS_MANIFIESTO = [
+  { clave: "conductor", valor: (fila) => fila.vehiculo.propietario },
+  { clave: "tipo", valor: (fila) => t(`tiposVehiculo.${fila.vehiculo.tipoVehiculo}`) },
+  { clave: "punto", valor: (fila) => nombrePunto(fila.reserva.puntoEncuentro || fila.vehiculo.puntoEncuentro || "") },
+  { clave: "salida", valor: (fila) => fila.vehiculo.horaSalida || "" },
+  { clave: "pasajero", valor: (fila) => fila.pasajero },
+  { clave: "reservadoPor", valor: (fila) => (fila.pasajero === fila.reserva.pasajero ? "" : fila.reserva.pasajero) },
+  { clave: "telefono", valor: (fila) => fila.reserva.telefono || "" },
+  { clave: "tramos", valor: (fila) => describirTramos(getTramos(fila.reserva)) },
+  {
+    clave: "pago",
+    valor: (fila) => (fila.vehiculo.tipoVehiculo === "renta" ? etiquetaPago(fila.reserva.pagoEstado || "pendiente") : ""),
+  },
+  { clave: "notas", valor: (fila) => fila.vehiculo.notas?.trim() || "" },
+  { clave: "reservadoEl", valor: (fila) => fila.reserva.createdAt?.toDate?.() || null },
+];
+
+const tituloColumna = (columna) => t(`manifiesto.columnas.${columna.clave}`);
+
+// { vehiculo, reserva, pasajero } en el orden de la lista de vehículos; cada
+// acompañante de una reserva de grupo tiene su propia fila
+const filasManifiesto = (vehiculos, getReservasVehiculo) =>
+  vehiculos.flatMap((vehiculo) =>
+    getReservasVehiculo(vehiculo).flatMap((reserva) =>
+      nombresDeReserva(reserva).map((pasajero) => ({ vehiculo, reserva, pasajero }))
+    )
+  );
+
+const fechaParaCsv = (fecha) => {
+  const dosDigitos = (n) => String(n).padStart(2, "0");
+  return `${fecha.getFullYear()}-${dosDigitos(fecha.getMonth() + 1)}-${dosDigitos(fecha.getDate())} ${dosDigitos(fecha.getHours())}:${dosDigitos(fecha.getMinutes())}`;
+};
+
+// Comillas siempre y un apóstrofo delante de =, +, - o @ para que Excel no lo tome como fórmula
+const celdaCsv = (valor) => {
+  const texto = valor instanceof Date ? fechaParaCsv(valor) : String(valor ?? "");
+  const seguro = /^[=+\-@]/.test(texto) ? `'${texto}` : texto;
+  return `"${seguro.replace(/"/g, '""')}"`;
+};
+
+const manifiestoACsv = (filas) =>
+  [COLUMNAS_MANIFIESTO.map(tituloColumna), ...filas.map((fila) => COLUMNAS_MANIFIESTO.map((c) => c.valor(fila)))]
+    .map((fila) => fila.map(celdaCsv).join(","))
+    .join("\r\n");
+
+const manifiestoAHoja = (filas) => [
+  COLUMNAS_MANIFIESTO.map((c) => ({ value: tituloColumna(c), fontWeight: "bold" })),
+  ...filas.map((fila) => COLUMNAS_MANIFIESTO.map((c) => {
+    const valor = c.valor(fila);
+    return valor instanceof Date ? { value: valor, type: Date, format: "yyyy-mm-dd hh:mm" } : valor;
+  })),
+];
+
+const descargarArchivo = (blob, nombre) => {
+  const url = URL.createObjectURL(blob);
+  const enlace = document.createElement("a");
+  enlace.href = url;
+  enlace.download = nombre;
+  enlace.click();
+  // Algunos navegadores inician la descarga después del click: se libera en el siguiente ciclo
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const nombreArchivoManifiesto = (viaje) => `${t("manifiesto.archivo")}-${aSlug(viaje?.nombre || t("manifiesto.viaje"))}`;
+
+// 7) Importación masiva desde CSV: lectura y revisión en src/datos/importacion.js
+
+// 8) Asignación automática de solicitudes "llévenme desde X": src/datos/asignacion.js
+
+// 9) Cola sin conexión: reservas y cancelaciones hechas sin señal.
+// Las transacciones de Firestore necesitan al servidor, así que sin conexión la
+// acción se guarda en este dispositivo y se envía al reconectar. Si mientras
+// tanto alguien tomó el asiento, la acción queda como conflicto para que el
+// pasajero decida qué hacer.
+const COLA_KEY = "accionesPendientes";
+
+// La etiqueta de cada estado es cola.estados.<estado>
+const ESTADOS_ACCION = {
+  pendiente: { clase: "bg-yellow-100 text-yellow-800" },
+  enviando: { clase: "bg-blue-100 text-blue-800" },
+  conflicto: { clase: "bg-red-100 text-red-800" },
+};
+
+const cargarCola = () => {
+  try {
+    return JSON.parse(localStorage.getItem(COLA_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const guardarCola = (cola) => localStorage.setItem(COLA_KEY, JSON.stringify(cola));
+
+// Conflictos que no se arreglan reintentando: el asiento o el vehículo ya no están
+const ERRORES_DEFINITIVOS = new Set(["vehiculo-lleno", "vehiculo-no-existe", "microbus-cancelado", "sin-regreso"]);
+
+// Sin red la transacción falla con "unavailable": la acción se puede encolar
+const esErrorDeConexion = (error) => !navigator.onLine || error?.code === "unavailable";
+
+const encolarAccion = (accion) => {
+  const cola = [...cargarCola(), { ...accion, id: `${accion.tipo}_${Date.now()}`, estado: "pendiente", creadaEn: Date.now() }];
+  guardarCola(cola);
+  return cola;
+};
+
+const actualizarAccion = (id, cambios) => {
+  const cola = cargarCola().map((accion) => (accion.id === id ? { ...accion, ...cambios } : accion));
+  guardarCola(cola);
+  return cola;
+};
+
+const quitarAccion = (id) => {
+  const cola = cargarCola().filter((accion) => accion.id !== id);
+  guardarCola(cola);
+  return cola;
+};
+
+const ejecutarAccion = (accion) =>
+  accion.tipo === "reservar"
+    ? repositorio.reservar(accion.viajeId, accion.coleccion, accion.datos)
+    : repositorio.cancelar(
+      accion.viajeId, accion.coleccion, accion.reserva.id, accion.reserva.vehiculoId, accion.siguienteEsperaId
+    );
+
+// Al abrir la app, lo que quedó a medio enviar vuelve a estar pendiente
+const reanudarCola = () => {
+  const cola = cargarCola().map((accion) => (accion.estado === "enviando" ? { ...accion, estado: "pendiente" } : accion));
+  guardarCola(cola);
+  return cola;
+};
+
+// Envía en orden las acciones pendientes. Se marcan todas como "enviando" antes
+// de empezar para que otra llamada no las repita. Una reserva que ya existe
+// cuenta como enviada (se completó en un intento anterior); si se vuelve a
+// perder la conexión se detiene y lo que falta sigue pendiente.
+const sincronizarCola = async (alCambiar) => {
+  const pendientes = cargarCola().filter((accion) => accion.estado === "pendiente");
+  if (pendientes.length === 0) return;
+  const ids = new Set(pendientes.map((accion) => accion.id));
+  const enviando = cargarCola().map((accion) => (ids.has(accion.id) ? { ...accion, estado: "enviando" } : accion));
+  guardarCola(enviando);
+  alCambiar(enviando);
+
+  for (const accion of pendientes) {
+    try {
+      await ejecutarAccion(accion);
+      alCambiar(quitarAccion(accion.id));
+    } catch (error) {
+      if (error.code === "reserva-duplicada") {
+        alCambiar(quitarAccion(accion.id));
+      } else if (esErrorDeConexion(error)) {
+        alCambiar(reanudarCola());
+        return;
+      } else {
+        console.error("❌ Error al sincronizar acción pendiente:", error);
+        alCambiar(actualizarAccion(accion.id, {
+          estado: "conflicto",
+          codigo: error.code || null,
+          mensaje: error instanceof ReservaError ? error.message : t("cola.noSeEnvio"),
+        }));
+      }
+    }
+  }
+};
+
+// 10) Avisos de cambios en vehículos y reservas: detección en src/datos/avisos.js.
+// Con la app cerrada llegan como push (functions/ + public/avisos-sw.js).
+
+// 11) Resúmenes para compartir en WhatsApp: texto plano con asientos libres,
+// pasajeros, punto de encuentro y notas, más el enlace directo al vehículo.
+const VEHICULO_PARAM = "vehiculo";
+const leerVehiculoDeUrl = () => new URLSearchParams(window.location.search).get(VEHICULO_PARAM);
+
+const urlDeVehiculo = (viajeId, vehiculoId) =>
+  `${window.location.origin}${window.location.pathname}?${new URLSearchParams({ [VIAJE_PARAM]: viajeId, [VEHICULO_PARAM]: vehiculoId })}`;
+
+const urlDeViaje = (viajeId) => `${window.location.origin}${urlConFiltros(viajeId, FILTROS_VACIOS)}`;
+
+const enlaceWhatsApp = (texto) => `https://wa.me/?text=${encodeURIComponent(texto)}`;
+
+const contarLibres = (vehiculo, reservasVehiculo, tramo) =>
+  getCapacidadTramo(vehiculo, tramo) - asientosOcupadosEnTramo(reservasVehiculo, tramo);
+
+const textoAsientos = (libres) => (libres > 0 ? t("compartir.quedan", { count: libres }) : t("compartir.sinAsientos"));
+
+// Líneas de un vehículo, sin el enlace; las usa el resumen del vehículo y el del viaje
+const lineasVehiculo = (vehiculo, reservasVehiculo, viaje) => {
+  const esMicrobus = vehiculo.tipoVehiculo === "renta";
+  const libres = contarLibres(vehiculo, reservasVehiculo, "ida");
+  const lineas = [
+    t(esMicrobus ? "compartir.microbusDe" : "compartir.carroDe", {
+      propietario: vehiculo.propietario,
+      punto: nombrePunto(vehiculo.puntoEncuentro),
+    }),
+  ];
+
+  const horario = [
+    vehiculo.horaSalida && t("compartir.salida", { hora: formatearHora(vehiculo.horaSalida) }),
+    vehiculo.horaRegreso && t("compartir.regreso", { hora: formatearHora(vehiculo.horaRegreso) }),
+  ].filter(Boolean);
+  if (horario.length > 0) lineas.push(`🕗 ${horario.join(" · ")}`);
+
+  let asientos = libres > 0
+    ? t("compartir.libres", { libres, total: vehiculo.asientosDisponibles })
+    : t("compartir.lleno");
+  if (ofreceRegreso(vehiculo)) {
+    asientos += t("compartir.libresRegreso", {
+      libres: contarLibres(vehiculo, reservasVehiculo, "regreso"),
+      total: vehiculo.asientosRegreso,
+    });
+  }
+  lineas.push(asientos);
+
+  if (esMicrobus) {
+    const ocupados = contarAsientos(reservasVehiculo);
+    const costo = getCostoAsiento(vehiculo, viaje, ocupados);
+    lineas.push(`📋 ${etiquetaEstadoMicrobus(getEstadoMicrobus(vehiculo, ocupados))}${costo != null ? ` · ${t("compartir.porPersona", { monto: formatearMonto(costo) })}` : ""}`);
+  }
+  if (reservasVehiculo.length > 0) {
+    lineas.push(`👥 ${reservasVehiculo.flatMap(nombresDeReserva).join(", ")}`);
+  }
+  if (vehiculo.notas?.trim()) lineas.push(`💬 ${vehiculo.notas.trim()}`);
+  return lineas;
+};
+
+const encabezadoViaje = (viaje) =>
+  `*${viaje.nombre}*${[formatearFecha(viaje.fecha), viaje.destino].filter(Boolean).map((dato) => ` · ${dato}`).join("")}`;
+
+const resumenVehiculo = (viaje, vehiculo, reservasVehiculo) => [
+  encabezadoViaje(viaje),
+  "",
+  ...lineasVehiculo(vehiculo, reservasVehiculo, viaje),
+  "",
+  t("compartir.reservaAqui", { url: urlDeVehiculo(viaje.id, vehiculo.id) }),
+].join("\n");
+
+// Resumen del viaje completo: un bloque por vehículo y el total de asientos libres
+const resumenViaje = (viaje, vehiculos, getReservasVehiculo) => {
+  const activos = vehiculos.filter((v) => !v.retirado && !vehiculoCancelado(v));
+  const libres = activos.reduce((total, v) => total + Math.max(contarLibres(v, getReservasVehiculo(v), "ida"), 0), 0);
+  return [
+    encabezadoViaje(viaje),
+    t("compartir.enVehiculos", { asientos: textoAsientos(libres), count: activos.length }),
+    ...activos.flatMap((vehiculo) => ["", ...lineasVehiculo(vehiculo, getReservasVehiculo(vehiculo), viaje)]),
+    "",
+    `👉 ${urlDeViaje(viaje.id)}`,
+  ].join("\n");
+};
+
+// 12) Configuración del grupo (configuracion/general): lo que antes venía fijo en
+// el código. La edita el organizador; un viaje puede tener su propio precio y puntos.
+const CONFIGURACION_DOC = "configuracion/general";
+
+const CONFIGURACION_INICIAL = {
+  titulo: "",
+  organizadorNombre: "",
+  organizadorContacto: "",
+  precioMicrobus: "",
+  puntosEncuentro: [],
+  instrucciones: "",
 };
 
-// Debug: Verificar que las variables de entorno se cargan correctamente
-console.log("Firebase Config:", {
-  apiKey: import.meta.env.VITE_FIREBASE_API_KEY ? "✅ Cargada" : "❌ No encontrada",
-  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN ? "✅ Cargada" : "❌ No encontrada",
-  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID ? "✅ Cargada" : "❌ No encontrada",
-});
+// Cómo nombran los textos a quien organiza: "Ana (7000-0000)" o, sin configurar, genérico
+const nombreOrganizador = (configuracion) => {
+  const nombre = configuracion.organizadorNombre.trim() || t("configuracion.organizadorGenerico");
+  const contacto = configuracion.organizadorContacto.trim();
+  return contacto ? `${nombre} (${contacto})` : nombre;
+};
 
-// 2) Inicializa Firebase (evita doble init en hot reload)
-const app = getApps().length ? getApps()[0] : initializeApp(FIREBASE_CONFIG);
-const db = getFirestore(app);
+// Puntos escritos uno por línea; los conocidos conservan sus coordenadas
+const puntosDesdeTexto = (texto, conocidos) =>
+  texto
+    .split("\n")
+    .map((punto) => punto.trim())
+    .filter(Boolean)
+    .filter((nombre, i, nombres) => nombres.indexOf(nombre) === i)
+    .map((nombre) => conocidos.find(p => p.nombre === nombre) || { nombre, lat: null, lng: null });
 
 // Componente principal
 export default function App() {
   // Estados para módulos
-  const [activeModule, setActiveModule] = useState(null);
+  // Un enlace con filtros abre directamente la lista de vehículos
+  const [activeModule, setActiveModule] = useState(() => (hayFiltros(leerFiltrosDeUrl()) ? 'reservar' : null));
   const [isLoading, setIsLoading] = useState(false);
   const [isLoadingList, setIsLoadingList] = useState(true);
 
+  // Viaje activo y lista de viajes
+  const [viajeId, setViajeId] = useState(leerViajeDeUrl);
+  const [filtros, setFiltros] = useState(leerFiltrosDeUrl);
+  // Enlace directo a un vehículo (?vehiculo=<id>): se resalta y se abre al cargar
+  const [vehiculoEnlazado, setVehiculoEnlazado] = useState(leerVehiculoDeUrl);
+  const [enlacePendiente, setEnlacePendiente] = useState(() => Boolean(leerVehiculoDeUrl()));
+  const [viajes, setViajes] = useState([]);
+  const [mostrarArchivados, setMostrarArchivados] = useState(false);
+  const [viajesCargados, setViajesCargados] = useState(false);
+  const [nuevoViaje, setNuevoViaje] = useState(null);
+
+  // Sesión de Firebase Auth
+  const [usuario, setUsuario] = useState(null);
+  const [emailIngreso, setEmailIngreso] = useState("");
+  const [enlaceEnviado, setEnlaceEnviado] = useState(false);
+  const [esOrganizador, setEsOrganizador] = useState(false);
+
+  // Estados para el panel del organizador
+  const [vehiculoEditando, setVehiculoEditando] = useState(null);
+  const [destinosEliminacion, setDestinosEliminacion] = useState({});
+  const [importacion, setImportacion] = useState(null); // { archivo, plan } mientras se revisa
+  const [asignacion, setAsignacion] = useState(null); // vista previa de asignarSolicitudes
+
   // Estados para formularios
-  const [nombreUsuario, setNombreUsuario] = useState("");
+  const [perfilInicial] = useState(cargarPerfil);
+  const [nombreUsuario, setNombreUsuario] = useState(perfilInicial.nombre);
+  const [telefono, setTelefono] = useState(perfilInicial.telefono);
+  const [puntoPreferido, setPuntoPreferido] = useState(perfilInicial.puntoPreferido);
   const [asientosDisponibles, setAsientosDisponibles] = useState(4);
-  const [puntoEncuentro, setPuntoEncuentro] = useState("");
+  const [puntoEncuentro, setPuntoEncuentro] = useState(perfilInicial.puntoPreferido);
+  const [ubicacionPin, setUbicacionPin] = useState(null);
   const [tipoVehiculo, setTipoVehiculo] = useState("propio");
   const [notas, setNotas] = useState("");
+  const [puntoSolicitud, setPuntoSolicitud] = useState(perfilInicial.puntoPreferido);
+  const [grupoSolicitud, setGrupoSolicitud] = useState("");
+  const [acompanantesPorVehiculo, setAcompanantesPorVehiculo] = useState({}); // { vehiculoId: "Luis, Eva" }
+  const [nuevoAcompanante, setNuevoAcompanante] = useState({}); // { reservaId: nombre } en Mis reservas
+  const [horaSalida, setHoraSalida] = useState("");
+  const [horaRegreso, setHoraRegreso] = useState("");
+  const [asientosRegreso, setAsientosRegreso] = useState("");
+  const [tramosElegidos, setTramosElegidos] = useState({});
+  const [costoAsiento, setCostoAsiento] = useState("");
+  const [costoTotal, setCostoTotal] = useState("");
+  const [minimoPasajeros, setMinimoPasajeros] = useState("");
+  const [fechaLimite, setFechaLimite] = useState("");
+  const [referenciasPago, setReferenciasPago] = useState({});
+
+  // Cercanía: ubicación del pasajero y filtro por distancia
+  const [miUbicacion, setMiUbicacion] = useState(null);
+  const [distanciaMaxima, setDistanciaMaxima] = useState("");
+
+  // Puntos de encuentro del viaje (panel del organizador)
+  const [puntoNuevo, setPuntoNuevo] = useState({ nombre: "", lat: null, lng: null });
+  const [puntoUbicando, setPuntoUbicando] = useState(null);
 
   // Estados para confirmaciones
   const [showConfirmacion, setShowConfirmacion] = useState(false);
   const [confirmacionData, setConfirmacionData] = useState({});
   const [showExito, setShowExito] = useState(false);
   const [exitoData, setExitoData] = useState({});
+  const [showError, setShowError] = useState(false);
+  const [errorData, setErrorData] = useState({});
+
+  // Conexión del dispositivo y acciones hechas sin señal (ver sincronizarCola)
+  const [enLinea, setEnLinea] = useState(() => navigator.onLine);
+  const [cola, setCola] = useState(reanudarCola);
+
+  // Avisos de cambios en mis vehículos y reservas (ver detectarAvisos)
+  const [preferenciasAvisos, setPreferenciasAvisos] = useState(PREFERENCIAS_AVISOS_VACIAS);
+  const [tokenPush, setTokenPush] = useState(null); // este dispositivo recibe los avisos como push
+  const [cambios, setCambios] = useState([]); // lo que trajeron los listeners, sin procesar
+  const [avisos, setAvisos] = useState([]);
+  const [avisoVisible, setAvisoVisible] = useState(null);
+
+  // Resumen para compartir: id de un vehículo o "viaje" para el viaje completo
+  const [compartiendo, setCompartiendo] = useState(null);
+
+  // Configuración del grupo y el formulario del organizador para editarla
+  const [configuracion, setConfiguracion] = useState(CONFIGURACION_INICIAL);
+  const [configuracionEditando, setConfiguracionEditando] = useState(null);
+
+  // Idioma de la interfaz (ver i18n)
+  const [idioma, setIdiomaActual] = useState(getIdioma);
 
   // Función para detectar si es mobile
   const isMobile = () => {
@@ -99,27 +723,222 @@ export default function App() {
     }
   };
 
+  // Guardar el perfil en este dispositivo
+  useEffect(() => {
+    localStorage.setItem(PERFIL_KEY, JSON.stringify({ nombre: nombreUsuario, telefono, puntoPreferido }));
+  }, [nombreUsuario, telefono, puntoPreferido]);
+
+  // Sesión: anónima por defecto, se completa si se abrió un enlace de correo
+  useEffect(() => {
+    const unsubscribe = onAuthStateChanged(auth, async (user) => {
+      if (!user) {
+        try {
+          await signInAnonymously(auth);
+        } catch (error) {
+          console.error("❌ Error al iniciar sesión anónima:", error);
+        }
+        return;
+      }
+
+      if (isSignInWithEmailLink(auth, window.location.href)) {
+        const email = localStorage.getItem(EMAIL_INGRESO_KEY)
+          || window.prompt(t("sesion.confirmaCorreo"));
+        try {
+          if (email && user.isAnonymous) {
+            // Conserva el uid anónimo y sus reservas
+            const credential = EmailAuthProvider.credentialWithLink(email, window.location.href);
+            user = (await linkWithCredential(user, credential)).user;
+          } else if (email) {
+            user = (await signInWithEmailLink(auth, email, window.location.href)).user;
+          }
+        } catch (error) {
+          console.error("❌ Error al completar el ingreso con correo:", error);
+          alert(t("sesion.enlaceInvalido"));
+        } finally {
+          localStorage.removeItem(EMAIL_INGRESO_KEY);
+          const viajeUrl = leerViajeDeUrl();
+          window.history.replaceState(null, "", viajeUrl ? `?${VIAJE_PARAM}=${viajeUrl}` : window.location.pathname);
+        }
+      }
+
+      setUsuario(user);
+    });
+
+    return unsubscribe;
+  }, []);
+
+  // Seguir si hay conexión
+  useEffect(() => {
+    const actualizarConexion = () => setEnLinea(navigator.onLine);
+    window.addEventListener("online", actualizarConexion);
+    window.addEventListener("offline", actualizarConexion);
+    return () => {
+      window.removeEventListener("online", actualizarConexion);
+      window.removeEventListener("offline", actualizarConexion);
+    };
+  }, []);
+
+  // Al reconectar se envían las reservas y cancelaciones que quedaron en la cola
+  useEffect(() => {
+    if (enLinea && usuario) sincronizarCola(setCola);
+  }, [enLinea, usuario]);
+
+  // Rol de organizador: existe organizadores/{uid}
+  useEffect(() => {
+    if (!usuario || usuario.isAnonymous) {
+      setEsOrganizador(false);
+      return;
+    }
+
+    const unsubscribe = adaptador.escucharDocumento(`organizadores/${usuario.uid}`,
+      (organizador) => setEsOrganizador(organizador.existe),
+      (error) => {
+        console.error("❌ Error al verificar organizador:", error);
+        setEsOrganizador(false);
+      }
+    );
+
+    return unsubscribe;
+  }, [usuario]);
+
+  // Preferencias de avisos del participante, las mismas en todos sus dispositivos
+  useEffect(() => {
+    if (!usuario) return;
+
+    const unsubscribe = repositorio.escucharPreferenciasAvisos(usuario.uid,
+      (avisos) => setPreferenciasAvisos({ ...PREFERENCIAS_AVISOS_VACIAS, ...avisos }),
+      (error) => {
+        console.error("❌ Error en listener de preferencias de avisos:", error);
+      }
+    );
+
+    return unsubscribe;
+  }, [usuario]);
+
+  // Si este dispositivo ya recibe push, recupera su token para mostrarlo activo
+  useEffect(() => {
+    if (!usuario || !("Notification" in window) || Notification.permission !== "granted") return;
+    let vigente = true;
+
+    pedirTokenPush()
+      .then(async (token) => {
+        if (token && vigente && await repositorio.dispositivoRegistrado(usuario.uid, token)) setTokenPush(token);
+      })
+      .catch((error) => {
+        console.error("❌ Error al recuperar el token push:", error);
+      });
+
+    return () => {
+      vigente = false;
+    };
+  }, [usuario]);
+
+  // El dispositivo se registra (o actualiza su idioma) mientras reciba push
+  useEffect(() => {
+    if (!usuario || !tokenPush) return;
+    repositorio.registrarDispositivo(usuario.uid, tokenPush, idioma).catch((error) => {
+      console.error("❌ Error al registrar el dispositivo para push:", error);
+    });
+  }, [usuario, tokenPush, idioma]);
+
   // Colecciones en tiempo real
   const [vehiculos, setVehiculos] = useState([]);
   const [reservas, setReservas] = useState([]);
   const [microbuses, setMicrobus] = useState([]);
   const [reservasMicrobus, setReservasMicrobus] = useState([]);
+  const [esperas, setEsperas] = useState([]);
+  const [solicitudes, setSolicitudes] = useState([]);
+
+  // Seguir el viaje de la URL con los botones de atrás/adelante
+  useEffect(() => {
+    const handlePopState = () => {
+      setViajeId(leerViajeDeUrl());
+      setFiltros(leerFiltrosDeUrl());
+      setVehiculoEnlazado(leerVehiculoDeUrl());
+      setEnlacePendiente(Boolean(leerVehiculoDeUrl()));
+      setActiveModule(null);
+    };
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  // Un enlace a un vehículo abre su lista en cuanto llegan los vehículos
+  useEffect(() => {
+    if (!enlacePendiente || isLoadingList) return;
+    setEnlacePendiente(false);
+    const vehiculo = vehiculos.find(v => v.id === vehiculoEnlazado);
+    if (!vehiculo || vehiculo.retirado) {
+      alert(t("compartir.enlaceNoDisponible"));
+      setActiveModule('reservar');
+      return;
+    }
+    setActiveModule(vehiculo.tipoVehiculo === 'renta' ? 'microbus' : 'reservar');
+    setTimeout(() => {
+      document.getElementById(`vehiculo-${vehiculo.id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, 100);
+  }, [enlacePendiente, isLoadingList, vehiculos, vehiculoEnlazado]);
+
+  // Reflejar los filtros en la URL sin llenar el historial
+  useEffect(() => {
+    if (!viajeId) return;
+    window.history.replaceState(null, "", urlConFiltros(viajeId, filtros));
+  }, [viajeId, filtros]);
+
+  // Traer viajes en tiempo real
+  useEffect(() => {
+    const unsubscribe = adaptador.escuchar("viajes", { ordenarPor: "fecha", descendente: true },
+      ({ docs }) => {
+        setViajes(docs);
+        setViajesCargados(true);
+        if (!leerViajeDeUrl()) setIsLoadingList(false);
+      },
+      (error) => {
+        console.error("❌ Error en listener de viajes:", error);
+        setViajesCargados(true);
+        setIsLoadingList(false);
+      }
+    );
+
+    return unsubscribe;
+  }, []);
+
+  // Configuración del grupo en tiempo real (sin documento, los valores iniciales)
+  useEffect(() => {
+    const unsubscribe = adaptador.escucharDocumento(CONFIGURACION_DOC,
+      (documento) => setConfiguracion({ ...CONFIGURACION_INICIAL, ...documento.datos }),
+      (error) => console.error("❌ Error en listener de configuración:", error)
+    );
+
+    return unsubscribe;
+  }, []);
+
+  // El título de la pestaña sigue al de la app
+  useEffect(() => {
+    document.title = configuracion.titulo.trim() || t("app.titulo");
+  }, [configuracion.titulo, idioma]);
 
   // Traer vehículos en tiempo real
   useEffect(() => {
+    if (!viajeId) {
+      setVehiculos([]);
+      return;
+    }
+
     console.log("🔄 Iniciando listener de vehículos...");
     setIsLoadingList(true);
     
-    const q = query(collection(db, "vehiculos"), orderBy("createdAt", "asc"));
+    let anteriores = null;
     
-    const unsubscribe = onSnapshot(q, 
-      (snapshot) => {
-        console.log("📊 Vehículos recibidos:", snapshot.docs.length, "documentos");
-        const vehiculosData = snapshot.docs.map((doc) => ({
-          id: doc.id,
-          ...doc.data()
-        }));
+    const unsubscribe = repositorio.escuchar(viajeId, "vehiculos",
+      (lista) => {
+        console.log("📊 Vehículos recibidos:", lista.docs.length, "documentos");
+        const vehiculosData = lista.docs;
         console.log("🚗 Vehículos procesados:", vehiculosData);
+        if (anteriores) {
+          const nuevos = leerCambios("vehiculos", lista, anteriores);
+          if (nuevos.length > 0) setCambios((previos) => [...previos, ...nuevos]);
+        }
+        anteriores = documentosConocidos(lista);
         setVehiculos(vehiculosData);
         setIsLoadingList(false);
       },
@@ -130,18 +949,25 @@ export default function App() {
     );
 
     return unsubscribe;
-  }, []);
+  }, [viajeId]);
 
   // Traer reservas en tiempo real
   useEffect(() => {
-    const q = query(collection(db, "reservas"), orderBy("createdAt", "asc"));
+    if (!viajeId) {
+      setReservas([]);
+      return;
+    }
+
+    let anteriores = null;
     
-    const unsubscribe = onSnapshot(q, 
-      (snapshot) => {
-        const reservasData = snapshot.docs.map((doc) => ({
-          id: doc.id,
-          ...doc.data()
-        }));
+    const unsubscribe = repositorio.escuchar(viajeId, "reservas",
+      (lista) => {
+        const reservasData = lista.docs;
+        if (anteriores) {
+          const nuevos = leerCambios("reservas", lista, anteriores);
+          if (nuevos.length > 0) setCambios((previos) => [...previos, ...nuevos]);
+        }
+        anteriores = documentosConocidos(lista);
         setReservas(reservasData);
       },
       (error) => {
@@ -150,47 +976,46 @@ export default function App() {
     );
 
     return unsubscribe;
-  }, []);
+  }, [viajeId]);
 
   // Traer microbuses en tiempo real (vehículos tipo "renta")
   useEffect(() => {
-    const q = query(
-      collection(db, "vehiculos"), 
-      where("tipoVehiculo", "==", "renta"),
-      orderBy("createdAt", "asc")
-    );
-    
-    const unsubscribe = onSnapshot(q, 
-      (snapshot) => {
-        if (snapshot.docs.length > 0) {
-          const microbusesData = snapshot.docs.map(doc => ({
-            id: doc.id,
-            ...doc.data()
-          }));
-          setMicrobus(microbusesData);
-        } else {
-          setMicrobus([]);
-        }
+    if (!viajeId) {
+      setMicrobus([]);
+      return;
+    }
+
+    const unsubscribe = repositorio.escuchar(viajeId, "vehiculos",
+      ({ docs }) => {
+        setMicrobus(docs.filter(microbus => !microbus.retirado));
       },
       (error) => {
         console.error("❌ Error en listener de microbus:", error);
         setMicrobus([]);
-      }
+      },
+      { donde: { tipoVehiculo: "renta" } }
     );
 
     return unsubscribe;
-  }, []);
+  }, [viajeId]);
 
   // Traer reservas de microbus en tiempo real
   useEffect(() => {
-    const q = query(collection(db, "reservasMicrobus"), orderBy("createdAt", "asc"));
+    if (!viajeId) {
+      setReservasMicrobus([]);
+      return;
+    }
+
+    let anteriores = null;
     
-    const unsubscribe = onSnapshot(q, 
-      (snapshot) => {
-        const reservasData = snapshot.docs.map((doc) => ({
-          id: doc.id,
-          ...doc.data()
-        }));
+    const unsubscribe = repositorio.escuchar(viajeId, "reservasMicrobus",
+      (lista) => {
+        const reservasData = lista.docs;
+        if (anteriores) {
+          const nuevos = leerCambios("reservasMicrobus", lista, anteriores);
+          if (nuevos.length > 0) setCambios((previos) => [...previos, ...nuevos]);
+        }
+        anteriores = documentosConocidos(lista);
         setReservasMicrobus(reservasData);
       },
       (error) => {
@@ -199,42 +1024,366 @@ export default function App() {
     );
 
     return unsubscribe;
-  }, []);
+  }, [viajeId]);
 
-  // Funciones auxiliares
-  const requireName = () => {
-    if (!nombreUsuario.trim()) {
-      alert("Por favor, ingresa tu nombre y apellido.");
-      return false;
+  // Traer listas de espera en tiempo real
+  useEffect(() => {
+    if (!viajeId) {
+      setEsperas([]);
+      return;
     }
-    return true;
-  };
 
-  // Acciones para Módulo 1: Ofrecer vehículo
-  const handleOfrecerVehiculo = (e) => {
-    e.preventDefault();
-    if (!requireName()) return;
-    if (!puntoEncuentro) {
-      alert("Por favor, selecciona un punto de encuentro.");
+    const unsubscribe = repositorio.escuchar(viajeId, "esperas",
+      ({ docs }) => {
+        setEsperas(docs);
+      },
+      (error) => {
+        console.error("❌ Error en listener de listas de espera:", error);
+      }
+    );
+
+    return unsubscribe;
+  }, [viajeId]);
+
+  // Traer solicitudes de ride sin vehículo en tiempo real
+  useEffect(() => {
+    if (!viajeId) {
+      setSolicitudes([]);
       return;
     }
 
-    // Mostrar resumen antes de confirmar
-    const accion = tipoVehiculo === 'propio' ? 'ofrecer tu vehículo' : 'ofrecer tu microbus para renta';
-    const resumen = tipoVehiculo === 'propio' 
-      ? `ofrecer tu vehículo con ${asientosDisponibles} asientos disponibles desde ${puntoEncuentro}`
-      : `ofrecer tu microbus para renta con ${asientosDisponibles} asientos disponibles desde ${puntoEncuentro}`;
-
+    const unsubscribe = repositorio.escuchar(viajeId, "solicitudes",
+      ({ docs }) => {
+        setSolicitudes(docs);
+      },
+      (error) => {
+        console.error("❌ Error en listener de solicitudes:", error);
+      }
+    );
+
+    return unsubscribe;
+  }, [viajeId]);
+
+  // Convertir los cambios recibidos en avisos según lo que eligió el participante
+  useEffect(() => {
+    if (cambios.length === 0) return;
+    const nuevos = detectarAvisos(cambios, {
+      uid: usuario?.uid,
+      vehiculos,
+      reservas: [...reservas, ...reservasMicrobus],
+    }).filter((aviso) => preferenciasAvisos[aviso.evento]);
+    setCambios([]);
+    if (nuevos.length === 0) return;
+
+    const fecha = new Date();
+    const conId = nuevos.map((aviso, i) => ({ ...aviso, id: `${fecha.getTime()}_${i}`, viajeId, fecha, leido: false }));
+    setAvisos((previos) => [...conId, ...previos].slice(0, 50));
+    setAvisoVisible(conId[0]);
+  }, [cambios, usuario, vehiculos, reservas, reservasMicrobus, preferenciasAvisos, viajeId]);
+
+  // Datos del viaje activo
+  const viaje = viajes.find(v => v.id === viajeId) || null;
+  const puntosEncuentro = normalizarPuntos(viaje?.puntosEncuentro?.length ? viaje.puntosEncuentro : configuracion.puntosEncuentro);
+  const precioMicrobus = viaje?.precioMicrobus || configuracion.precioMicrobus;
+
+  // Coordenadas de un punto del viaje por su nombre
+  const getUbicacionPunto = (nombre) => {
+    const punto = puntosEncuentro.find(p => p.nombre === nombre && tieneUbicacion(p));
+    return punto ? { lat: punto.lat, lng: punto.lng } : null;
+  };
+
+  const getUbicacionVehiculo = (vehiculo) => vehiculo.ubicacion || getUbicacionPunto(vehiculo.puntoEncuentro);
+
+  const getDistanciaVehiculo = (vehiculo) => {
+    const ubicacion = getUbicacionVehiculo(vehiculo);
+    return miUbicacion && ubicacion ? distanciaKm(miUbicacion, ubicacion) : null;
+  };
+
+  // Con ubicación del pasajero: los más cercanos primero y, si hay tope, solo los que están dentro
+  const ordenarPorCercania = (lista) => {
+    if (!miUbicacion) return lista;
+    return lista
+      .map((vehiculo) => ({ vehiculo, distancia: getDistanciaVehiculo(vehiculo) }))
+      .filter(({ distancia }) => !distanciaMaxima || (distancia != null && distancia <= Number(distanciaMaxima)))
+      .sort((a, b) => (a.distancia ?? Infinity) - (b.distancia ?? Infinity))
+      .map(({ vehiculo }) => vehiculo);
+  };
+
+  // Filtros y orden de la lista "Vehículos Disponibles" (ver FILTROS_VACIOS)
+  const cambiarFiltro = (clave, valor) => setFiltros({ ...filtros, [clave]: valor });
+
+  const asientosLibresIda = (vehiculo) => vehiculo.asientosDisponibles - getAsientosOcupados(vehiculo);
+
+  const tieneAsientosLibres = (vehiculo) =>
+    hayLugar(vehiculo, ['ida']) || (ofreceRegreso(vehiculo) && hayLugar(vehiculo, ['regreso']));
+
+  const prepararListaVehiculos = (lista) => {
+    const conductor = normalizarNombre(filtros.conductor);
+    const filtrada = lista.filter(v =>
+      (!conductor || normalizarNombre(v.propietario).includes(conductor))
+      && (!filtros.punto || v.puntoEncuentro === filtros.punto)
+      && (!filtros.desde || (v.horaSalida && v.horaSalida >= filtros.desde))
+      && (!filtros.hasta || (v.horaSalida && v.horaSalida <= filtros.hasta))
+      && (!filtros.libres || tieneAsientosLibres(v))
+    );
+
+    // Sin orden elegido se respeta la cercanía (si la hay) o el orden de publicación
+    const ordenada = ordenarPorCercania(filtrada);
+    if (filtros.orden === 'libres') {
+      return [...ordenada].sort((a, b) => asientosLibresIda(b) - asientosLibresIda(a));
+    }
+    if (filtros.orden === 'salida') {
+      return [...ordenada].sort((a, b) => (a.horaSalida || "99:99").localeCompare(b.horaSalida || "99:99"));
+    }
+    return ordenada;
+  };
+
+  // Ubicación del pasajero: GPS del navegador o, si no se puede, su punto preferido
+  const handleUsarMiUbicacion = () => {
+    const usarPuntoPreferido = () => {
+      const ubicacion = getUbicacionPunto(puntoPreferido);
+      if (ubicacion) setMiUbicacion({ ...ubicacion, origen: puntoPreferido });
+      return Boolean(ubicacion);
+    };
+
+    if (!navigator.geolocation) {
+      if (!usarPuntoPreferido()) alert(t("cercania.sinGeolocalizacion"));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      (posicion) => setMiUbicacion({
+        lat: posicion.coords.latitude,
+        lng: posicion.coords.longitude,
+        origen: t("cercania.ubicacionActual"),
+      }),
+      () => {
+        if (!usarPuntoPreferido()) alert(t("cercania.sinUbicacion"));
+      },
+      { timeout: 10000 }
+    );
+  };
+
+  const renderFiltroCercania = () => (
+    <div className="flex flex-col sm:flex-row sm:items-center gap-3 mb-6">
+      {miUbicacion ? (
+        <>
+          <p className="flex-1 text-sm text-gray-600">{t("cercania.ordenadosPor", { origen: nombrePunto(miUbicacion.origen) })}</p>
+          <select
+            value={distanciaMaxima}
+            onChange={(e) => setDistanciaMaxima(e.target.value)}
+            className="rounded-2xl border border-gray-300 bg-white px-4 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-400"
+          >
+            <option value="">{t("cercania.cualquierDistancia")}</option>
+            {[5, 10, 25].map((km) => (
+              <option key={km} value={km}>{t("cercania.aMenosDe", { km })}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => {
+              setMiUbicacion(null);
+              setDistanciaMaxima("");
+            }}
+            className="text-sm text-gray-500 hover:text-gray-700 underline"
+          >
+            {t("comunes.quitar")}
+          </button>
+        </>
+      ) : (
+        <button
+          onClick={handleUsarMiUbicacion}
+          className="self-start rounded-2xl px-4 py-2 text-sm font-semibold text-emerald-700 bg-emerald-50 border border-emerald-200 hover:bg-emerald-100 transition-colors"
+        >
+          {t("cercania.ordenar")}
+        </button>
+      )}
+    </div>
+  );
+
+  // Barra de búsqueda, filtros y orden de "Vehículos Disponibles"
+  const renderFiltrosVehiculos = (mostrados, total) => {
+    const claseCampo = "rounded-2xl border border-gray-300 bg-white px-4 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-400";
+    return (
+      <div className="rounded-2xl border border-gray-200 bg-gray-50 p-4 mb-6 space-y-3">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <input
+            type="search"
+            value={filtros.conductor}
+            onChange={(e) => cambiarFiltro('conductor', e.target.value)}
+            placeholder={t("filtros.buscarConductor")}
+            className={claseCampo}
+          />
+          <select
+            value={filtros.punto}
+            onChange={(e) => cambiarFiltro('punto', e.target.value)}
+            className={claseCampo}
+          >
+            <option value="">{t("filtros.todosLosPuntos")}</option>
+            {puntosEncuentro.map((punto) => (
+              <option key={punto.nombre} value={punto.nombre}>{punto.nombre}</option>
+            ))}
+            <option value={OTRO_LUGAR}>{nombrePunto(OTRO_LUGAR)}</option>
+          </select>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            {t("filtros.salidaEntre")}
+            <input type="time" value={filtros.desde} onChange={(e) => cambiarFiltro('desde', e.target.value)} className={claseCampo} />
+            {t("filtros.y")}
+            <input type="time" value={filtros.hasta} onChange={(e) => cambiarFiltro('hasta', e.target.value)} className={claseCampo} />
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={filtros.libres}
+              onChange={(e) => cambiarFiltro('libres', e.target.checked)}
+              className="h-4 w-4 accent-emerald-600"
+            />
+            {t("filtros.soloLibres")}
+          </label>
+          <select
+            value={filtros.orden}
+            onChange={(e) => cambiarFiltro('orden', e.target.value)}
+            className={claseCampo}
+          >
+            <option value="">{miUbicacion ? t("filtros.ordenCercania") : t("filtros.ordenPublicacion")}</option>
+            <option value="libres">{t("filtros.ordenLibres")}</option>
+            <option value="salida">{t("filtros.ordenSalida")}</option>
+          </select>
+        </div>
+        <div className="flex flex-wrap items-center justify-between gap-3 text-sm">
+          <p className="text-gray-500">{t("filtros.mostrando", { mostrados, count: total })}</p>
+          <div className="flex gap-3">
+            {hayFiltros(filtros) && (
+              <button onClick={() => setFiltros(FILTROS_VACIOS)} className="text-gray-500 hover:text-gray-700 underline">
+                {t("filtros.limpiar")}
+              </button>
+            )}
+            <button onClick={() => handleCopiarEnlace(true)} className="font-semibold text-emerald-700 hover:text-emerald-800">
+              {t("filtros.copiarEnlace")}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // Horas de salida y regreso de una oferta, si las tiene
+  const renderHorario = (vehiculo) => (vehiculo.horaSalida || vehiculo.horaRegreso) && (
+    <p className="text-xs text-gray-600">
+      🕗 {[
+        vehiculo.horaSalida && t("horario.salida", { hora: formatearHora(vehiculo.horaSalida) }),
+        vehiculo.horaRegreso && t("horario.regreso", { hora: formatearHora(vehiculo.horaRegreso) }),
+      ].filter(Boolean).join(" · ")}
+    </p>
+  );
+
+  // Distancia al pasajero y enlace al mapa del punto de encuentro
+  const renderUbicacionVehiculo = (vehiculo) => {
+    const ubicacion = getUbicacionVehiculo(vehiculo);
+    const distancia = getDistanciaVehiculo(vehiculo);
+    if (!ubicacion) return null;
+    return (
+      <p className="text-xs text-gray-500">
+        {distancia != null && `${t("cercania.aDistancia", { distancia: formatearDistancia(distancia) })} · `}
+        <a
+          href={`https://www.openstreetmap.org/?mlat=${ubicacion.lat}&mlon=${ubicacion.lng}#map=16/${ubicacion.lat}/${ubicacion.lng}`}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-emerald-700 underline"
+        >
+          {t("cercania.verMapa")}
+        </a>
+      </p>
+    );
+  };
+
+  // Funciones auxiliares
+  const mostrarErrorReserva = (error, tipo) => {
+    const nombreTipo = tipo === "microbus" ? t("tipos.microbus") : t("tipos.vehiculo");
+    const conocido = ["vehiculo-lleno", "reserva-duplicada", "vehiculo-no-existe", "microbus-cancelado", "sin-regreso", "reserva-no-existe"]
+      .includes(error.code);
+    const clave = conocido ? `erroresReserva.${error.code}` : "erroresReserva.generico";
+
+    setErrorData({
+      titulo: t(`${clave}.titulo`),
+      mensaje: t(`${clave}.mensaje`, { tipo: nombreTipo }),
+    });
+    setShowError(true);
+  };
+
+  // Una reserva es del participante si es de su sesión o está a su mismo nombre
+  const esMiParticipacion = (reserva) =>
+    esDeUsuario(reserva, usuario?.uid) || esMismoNombre(reserva.pasajero, nombreUsuario);
+
+  const requireName = () => {
+    if (viaje?.archivado) {
+      alert(t("validacion.viajeArchivado"));
+      return false;
+    }
+    if (!usuario) {
+      alert(t("validacion.iniciandoSesion"));
+      return false;
+    }
+    if (!nombreUsuario.trim()) {
+      alert(t("validacion.nombre"));
+      return false;
+    }
+    return true;
+  };
+
+  // Acciones para Módulo 1: Ofrecer vehículo
+  const handleOfrecerVehiculo = (e) => {
+    e.preventDefault();
+    if (!requireName()) return;
+    if (!puntoEncuentro) {
+      alert(t("validacion.punto"));
+      return;
+    }
+    if (tipoVehiculo === 'renta' && minimoPasajeros !== "" && Number(minimoPasajeros) > Number(asientosDisponibles)) {
+      alert(t("validacion.minimoMayor"));
+      return;
+    }
+    // Un vehículo propio con hora de regreso ofrece ese tramo con sus propios asientos
+    const conRegreso = tipoVehiculo === 'propio' && Boolean(horaRegreso);
+    const asientosDeRegreso = Number(asientosRegreso === "" ? asientosDisponibles : asientosRegreso);
+    if (conRegreso && (!Number.isInteger(asientosDeRegreso) || asientosDeRegreso < 1 || asientosDeRegreso > 50)) {
+      alert(t("validacion.asientosRegreso"));
+      return;
+    }
+
+    const ubicacionOferta = puntoEncuentro === OTRO_LUGAR ? ubicacionPin : getUbicacionPunto(puntoEncuentro);
+
+    // Mostrar resumen antes de confirmar
+    const horario = [
+      horaSalida && t("ofrecer.saliendo", { hora: formatearHora(horaSalida) }),
+      conRegreso && t("ofrecer.conRegreso", { count: asientosDeRegreso, hora: formatearHora(horaRegreso) }),
+    ].filter(Boolean).join(", ");
+    const resumen = t(tipoVehiculo === 'propio' ? "ofrecer.resumenPropio" : "ofrecer.resumenRenta", {
+      count: Number(asientosDisponibles),
+      punto: nombrePunto(puntoEncuentro),
+    }) + (horario ? `, ${horario}` : "");
+
     setConfirmacionData({
-      titulo: `Confirmar ${tipoVehiculo === 'propio' ? 'Vehículo' : 'Microbus'}`,
-      mensaje: `¿Estás seguro de que quieres ${resumen}?`,
+      titulo: t(tipoVehiculo === 'propio' ? "ofrecer.confirmarPropio" : "ofrecer.confirmarRenta"),
+      mensaje: t("ofrecer.confirmarMensaje", { resumen }),
       accion: 'ofrecerVehiculo',
       datos: {
-        propietario: nombreUsuario.trim(),
+        uid: usuario.uid,
+        propietario: limpiarNombre(nombreUsuario),
+        ...(telefono.trim() && { telefono: telefono.trim() }),
         asientosDisponibles: Number(asientosDisponibles),
         puntoEncuentro: puntoEncuentro,
+        ...(ubicacionOferta && { ubicacion: ubicacionOferta }),
+        ...(horaSalida && { horaSalida }),
+        ...(horaRegreso && { horaRegreso }),
+        ...(conRegreso && { asientosRegreso: asientosDeRegreso, asientosOcupadosRegreso: 0 }),
         tipoVehiculo: tipoVehiculo,
-        notas: notas.trim()
+        notas: notas.trim(),
+        ...(tipoVehiculo === 'renta' && costoAsiento !== "" && { costoAsiento: Number(costoAsiento) }),
+        ...(tipoVehiculo === 'renta' && costoTotal !== "" && { costoTotal: Number(costoTotal) }),
+        ...(tipoVehiculo === 'renta' && minimoPasajeros !== "" && { minimoPasajeros: Number(minimoPasajeros) }),
+        ...(tipoVehiculo === 'renta' && fechaLimite && { fechaLimite: new Date(fechaLimite).getTime() }),
+        ...(tipoVehiculo === 'renta' && { estado: "reuniendo" })
       }
     });
     setShowConfirmacion(true);
@@ -243,32 +1392,37 @@ export default function App() {
   const confirmarOfrecerVehiculo = async () => {
     setIsLoading(true);
     try {
-      const docRef = await addDoc(collection(db, "vehiculos"), {
-        ...confirmacionData.datos,
-        createdAt: serverTimestamp(),
-      });
+      const vehiculoId = await repositorio.ofrecerVehiculo(viajeId, confirmacionData.datos);
       
-      console.log("✅ Vehículo agregado exitosamente:", docRef.id);
+      console.log("✅ Vehículo agregado exitosamente:", vehiculoId);
       
       // Mostrar mensaje de éxito
       const mensajeExito = confirmacionData.datos.tipoVehiculo === 'propio'
-        ? "Muchas gracias por poner tu vehículo a disposición. Ahora aparecerá en la sección de \"Quiero Pedir Ride\". Si deseas eliminarlo o editar el número de asientos habla con Jonathan, por favor."
-        : "Muchas gracias por ofrecer tu microbus para la renta. Una vez que tengamos llenos los asientos te avisaremos para organizar los pagos.";
+        ? t("ofrecer.exitoPropio")
+        : t("ofrecer.exitoRenta");
 
       setExitoData({
-        titulo: "¡Vehículo registrado exitosamente!",
+        titulo: t("ofrecer.exitoTitulo"),
         mensaje: mensajeExito
       });
       setShowExito(true);
       
       setActiveModule(null);
       setAsientosDisponibles(4);
-      setPuntoEncuentro("");
+      setPuntoEncuentro(puntoPreferido);
+      setUbicacionPin(null);
       setTipoVehiculo("propio");
       setNotas("");
+      setHoraSalida("");
+      setHoraRegreso("");
+      setAsientosRegreso("");
+      setCostoAsiento("");
+      setCostoTotal("");
+      setMinimoPasajeros("");
+      setFechaLimite("");
     } catch (error) {
       console.error("❌ Error al agregar vehículo:", error);
-      alert("Error al agregar vehículo. Intenta de nuevo.");
+      alert(t("ofrecer.error"));
     } finally {
       setIsLoading(false);
       setShowConfirmacion(false);
@@ -276,27 +1430,49 @@ export default function App() {
   };
 
   // Acciones para Módulo 2: Reservar asiento
-  const handleReservarAsiento = (vehiculoId, propietario, puntoEncuentro) => {
+  const handleReservarAsiento = (vehiculoId, propietario, puntoEncuentro, tramos = null) => {
     if (!requireName()) return;
     
-    // Verificar si ya tiene una reserva en este vehículo
+    // Verificar si ya tiene una reserva en este vehículo (por sesión o por nombre)
     const reservaExistente = reservas.find(r => 
-      r.vehiculoId === vehiculoId && r.pasajero.toLowerCase() === nombreUsuario.trim().toLowerCase()
+      r.vehiculoId === vehiculoId && esMiParticipacion(r)
     );
     
     if (reservaExistente) {
-      alert("Ya tienes una reserva en este vehículo.");
+      alert(t("reservar.yaTienesVehiculo"));
+      return;
+    }
+    if (tieneReservaEnCola(vehiculoId)) {
+      alert(t("reservar.yaEnCola"));
+      return;
+    }
+
+    const acompanantes = getAcompanantes(vehiculoId);
+    if (!validarAcompanantes(acompanantes)) return;
+    const vehiculo = vehiculos.find(v => v.id === vehiculoId);
+    if (vehiculo && !hayLugar(vehiculo, tramos || ['ida'], acompanantes.length + 1)) {
+      alert(t("reservar.sinLugarGrupo", { count: acompanantes.length + 1 }));
       return;
     }
 
     // Mostrar resumen antes de confirmar
     setConfirmacionData({
-      titulo: "Confirmar Reserva",
-      mensaje: `Vas a reservar un espacio en el vehículo de "${propietario}", bajo el nombre de "${nombreUsuario.trim()}". Si necesitas cancelarlo o cambias de opinión, déjale saber a Jonathan.`,
+      titulo: t("reservar.confirmarTitulo"),
+      mensaje: t("reservar.confirmarMensaje", {
+        grupo: describirGrupo(acompanantes),
+        tramos: tramos ? ` (${describirTramos(tramos).toLowerCase()})` : "",
+        propietario,
+        nombre: nombreUsuario.trim(),
+        organizador: nombreOrganizador(configuracion),
+      }),
       accion: 'reservarAsiento',
       datos: {
+        uid: usuario.uid,
         vehiculoId: vehiculoId,
-        pasajero: nombreUsuario.trim(),
+        pasajero: limpiarNombre(nombreUsuario),
+        ...(telefono.trim() && { telefono: telefono.trim() }),
+        ...(tramos && { tramos }),
+        ...(acompanantes.length > 0 && { acompanantes }),
         propietario: propietario,
         puntoEncuentro: puntoEncuentro
       }
@@ -306,24 +1482,35 @@ export default function App() {
 
   const confirmarReservarAsiento = async () => {
     setIsLoading(true);
+    const { vehiculoId } = confirmacionData.datos;
     try {
-      await addDoc(collection(db, "reservas"), {
-        ...confirmacionData.datos,
-        createdAt: serverTimestamp(),
-      });
+      if (!enLinea) {
+        encolarReserva("reservas", confirmacionData.datos);
+        return;
+      }
+      await repositorio.reservar(viajeId, "reservas", confirmacionData.datos);
       
       console.log("✅ Asiento reservado exitosamente");
       
       setExitoData({
-        titulo: "¡Reserva confirmada!",
-        mensaje: `Has reservado exitosamente un asiento en el vehículo de ${confirmacionData.datos.propietario}. Te esperamos en ${confirmacionData.datos.puntoEncuentro}.`
+        titulo: t("reservar.exitoTitulo"),
+        mensaje: t("reservar.exitoMensaje", {
+          grupo: describirGrupo(confirmacionData.datos.acompanantes || []),
+          propietario: confirmacionData.datos.propietario,
+          punto: nombrePunto(confirmacionData.datos.puntoEncuentro),
+        })
       });
       setShowExito(true);
+      setAcompanantesPorVehiculo({ ...acompanantesPorVehiculo, [vehiculoId]: "" });
       
       setActiveModule(null);
     } catch (error) {
+      if (esErrorDeConexion(error)) {
+        encolarReserva("reservas", confirmacionData.datos);
+        return;
+      }
       console.error("❌ Error al reservar asiento:", error);
-      alert("Error al reservar asiento. Intenta de nuevo.");
+      mostrarErrorReserva(error, "vehículo");
     } finally {
       setIsLoading(false);
       setShowConfirmacion(false);
@@ -335,35 +1522,68 @@ export default function App() {
     if (!requireName()) return;
     
     if (!microbuses || microbuses.length === 0) {
-      alert("No hay microbus disponible en este momento.");
+      alert(t("microbus.noHay"));
       return;
     }
 
-    // Verificar si ya tiene una reserva en este microbus específico
+    // Verificar si ya tiene una reserva en este microbus específico (por sesión o por nombre)
     const reservaExistente = reservasMicrobus.find(r => 
-      r.vehiculoId === microbusId && r.pasajero.toLowerCase() === nombreUsuario.trim().toLowerCase()
+      r.vehiculoId === microbusId && esMiParticipacion(r)
     );
     
     if (reservaExistente) {
-      alert("Ya tienes una reserva en este microbus.");
+      alert(t("microbus.yaTienes"));
+      return;
+    }
+    if (tieneReservaEnCola(microbusId)) {
+      alert(t("microbus.yaEnCola"));
       return;
     }
 
+    const acompanantes = getAcompanantes(microbusId);
+    if (!validarAcompanantes(acompanantes)) return;
+
     // Contar asientos ocupados en este microbus específico
-    const asientosOcupados = reservasMicrobus.filter(r => r.vehiculoId === microbusId).length;
-    if (asientosOcupados >= asientosDisponibles) {
-      alert("Este microbus está lleno.");
+    const asientosOcupados = contarAsientos(reservasMicrobus.filter(r => r.vehiculoId === microbusId));
+    if (asientosOcupados + acompanantes.length >= asientosDisponibles) {
+      alert(acompanantes.length > 0 ? t("microbus.sinLugarGrupo", { count: acompanantes.length + 1 }) : t("microbus.lleno"));
+      return;
+    }
+
+    const microbus = microbuses.find(m => m.id === microbusId);
+    if (getEstadoMicrobus(microbus, asientosOcupados) === 'cancelado') {
+      alert(t("microbus.cancelado"));
       return;
     }
 
     // Mostrar resumen antes de confirmar
+    const costo = getCostoAsiento(microbus, viaje, asientosOcupados + 1 + acompanantes.length);
+    const textoCosto = costo != null
+      ? t(microbus.costoTotal != null ? "microbus.costoCompartido" : "compartir.porPersona", { monto: formatearMonto(costo) })
+      : precioMicrobus || t("microbus.precioPorConfirmar");
+    const textoMinimo = microbus.estado === 'confirmado'
+      ? t("microbus.yaConfirmado")
+      : t(microbus.fechaLimite ? "microbus.minimoAntesDe" : "microbus.minimo", {
+          count: getMinimoPasajeros(microbus),
+          fecha: microbus.fechaLimite && formatearFechaHora(microbus.fechaLimite),
+        });
     setConfirmacionData({
-      titulo: "Confirmar Reserva en Microbus",
-      mensaje: `Vas a reservar un asiento en el microbus de "${propietario}" bajo el nombre de "${nombreUsuario.trim()}". Recuerda que el costo es de $15-$20 y solamente se confirmará si se llenan todos los asientos. Si necesitas cancelarlo o cambias de opinión, déjale saber a Jonathan.`,
+      titulo: t("microbus.confirmarTitulo"),
+      mensaje: t("microbus.confirmarMensaje", {
+        grupo: describirGrupo(acompanantes),
+        propietario,
+        nombre: nombreUsuario.trim(),
+        costo: textoCosto,
+        minimo: textoMinimo,
+        organizador: nombreOrganizador(configuracion),
+      }),
       accion: 'reservarMicrobus',
       datos: {
+        uid: usuario.uid,
         vehiculoId: microbusId,
-        pasajero: nombreUsuario.trim(),
+        pasajero: limpiarNombre(nombreUsuario),
+        ...(telefono.trim() && { telefono: telefono.trim() }),
+        ...(acompanantes.length > 0 && { acompanantes }),
         propietario: propietario,
         asientosDisponibles: asientosDisponibles,
         puntoEncuentro: puntoEncuentro
@@ -374,489 +1594,3260 @@ export default function App() {
 
   const confirmarReservarMicrobus = async () => {
     setIsLoading(true);
+    const { uid, vehiculoId, pasajero, telefono: telefonoReserva, acompanantes, propietario } = confirmacionData.datos;
+    const datosReserva = {
+      uid,
+      vehiculoId,
+      pasajero,
+      ...(telefonoReserva && { telefono: telefonoReserva }),
+      ...(acompanantes && { acompanantes }),
+      propietario,
+    };
     try {
-      await addDoc(collection(db, "reservasMicrobus"), {
-        vehiculoId: confirmacionData.datos.vehiculoId,
-        pasajero: confirmacionData.datos.pasajero,
-        propietario: confirmacionData.datos.propietario,
-        createdAt: serverTimestamp(),
-      });
+      if (!enLinea) {
+        encolarReserva("reservasMicrobus", datosReserva);
+        return;
+      }
+      await repositorio.reservar(viajeId, "reservasMicrobus", datosReserva);
       
       console.log("✅ Asiento en microbus reservado exitosamente");
       
       setExitoData({
-        titulo: "¡Reserva en Microbus confirmada!",
-        mensaje: `Has reservado exitosamente un asiento en el microbus de ${confirmacionData.datos.propietario}. Te esperamos en ${confirmacionData.datos.puntoEncuentro}. Recuerda que el costo es de $15-$20.`
+        titulo: t("microbus.exitoTitulo"),
+        mensaje: t("microbus.exitoMensaje", {
+          grupo: describirGrupo(acompanantes || []),
+          propietario: confirmacionData.datos.propietario,
+          punto: nombrePunto(confirmacionData.datos.puntoEncuentro),
+        })
       });
       setShowExito(true);
+      setAcompanantesPorVehiculo({ ...acompanantesPorVehiculo, [vehiculoId]: "" });
       
       setActiveModule(null);
     } catch (error) {
+      if (esErrorDeConexion(error)) {
+        encolarReserva("reservasMicrobus", datosReserva);
+        return;
+      }
       console.error("❌ Error al reservar asiento en microbus:", error);
-      alert("Error al reservar asiento. Intenta de nuevo.");
+      mostrarErrorReserva(error, "microbus");
     } finally {
       setIsLoading(false);
       setShowConfirmacion(false);
     }
   };
 
-  // Función para obtener asientos ocupados de un vehículo
-  const getAsientosOcupados = (vehiculoId) => {
-    return reservas.filter(r => r.vehiculoId === vehiculoId).length;
+  // Sin conexión la reserva queda en la cola de este dispositivo y se envía al reconectar
+  const encolarReserva = (coleccion, datos) => {
+    const propietario = vehiculos.find(v => v.id === datos.vehiculoId)?.propietario || datos.propietario;
+    setCola(encolarAccion({ tipo: "reservar", viajeId, coleccion, datos, propietario }));
+    setExitoData({
+      titulo: t("cola.reservaGuardadaTitulo"),
+      mensaje: t("cola.reservaGuardadaMensaje", { propietario })
+    });
+    setShowExito(true);
+    setAcompanantesPorVehiculo({ ...acompanantesPorVehiculo, [datos.vehiculoId]: "" });
+    setActiveModule(null);
   };
 
-  // Función para cancelar reserva
-  const handleCancelarReserva = async (reservaId, pasajero) => {
-    if (pasajero.toLowerCase() !== nombreUsuario.trim().toLowerCase()) {
-      alert("Solo puedes cancelar tu propia reserva.");
+  const encolarCancelacion = (coleccion, reserva) => {
+    setCola(encolarAccion({
+      tipo: "cancelar",
+      viajeId,
+      coleccion,
+      reserva: { id: reserva.id, vehiculoId: reserva.vehiculoId },
+      siguienteEsperaId: asientosDeReserva(reserva) === 1 ? getSiguienteEnEspera(reserva.vehiculoId)?.id || null : null,
+      propietario: vehiculos.find(v => v.id === reserva.vehiculoId)?.propietario || reserva.propietario,
+    }));
+    alert(t("cola.cancelacionGuardada"));
+  };
+
+  // Acciones de la cola de este viaje que aún no se resolvieron
+  const getAccionesViaje = () => cola.filter(a => a.viajeId === viajeId);
+  const tieneReservaEnCola = (vehiculoId) =>
+    getAccionesViaje().some(a => a.tipo === 'reservar' && a.datos.vehiculoId === vehiculoId && a.estado !== 'conflicto');
+  const tieneCancelacionEnCola = (reserva) =>
+    getAccionesViaje().some(a => a.tipo === 'cancelar' && a.reserva.id === reserva.id && a.estado !== 'conflicto');
+
+  const handleDescartarAccion = (accion) => setCola(quitarAccion(accion.id));
+
+  const handleReintentarAccion = (accion) => {
+    setCola(actualizarAccion(accion.id, { estado: "pendiente", codigo: null, mensaje: null }));
+    if (enLinea) sincronizarCola(setCola);
+  };
+
+  // El asiento se ocupó mientras no había señal: la misma persona pasa a la lista de espera
+  const handleEsperaDesdeConflicto = async (accion) => {
+    const { uid, vehiculoId, pasajero, telefono: telefonoReserva, tramos } = accion.datos;
+    try {
+      await repositorio.unirseAEspera(accion.viajeId, accion.coleccion, {
+        uid,
+        vehiculoId,
+        pasajero,
+        ...(telefonoReserva && { telefono: telefonoReserva }),
+        ...(tramos && { tramos }),
+      });
+      setCola(quitarAccion(accion.id));
+    } catch (error) {
+      console.error("❌ Error al unirse a la lista de espera:", error);
+      mostrarErrorReserva(error, accion.coleccion === 'reservas' ? "vehículo" : "microbus");
+    }
+  };
+
+  // Lista de espera de un vehículo, en orden de llegada
+  const getEsperasVehiculo = (vehiculoId) => esperas.filter(e => e.vehiculoId === vehiculoId);
+  const getSiguienteEnEspera = (vehiculoId) => getEsperasVehiculo(vehiculoId)[0] || null;
+
+  const handleUnirseAEspera = async (vehiculo) => {
+    if (!requireName()) return;
+    if (getEsperasVehiculo(vehiculo.id).some(e => esMiParticipacion(e))) {
+      alert(t("espera.yaEstas"));
       return;
     }
+    const coleccion = COLECCION_POR_TIPO[vehiculo.tipoVehiculo];
 
-    if (confirm("¿Estás seguro de que quieres cancelar tu reserva?")) {
-      try {
-        await deleteDoc(doc(db, "reservas", reservaId));
-      } catch (error) {
-        console.error("Error al cancelar reserva:", error);
-        alert("Error al cancelar reserva. Intenta de nuevo.");
-      }
+    try {
+      await repositorio.unirseAEspera(viajeId, coleccion, {
+        uid: usuario.uid,
+        vehiculoId: vehiculo.id,
+        pasajero: limpiarNombre(nombreUsuario),
+        ...(telefono.trim() && { telefono: telefono.trim() }),
+        ...(ofreceRegreso(vehiculo) && { tramos: getTramosElegidos(vehiculo) }),
+      });
+    } catch (error) {
+      console.error("❌ Error al unirse a la lista de espera:", error);
+      mostrarErrorReserva(error, vehiculo.tipoVehiculo === 'propio' ? "vehículo" : "microbus");
     }
   };
 
-  // Función para cancelar reserva de microbus
-  const handleCancelarReservaMicrobus = async (reservaId, pasajero) => {
-    if (pasajero.toLowerCase() !== nombreUsuario.trim().toLowerCase()) {
-      alert("Solo puedes cancelar tu propia reserva.");
+  const handleSalirDeEspera = async (espera) => {
+    if (!confirm(t("espera.confirmarSalir"))) return;
+
+    try {
+      await repositorio.salirDeEspera(viajeId, espera.id);
+    } catch (error) {
+      console.error("❌ Error al salir de la lista de espera:", error);
+      alert(t("espera.errorSalir"));
+    }
+  };
+
+  // "Llévenme desde X": solicitud sin vehículo que luego asigna el organizador
+  const miSolicitud = usuario ? solicitudes.find(s => s.uid === usuario.uid) || null : null;
+
+  const handlePedirRideSinVehiculo = async (e) => {
+    e.preventDefault();
+    if (!requireName()) return;
+    const punto = puntoSolicitud;
+    if (!punto) {
+      alert(t("solicitudes.elegirPunto"));
+      return;
+    }
+    if (reservas.some(esMiParticipacion)) {
+      alert(t("solicitudes.yaTienesRide"));
       return;
     }
 
-    if (confirm("¿Estás seguro de que quieres cancelar tu reserva en el microbus?")) {
+    try {
+      await repositorio.pedirRide(viajeId, {
+        uid: usuario.uid,
+        pasajero: limpiarNombre(nombreUsuario),
+        ...(telefono.trim() && { telefono: telefono.trim() }),
+        puntoEncuentro: punto,
+        ...(grupoSolicitud.trim() && { grupo: limpiarNombre(grupoSolicitud) }),
+      });
+      setGrupoSolicitud("");
+    } catch (error) {
+      console.error("❌ Error al pedir ride:", error);
+      alert(t("solicitudes.errorEnviar"));
+    }
+  };
+
+  const handleRetirarSolicitud = async (solicitud) => {
+    if (!confirm(t("solicitudes.confirmarRetirar"))) return;
+
+    try {
+      await repositorio.retirarSolicitud(viajeId, solicitud.id);
+    } catch (error) {
+      console.error("❌ Error al retirar la solicitud:", error);
+      alert(t("solicitudes.errorRetirar"));
+    }
+  };
+
+  // Organizador: vista previa de la asignación y luego una transacción por vehículo
+  const handleCalcularAsignacion = () => {
+    // Quien reservó por su cuenta después de pedir ride no recibe un segundo asiento
+    const conReserva = (solicitud) => reservas.some(r => r.uid === solicitud.uid);
+    const plan = asignarSolicitudes(
+      solicitudes.filter(s => !conReserva(s)),
+      vehiculos,
+      (vehiculo) => vehiculo.asientosDisponibles - getAsientosOcupados(vehiculo)
+    );
+    setAsignacion({
+      ...plan,
+      sinAsignar: [
+        ...solicitudes.filter(conReserva).map(solicitud => ({ solicitud, motivo: t("asignacion.yaReservo") })),
+        ...plan.sinAsignar,
+      ],
+    });
+  };
+
+  const handleConfirmarAsignacion = async () => {
+    setIsLoading(true);
+    const asignados = [];
+    const fallidos = [];
+    for (const { vehiculo, solicitudes: asignadas } of asignacion.asignaciones) {
       try {
-        await deleteDoc(doc(db, "reservasMicrobus", reservaId));
+        asignados.push(...await repositorio.asignarSolicitudes(
+          viajeId,
+          vehiculo.id,
+          asignadas.map(s => s.id)
+        ));
       } catch (error) {
-        console.error("Error al cancelar reserva de microbus:", error);
-        alert("Error al cancelar reserva. Intenta de nuevo.");
+        console.error("❌ Error al asignar solicitudes:", error);
+        fallidos.push(error instanceof ReservaError ? error.message : t("asignacion.noSeAsigno", { propietario: vehiculo.propietario }));
       }
     }
-  };
+    setIsLoading(false);
+    setAsignacion(null);
 
-  // Funciones para manejar confirmaciones
-  const handleConfirmar = () => {
-    switch (confirmacionData.accion) {
-      case 'ofrecerVehiculo':
-        confirmarOfrecerVehiculo();
-        break;
-      case 'reservarAsiento':
-        confirmarReservarAsiento();
-        break;
-      case 'reservarMicrobus':
-        confirmarReservarMicrobus();
-        break;
-      default:
-        break;
+    if (fallidos.length > 0) {
+      setErrorData({
+        titulo: t("asignacion.parcialTitulo"),
+        mensaje: t("asignacion.parcialMensaje", { count: asignados.length, fallidos: fallidos.join(" ") }),
+      });
+      setShowError(true);
+    } else {
+      setExitoData({
+        titulo: t("asignacion.guardadaTitulo"),
+        mensaje: t("asignacion.guardadaMensaje", { count: asignados.length }),
+      });
+      setShowExito(true);
     }
   };
 
-  const handleCancelar = () => {
-    setShowConfirmacion(false);
-    setConfirmacionData({});
+  // Ocupa con la lista de espera los asientos que queden libres en un vehículo.
+  // Se recorre en orden y cada quien entra solo si hay lugar en los tramos que pidió.
+  const promoverEsperas = async (vehiculo) => {
+    const coleccion = COLECCION_POR_TIPO[vehiculo.tipoVehiculo];
+
+    for (const espera of getEsperasVehiculo(vehiculo.id)) {
+      await repositorio.promoverDeEspera(viajeId, coleccion, vehiculo.id, espera.id);
+    }
   };
 
-  const handleCerrarExito = () => {
-    setShowExito(false);
-    setExitoData({});
+  // Campo para reservar también a acompañantes en la tarjeta de un vehículo
+  const renderCampoAcompanantes = (vehiculo) => (
+    <input
+      type="text"
+      value={acompanantesPorVehiculo[vehiculo.id] || ""}
+      onChange={(e) => setAcompanantesPorVehiculo({ ...acompanantesPorVehiculo, [vehiculo.id]: e.target.value })}
+      placeholder={t("grupo.placeholder")}
+      className="w-full mb-3 rounded-2xl border border-gray-300 bg-white px-4 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-400"
+    />
+  );
+
+  const textoBotonReserva = (vehiculo, texto) => {
+    const asientos = getAcompanantes(vehiculo.id).length + 1;
+    return asientos > 1 ? t("grupo.botonConAsientos", { texto, count: asientos }) : texto;
   };
 
-  return (
-    <div className="min-h-screen bg-gradient-to-br from-emerald-50 to-blue-50 text-gray-900">
-      <div className="mx-auto max-w-6xl p-6">
-        {/* Header */}
-        <header className="text-center mb-8">
-          <h1 className="text-3xl sm:text-4xl font-bold tracking-tight text-gray-800 mb-2">
-            🍄 Organización de Transporte 🍄
-          </h1>
-          <p className="text-lg text-gray-600">Organicemos el transporte</p>
-          <div className="mt-2 flex items-center justify-center gap-2">
-            <div className={`w-2 h-2 rounded-full ${isLoadingList ? 'bg-yellow-400' : 'bg-green-400'}`}></div>
-            <span className="text-xs text-gray-500">
-              {isLoadingList ? 'Conectando...' : 'Conectado a Firebase'}
-            </span>
-          </div>
-        </header>
+  // Nombre de quien reservó y, si es un grupo, sus acompañantes
+  const renderNombresReserva = (reserva) => (
+    <>
+      {reserva.pasajero}
+      {reserva.acompanantes?.length > 0 && (
+        <span className="text-xs text-gray-500"> + {reserva.acompanantes.join(", ")}</span>
+      )}
+    </>
+  );
 
-        {/* Campo de nombre */}
-        <section className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm mb-8">
-          <h2 className="text-xl font-semibold mb-4 text-gray-800">Tu Información</h2>
-          
-          {/* Instrucciones importantes */}
-          <div className="bg-red-50 border border-red-200 rounded-2xl p-4 mb-4">
-            <div className="flex items-start gap-3">
-              <div className="text-2xl text-red-500">⚠️</div>
-              <div>
-                <h4 className="font-semibold text-red-800 mb-1">Importante</h4>
-                <p className="text-sm text-red-700 leading-relaxed">
-                  <strong>Usa siempre el mismo nombre y apellido de ahora en adelante.</strong> 
-                  Esto es necesario para que puedas cancelar tus reservas y para que el sistema 
-                  te reconozca correctamente.
-                </p>
-              </div>
-            </div>
-          </div>
-          
-          <div className="flex flex-col sm:flex-row gap-4">
-            <input
-              type="text"
-              value={nombreUsuario}
-              onChange={(e) => setNombreUsuario(e.target.value)}
-              placeholder="Tu nombre y apellido"
-              className="flex-1 rounded-2xl border border-gray-300 bg-white px-4 py-3 text-base focus:outline-none focus:ring-2 focus:ring-emerald-400 focus:border-transparent"
-            />
-            <span className="text-xs text-gray-500 self-center">Se guarda localmente</span>
-          </div>
-        </section>
+  // Render del estado de lista de espera para un vehículo lleno
+  const renderListaEspera = (vehiculo, textoLleno) => {
+    const esperasVehiculo = getEsperasVehiculo(vehiculo.id);
+    const posicion = esperasVehiculo.findIndex(e => esMiParticipacion(e));
+    const tieneReserva = getReservasVehiculo(vehiculo).some(r => esMiParticipacion(r));
 
-        {/* Módulos principales */}
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-          {/* Módulo 1: Yo tengo un vehículo */}
+    return (
+      <div className="space-y-2">
+        <div className="text-center text-sm text-gray-500 bg-gray-100 rounded-2xl px-4 py-2">
+          {textoLleno}
+          {esperasVehiculo.length > 0 && ` · ${t("espera.enLista", { count: esperasVehiculo.length })}`}
+        </div>
+        {posicion >= 0 ? (
+          <div className="flex items-center justify-between text-sm bg-yellow-50 border border-yellow-200 rounded-2xl px-4 py-2">
+            <span className="text-yellow-800">{t("espera.posicion", { posicion: posicion + 1 })}</span>
+            <button
+              onClick={() => handleSalirDeEspera(esperasVehiculo[posicion])}
+              className="text-red-500 hover:text-red-700 text-xs"
+            >
+              {t("espera.salir")}
+            </button>
+          </div>
+        ) : !tieneReserva && (
           <button
-            onClick={() => handleModuleChange('ofrecer')}
-            className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm hover:shadow-md transition-all text-left"
+            onClick={() => handleUnirseAEspera(vehiculo)}
+            disabled={isLoading || !nombreUsuario.trim()}
+            className={`w-full rounded-2xl px-4 py-2 text-sm font-semibold shadow transition-colors ${
+              isLoading || !nombreUsuario.trim()
+                ? "bg-gray-300 text-white cursor-not-allowed"
+                : "bg-white text-emerald-700 border border-emerald-300 hover:bg-emerald-50"
+            }`}
           >
-            <div className="text-4xl mb-4">🚗</div>
-            <h3 className="text-lg font-semibold text-gray-800 mb-2">Yo tengo un vehículo</h3>
-            <p className="text-sm text-gray-600">Ofrece tu vehículo y especifica cuántos asientos tienes disponibles</p>
+            {t("espera.unirme")}
           </button>
+        )}
+      </div>
+    );
+  };
 
-          {/* Módulo 2: Quiero pedir ride */}
-          <button
-            onClick={() => handleModuleChange('reservar')}
-            className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm hover:shadow-md transition-all text-left"
-          >
-            <div className="text-4xl mb-4">🎫</div>
-            <h3 className="text-lg font-semibold text-gray-800 mb-2">Quiero pedir ride</h3>
-            <p className="text-sm text-gray-600">Reserva un asiento en los vehículos disponibles</p>
-          </button>
+  // Función para obtener asientos ocupados de un vehículo en un tramo (un grupo ocupa varios)
+  const getAsientosOcupados = (vehiculo, tramo = 'ida') => asientosOcupadosEnTramo(getReservasVehiculo(vehiculo), tramo);
 
-          {/* Módulo 3: Yo quiero ir en el microbus */}
-          <button
-            onClick={() => handleModuleChange('microbus')}
-            className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm hover:shadow-md transition-all text-left"
-          >
-            <div className="text-4xl mb-4">🚌</div>
-            <h3 className="text-lg font-semibold text-gray-800 mb-2">Yo quiero ir en el microbus</h3>
-            <p className="text-sm text-gray-600">Reserva un asiento en el microbus rentado ($15-$20)</p>
-          </button>
-        </div>
+  // Tramos que el pasajero eligió para un vehículo; sin regreso solo hay ida
+  const getTramosElegidos = (vehiculo) =>
+    ofreceRegreso(vehiculo) ? OPCIONES_TRAMOS[tramosElegidos[vehiculo.id] || 'ambos'] : ['ida'];
 
-        {/* Contenido dinámico según módulo activo */}
-        {activeModule === 'ofrecer' && (
-          <section id="module-ofrecer" className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm mb-8">
-            <div className="flex items-center justify-between mb-6">
-              <h2 className="text-xl font-semibold text-gray-800">Ofrecer Vehículo</h2>
-              <button
-                onClick={() => handleModuleChange(null)}
-                className="text-gray-500 hover:text-gray-700"
-              >
-                ✕
-              </button>
-            </div>
-            
-            <form onSubmit={handleOfrecerVehiculo} className="space-y-6">
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Tipo de vehículo
-                  </label>
-                  <select
-                    value={tipoVehiculo}
-                    onChange={(e) => setTipoVehiculo(e.target.value)}
-                    className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-3 focus:outline-none focus:ring-2 focus:ring-emerald-400"
-                  >
-                    <option value="propio">Mi propio vehículo</option>
-                    <option value="renta">Renta de Microbus</option>
-                  </select>
-                </div>
-                
-                <div>
+  const hayLugar = (vehiculo, tramos, asientos = 1) =>
+    hayLugarEnTramos(vehiculo, getReservasVehiculo(vehiculo), tramos, asientos);
+
+  // Acompañantes escritos en la tarjeta de un vehículo para una reserva de grupo
+  const getAcompanantes = (vehiculoId) => leerAcompanantes(acompanantesPorVehiculo[vehiculoId] || "");
+
+  const validarAcompanantes = (acompanantes) => {
+    const error = errorDeGrupo(nombreUsuario, acompanantes);
+    if (error === "maximo") alert(t("grupo.maximo", { count: MAX_ACOMPANANTES }));
+    if (error === "repetidos") alert(t("grupo.repetidos"));
+    return !error;
+  };
+
+  // Función para cancelar reserva
+  // Reserva a tu nombre pero hecha desde otra sesión: solo esa sesión puede cancelarla
+  const validarCancelacion = (reserva) => {
+    if (esDeUsuario(reserva, usuario?.uid)) return true;
+    if (esMismoNombre(reserva.pasajero, nombreUsuario)) {
+      alert(t("cancelar.otroDispositivo", { pasajero: reserva.pasajero }));
+    } else {
+      alert(t("cancelar.soloPropia"));
+    }
+    return false;
+  };
+
+  // Un grupo libera varios asientos a la vez; la lista de espera entra de uno en uno
+  const promoverTrasGrupo = async (vehiculoId) => {
+    const vehiculo = vehiculos.find(v => v.id === vehiculoId);
+    if (vehiculo) await promoverEsperas(vehiculo);
+  };
+
+  const handleCancelarReserva = async (reserva) => {
+    if (!validarCancelacion(reserva)) return;
+    if (tieneCancelacionEnCola(reserva)) {
+      alert(t("cola.cancelacionYaGuardada"));
+      return;
+    }
+    const { id: reservaId, vehiculoId } = reserva;
+
+    if (confirm(t("cancelar.confirmar"))) {
+      if (!enLinea) {
+        encolarCancelacion("reservas", reserva);
+        return;
+      }
+      try {
+        await repositorio.cancelar(viajeId, "reservas", reservaId, vehiculoId, getSiguienteEnEspera(vehiculoId)?.id);
+        if (asientosDeReserva(reserva) > 1) await promoverTrasGrupo(vehiculoId);
+      } catch (error) {
+        if (esErrorDeConexion(error)) {
+          encolarCancelacion("reservas", reserva);
+          return;
+        }
+        console.error("Error al cancelar reserva:", error);
+        alert(t("cancelar.error"));
+      }
+    }
+  };
+
+  // Función para cancelar reserva de microbus
+  const handleCancelarReservaMicrobus = async (reserva) => {
+    if (!validarCancelacion(reserva)) return;
+    if (tieneCancelacionEnCola(reserva)) {
+      alert(t("cola.cancelacionYaGuardada"));
+      return;
+    }
+    const { id: reservaId, vehiculoId } = reserva;
+
+    if (confirm(t("cancelar.confirmarMicrobus"))) {
+      if (!enLinea) {
+        encolarCancelacion("reservasMicrobus", reserva);
+        return;
+      }
+      try {
+        await repositorio.cancelar(viajeId, "reservasMicrobus", reservaId, vehiculoId, getSiguienteEnEspera(vehiculoId)?.id);
+        if (asientosDeReserva(reserva) > 1) await promoverTrasGrupo(vehiculoId);
+      } catch (error) {
+        if (esErrorDeConexion(error)) {
+          encolarCancelacion("reservasMicrobus", reserva);
+          return;
+        }
+        console.error("Error al cancelar reserva de microbus:", error);
+        alert(t("cancelar.error"));
+      }
+    }
+  };
+
+  // Quien hizo la reserva de grupo agrega o quita acompañantes
+  const handleEditarAcompanantes = async (reserva, acompanantes) => {
+    if (viaje?.archivado) {
+      alert(t("validacion.viajeArchivado"));
+      return;
+    }
+    if (!validarCancelacion(reserva) || !validarAcompanantes(acompanantes)) return;
+
+    const vehiculo = vehiculos.find(v => v.id === reserva.vehiculoId);
+    setIsLoading(true);
+    try {
+      await repositorio.editarAcompanantes(
+        viajeId,
+        reserva.coleccion,
+        reserva.id,
+        acompanantes
+      );
+      if (vehiculo && acompanantes.length < (reserva.acompanantes?.length || 0)) await promoverEsperas(vehiculo);
+      setNuevoAcompanante({ ...nuevoAcompanante, [reserva.id]: "" });
+    } catch (error) {
+      console.error("❌ Error al editar acompañantes:", error);
+      mostrarErrorReserva(error, reserva.coleccion === 'reservas' ? 'vehículo' : 'microbus');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Avisos de este viaje; abrirlos los marca como leídos
+  const getAvisosViaje = () => avisos.filter(a => a.viajeId === viajeId);
+
+  const handleVerAvisos = () => {
+    setAvisos(avisos.map(a => (a.viajeId === viajeId ? { ...a, leido: true } : a)));
+    setAvisoVisible(null);
+    handleModuleChange('avisos');
+  };
+
+  const handleCambiarPreferenciaAviso = async (evento, activo) => {
+    try {
+      await repositorio.guardarPreferenciasAvisos(usuario.uid, { ...preferenciasAvisos, [evento]: activo });
+    } catch (error) {
+      console.error("❌ Error al guardar preferencias de avisos:", error);
+      alert(t("avisos.errorPreferencias"));
+    }
+  };
+
+  // Push en este dispositivo: el token queda en participantes/{uid}/dispositivos
+  const handleNotificacionesSistema = async (activar) => {
+    try {
+      if (!activar) {
+        await repositorio.quitarDispositivo(usuario.uid, tokenPush);
+        await soltarTokenPush();
+        setTokenPush(null);
+        return;
+      }
+      if (!("Notification" in window)) {
+        alert(t("avisos.sinSoporte"));
+        return;
+      }
+      if (await Notification.requestPermission() !== "granted") {
+        alert(t("avisos.sinPermiso"));
+        return;
+      }
+      const token = await pedirTokenPush();
+      if (!token) {
+        alert(t("avisos.sinSoporte"));
+        return;
+      }
+      setTokenPush(token);
+    } catch (error) {
+      console.error("❌ Error al cambiar las notificaciones push:", error);
+      alert(t("avisos.errorPush"));
+    }
+  };
+
+  // Mis reservas: todo lo que el participante tiene en este viaje
+  const getMisReservas = () => [
+    ...reservas.map(r => ({ ...r, coleccion: 'reservas' })),
+    ...reservasMicrobus.map(r => ({ ...r, coleccion: 'reservasMicrobus' })),
+  ].filter(esMiParticipacion);
+
+  // Vehículos del mismo tipo con asiento libre a los que se puede pasar la reserva
+  const getDestinosCambio = (reserva) => vehiculos.filter(v =>
+    v.id !== reserva.vehiculoId
+    && v.tipoVehiculo === TIPO_POR_COLECCION[reserva.coleccion]
+    && !v.retirado
+    && !vehiculoCancelado(v)
+    && hayLugar(v, getTramos(reserva), asientosDeReserva(reserva))
+    && !getReservasVehiculo(v).some(r => r.uid === reserva.uid)
+  );
+
+  const handleCambiarDeVehiculo = async (reserva, destinoId) => {
+    if (viaje?.archivado) {
+      alert(t("validacion.viajeArchivado"));
+      return;
+    }
+    if (!validarCancelacion(reserva)) return;
+    const destino = vehiculos.find(v => v.id === destinoId);
+    if (!destino) return;
+
+    const avisoPago = reserva.pagoEstado && reserva.pagoEstado !== 'pendiente'
+      ? `\n\n${t("cambiar.avisoPago")}`
+      : "";
+    const pregunta = t("cambiar.confirmar", { propietario: destino.propietario, punto: nombrePunto(destino.puntoEncuentro) });
+    if (!confirm(`${pregunta}${avisoPago}`)) return;
+
+    setIsLoading(true);
+    try {
+      await repositorio.cambiarDeVehiculo(
+        viajeId,
+        reserva.coleccion,
+        reserva,
+        destino.id,
+        getSiguienteEnEspera(reserva.vehiculoId)?.id
+      );
+      if (asientosDeReserva(reserva) > 1) await promoverTrasGrupo(reserva.vehiculoId);
+      setExitoData({
+        titulo: t("cambiar.exitoTitulo"),
+        mensaje: t("cambiar.exitoMensaje", { propietario: destino.propietario, punto: nombrePunto(destino.puntoEncuentro) })
+      });
+      setShowExito(true);
+    } catch (error) {
+      console.error("❌ Error al cambiar de vehículo:", error);
+      mostrarErrorReserva(error, reserva.coleccion === 'reservas' ? 'vehículo' : 'microbus');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Puntos de encuentro del viaje, editados por el organizador
+  const guardarPuntos = async (puntos) => {
+    try {
+      await adaptador.actualizar(`viajes/${viajeId}`, { puntosEncuentro: puntos });
+      return true;
+    } catch (error) {
+      console.error("❌ Error al guardar puntos de encuentro:", error);
+      alert(t("puntos.errorGuardar"));
+      return false;
+    }
+  };
+
+  const handleAgregarPunto = async (e) => {
+    e.preventDefault();
+    const nombre = limpiarNombre(puntoNuevo.nombre);
+    if (!nombre) {
+      alert(t("puntos.sinNombre"));
+      return;
+    }
+    if (esMismoNombre(nombre, OTRO_LUGAR) || puntosEncuentro.some(p => esMismoNombre(p.nombre, nombre))) {
+      alert(t("puntos.repetido"));
+      return;
+    }
+    if (await guardarPuntos([...puntosEncuentro, { ...puntoNuevo, nombre }])) {
+      setPuntoNuevo({ nombre: "", lat: null, lng: null });
+    }
+  };
+
+  const handleQuitarPunto = async (punto) => {
+    const enUso = vehiculos.filter(v => v.puntoEncuentro === punto.nombre && !v.retirado).length;
+    const detalle = enUso > 0 ? ` ${t("puntos.enUso", { count: enUso })}` : "";
+    if (!confirm(`${t("puntos.confirmarQuitar", { nombre: punto.nombre })}${detalle}`)) return;
+    await guardarPuntos(puntosEncuentro.filter(p => p.nombre !== punto.nombre));
+  };
+
+  // Un clic en el mapa ubica el punto elegido o el punto nuevo
+  const handleClicMapaPuntos = async (ubicacion) => {
+    if (puntoUbicando) {
+      await guardarPuntos(puntosEncuentro.map(p => (p.nombre === puntoUbicando ? { ...p, ...ubicacion } : p)));
+      setPuntoUbicando(null);
+    } else {
+      setPuntoNuevo({ ...puntoNuevo, ...ubicacion });
+    }
+  };
+
+  // Acciones de viajes
+  const seleccionarViaje = (id) => {
+    setFiltros(FILTROS_VACIOS);
+    setVehiculoEnlazado(null);
+    window.history.pushState(null, "", id ? `?${VIAJE_PARAM}=${id}` : window.location.pathname);
+    setViajeId(id);
+    setActiveModule(null);
+    setVehiculoEditando(null);
+  };
+
+  const handleCopiarEnlace = async (conFiltros = false) => {
+    const url = `${window.location.origin}${urlConFiltros(viajeId, conFiltros ? filtros : FILTROS_VACIOS)}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      alert(t("viajes.enlaceCopiado"));
+    } catch {
+      window.prompt(t("viajes.copiaEnlace"), url);
+    }
+  };
+
+  const handleCrearViaje = async (e) => {
+    e.preventDefault();
+    if (!nuevoViaje.nombre.trim() || !nuevoViaje.fecha) {
+      alert(t("viajes.faltanDatos"));
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const nuevoViajeId = await adaptador.agregar("viajes", {
+        nombre: nuevoViaje.nombre.trim(),
+        fecha: nuevoViaje.fecha,
+        destino: nuevoViaje.destino.trim(),
+        // Los puntos nuevos se ubican luego en el mapa del panel
+        puntosEncuentro: puntosDesdeTexto(nuevoViaje.puntosEncuentro, normalizarPuntos(configuracion.puntosEncuentro)),
+        precioMicrobus: nuevoViaje.precioMicrobus.trim(),
+        ...(nuevoViaje.costoMicrobus !== "" && { costoMicrobus: Number(nuevoViaje.costoMicrobus) }),
+        archivado: false,
+        uid: usuario.uid,
+        createdAt: adaptador.marcaDeTiempo(),
+      });
+      setNuevoViaje(null);
+      seleccionarViaje(nuevoViajeId);
+    } catch (error) {
+      console.error("❌ Error al crear viaje:", error);
+      alert(t("viajes.errorCrear"));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleArchivarViaje = async (viajeAArchivar) => {
+    const accion = viajeAArchivar.archivado ? "reactivar" : "archivar";
+    if (!confirm(t(`viajes.${accion}.confirmar`, { nombre: viajeAArchivar.nombre }))) return;
+
+    try {
+      await adaptador.actualizar(`viajes/${viajeAArchivar.id}`, { archivado: !viajeAArchivar.archivado });
+    } catch (error) {
+      console.error(`❌ Error al ${accion} viaje:`, error);
+      alert(t(`viajes.${accion}.error`));
+    }
+  };
+
+  // Configuración del grupo: el formulario edita el texto y se guarda todo junto
+  const handleAbrirConfiguracion = () => {
+    setConfiguracionEditando({
+      ...configuracion,
+      puntosEncuentro: normalizarPuntos(configuracion.puntosEncuentro).map(p => p.nombre).join("\n"),
+    });
+  };
+
+  const handleGuardarConfiguracion = async (e) => {
+    e.preventDefault();
+    const { titulo, organizadorNombre, organizadorContacto, precioMicrobus, instrucciones } = configuracionEditando;
+
+    setIsLoading(true);
+    try {
+      await adaptador.guardar(CONFIGURACION_DOC, {
+        titulo: titulo.trim(),
+        organizadorNombre: organizadorNombre.trim(),
+        organizadorContacto: organizadorContacto.trim(),
+        precioMicrobus: precioMicrobus.trim(),
+        puntosEncuentro: puntosDesdeTexto(configuracionEditando.puntosEncuentro, normalizarPuntos(configuracion.puntosEncuentro)),
+        instrucciones: instrucciones.trim(),
+        updatedAt: adaptador.marcaDeTiempo(),
+      });
+      setConfiguracionEditando(null);
+    } catch (error) {
+      console.error("❌ Error al guardar configuración:", error);
+      alert(t("configuracion.errorGuardar"));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Página de inicio: elegir viaje (y crearlos o archivarlos si eres organizador)
+  const renderSeleccionViajes = () => {
+    const activos = viajes.filter(v => !v.archivado);
+    const archivados = viajes.filter(v => v.archivado);
+
+    const renderViaje = (v) => (
+      <div key={v.id} className="flex items-center justify-between gap-3 border border-gray-200 rounded-2xl p-4">
+        <button onClick={() => seleccionarViaje(v.id)} className="flex-1 text-left">
+          <p className="font-semibold text-gray-800">{v.nombre}</p>
+          <p className="text-sm text-gray-500">
+            {[formatearFecha(v.fecha), v.destino].filter(Boolean).join(" · ")}
+          </p>
+        </button>
+        {esOrganizador && (
+          <button
+            onClick={() => handleArchivarViaje(v)}
+            className="text-xs text-gray-500 hover:text-gray-700"
+          >
+            {v.archivado ? t("viajes.reactivar.boton") : t("viajes.archivar.boton")}
+          </button>
+        )}
+      </div>
+    );
+
+    return (
+      <section className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm mb-8">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-xl font-semibold text-gray-800">{t("viajes.elige")}</h2>
+          {esOrganizador && (
+            <div className="flex items-center gap-3">
+              {!configuracionEditando && (
+                <button
+                  onClick={handleAbrirConfiguracion}
+                  className="rounded-2xl px-4 py-2 text-sm font-semibold text-gray-700 border border-gray-300 hover:bg-gray-50 transition-colors"
+                >
+                  {t("configuracion.boton")}
+                </button>
+              )}
+              {!nuevoViaje && (
+                <button
+                  onClick={() => setNuevoViaje({ nombre: "", fecha: "", destino: "", puntosEncuentro: normalizarPuntos(configuracion.puntosEncuentro).map(p => p.nombre).join("\n"), precioMicrobus: configuracion.precioMicrobus, costoMicrobus: "" })}
+                  className="rounded-2xl px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 shadow transition-colors"
+                >
+                  {t("viajes.nuevo")}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+
+        {nuevoViaje && (
+          <form onSubmit={handleCrearViaje} className="space-y-4 mb-6 border border-emerald-200 bg-emerald-50 rounded-2xl p-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <input
+                type="text"
+                value={nuevoViaje.nombre}
+                onChange={(e) => setNuevoViaje({ ...nuevoViaje, nombre: e.target.value })}
+                placeholder={t("viajes.campos.nombre")}
+                className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+              />
+              <input
+                type="date"
+                value={nuevoViaje.fecha}
+                onChange={(e) => setNuevoViaje({ ...nuevoViaje, fecha: e.target.value })}
+                className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+              />
+              <input
+                type="text"
+                value={nuevoViaje.destino}
+                onChange={(e) => setNuevoViaje({ ...nuevoViaje, destino: e.target.value })}
+                placeholder={t("viajes.campos.destino")}
+                className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+              />
+              <input
+                type="text"
+                value={nuevoViaje.precioMicrobus}
+                onChange={(e) => setNuevoViaje({ ...nuevoViaje, precioMicrobus: e.target.value })}
+                placeholder={t("viajes.campos.precioMicrobus")}
+                className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={nuevoViaje.costoMicrobus}
+                onChange={(e) => setNuevoViaje({ ...nuevoViaje, costoMicrobus: e.target.value })}
+                placeholder={t("viajes.campos.costoMicrobus")}
+                className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {t("viajes.campos.puntos")}
+              </label>
+              <textarea
+                value={nuevoViaje.puntosEncuentro}
+                onChange={(e) => setNuevoViaje({ ...nuevoViaje, puntosEncuentro: e.target.value })}
+                rows={4}
+                className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400 resize-none"
+              />
+            </div>
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={() => setNuevoViaje(null)}
+                className="flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-gray-600 border border-gray-300 hover:bg-gray-50 transition-colors"
+              >
+                {t("comunes.cancelar")}
+              </button>
+              <button
+                type="submit"
+                disabled={isLoading}
+                className={`flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-white shadow transition-colors ${
+                  isLoading ? "bg-gray-300 cursor-not-allowed" : "bg-emerald-600 hover:bg-emerald-700"
+                }`}
+              >
+                {isLoading ? t("viajes.creando") : t("viajes.crear")}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {activos.length === 0 ? (
+          <div className="text-center py-12">
+            <div className="text-6xl mb-4">🗺️</div>
+            <p className="text-gray-500 text-lg">{t("viajes.sinProximos")}</p>
+            <p className="text-gray-400 text-sm mt-2">{t("viajes.pideEnlace")}</p>
+          </div>
+        ) : (
+          <div className="space-y-3">{activos.map(renderViaje)}</div>
+        )}
+
+        {archivados.length > 0 && (
+          <div className="mt-6">
+            <button
+              onClick={() => setMostrarArchivados(!mostrarArchivados)}
+              className="text-sm text-gray-500 hover:text-gray-700"
+            >
+              {t(mostrarArchivados ? "viajes.ocultarAnteriores" : "viajes.verAnteriores", { count: archivados.length })}
+            </button>
+            {mostrarArchivados && (
+              <div className="space-y-3 mt-3 opacity-75">{archivados.map(renderViaje)}</div>
+            )}
+          </div>
+        )}
+      </section>
+    );
+  };
+
+  // Configuración del grupo (solo organizador): título, contacto, precio, puntos e indicaciones
+  const renderConfiguracion = () => (
+    <section className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm mb-8">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-semibold text-gray-800">{t("configuracion.titulo")}</h2>
+        <button
+          onClick={() => setConfiguracionEditando(null)}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          ✕
+        </button>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">{t("configuracion.descripcion")}</p>
+
+      <form onSubmit={handleGuardarConfiguracion} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <input
+            type="text"
+            value={configuracionEditando.titulo}
+            onChange={(e) => setConfiguracionEditando({ ...configuracionEditando, titulo: e.target.value })}
+            placeholder={t("configuracion.campos.titulo")}
+            className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+          />
+          <input
+            type="text"
+            value={configuracionEditando.precioMicrobus}
+            onChange={(e) => setConfiguracionEditando({ ...configuracionEditando, precioMicrobus: e.target.value })}
+            placeholder={t("configuracion.campos.precioMicrobus")}
+            className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+          />
+          <input
+            type="text"
+            value={configuracionEditando.organizadorNombre}
+            onChange={(e) => setConfiguracionEditando({ ...configuracionEditando, organizadorNombre: e.target.value })}
+            placeholder={t("configuracion.campos.organizadorNombre")}
+            className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+          />
+          <input
+            type="text"
+            value={configuracionEditando.organizadorContacto}
+            onChange={(e) => setConfiguracionEditando({ ...configuracionEditando, organizadorContacto: e.target.value })}
+            placeholder={t("configuracion.campos.organizadorContacto")}
+            className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {t("configuracion.campos.puntosEncuentro")}
+          </label>
+          <textarea
+            value={configuracionEditando.puntosEncuentro}
+            onChange={(e) => setConfiguracionEditando({ ...configuracionEditando, puntosEncuentro: e.target.value })}
+            rows={4}
+            className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400 resize-none"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">
+            {t("configuracion.campos.instrucciones")}
+          </label>
+          <textarea
+            value={configuracionEditando.instrucciones}
+            onChange={(e) => setConfiguracionEditando({ ...configuracionEditando, instrucciones: e.target.value })}
+            rows={4}
+            className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400 resize-none"
+          />
+        </div>
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={() => setConfiguracionEditando(null)}
+            className="flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-gray-600 border border-gray-300 hover:bg-gray-50 transition-colors"
+          >
+            {t("comunes.cancelar")}
+          </button>
+          <button
+            type="submit"
+            disabled={isLoading}
+            className={`flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-white shadow transition-colors ${
+              isLoading ? "bg-gray-300 cursor-not-allowed" : "bg-emerald-600 hover:bg-emerald-700"
+            }`}
+          >
+            {isLoading ? t("comunes.guardando") : t("comunes.guardarCambios")}
+          </button>
+        </div>
+      </form>
+    </section>
+  );
+
+  // Acciones de sesión: enlace por correo para no perder las reservas
+  const handleEnviarEnlace = async (e) => {
+    e.preventDefault();
+    if (!emailIngreso.trim()) return;
+
+    try {
+      await sendSignInLinkToEmail(auth, emailIngreso.trim(), {
+        url: window.location.href,
+        handleCodeInApp: true,
+      });
+      localStorage.setItem(EMAIL_INGRESO_KEY, emailIngreso.trim());
+      setEnlaceEnviado(true);
+    } catch (error) {
+      console.error("❌ Error al enviar enlace de ingreso:", error);
+      alert(t("sesion.errorEnlace"));
+    }
+  };
+
+  const handleCerrarSesion = async () => {
+    if (confirm(t("sesion.confirmarSalir"))) {
+      setEnlaceEnviado(false);
+      await signOut(auth);
+    }
+  };
+
+  // Organizador o dueño del microbus deciden su estado
+  const handleCambiarEstadoMicrobus = async (microbus, estado) => {
+    if (!confirm(t(`microbus.confirmarEstado.${estado}`))) return;
+
+    try {
+      await repositorio.cambiarEstadoMicrobus(viajeId, microbus.id, estado);
+    } catch (error) {
+      console.error("❌ Error al cambiar estado del microbus:", error);
+      alert(t("microbus.errorEstado"));
+    }
+  };
+
+  // Acciones de pagos del microbus
+  const handleReportarPago = async (e, reserva) => {
+    e.preventDefault();
+    const referencia = (referenciasPago[reserva.id] || "").trim();
+
+    try {
+      await repositorio.reportarPago(viajeId, reserva.id, referencia);
+      setReferenciasPago({ ...referenciasPago, [reserva.id]: "" });
+    } catch (error) {
+      console.error("❌ Error al reportar pago:", error);
+      alert(t("pagos.errorReportar"));
+    }
+  };
+
+  const handleVerificarPago = async (reserva, verificado) => {
+    try {
+      await repositorio.verificarPago(viajeId, reserva.id, verificado);
+    } catch (error) {
+      console.error("❌ Error al verificar pago:", error);
+      alert(t("pagos.errorVerificar"));
+    }
+  };
+
+  // Acciones del panel del organizador
+  const getReservasVehiculo = (vehiculo) => {
+    const lista = vehiculo.tipoVehiculo === 'propio' ? reservas : reservasMicrobus;
+    return lista.filter(r => r.vehiculoId === vehiculo.id);
+  };
+
+  // Texto del resumen que se está compartiendo; se arma con los datos al día
+  const getResumenCompartido = () => {
+    if (compartiendo === 'viaje') {
+      return { titulo: viaje.nombre, texto: resumenViaje(viaje, vehiculos, getReservasVehiculo), enlace: urlDeViaje(viajeId) };
+    }
+    const vehiculo = vehiculos.find(v => v.id === compartiendo);
+    if (!vehiculo) return null;
+    return {
+      titulo: t(vehiculo.tipoVehiculo === 'renta' ? "compartir.tituloMicrobus" : "compartir.tituloVehiculo", { propietario: vehiculo.propietario }),
+      texto: resumenVehiculo(viaje, vehiculo, getReservasVehiculo(vehiculo)),
+      enlace: urlDeVehiculo(viajeId, vehiculo.id),
+    };
+  };
+
+  const handleCopiarTexto = async (texto, aviso) => {
+    try {
+      await navigator.clipboard.writeText(texto);
+      alert(aviso);
+    } catch {
+      window.prompt(t("compartir.copiaTexto"), texto);
+    }
+  };
+
+  // Web Share API en el teléfono; si no existe o falla, se copia el texto
+  const handleCompartirResumen = async (resumen) => {
+    try {
+      await navigator.share({ title: resumen.titulo, text: resumen.texto });
+    } catch (error) {
+      if (error.name !== 'AbortError') handleCopiarTexto(resumen.texto, t("compartir.resumenCopiado"));
+    }
+  };
+
+  const mostrarErrorAccion = (error, accion) => {
+    console.error(`❌ Error al ${accion}:`, error);
+    setErrorData({
+      titulo: t("acciones.noSePudo", { accion }),
+      mensaje: error instanceof ReservaError ? error.message : t("comunes.intentaDeNuevo"),
+    });
+    setShowError(true);
+  };
+
+  // Manifiesto del viaje: vehículos activos con sus pasajeros
+  const getVehiculosManifiesto = () => vehiculos.filter(v => !v.retirado);
+
+  const handleExportarCsv = () => {
+    const filas = filasManifiesto(getVehiculosManifiesto(), getReservasVehiculo);
+    // BOM para que Excel reconozca los acentos
+    const blob = new Blob(["\uFEFF", manifiestoACsv(filas)], { type: "text/csv;charset=utf-8" });
+    descargarArchivo(blob, `${nombreArchivoManifiesto(viaje)}.csv`);
+  };
+
+  const handleExportarXlsx = async () => {
+    setIsLoading(true);
+    try {
+      // Solo se descarga la librería cuando alguien exporta
+      const { default: writeExcelFile } = await import("write-excel-file/browser");
+      const filas = filasManifiesto(getVehiculosManifiesto(), getReservasVehiculo);
+      const blob = await writeExcelFile(manifiestoAHoja(filas), { sheet: t("manifiesto.hoja") }).toBlob();
+      descargarArchivo(blob, `${nombreArchivoManifiesto(viaje)}.xlsx`);
+    } catch (error) {
+      mostrarErrorAccion(error, t("acciones.exportarManifiesto"));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Importación desde CSV: primero se simula y se muestra, luego se escribe en un lote
+  const handleArchivoImportacion = async (e) => {
+    const archivo = e.target.files[0];
+    e.target.value = "";
+    if (!archivo) return;
+    const plan = planificarImportacion(leerFilasImportacion(await archivo.text()), {
+      vehiculos,
+      getReservasVehiculo,
+      ocupados: (vehiculo) => getAsientosOcupados(vehiculo),
+      puntos: puntosEncuentro,
+    });
+    setImportacion({ archivo: archivo.name, plan });
+  };
+
+  const handleDescargarPlantilla = () => {
+    const plantilla = [
+      "rol,nombre,telefono,asientos,punto,salida,notas,tipo,conductor",
+      `conductor,Ana López,7000-0000,4,${puntosEncuentro[0]?.nombre || OTRO_LUGAR},06:30,Sale puntual,propio,`,
+      "pasajero,Carlos Pérez,,,,,,,Ana López",
+    ].join("\r\n");
+    descargarArchivo(new Blob(["\uFEFF", plantilla], { type: "text/csv;charset=utf-8" }), "plantilla-importacion.csv");
+  };
+
+  const handleConfirmarImportacion = async () => {
+    const { plan } = importacion;
+    const escrituras = plan.vehiculos.reduce((total, destino) => total + 1 + destino.pasajeros.length, 0);
+    if (escrituras > 500) {
+      alert(t("importacion.demasiadoGrande"));
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await repositorio.importar(viajeId, plan, usuario.uid);
+      const nuevos = plan.vehiculos.filter(d => d.nuevo).length;
+      const pasajeros = plan.vehiculos.reduce((total, destino) => total + destino.pasajeros.length, 0);
+      setImportacion(null);
+      setExitoData({
+        titulo: t("importacion.completaTitulo"),
+        mensaje: t("importacion.completaMensaje", { nuevos, pasajeros }),
+      });
+      setShowExito(true);
+    } catch (error) {
+      mostrarErrorAccion(error, t("acciones.importarArchivo"));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleEditarVehiculo = (vehiculo) => {
+    setVehiculoEditando({
+      id: vehiculo.id,
+      asientosDisponibles: vehiculo.asientosDisponibles,
+      puntoEncuentro: vehiculo.puntoEncuentro,
+      notas: vehiculo.notas || "",
+      tipoVehiculo: vehiculo.tipoVehiculo,
+      costoAsiento: vehiculo.costoAsiento ?? "",
+      costoTotal: vehiculo.costoTotal ?? "",
+      minimoPasajeros: vehiculo.minimoPasajeros ?? "",
+      fechaLimite: vehiculo.fechaLimite ? aFechaHoraLocal(vehiculo.fechaLimite) : "",
+      horaSalida: vehiculo.horaSalida || "",
+      horaRegreso: vehiculo.horaRegreso || "",
+      asientosRegreso: vehiculo.asientosRegreso ?? "",
+    });
+  };
+
+  const handleGuardarVehiculo = async (e, vehiculo, conTipo) => {
+    e.preventDefault();
+    const { id, tipoVehiculo, costoAsiento, costoTotal, minimoPasajeros, fechaLimite, asientosRegreso, ...cambios } = vehiculoEditando;
+    if (conTipo) cambios.tipoVehiculo = tipoVehiculo;
+    cambios.horaSalida = cambios.horaSalida || null;
+    cambios.horaRegreso = cambios.horaRegreso || null;
+    // El regreso con asientos propios solo existe en vehículos propios con hora de regreso
+    if ((conTipo ? tipoVehiculo : vehiculo.tipoVehiculo) === 'propio') {
+      cambios.asientosRegreso = cambios.horaRegreso
+        ? Number(asientosRegreso === "" ? cambios.asientosDisponibles : asientosRegreso)
+        : null;
+      if (cambios.asientosRegreso != null && (!Number.isInteger(cambios.asientosRegreso) || cambios.asientosRegreso < 1 || cambios.asientosRegreso > 50)) {
+        alert(t("validacion.asientosRegreso"));
+        return;
+      }
+    }
+    if ((conTipo ? tipoVehiculo : vehiculo.tipoVehiculo) === 'renta') {
+      cambios.asientosRegreso = null;
+      cambios.costoAsiento = costoAsiento === "" ? null : Number(costoAsiento);
+      cambios.costoTotal = costoTotal === "" ? null : Number(costoTotal);
+      cambios.minimoPasajeros = minimoPasajeros === "" ? null : Number(minimoPasajeros);
+      cambios.fechaLimite = fechaLimite ? new Date(fechaLimite).getTime() : null;
+      if (cambios.minimoPasajeros != null && cambios.minimoPasajeros > Number(cambios.asientosDisponibles)) {
+        alert(t("validacion.minimoMayor"));
+        return;
+      }
+    }
+    if (cambios.puntoEncuentro !== vehiculo.puntoEncuentro) {
+      cambios.ubicacion = getUbicacionPunto(cambios.puntoEncuentro);
+    }
+    const asientos = Number(cambios.asientosDisponibles);
+    if (!Number.isInteger(asientos) || asientos < 1 || asientos > 50) {
+      alert(t("validacion.asientos"));
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await repositorio.editarVehiculo(
+        viajeId,
+        id,
+        { ...cambios, asientosDisponibles: asientos, notas: cambios.notas.trim() }
+      );
+      setVehiculoEditando(null);
+
+      // Los asientos nuevos son primero para la lista de espera
+      if (asientos > vehiculo.asientosDisponibles || (cambios.asientosRegreso ?? 0) > (vehiculo.asientosRegreso ?? 0)) {
+        await promoverEsperas({ ...vehiculo, ...cambios, asientosDisponibles: asientos });
+      }
+    } catch (error) {
+      mostrarErrorAccion(error, t("acciones.editarVehiculo"));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleEliminarVehiculo = async (vehiculo) => {
+    const reservasVehiculo = getReservasVehiculo(vehiculo);
+    const destinoId = destinosEliminacion[vehiculo.id] || "";
+    const destino = vehiculos.find(v => v.id === destinoId);
+    const detalle = reservasVehiculo.length === 0
+      ? ""
+      : destino
+        ? ` ${t("organizador.eliminarMover", { count: contarAsientos(reservasVehiculo), propietario: destino.propietario })}`
+        : ` ${t("organizador.eliminarReservas", { count: reservasVehiculo.length })}`;
+
+    if (!confirm(`${t("organizador.confirmarEliminar", { propietario: vehiculo.propietario })}${detalle}`)) return;
+
+    setIsLoading(true);
+    try {
+      await repositorio.eliminarVehiculo(viajeId, vehiculo, reservasVehiculo, getEsperasVehiculo(vehiculo.id), destino?.id);
+    } catch (error) {
+      mostrarErrorAccion(error, t("acciones.eliminarVehiculo"));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Acciones de "Mis vehículos" para el dueño del vehículo
+  const handleRetirarVehiculo = async (vehiculo) => {
+    const reservasVehiculo = getReservasVehiculo(vehiculo);
+    const detalle = reservasVehiculo.length > 0
+      ? ` ${t("misVehiculos.retirarAviso", { count: contarAsientos(reservasVehiculo) })}`
+      : "";
+
+    if (!confirm(`${t(vehiculo.tipoVehiculo === 'propio' ? "misVehiculos.confirmarRetirarVehiculo" : "misVehiculos.confirmarRetirarMicrobus")}${detalle}`)) return;
+
+    setIsLoading(true);
+    try {
+      await repositorio.retirarVehiculo(viajeId, vehiculo, reservasVehiculo);
+    } catch (error) {
+      mostrarErrorAccion(error, t("acciones.retirarVehiculo"));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // El pasajero afectado libera su reserva y busca otro vehículo
+  const handleReservarEnOtro = async (reserva, coleccion) => {
+    try {
+      await repositorio.cancelar(viajeId, coleccion, reserva.id, reserva.vehiculoId);
+      handleModuleChange(coleccion === 'reservas' ? 'reservar' : 'microbus');
+    } catch (error) {
+      console.error("❌ Error al liberar reserva afectada:", error);
+      alert(t("misReservas.errorLiberar"));
+    }
+  };
+
+  const handleMoverPasajero = async (reserva, vehiculo, destinoId) => {
+    const destino = vehiculos.find(v => v.id === destinoId);
+    if (!destino) return;
+    if (!confirm(t("organizador.confirmarMover", { pasajero: reserva.pasajero, propietario: destino.propietario }))) return;
+
+    setIsLoading(true);
+    try {
+      await repositorio.moverReservas(
+        viajeId,
+        COLECCION_POR_TIPO[vehiculo.tipoVehiculo],
+        [reserva],
+        destino.id
+      );
+    } catch (error) {
+      mostrarErrorAccion(error, t("acciones.moverPasajero"));
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Formulario de edición compartido por "Mis vehículos" y el panel del organizador
+  const renderFormularioEdicion = (vehiculo, { conTipo = false } = {}) => (
+    <form onSubmit={(e) => handleGuardarVehiculo(e, vehiculo, conTipo)} className="space-y-4 mb-4">
+      <div className={`grid grid-cols-1 gap-4 ${conTipo ? 'md:grid-cols-3' : 'md:grid-cols-2'}`}>
+        {conTipo && (
+          <select
+            value={vehiculoEditando.tipoVehiculo}
+            onChange={(e) => setVehiculoEditando({ ...vehiculoEditando, tipoVehiculo: e.target.value })}
+            className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+          >
+            <option value="propio">{t("tiposVehiculo.propio")}</option>
+            <option value="renta">{t("tiposVehiculo.renta")}</option>
+          </select>
+        )}
+        <input
+          type="number"
+          min={Math.max(getAsientosOcupados(vehiculo), 1)}
+          max="50"
+          value={vehiculoEditando.asientosDisponibles}
+          onChange={(e) => setVehiculoEditando({ ...vehiculoEditando, asientosDisponibles: e.target.value })}
+          className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+        />
+        <select
+          value={vehiculoEditando.puntoEncuentro}
+          onChange={(e) => setVehiculoEditando({ ...vehiculoEditando, puntoEncuentro: e.target.value })}
+          className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+        >
+          {puntosEncuentro.map((punto) => (
+            <option key={punto.nombre} value={punto.nombre}>{punto.nombre}</option>
+          ))}
+          <option value={OTRO_LUGAR}>{nombrePunto(OTRO_LUGAR)}</option>
+        </select>
+      </div>
+      {(conTipo ? vehiculoEditando.tipoVehiculo : vehiculo.tipoVehiculo) === 'renta' && (
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={vehiculoEditando.costoAsiento}
+          onChange={(e) => setVehiculoEditando({ ...vehiculoEditando, costoAsiento: e.target.value })}
+          placeholder={t("edicion.costoAsiento")}
+          className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+        />
+      )}
+      {(conTipo ? vehiculoEditando.tipoVehiculo : vehiculo.tipoVehiculo) === 'renta' && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={vehiculoEditando.costoTotal}
+            onChange={(e) => setVehiculoEditando({ ...vehiculoEditando, costoTotal: e.target.value })}
+            placeholder={t("edicion.costoTotal")}
+            className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+          />
+          <input
+            type="number"
+            min="1"
+            max={vehiculoEditando.asientosDisponibles}
+            value={vehiculoEditando.minimoPasajeros}
+            onChange={(e) => setVehiculoEditando({ ...vehiculoEditando, minimoPasajeros: e.target.value })}
+            placeholder={t("edicion.minimoPasajeros")}
+            className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+          />
+          <input
+            type="datetime-local"
+            value={vehiculoEditando.fechaLimite}
+            onChange={(e) => setVehiculoEditando({ ...vehiculoEditando, fechaLimite: e.target.value })}
+            className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+          />
+        </div>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <input
+          type="time"
+          value={vehiculoEditando.horaSalida}
+          onChange={(e) => setVehiculoEditando({ ...vehiculoEditando, horaSalida: e.target.value })}
+          aria-label={t("edicion.horaSalida")}
+          className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+        />
+        <input
+          type="time"
+          value={vehiculoEditando.horaRegreso}
+          onChange={(e) => setVehiculoEditando({ ...vehiculoEditando, horaRegreso: e.target.value })}
+          aria-label={t("edicion.horaRegreso")}
+          className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+        />
+        {(conTipo ? vehiculoEditando.tipoVehiculo : vehiculo.tipoVehiculo) === 'propio' && vehiculoEditando.horaRegreso && (
+          <input
+            type="number"
+            min={Math.max(getAsientosOcupados(vehiculo, 'regreso'), 1)}
+            max="50"
+            value={vehiculoEditando.asientosRegreso}
+            onChange={(e) => setVehiculoEditando({ ...vehiculoEditando, asientosRegreso: e.target.value })}
+            placeholder={t("edicion.asientosRegreso")}
+            className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+          />
+        )}
+      </div>
+      <textarea
+        value={vehiculoEditando.notas}
+        onChange={(e) => setVehiculoEditando({ ...vehiculoEditando, notas: e.target.value })}
+        placeholder={t("edicion.notas")}
+        rows={2}
+        className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400 resize-none"
+      />
+      <div className="flex gap-3">
+        <button
+          type="button"
+          onClick={() => setVehiculoEditando(null)}
+          className="flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-gray-600 border border-gray-300 hover:bg-gray-50 transition-colors"
+        >
+          {t("comunes.cancelar")}
+        </button>
+        <button
+          type="submit"
+          disabled={isLoading}
+          className={`flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-white shadow transition-colors ${
+            isLoading ? "bg-gray-300 cursor-not-allowed" : "bg-emerald-600 hover:bg-emerald-700"
+          }`}
+        >
+          {isLoading ? t("comunes.guardando") : t("comunes.guardarCambios")}
+        </button>
+      </div>
+    </form>
+  );
+
+  // Funciones para manejar confirmaciones
+  const handleConfirmar = () => {
+    switch (confirmacionData.accion) {
+      case 'ofrecerVehiculo':
+        confirmarOfrecerVehiculo();
+        break;
+      case 'reservarAsiento':
+        confirmarReservarAsiento();
+        break;
+      case 'reservarMicrobus':
+        confirmarReservarMicrobus();
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleCancelar = () => {
+    setShowConfirmacion(false);
+    setConfirmacionData({});
+  };
+
+  const handleCerrarExito = () => {
+    setShowExito(false);
+    setExitoData({});
+  };
+
+  const handleCerrarError = () => {
+    setShowError(false);
+    setErrorData({});
+  };
+
+  // El idioma vive en i18n; este estado solo vuelve a pintar la app al cambiarlo
+  const handleCambiarIdioma = (nuevo) => {
+    setIdioma(nuevo);
+    setIdiomaActual(nuevo);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-emerald-50 to-blue-50 text-gray-900">
+      <div className="mx-auto max-w-6xl p-6">
+        {/* Header */}
+        <header className="text-center mb-8">
+          <h1 className="text-3xl sm:text-4xl font-bold tracking-tight text-gray-800 mb-2">
+            {configuracion.titulo.trim() || t("app.titulo")}
+          </h1>
+          {viaje ? (
+            <div>
+              <p className="text-lg text-gray-600">{viaje.nombre}</p>
+              <p className="text-sm text-gray-500">
+                {[formatearFecha(viaje.fecha), viaje.destino].filter(Boolean).join(" · ")}
+              </p>
+              <div className="mt-2 flex items-center justify-center gap-4 text-xs">
+                <button onClick={() => seleccionarViaje(null)} className="text-emerald-600 hover:text-emerald-700">
+                  {t("encabezado.todosLosViajes")}
+                </button>
+                <button onClick={() => handleCopiarEnlace()} className="text-emerald-600 hover:text-emerald-700">
+                  {t("encabezado.copiarEnlace")}
+                </button>
+                <button onClick={() => setCompartiendo('viaje')} className="text-emerald-600 hover:text-emerald-700">
+                  {t("encabezado.resumenWhatsApp")}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <p className="text-lg text-gray-600">{t("encabezado.lema")}</p>
+          )}
+          <div className="mt-2 flex items-center justify-center gap-2">
+            <div className={`w-2 h-2 rounded-full ${!enLinea ? 'bg-gray-400' : isLoadingList ? 'bg-yellow-400' : 'bg-green-400'}`}></div>
+            <span className="text-xs text-gray-500">
+              {!enLinea ? t("encabezado.sinConexion") : isLoadingList ? t("encabezado.conectando") : t("encabezado.conectado")}
+              {cola.some(a => a.estado !== 'conflicto') && ` · ${t("encabezado.porEnviar", { count: cola.filter(a => a.estado !== 'conflicto').length })}`}
+            </span>
+            <select
+              value={idioma}
+              onChange={(e) => handleCambiarIdioma(e.target.value)}
+              aria-label={t("encabezado.idioma")}
+              className="ml-2 rounded-xl border border-gray-200 bg-white px-2 py-0.5 text-xs text-gray-600 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+            >
+              {Object.entries(IDIOMAS).map(([codigo, nombre]) => (
+                <option key={codigo} value={codigo}>{nombre}</option>
+              ))}
+            </select>
+          </div>
+        </header>
+
+        {/* Indicaciones y contacto de quien organiza (configuración del grupo) */}
+        {(configuracion.instrucciones.trim() || configuracion.organizadorNombre.trim() || configuracion.organizadorContacto.trim()) && (
+          <section className="bg-white rounded-3xl border border-emerald-200 p-6 shadow-sm mb-8">
+            <h2 className="text-lg font-semibold text-gray-800 mb-2">{t("configuracion.indicaciones")}</h2>
+            {configuracion.instrucciones.trim() && (
+              <p className="text-sm text-gray-700 whitespace-pre-line leading-relaxed">{configuracion.instrucciones}</p>
+            )}
+            {(configuracion.organizadorNombre.trim() || configuracion.organizadorContacto.trim()) && (
+              <p className="text-sm text-gray-600 mt-2">
+                {t("configuracion.contacto", { organizador: nombreOrganizador(configuracion) })}
+              </p>
+            )}
+          </section>
+        )}
+
+        {/* Campo de nombre */}
+        <section className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm mb-8">
+          <h2 className="text-xl font-semibold mb-4 text-gray-800">{t("perfil.titulo")}</h2>
+          
+          {/* Instrucciones importantes */}
+          <div className="bg-red-50 border border-red-200 rounded-2xl p-4 mb-4">
+            <div className="flex items-start gap-3">
+              <div className="text-2xl text-red-500">⚠️</div>
+              <div>
+                <h4 className="font-semibold text-red-800 mb-1">{t("perfil.importante")}</h4>
+                <p className="text-sm text-red-700 leading-relaxed">
+                  <strong>{t("perfil.ligadas")}</strong>{" "}
+                  {t("perfil.ingresaCorreo")}
+                </p>
+              </div>
+            </div>
+          </div>
+          
+          <div className="flex flex-col sm:flex-row gap-4">
+            <input
+              type="text"
+              value={nombreUsuario}
+              onChange={(e) => setNombreUsuario(e.target.value)}
+              placeholder={t("perfil.nombre")}
+              className="flex-1 rounded-2xl border border-gray-300 bg-white px-4 py-3 text-base focus:outline-none focus:ring-2 focus:ring-emerald-400 focus:border-transparent"
+            />
+            <span className="text-xs text-gray-500 self-center">{t("perfil.seGuarda")}</span>
+          </div>
+
+          <div className="mt-4 grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <input
+              type="tel"
+              value={telefono}
+              onChange={(e) => setTelefono(e.target.value)}
+              placeholder={t("perfil.telefono")}
+              className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-3 text-base focus:outline-none focus:ring-2 focus:ring-emerald-400 focus:border-transparent"
+            />
+            <select
+              value={puntoPreferido}
+              onChange={(e) => setPuntoPreferido(e.target.value)}
+              className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-3 text-base focus:outline-none focus:ring-2 focus:ring-emerald-400"
+            >
+              <option value="">{t("perfil.puntoPreferido")}</option>
+              {puntosEncuentro.map((punto) => (
+                <option key={punto.nombre} value={punto.nombre}>{punto.nombre}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Sesión */}
+          <div className="mt-4 pt-4 border-t border-gray-100">
+            {!usuario ? (
+              <p className="text-sm text-gray-500">{t("sesion.iniciando")}</p>
+            ) : usuario.isAnonymous ? (
+              enlaceEnviado ? (
+                <p className="text-sm text-emerald-700">
+                  {t("sesion.enlaceEnviadoA")} <strong>{emailIngreso.trim()}</strong>. {t("sesion.abrelo")}
+                </p>
+              ) : (
+                <form onSubmit={handleEnviarEnlace} className="flex flex-col sm:flex-row gap-4">
+                  <input
+                    type="email"
+                    value={emailIngreso}
+                    onChange={(e) => setEmailIngreso(e.target.value)}
+                    placeholder={t("sesion.correo")}
+                    className="flex-1 rounded-2xl border border-gray-300 bg-white px-4 py-3 text-base focus:outline-none focus:ring-2 focus:ring-emerald-400 focus:border-transparent"
+                  />
+                  <button
+                    type="submit"
+                    disabled={!emailIngreso.trim()}
+                    className={`rounded-2xl px-6 py-3 text-sm font-semibold text-white shadow transition-colors ${
+                      !emailIngreso.trim() ? "bg-gray-300 cursor-not-allowed" : "bg-emerald-600 hover:bg-emerald-700"
+                    }`}
+                  >
+                    {t("sesion.enviarEnlace")}
+                  </button>
+                </form>
+              )
+            ) : (
+              <div className="flex items-center justify-between text-sm">
+                <span className="text-gray-600">{t("sesion.iniciadaComo")} <strong>{usuario.email}</strong></span>
+                <button onClick={handleCerrarSesion} className="text-gray-500 hover:text-gray-700 text-xs">
+                  {t("sesion.cerrar")}
+                </button>
+              </div>
+            )}
+          </div>
+        </section>
+
+        {!viajeId ? (
+          <>
+            {configuracionEditando && renderConfiguracion()}
+            {renderSeleccionViajes()}
+          </>
+        ) : !viaje ? (
+          <section className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm mb-8 text-center">
+            {viajesCargados ? (
+              <>
+                <div className="text-6xl mb-4">🗺️</div>
+                <p className="text-gray-500 text-lg">{t("viajes.noEncontrado")}</p>
+                <button
+                  onClick={() => seleccionarViaje(null)}
+                  className="mt-4 text-emerald-600 hover:text-emerald-700 text-sm font-semibold"
+                >
+                  {t("viajes.verTodos")}
+                </button>
+              </>
+            ) : (
+              <p className="text-gray-500">{t("viajes.cargando")}</p>
+            )}
+          </section>
+        ) : (
+          <>
+            {viaje.archivado && (
+              <div className="bg-gray-100 border border-gray-200 rounded-2xl p-4 mb-8 text-center text-sm text-gray-600">
+                {t("viajes.archivadoAviso")}
+              </div>
+            )}
+
+          {/* Reservas afectadas por un vehículo retirado */}
+          {(() => {
+            const afectadas = usuario
+              ? [
+                  ...reservas.filter(r => r.uid === usuario.uid && r.afectada).map(r => ({ ...r, coleccion: 'reservas' })),
+                  ...reservasMicrobus.filter(r => r.uid === usuario.uid && r.afectada).map(r => ({ ...r, coleccion: 'reservasMicrobus' })),
+                ]
+              : [];
+            return afectadas.length > 0 && (
+              <section className="bg-orange-50 border border-orange-200 rounded-3xl p-6 mb-8">
+                <h2 className="text-lg font-semibold text-orange-800 mb-3">{t("afectadas.titulo")}</h2>
+                <div className="space-y-3">
+                  {afectadas.map((reserva) => (
+                    <div key={reserva.id} className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                      <p className="text-sm text-orange-700">
+                        {reserva.propietario ? t("afectadas.retiroPropietario", { propietario: reserva.propietario }) : t("afectadas.retirado")}{" "}
+                        {t("afectadas.sinGarantia")}
+                      </p>
+                      <button
+                        onClick={() => handleReservarEnOtro(reserva, reserva.coleccion)}
+                        className="rounded-2xl px-4 py-2 text-sm font-semibold text-white bg-orange-500 hover:bg-orange-600 shadow transition-colors"
+                      >
+                        {t("afectadas.reservarEnOtro")}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </section>
+            );
+          })()}
+
+          {/* Módulos principales */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+            {/* Módulo 1: Yo tengo un vehículo */}
+            <button
+              onClick={() => handleModuleChange('ofrecer')}
+              className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm hover:shadow-md transition-all text-left"
+            >
+              <div className="text-4xl mb-4">🚗</div>
+              <h3 className="text-lg font-semibold text-gray-800 mb-2">{t("modulos.ofrecer.titulo")}</h3>
+              <p className="text-sm text-gray-600">{t("modulos.ofrecer.descripcion")}</p>
+            </button>
+
+            {/* Módulo 2: Quiero pedir ride */}
+            <button
+              onClick={() => handleModuleChange('reservar')}
+              className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm hover:shadow-md transition-all text-left"
+            >
+              <div className="text-4xl mb-4">🎫</div>
+              <h3 className="text-lg font-semibold text-gray-800 mb-2">{t("modulos.reservar.titulo")}</h3>
+              <p className="text-sm text-gray-600">{t("modulos.reservar.descripcion")}</p>
+            </button>
+
+            {/* Módulo 3: Yo quiero ir en el microbus */}
+            <button
+              onClick={() => handleModuleChange('microbus')}
+              className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm hover:shadow-md transition-all text-left"
+            >
+              <div className="text-4xl mb-4">🚌</div>
+              <h3 className="text-lg font-semibold text-gray-800 mb-2">{t("modulos.microbus.titulo")}</h3>
+              <p className="text-sm text-gray-600">{t("modulos.microbus.descripcion", { precio: precioMicrobus || t("microbus.precioPorConfirmar") })}</p>
+            </button>
+          </div>
+
+          {/* Acceso a Mis reservas y al panel del organizador */}
+          <div className="mb-8 flex flex-wrap justify-center gap-3">
+            <button
+              onClick={() => handleModuleChange('misReservas')}
+              className="rounded-2xl px-6 py-3 text-sm font-semibold text-gray-700 bg-white border border-gray-300 shadow-sm hover:shadow-md transition-all"
+            >
+              {t("accesos.misReservas")}{getMisReservas().length > 0 && ` (${getMisReservas().length})`}
+              {getAccionesViaje().length > 0 && ` · ⏳ ${getAccionesViaje().length}`}
+            </button>
+            <button
+              onClick={handleVerAvisos}
+              className="rounded-2xl px-6 py-3 text-sm font-semibold text-gray-700 bg-white border border-gray-300 shadow-sm hover:shadow-md transition-all"
+            >
+              {t("accesos.avisos")}{getAvisosViaje().some(a => !a.leido) && ` (${getAvisosViaje().filter(a => !a.leido).length})`}
+            </button>
+            {esOrganizador && (
+              <button
+                onClick={() => handleModuleChange('admin')}
+                className="rounded-2xl px-6 py-3 text-sm font-semibold text-gray-700 bg-white border border-gray-300 shadow-sm hover:shadow-md transition-all"
+              >
+                {t("accesos.panel")}
+              </button>
+            )}
+          </div>
+
+          {activeModule === 'misReservas' && (
+            <section id="module-misReservas" className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm mb-8">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-semibold text-gray-800">{t("misReservas.titulo")}</h2>
+                <button
+                  onClick={() => handleModuleChange(null)}
+                  className="text-gray-500 hover:text-gray-700"
+                >
+                  ✕
+                </button>
+              </div>
+
+              {(() => {
+                const misReservas = getMisReservas();
+                const misEsperas = esperas.filter(esMiParticipacion);
+                const acciones = getAccionesViaje();
+
+                if (misReservas.length === 0 && misEsperas.length === 0 && !miSolicitud && acciones.length === 0) {
+                  return (
+                    <div className="text-center py-12">
+                      <div className="text-6xl mb-4">🧾</div>
+                      <p className="text-gray-500 text-lg">{t("misReservas.vacio")}</p>
+                      <p className="text-gray-400 text-sm mt-2">
+                        {nombreUsuario.trim() ? t("misReservas.reservaUnAsiento") : t("misReservas.escribeTuNombre")}
+                      </p>
+                    </div>
+                  );
+                }
+
+                return (
+                  <div className="space-y-4">
+                    {acciones.map((accion) => {
+                      const esReserva = accion.tipo === 'reservar';
+                      const estado = ESTADOS_ACCION[accion.estado];
+                      const sinAcompanantes = !accion.datos?.acompanantes?.length;
+
+                      return (
+                        <div key={accion.id} className="border border-dashed border-yellow-300 rounded-2xl p-5">
+                          <div className="flex items-start justify-between gap-4">
+                            <div>
+                              <p className="text-xs text-gray-500">
+                                {esReserva ? t("cola.reservaSinConexion") : t("cola.cancelacionSinConexion")}
+                              </p>
+                              <h3 className="font-semibold text-gray-800">{accion.propietario}</h3>
+                              {esReserva && (
+                                <p className="text-sm text-gray-600">
+                                  {describirGrupo(accion.datos.acompanantes || [])}
+                                  {accion.datos.tramos && ` · ${describirTramos(accion.datos.tramos).toLowerCase()}`}
+                                </p>
+                              )}
+                            </div>
+                            <span className={`text-xs font-semibold rounded-full px-2 py-0.5 ${estado.clase}`}>{t(`cola.estados.${accion.estado}`)}</span>
+                          </div>
+
+                          {accion.estado === 'pendiente' && (
+                            <p className="text-xs text-gray-500 mt-2">
+                              {enLinea ? t("cola.enviandoPronto") : t("cola.alVolverSenal")}
+                            </p>
+                          )}
+                          {accion.estado === 'conflicto' && (
+                            <div className="mt-3 space-y-2">
+                              <p className="text-sm text-red-700">{accion.mensaje}</p>
+                              <div className="flex flex-wrap gap-2">
+                                {accion.codigo === 'vehiculo-lleno' && sinAcompanantes && (
+                                  <button
+                                    onClick={() => handleEsperaDesdeConflicto(accion)}
+                                    className="rounded-2xl px-4 py-2 text-sm font-semibold text-emerald-700 border border-emerald-300 hover:bg-emerald-50 transition-colors"
+                                  >
+                                    {t("espera.unirme")}
+                                  </button>
+                                )}
+                                {esReserva && (
+                                  <button
+                                    onClick={() => {
+                                      handleDescartarAccion(accion);
+                                      handleModuleChange(accion.coleccion === 'reservas' ? 'reservar' : 'microbus');
+                                    }}
+                                    className="rounded-2xl px-4 py-2 text-sm font-semibold text-gray-700 border border-gray-300 hover:bg-gray-50 transition-colors"
+                                  >
+                                    {t("cola.buscarOtro")}
+                                  </button>
+                                )}
+                                {!ERRORES_DEFINITIVOS.has(accion.codigo) && (
+                                  <button
+                                    onClick={() => handleReintentarAccion(accion)}
+                                    className="rounded-2xl px-4 py-2 text-sm font-semibold text-gray-700 border border-gray-300 hover:bg-gray-50 transition-colors"
+                                  >
+                                    {t("cola.reintentar")}
+                                  </button>
+                                )}
+                                <button
+                                  onClick={() => handleDescartarAccion(accion)}
+                                  className="rounded-2xl px-4 py-2 text-sm font-semibold text-red-600 bg-red-50 border border-red-200 hover:bg-red-100 transition-colors"
+                                >
+                                  {t("cola.descartar")}
+                                </button>
+                              </div>
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
+
+                    {misReservas.map((reserva) => {
+                      const vehiculo = vehiculos.find(v => v.id === reserva.vehiculoId);
+                      const esMicrobus = reserva.coleccion === 'reservasMicrobus';
+                      const ocupados = vehiculo ? getAsientosOcupados(vehiculo) : 0;
+                      const acompanantes = reserva.acompanantes || [];
+                      const retirado = !vehiculo || vehiculo.retirado || reserva.afectada;
+                      const estado = vehiculo && esMicrobus ? getEstadoMicrobus(vehiculo, ocupados) : null;
+                      const costo = vehiculo && esMicrobus ? getCostoAsiento(vehiculo, viaje, ocupados) : null;
+                      const esDeEstaSesion = esDeUsuario(reserva, usuario?.uid);
+                      const destinos = esDeEstaSesion && !viaje.archivado ? getDestinosCambio(reserva) : [];
+
+                      return (
+                        <div key={reserva.id} className="border border-gray-200 rounded-2xl p-5">
+                          <div className="flex items-start justify-between gap-4 mb-3">
+                            <div>
+                              <p className="text-xs text-gray-500">{esMicrobus ? t("misReservas.tipoMicrobus") : t("misReservas.tipoRide")}</p>
+                              <h3 className="font-semibold text-gray-800">{vehiculo?.propietario || reserva.propietario}</h3>
+                              <p className="text-sm text-gray-600">{t("misReservas.punto", { punto: nombrePunto(vehiculo?.puntoEncuentro || reserva.puntoEncuentro) })}</p>
+                              {vehiculo && renderHorario(vehiculo)}
+                              {reserva.tramos && <p className="text-xs text-gray-500">{t("misReservas.reservaste", { tramos: describirTramos(reserva.tramos).toLowerCase() })}</p>}
+                              {reserva.pasajero !== nombreUsuario.trim() && (
+                                <p className="text-xs text-gray-500">{t("misReservas.aNombreDe", { pasajero: reserva.pasajero })}</p>
+                              )}
+                            </div>
+                            <div className="flex flex-col items-end gap-1">
+                              {retirado ? (
+                                <span className="text-xs font-semibold rounded-full px-2 py-0.5 bg-orange-100 text-orange-800">{t("misReservas.vehiculoRetirado")}</span>
+                              ) : estado ? (
+                                <span className={`text-xs font-semibold rounded-full px-2 py-0.5 ${ESTADOS_MICROBUS[estado].clase}`}>
+                                  {etiquetaEstadoMicrobus(estado)}
+                                </span>
+                              ) : (
+                                <span className="text-xs font-semibold rounded-full px-2 py-0.5 bg-emerald-100 text-emerald-800">{t("misReservas.asientoConfirmado")}</span>
+                              )}
+                              {esMicrobus && (
+                                <span className="text-xs text-gray-600">
+                                  {etiquetaPago(reserva.pagoEstado || 'pendiente')}
+                                  {costo != null && ` · ${formatearMonto(costo)}${acompanantes.length > 0 ? ` × ${acompanantes.length + 1}` : ''}`}
+                                </span>
+                              )}
+                            </div>
+                          </div>
+
+                          {vehiculo?.notas && vehiculo.notas.trim() && (
+                            <p className="text-sm text-blue-700 bg-blue-50 border border-blue-200 rounded-xl px-3 py-2 mb-3">
+                              💬 {vehiculo.notas}
+                            </p>
+                          )}
+
+                          {(acompanantes.length > 0 || (esDeEstaSesion && !viaje.archivado)) && (
+                            <div className="mb-3">
+                              <p className="text-sm text-gray-600 mb-1">
+                                👥 {acompanantes.length > 0 ? t("misReservas.paraPersonas", { count: acompanantes.length + 1 }) : t("misReservas.soloParaTi")}
+                              </p>
+                              <div className="flex flex-wrap gap-2">
+                                {acompanantes.map((nombre) => (
+                                  <span key={nombre} className="inline-flex items-center gap-1 rounded-full bg-gray-100 px-3 py-1 text-xs text-gray-700">
+                                    {nombre}
+                                    {esDeEstaSesion && !viaje.archivado && (
+                                      <button
+                                        onClick={() => handleEditarAcompanantes(reserva, acompanantes.filter(a => a !== nombre))}
+                                        disabled={isLoading}
+                                        className="text-red-500 hover:text-red-700"
+                                        aria-label={t("misReservas.quitarA", { nombre })}
+                                      >
+                                        ✕
+                                      </button>
+                                    )}
+                                  </span>
+                                ))}
+                              </div>
+                              {esDeEstaSesion && !viaje.archivado && acompanantes.length < MAX_ACOMPANANTES && (
+                                <form
+                                  onSubmit={(e) => {
+                                    e.preventDefault();
+                                    const nuevos = leerAcompanantes(nuevoAcompanante[reserva.id] || "");
+                                    if (nuevos.length > 0) handleEditarAcompanantes(reserva, [...acompanantes, ...nuevos]);
+                                  }}
+                                  className="flex gap-2 mt-2"
+                                >
+                                  <input
+                                    type="text"
+                                    value={nuevoAcompanante[reserva.id] || ""}
+                                    onChange={(e) => setNuevoAcompanante({ ...nuevoAcompanante, [reserva.id]: e.target.value })}
+                                    placeholder={t("misReservas.agregarAcompanante")}
+                                    className="flex-1 rounded-2xl border border-gray-300 bg-white px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                                  />
+                                  <button
+                                    type="submit"
+                                    disabled={isLoading}
+                                    className="rounded-2xl px-3 py-1.5 text-sm font-semibold text-emerald-700 border border-emerald-300 hover:bg-emerald-50 transition-colors"
+                                  >
+                                    {t("misReservas.agregar")}
+                                  </button>
+                                </form>
+                              )}
+                            </div>
+                          )}
+
+                          {!esDeEstaSesion ? (
+                            <p className="text-xs text-gray-500">
+                              {t("misReservas.otroDispositivo")}
+                            </p>
+                          ) : tieneCancelacionEnCola(reserva) ? (
+                            <p className="text-xs text-yellow-700">{t("cola.cancelacionPendiente")}</p>
+                          ) : !viaje.archivado && (
+                            <div className="flex flex-col sm:flex-row gap-3">
+                              {destinos.length > 0 && (
+                                <select
+                                  value=""
+                                  onChange={(e) => handleCambiarDeVehiculo(reserva, e.target.value)}
+                                  disabled={isLoading}
+                                  className="flex-1 rounded-2xl border border-gray-300 bg-white px-4 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                                >
+                                  <option value="">{t("cambiar.opcion")}</option>
+                                  {destinos.map((destino) => (
+                                    <option key={destino.id} value={destino.id}>
+                                      {destino.propietario} · {nombrePunto(destino.puntoEncuentro)} ({t("cambiar.libres", { count: destino.asientosDisponibles - getAsientosOcupados(destino) })})
+                                    </option>
+                                  ))}
+                                </select>
+                              )}
+                              <button
+                                onClick={() => esMicrobus ? handleCancelarReservaMicrobus(reserva) : handleCancelarReserva(reserva)}
+                                disabled={isLoading}
+                                className="rounded-2xl px-4 py-2 text-sm font-semibold text-red-600 bg-red-50 border border-red-200 hover:bg-red-100 transition-colors"
+                              >
+                                {acompanantes.length > 0 ? t("cancelar.botonGrupo") : t("cancelar.boton")}
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
+
+                    {miSolicitud && (
+                      <div className="border border-dashed border-emerald-300 rounded-2xl p-5 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                        <div>
+                          <p className="text-xs text-gray-500">{t("solicitudes.sinAsignar")}</p>
+                          <h3 className="font-semibold text-gray-800">{t("solicitudes.desde", { punto: nombrePunto(miSolicitud.puntoEncuentro) })}</h3>
+                          {miSolicitud.grupo && <p className="text-sm text-gray-600">{t("solicitudes.grupo", { grupo: miSolicitud.grupo })}</p>}
+                        </div>
+                        {!viaje.archivado && (
+                          <button
+                            onClick={() => handleRetirarSolicitud(miSolicitud)}
+                            className="rounded-2xl px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-50 border border-gray-200 hover:bg-gray-100 transition-colors"
+                          >
+                            {t("solicitudes.retirar")}
+                          </button>
+                        )}
+                      </div>
+                    )}
+
+                    {misEsperas.map((espera) => {
+                      const vehiculo = vehiculos.find(v => v.id === espera.vehiculoId);
+                      const posicion = getEsperasVehiculo(espera.vehiculoId).findIndex(e => e.id === espera.id) + 1;
+
+                      return (
+                        <div key={espera.id} className="border border-dashed border-gray-300 rounded-2xl p-5 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                          <div>
+                            <p className="text-xs text-gray-500">{t("espera.tarjeta", { posicion })}</p>
+                            <h3 className="font-semibold text-gray-800">{vehiculo?.propietario || t("espera.noDisponible")}</h3>
+                            {vehiculo && <p className="text-sm text-gray-600">{t("misReservas.punto", { punto: nombrePunto(vehiculo.puntoEncuentro) })}</p>}
+                          </div>
+                          {usuario && espera.uid === usuario.uid && !viaje.archivado && (
+                            <button
+                              onClick={() => handleSalirDeEspera(espera)}
+                              className="rounded-2xl px-4 py-2 text-sm font-semibold text-gray-600 bg-gray-50 border border-gray-200 hover:bg-gray-100 transition-colors"
+                            >
+                              {t("espera.salirDeLista")}
+                            </button>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                );
+              })()}
+            </section>
+          )}
+
+          {activeModule === 'avisos' && (
+            <section id="module-avisos" className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm mb-8">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-semibold text-gray-800">{t("avisos.titulo")}</h2>
+                <button
+                  onClick={() => handleModuleChange(null)}
+                  className="text-gray-500 hover:text-gray-700"
+                >
+                  ✕
+                </button>
+              </div>
+
+              {getAvisosViaje().length === 0 ? (
+                <div className="text-center py-8">
+                  <div className="text-5xl mb-3">🔔</div>
+                  <p className="text-gray-500">{t("avisos.vacio")}</p>
+                  <p className="text-gray-400 text-sm mt-1">{t("avisos.vacioDetalle")}</p>
+                </div>
+              ) : (
+                <ul className="space-y-2 mb-6">
+                  {getAvisosViaje().map((aviso) => (
+                    <li key={aviso.id} className="border border-gray-200 rounded-2xl px-4 py-3">
+                      <div className="flex items-center justify-between gap-3">
+                        <p className="font-semibold text-gray-800 text-sm">{aviso.titulo}</p>
+                        <span className="text-xs text-gray-400">
+                          {aviso.fecha.toLocaleTimeString(getLocale(), { hour: "2-digit", minute: "2-digit" })}
+                        </span>
+                      </div>
+                      <p className="text-sm text-gray-600">{aviso.mensaje}</p>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="border-t border-gray-200 pt-4">
+                <h3 className="font-semibold text-gray-800 mb-3">{t("avisos.quieroEnterarme")}</h3>
+                <div className="space-y-2">
+                  {EVENTOS_AVISO.map((evento) => (
+                    <label key={evento} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={preferenciasAvisos[evento]}
+                        onChange={(e) => handleCambiarPreferenciaAviso(evento, e.target.checked)}
+                        className="rounded border-gray-300 text-emerald-600 focus:ring-emerald-400"
+                      />
+                      {t(`avisos.eventos.${evento}`)}
+                    </label>
+                  ))}
+                  <label className="flex items-center gap-2 text-sm text-gray-700 pt-2">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(tokenPush)}
+                      onChange={(e) => handleNotificacionesSistema(e.target.checked)}
+                      className="rounded border-gray-300 text-emerald-600 focus:ring-emerald-400"
+                    />
+                    {t("avisos.sistema")}
+                  </label>
+                  <p className="text-xs text-gray-500">
+                    {t("avisos.preferenciasDetalle")}
+                  </p>
+                </div>
+              </div>
+            </section>
+          )}
+
+          {/* Contenido dinámico según módulo activo */}
+          {activeModule === 'ofrecer' && (
+            <section id="module-ofrecer" className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm mb-8">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-semibold text-gray-800">{t("ofrecer.titulo")}</h2>
+                <button
+                  onClick={() => handleModuleChange(null)}
+                  className="text-gray-500 hover:text-gray-700"
+                >
+                  ✕
+                </button>
+              </div>
+            
+              <form onSubmit={handleOfrecerVehiculo} className="space-y-6">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      {t("ofrecer.tipo")}
+                    </label>
+                    <select
+                      value={tipoVehiculo}
+                      onChange={(e) => setTipoVehiculo(e.target.value)}
+                      className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-3 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                    >
+                      <option value="propio">{t("ofrecer.tipoPropio")}</option>
+                      <option value="renta">{t("ofrecer.tipoRenta")}</option>
+                    </select>
+                  </div>
+                
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      {t("ofrecer.asientos")}
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      max="50"
+                      value={asientosDisponibles}
+                      onChange={(e) => setAsientosDisponibles(e.target.value)}
+                      className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-3 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                    />
+                  </div>
+                </div>
+
+                <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Asientos disponibles
+                    {t("ofrecer.punto")}
                   </label>
-                  <input
-                    type="number"
-                    min="1"
-                    max="50"
-                    value={asientosDisponibles}
-                    onChange={(e) => setAsientosDisponibles(e.target.value)}
+                  <select
+                    value={puntoEncuentro}
+                    onChange={(e) => setPuntoEncuentro(e.target.value)}
                     className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-3 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                  >
+                    <option value="">{t("ofrecer.seleccionaPunto")}</option>
+                    {puntosEncuentro.map((punto) => (
+                      <option key={punto.nombre} value={punto.nombre}>{punto.nombre}</option>
+                    ))}
+                    <option value={OTRO_LUGAR}>{nombrePunto(OTRO_LUGAR)}</option>
+                  </select>
+                  <div className="mt-3">
+                    <MapaPuntos
+                      puntos={puntosEncuentro}
+                      seleccionado={puntoEncuentro}
+                      pin={puntoEncuentro === OTRO_LUGAR ? ubicacionPin : null}
+                      onSeleccionarPunto={(punto) => {
+                        setPuntoEncuentro(punto.nombre);
+                        setUbicacionPin(null);
+                      }}
+                      onClicMapa={(ubicacion) => {
+                        setPuntoEncuentro(OTRO_LUGAR);
+                        setUbicacionPin(ubicacion);
+                      }}
+                    />
+                    <p className="text-xs text-gray-500 mt-2">
+                      {t("ofrecer.mapaAyuda")}
+                    </p>
+                  </div>
+                </div>
+
+                <div className={`grid grid-cols-1 gap-6 ${tipoVehiculo === 'propio' && horaRegreso ? 'md:grid-cols-3' : 'md:grid-cols-2'}`}>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      {t("ofrecer.horaSalida")}
+                    </label>
+                    <input
+                      type="time"
+                      value={horaSalida}
+                      onChange={(e) => setHoraSalida(e.target.value)}
+                      className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-3 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      {t("ofrecer.horaRegreso")}
+                    </label>
+                    <input
+                      type="time"
+                      value={horaRegreso}
+                      onChange={(e) => setHoraRegreso(e.target.value)}
+                      className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-3 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                    />
+                  </div>
+                  {tipoVehiculo === 'propio' && horaRegreso && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        {t("ofrecer.asientosRegreso")}
+                      </label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="50"
+                        value={asientosRegreso === "" ? asientosDisponibles : asientosRegreso}
+                        onChange={(e) => setAsientosRegreso(e.target.value)}
+                        className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-3 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                      />
+                    </div>
+                  )}
+                </div>
+                {tipoVehiculo === 'propio' && (
+                  <p className="-mt-4 text-xs text-gray-500">
+                    {t("ofrecer.regresoAyuda")}
+                  </p>
+                )}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {t("ofrecer.notas")}
+                  </label>
+                  <textarea
+                    value={notas}
+                    onChange={(e) => setNotas(e.target.value)}
+                    placeholder={t("ofrecer.notasPlaceholder")}
+                    rows={3}
+                    className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-3 focus:outline-none focus:ring-2 focus:ring-emerald-400 resize-none"
                   />
                 </div>
-              </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Punto de encuentro
-                </label>
-                <select
-                  value={puntoEncuentro}
-                  onChange={(e) => setPuntoEncuentro(e.target.value)}
-                  className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-3 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                {tipoVehiculo === 'renta' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      {t("ofrecer.costoAsiento")}
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={costoAsiento}
+                      onChange={(e) => setCostoAsiento(e.target.value)}
+                      placeholder={viaje?.costoMicrobus != null ? t("ofrecer.costoDelViaje", { monto: formatearMonto(viaje.costoMicrobus) }) : t("ofrecer.costoEjemplo")}
+                      className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-3 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                    />
+                  </div>
+                )}
+
+                {tipoVehiculo === 'renta' && (
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        {t("ofrecer.costoTotal")}
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={costoTotal}
+                        onChange={(e) => setCostoTotal(e.target.value)}
+                        placeholder={t("ofrecer.costoTotalPlaceholder")}
+                        className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-3 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        {t("ofrecer.minimo")}
+                      </label>
+                      <input
+                        type="number"
+                        min="1"
+                        max={asientosDisponibles}
+                        value={minimoPasajeros}
+                        onChange={(e) => setMinimoPasajeros(e.target.value)}
+                        placeholder={t("ofrecer.todosLosAsientos", { count: asientosDisponibles })}
+                        className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-3 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        {t("ofrecer.fechaLimite")}
+                      </label>
+                      <input
+                        type="datetime-local"
+                        value={fechaLimite}
+                        onChange={(e) => setFechaLimite(e.target.value)}
+                        className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-3 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                      />
+                    </div>
+                  </div>
+                )}
+
+                <button
+                  type="submit"
+                  disabled={isLoading || !nombreUsuario.trim() || !puntoEncuentro}
+                  className={`w-full rounded-2xl px-6 py-3 text-base font-semibold text-white shadow transition-colors ${
+                    isLoading || !nombreUsuario.trim() || !puntoEncuentro
+                      ? "bg-gray-300 cursor-not-allowed"
+                      : "bg-emerald-600 hover:bg-emerald-700"
+                  }`}
+                >
+                  {isLoading ? t("ofrecer.agregando") : t("ofrecer.titulo")}
+                </button>
+              </form>
+
+              {(() => {
+                const misVehiculos = vehiculos.filter(v => esDeUsuario(v, usuario?.uid) && !v.retirado);
+                return misVehiculos.length > 0 && (
+                  <div className="mt-8 pt-6 border-t border-gray-100">
+                    <h3 className="text-lg font-semibold text-gray-800 mb-4">{t("misVehiculos.titulo")}</h3>
+                    <div className="space-y-4">
+                      {misVehiculos.map((vehiculo) => {
+                        const asientosOcupados = getAsientosOcupados(vehiculo);
+                        const editando = vehiculoEditando && vehiculoEditando.id === vehiculo.id;
+
+                        return (
+                          <div key={vehiculo.id} className="border border-gray-200 rounded-2xl p-4">
+                            <div className="flex items-start justify-between mb-4">
+                              <div>
+                                <p className="font-semibold text-gray-800">
+                                  {t(`tiposVehiculo.${vehiculo.tipoVehiculo}`)}
+                                </p>
+                                <p className="text-sm text-gray-600">{nombrePunto(vehiculo.puntoEncuentro)}</p>
+                                {renderHorario(vehiculo)}
+                              </div>
+                              <div className="text-right">
+                                <div className="text-lg font-semibold text-emerald-600">
+                                  {asientosOcupados}/{vehiculo.asientosDisponibles}
+                                </div>
+                                <div className="text-xs text-gray-500">{t("misVehiculos.ocupados")}</div>
+                                {ofreceRegreso(vehiculo) && (
+                                  <div className="text-xs text-gray-500">
+                                    {t("misVehiculos.regreso", { ocupados: getAsientosOcupados(vehiculo, 'regreso'), total: vehiculo.asientosRegreso })}
+                                  </div>
+                                )}
+                              </div>
+                            </div>
+
+                            {editando ? (
+                              renderFormularioEdicion(vehiculo)
+                            ) : (
+                              <div className="flex gap-3">
+                                <button
+                                  onClick={() => handleEditarVehiculo(vehiculo)}
+                                  className="flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-gray-700 border border-gray-300 hover:bg-gray-50 transition-colors"
+                                >
+                                  {t("comunes.editar")}
+                                </button>
+                                <button
+                                  onClick={() => handleRetirarVehiculo(vehiculo)}
+                                  disabled={isLoading}
+                                  className="flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-white bg-red-500 hover:bg-red-600 shadow transition-colors"
+                                >
+                                  {t("misVehiculos.retirar")}
+                                </button>
+                              </div>
+                            )}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  </div>
+                );
+              })()}
+            </section>
+          )}
+
+          {activeModule === 'reservar' && (
+            <section id="module-reservar" className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm mb-8">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-semibold text-gray-800">{t("reservar.titulo")}</h2>
+                <button
+                  onClick={() => handleModuleChange(null)}
+                  className="text-gray-500 hover:text-gray-700"
                 >
-                  <option value="">Selecciona un punto de encuentro</option>
-                  <option value="Centro histórico">Centro histórico</option>
-                  <option value="Salvador del Mundo">Salvador del Mundo</option>
-                  <option value="Santa Tecla">Santa Tecla</option>
-                  <option value="Metrocentro">Metrocentro</option>
-                  <option value="Multiplaza">Multiplaza</option>
-                  <option value="Otro lugar a acordar">Otro lugar a acordar</option>
-                </select>
+                  ✕
+                </button>
               </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Notas adicionales (opcional)
-                </label>
-                <textarea
-                  value={notas}
-                  onChange={(e) => setNotas(e.target.value)}
-                  placeholder="Ej: Pasaré por las personas en X lugar, No fumar, traer almuerzo, salida a las 8am, etc."
-                  rows={3}
-                  className="w-full rounded-2xl border border-gray-300 bg-white px-4 py-3 focus:outline-none focus:ring-2 focus:ring-emerald-400 resize-none"
-                />
+              {/* Ride sin elegir vehículo: lo asigna el organizador por punto de encuentro */}
+              <div className="rounded-2xl border border-emerald-200 bg-emerald-50 p-4 mb-6">
+                {miSolicitud ? (
+                  <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                    <p className="text-sm text-emerald-800">
+                      {t("solicitudes.pedisteDesde")} <span className="font-semibold">{nombrePunto(miSolicitud.puntoEncuentro)}</span>
+                      {miSolicitud.grupo && <> {t("solicitudes.conElGrupo")} <span className="font-semibold">{miSolicitud.grupo}</span></>}.
+                      {" "}{t("solicitudes.teAvisaremos")}
+                    </p>
+                    {!viaje.archivado && (
+                      <button
+                        onClick={() => handleRetirarSolicitud(miSolicitud)}
+                        className="self-start rounded-2xl px-4 py-2 text-sm font-semibold text-gray-600 bg-white border border-gray-200 hover:bg-gray-100 transition-colors"
+                      >
+                        {t("solicitudes.retirar")}
+                      </button>
+                    )}
+                  </div>
+                ) : (
+                  <form onSubmit={handlePedirRideSinVehiculo} className="space-y-3">
+                    <p className="text-sm text-emerald-800">
+                      {t("solicitudes.invitacion")}
+                    </p>
+                    <div className="flex flex-col sm:flex-row gap-3">
+                      <select
+                        value={puntoSolicitud}
+                        onChange={(e) => setPuntoSolicitud(e.target.value)}
+                        className="flex-1 rounded-2xl border border-gray-300 bg-white px-4 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                      >
+                        <option value="">{t("solicitudes.punto")}</option>
+                        {puntosEncuentro.map((punto) => (
+                          <option key={punto.nombre} value={punto.nombre}>{punto.nombre}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="text"
+                        value={grupoSolicitud}
+                        onChange={(e) => setGrupoSolicitud(e.target.value)}
+                        maxLength={50}
+                        placeholder={t("solicitudes.grupoPlaceholder")}
+                        className="flex-1 rounded-2xl border border-gray-300 bg-white px-4 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                      />
+                      <button
+                        type="submit"
+                        className="rounded-2xl px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 shadow transition-colors"
+                      >
+                        {t("solicitudes.pedir")}
+                      </button>
+                    </div>
+                  </form>
+                )}
               </div>
 
-              <button
-                type="submit"
-                disabled={isLoading || !nombreUsuario.trim() || !puntoEncuentro}
-                className={`w-full rounded-2xl px-6 py-3 text-base font-semibold text-white shadow transition-colors ${
-                  isLoading || !nombreUsuario.trim() || !puntoEncuentro
-                    ? "bg-gray-300 cursor-not-allowed"
-                    : "bg-emerald-600 hover:bg-emerald-700"
-                }`}
-              >
-                {isLoading ? "Agregando..." : "Ofrecer Vehículo"}
-              </button>
-            </form>
-          </section>
-        )}
+              {renderFiltroCercania()}
 
-        {activeModule === 'reservar' && (
-          <section id="module-reservar" className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm mb-8">
-            <div className="flex items-center justify-between mb-6">
-              <h2 className="text-xl font-semibold text-gray-800">Vehículos Disponibles</h2>
-              <button
-                onClick={() => handleModuleChange(null)}
-                className="text-gray-500 hover:text-gray-700"
-              >
-                ✕
-              </button>
-            </div>
+              {(() => {
+                const todosPropios = vehiculos.filter(v => v.tipoVehiculo === 'propio' && !v.retirado);
+                const vehiculosPropios = prepararListaVehiculos(todosPropios);
+                return (
+                <>
+                {todosPropios.length > 0 && renderFiltrosVehiculos(vehiculosPropios.length, todosPropios.length)}
+                {vehiculosPropios.length === 0 ? (
+                  todosPropios.length === 0 ? (
+                    <div className="text-center py-12">
+                      <div className="text-6xl mb-4">🚗</div>
+                      <p className="text-gray-500 text-lg">{t("reservar.vacio")}</p>
+                      <p className="text-gray-400 text-sm mt-2">{t("reservar.seElPrimero")}</p>
+                    </div>
+                  ) : (
+                    <div className="text-center py-12">
+                      <div className="text-6xl mb-4">🔍</div>
+                      <p className="text-gray-500 text-lg">
+                        {distanciaMaxima && !hayFiltros(filtros) ? t("filtros.ningunoCerca", { km: distanciaMaxima }) : t("filtros.ninguno")}
+                      </p>
+                      <button onClick={() => setFiltros(FILTROS_VACIOS)} className="text-emerald-700 text-sm font-semibold mt-2 hover:text-emerald-800">
+                        {t("filtros.limpiar")}
+                      </button>
+                    </div>
+                  )
+                ) : (
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {vehiculosPropios.map((vehiculo) => {
+                    const asientosOcupados = getAsientosOcupados(vehiculo);
+                    const asientosLibres = vehiculo.asientosDisponibles - asientosOcupados;
+                    const reservasVehiculo = reservas.filter(r => r.vehiculoId === vehiculo.id);
+                    const conRegreso = ofreceRegreso(vehiculo);
+                    const tramos = getTramosElegidos(vehiculo);
+                  
+                    return (
+                      <div
+                        key={vehiculo.id}
+                        id={`vehiculo-${vehiculo.id}`}
+                        className={`border rounded-2xl p-6 ${vehiculo.id === vehiculoEnlazado ? 'border-emerald-400 ring-2 ring-emerald-200' : 'border-gray-200'}`}
+                      >
+                        <div className="flex items-start justify-between mb-4">
+                          <div>
+                            <h3 className="font-semibold text-gray-800">{vehiculo.propietario}</h3>
+                            <p className="text-sm text-gray-600">{nombrePunto(vehiculo.puntoEncuentro)}</p>
+                            {renderHorario(vehiculo)}
+                            {renderUbicacionVehiculo(vehiculo)}
+                            {puntoPreferido && vehiculo.puntoEncuentro === puntoPreferido && (
+                              <span className="inline-block mt-1 text-xs font-semibold rounded-full px-2 py-0.5 bg-emerald-100 text-emerald-700">
+                                {t("reservar.tuPunto")}
+                              </span>
+                            )}
+                            <p className="text-xs text-gray-500">
+                              {t(`tiposVehiculo.${vehiculo.tipoVehiculo}`)}
+                            </p>
+                          </div>
+                          <div className="text-right">
+                            <div className="text-lg font-semibold text-emerald-600">
+                              {asientosLibres}/{vehiculo.asientosDisponibles}
+                            </div>
+                            <div className="text-xs text-gray-500">{conRegreso ? t("reservar.libresIda") : t("reservar.libres")}</div>
+                            {conRegreso && (
+                              <>
+                                <div className="text-lg font-semibold text-emerald-600 mt-1">
+                                  {vehiculo.asientosRegreso - getAsientosOcupados(vehiculo, 'regreso')}/{vehiculo.asientosRegreso}
+                                </div>
+                                <div className="text-xs text-gray-500">{t("reservar.libresRegreso")}</div>
+                              </>
+                            )}
+                            <button onClick={() => setCompartiendo(vehiculo.id)} className="mt-2 text-xs text-emerald-600 hover:text-emerald-700">
+                              {t("compartir.boton")}
+                            </button>
+                          </div>
+                        </div>
+
+                        {/* Mostrar notas si existen */}
+                        {vehiculo.notas && vehiculo.notas.trim() && (
+                          <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-2xl">
+                            <div className="flex items-start gap-2">
+                              <div className="text-blue-500 text-sm">📝</div>
+                              <div>
+                                <p className="text-xs text-blue-600 font-medium mb-1">{t("reservar.notasConductor")}</p>
+                                <p className="text-sm text-blue-700 leading-relaxed">{vehiculo.notas}</p>
+                              </div>
+                            </div>
+                          </div>
+                        )}
+
+                        {conRegreso && (
+                          <select
+                            value={tramosElegidos[vehiculo.id] || 'ambos'}
+                            onChange={(e) => setTramosElegidos({ ...tramosElegidos, [vehiculo.id]: e.target.value })}
+                            className="w-full mb-3 rounded-2xl border border-gray-300 bg-white px-4 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                          >
+                            {Object.keys(OPCIONES_TRAMOS).map((opcion) => (
+                              <option key={opcion} value={opcion}>{t(`opcionesTramos.${opcion}`)}</option>
+                            ))}
+                          </select>
+                        )}
+
+                        {hayLugar(vehiculo, tramos) ? (
+                          <>
+                          {renderCampoAcompanantes(vehiculo)}
+                          <button
+                            onClick={() => handleReservarAsiento(vehiculo.id, vehiculo.propietario, vehiculo.puntoEncuentro, conRegreso ? tramos : null)}
+                            disabled={isLoading || !nombreUsuario.trim()}
+                            className={`w-full rounded-2xl px-4 py-2 text-sm font-semibold text-white shadow transition-colors ${
+                              isLoading || !nombreUsuario.trim()
+                                ? "bg-gray-300 cursor-not-allowed"
+                                : "bg-emerald-600 hover:bg-emerald-700"
+                            }`}
+                          >
+                            {isLoading ? t("reservar.reservando") : textoBotonReserva(vehiculo, t("reservar.boton"))}
+                          </button>
+                          </>
+                        ) : (
+                          renderListaEspera(vehiculo, conRegreso ? t("reservar.sinLugarTramos", { tramos: describirTramos(tramos).toLowerCase() }) : t("reservar.lleno"))
+                        )}
+
+                        {reservasVehiculo.length > 0 && (
+                          <div className="mt-4">
+                            <p className="text-sm text-gray-600 mb-2">{t("reservar.pasajeros")}</p>
+                            <div className="space-y-1">
+                              {reservasVehiculo.map((reserva) => (
+                                <div key={reserva.id} className="flex items-center justify-between text-sm">
+                                  <span>
+                                    {renderNombresReserva(reserva)}
+                                    {conRegreso && <span className="text-xs text-gray-500"> · {describirTramos(getTramos(reserva))}</span>}
+                                  </span>
+                                  {esMiParticipacion(reserva) && (
+                                    <button
+                                      onClick={() => handleCancelarReserva(reserva)}
+                                      className="text-red-500 hover:text-red-700 text-xs"
+                                    >
+                                      {t("comunes.cancelar")}
+                                    </button>
+                                  )}
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+                )}
+                </>
+                );
+              })()}
+            </section>
+          )}
+
+          {activeModule === 'microbus' && (
+            <section id="module-microbus" className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm mb-8">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-semibold text-gray-800">{t("microbus.titulo")}</h2>
+                <button
+                  onClick={() => handleModuleChange(null)}
+                  className="text-gray-500 hover:text-gray-700"
+                >
+                  ✕
+                </button>
+              </div>
 
-            {(() => {
-              const vehiculosPropios = vehiculos.filter(v => v.tipoVehiculo === 'propio');
-              return vehiculosPropios.length === 0 ? (
+              {renderFiltroCercania()}
+
+              {microbuses.length === 0 ? (
                 <div className="text-center py-12">
-                  <div className="text-6xl mb-4">🚗</div>
-                  <p className="text-gray-500 text-lg">No hay vehículos propios disponibles</p>
-                  <p className="text-gray-400 text-sm mt-2">Sé el primero en ofrecer tu vehículo</p>
+                  <div className="text-6xl mb-4">🚌</div>
+                  <p className="text-gray-500 text-lg">{t("microbus.vacio")}</p>
+                  <p className="text-gray-400 text-sm mt-2">{t("microbus.sinConfigurar")}</p>
                 </div>
               ) : (
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                  {vehiculosPropios.map((vehiculo) => {
-                  const asientosOcupados = getAsientosOcupados(vehiculo.id);
-                  const asientosLibres = vehiculo.asientosDisponibles - asientosOcupados;
-                  const reservasVehiculo = reservas.filter(r => r.vehiculoId === vehiculo.id);
+                <div className="space-y-6">
+                  <div className="bg-yellow-50 border border-yellow-200 rounded-2xl p-4">
+                    <div className="flex items-start gap-3">
+                      <div className="text-2xl">⚠️</div>
+                      <div>
+                        <h4 className="font-semibold text-yellow-800 mb-1">{t("perfil.importante")}</h4>
+                        <p className="text-sm text-yellow-700">
+                          {precioMicrobus ? t("microbus.advertenciaPago", { precio: precioMicrobus }) : t("microbus.advertenciaPagoSinPrecio")}
+                        </p>
+                      </div>
+                    </div>
+                  </div>
+
+                  {ordenarPorCercania(microbuses).length === 0 && (
+                    <p className="text-center text-gray-500 py-6">{t("microbus.ningunoCerca", { km: distanciaMaxima })}</p>
+                  )}
+
+                  {ordenarPorCercania(microbuses).map((microbus) => {
+                    const reservasMicrobusEspecifico = reservasMicrobus.filter(r => r.vehiculoId === microbus.id);
+                    const asientosOcupados = contarAsientos(reservasMicrobusEspecifico);
+                    const asientosLibres = microbus.asientosDisponibles - asientosOcupados;
+                    const costo = getCostoAsiento(microbus, viaje, asientosOcupados);
+                    const pagos = resumirPagos(reservasMicrobusEspecifico, costo);
+                    const estado = getEstadoMicrobus(microbus, asientosOcupados);
+                    const minimo = getMinimoPasajeros(microbus);
+                    const puedeGestionar = puedeGestionarVehiculo(microbus, usuario?.uid, esOrganizador);
+                    const miReserva = usuario && reservasMicrobusEspecifico.find(r => r.uid === usuario.uid);
                   
-                  return (
-                    <div key={vehiculo.id} className="border border-gray-200 rounded-2xl p-6">
-                      <div className="flex items-start justify-between mb-4">
-                        <div>
-                          <h3 className="font-semibold text-gray-800">{vehiculo.propietario}</h3>
-                          <p className="text-sm text-gray-600">{vehiculo.puntoEncuentro}</p>
-                          <p className="text-xs text-gray-500">
-                            {vehiculo.tipoVehiculo === 'propio' ? 'Vehículo propio' : 'Microbus rentado'}
-                          </p>
-                        </div>
-                        <div className="text-right">
-                          <div className="text-lg font-semibold text-emerald-600">
-                            {asientosLibres}/{vehiculo.asientosDisponibles}
+                    return (
+                      <div
+                        key={microbus.id}
+                        id={`vehiculo-${microbus.id}`}
+                        className={`border rounded-2xl p-6 ${microbus.id === vehiculoEnlazado ? 'border-emerald-400 ring-2 ring-emerald-200' : 'border-gray-200'}`}
+                      >
+                        <div className="flex items-start justify-between mb-4">
+                          <div>
+                            <div className="flex items-center gap-2">
+                              <h3 className="font-semibold text-gray-800">{t("microbus.titulo")}</h3>
+                              <span className={`text-xs font-semibold rounded-full px-2 py-0.5 ${ESTADOS_MICROBUS[estado].clase}`}>
+                                {etiquetaEstadoMicrobus(estado)}
+                              </span>
+                            </div>
+                            <p className="text-sm text-gray-600">{t("microbus.organizadoPor", { propietario: microbus.propietario })}</p>
+                            <p className="text-sm text-gray-600">{t("misReservas.punto", { punto: nombrePunto(microbus.puntoEncuentro) })}</p>
+                            {renderHorario(microbus)}
+                            {renderUbicacionVehiculo(microbus)}
+                            {puntoPreferido && microbus.puntoEncuentro === puntoPreferido && (
+                              <span className="inline-block text-xs font-semibold rounded-full px-2 py-0.5 bg-emerald-100 text-emerald-700">
+                                {t("reservar.tuPunto")}
+                              </span>
+                            )}
+                            {costo != null && (
+                              <p className="text-sm text-gray-600">
+                                {t("microbus.costoPorAsiento", { monto: formatearMonto(costo) })}
+                                {microbus.costoTotal != null && ` ${t("microbus.rentaTotal", { monto: formatearMonto(microbus.costoTotal), pasajeros: Math.max(asientosOcupados, 1) })}`}
+                              </p>
+                            )}
+                            <p className="text-sm text-gray-600">
+                              {t("microbus.pasajerosMinimo", { ocupados: asientosOcupados, minimo })}
+                              {microbus.fechaLimite && ` · ${t("microbus.fechaLimite", { fecha: formatearFechaHora(microbus.fechaLimite) })}`}
+                            </p>
+                          </div>
+                          <div className="text-right">
+                            <div className="text-lg font-semibold text-emerald-600">
+                              {asientosLibres}/{microbus.asientosDisponibles}
+                            </div>
+                            <div className="text-xs text-gray-500">{t("reservar.libres")}</div>
+                            <button onClick={() => setCompartiendo(microbus.id)} className="mt-2 text-xs text-emerald-600 hover:text-emerald-700">
+                              {t("compartir.boton")}
+                            </button>
                           </div>
-                          <div className="text-xs text-gray-500">asientos libres</div>
                         </div>
-                      </div>
 
-                      {/* Mostrar notas si existen */}
-                      {vehiculo.notas && vehiculo.notas.trim() && (
-                        <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-2xl">
-                          <div className="flex items-start gap-2">
-                            <div className="text-blue-500 text-sm">📝</div>
-                            <div>
-                              <p className="text-xs text-blue-600 font-medium mb-1">Notas del conductor:</p>
-                              <p className="text-sm text-blue-700 leading-relaxed">{vehiculo.notas}</p>
+                        {/* Mostrar notas si existen */}
+                        {microbus.notas && microbus.notas.trim() && (
+                          <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-2xl">
+                            <div className="flex items-start gap-2">
+                              <div className="text-blue-500 text-sm">📝</div>
+                              <div>
+                                <p className="text-xs text-blue-600 font-medium mb-1">{t("microbus.notasOrganizador")}</p>
+                                <p className="text-sm text-blue-700 leading-relaxed">{microbus.notas}</p>
+                              </div>
                             </div>
                           </div>
-                        </div>
-                      )}
+                        )}
 
-                      {asientosLibres > 0 ? (
-                        <button
-                          onClick={() => handleReservarAsiento(vehiculo.id, vehiculo.propietario, vehiculo.puntoEncuentro)}
-                          disabled={isLoading || !nombreUsuario.trim()}
-                          className={`w-full rounded-2xl px-4 py-2 text-sm font-semibold text-white shadow transition-colors ${
-                            isLoading || !nombreUsuario.trim()
-                              ? "bg-gray-300 cursor-not-allowed"
-                              : "bg-emerald-600 hover:bg-emerald-700"
-                          }`}
-                        >
-                          {isLoading ? "Reservando..." : "Reservar Asiento"}
-                        </button>
-                      ) : (
-                        <div className="text-center text-sm text-gray-500 bg-gray-100 rounded-2xl px-4 py-2">
-                          Vehículo lleno
-                        </div>
-                      )}
+                        {/* Estado para quien ya tiene asiento */}
+                        {miReserva && estado === 'confirmado' && (
+                          <div className="mb-4 p-3 bg-emerald-50 border border-emerald-200 rounded-2xl text-sm text-emerald-700">
+                            {t("microbus.tuConfirmado")}{costo != null && ` ${t("microbus.tuAsientoCuesta", { monto: formatearMonto(costo) })}`}
+                          </div>
+                        )}
+                        {miReserva && estado === 'minimoAlcanzado' && (
+                          <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-2xl text-sm text-blue-700">
+                            {t("microbus.minimoAlcanzado")}
+                          </div>
+                        )}
+                        {miReserva && estado === 'cancelado' && (
+                          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded-2xl text-sm text-red-700">
+                            {t(microbus.estado !== 'cancelado' ? "microbus.canceladoSinMinimo" : "microbus.canceladoAviso")}
+                          </div>
+                        )}
 
-                      {reservasVehiculo.length > 0 && (
-                        <div className="mt-4">
-                          <p className="text-sm text-gray-600 mb-2">Pasajeros:</p>
-                          <div className="space-y-1">
-                            {reservasVehiculo.map((reserva) => (
-                              <div key={reserva.id} className="flex items-center justify-between text-sm">
-                                <span>{reserva.pasajero}</span>
-                                {reserva.pasajero.toLowerCase() === nombreUsuario.trim().toLowerCase() && (
-                                  <button
-                                    onClick={() => handleCancelarReserva(reserva.id, reserva.pasajero)}
-                                    className="text-red-500 hover:text-red-700 text-xs"
-                                  >
-                                    Cancelar
-                                  </button>
-                                )}
+                        {puedeGestionar && (
+                          <div className="mb-4 flex gap-3">
+                            {estado !== 'confirmado' && (
+                              <button
+                                onClick={() => handleCambiarEstadoMicrobus(microbus, 'confirmado')}
+                                className="flex-1 rounded-2xl px-4 py-2 text-xs font-semibold text-emerald-700 border border-emerald-300 hover:bg-emerald-50 transition-colors"
+                              >
+                                {t("microbus.confirmar")}
+                              </button>
+                            )}
+                            {estado !== 'cancelado' && (
+                              <button
+                                onClick={() => handleCambiarEstadoMicrobus(microbus, 'cancelado')}
+                                className="flex-1 rounded-2xl px-4 py-2 text-xs font-semibold text-red-600 border border-red-300 hover:bg-red-50 transition-colors"
+                              >
+                                {t("microbus.cancelar")}
+                              </button>
+                            )}
+                            {(microbus.estado === 'confirmado' || microbus.estado === 'cancelado') && (
+                              <button
+                                onClick={() => handleCambiarEstadoMicrobus(microbus, 'reuniendo')}
+                                className="flex-1 rounded-2xl px-4 py-2 text-xs font-semibold text-gray-600 border border-gray-300 hover:bg-gray-50 transition-colors"
+                              >
+                                {t("microbus.reabrir")}
+                              </button>
+                            )}
+                          </div>
+                        )}
+
+                        {estado === 'cancelado' ? (
+                          <div className="text-center text-sm text-red-600 bg-red-50 rounded-2xl px-4 py-2">
+                            {t("microbus.canceladoEtiqueta")}
+                          </div>
+                        ) : asientosLibres > 0 ? (
+                          <>
+                          {renderCampoAcompanantes(microbus)}
+                          <button
+                            onClick={() => handleReservarMicrobus(microbus.id, microbus.propietario, microbus.asientosDisponibles, microbus.puntoEncuentro)}
+                            disabled={isLoading || !nombreUsuario.trim()}
+                            className={`w-full rounded-2xl px-4 py-2 text-sm font-semibold text-white shadow transition-colors ${
+                              isLoading || !nombreUsuario.trim()
+                                ? "bg-gray-300 cursor-not-allowed"
+                                : "bg-emerald-600 hover:bg-emerald-700"
+                            }`}
+                          >
+                            {isLoading ? t("reservar.reservando") : textoBotonReserva(microbus, t("microbus.boton"))}
+                          </button>
+                          </>
+                        ) : (
+                          renderListaEspera(microbus, t("microbus.llenoEtiqueta"))
+                        )}
+
+                        {reservasMicrobusEspecifico.length > 0 && (
+                          <div className="mt-4">
+                            {/* Resumen de pagos en vivo */}
+                            <div className="mb-4 grid grid-cols-3 gap-2 text-center text-xs">
+                              <div className="bg-emerald-50 rounded-xl p-2">
+                                <div className="font-semibold text-emerald-700">
+                                  {pagos.pagado != null ? formatearMonto(pagos.pagado) : pagos.cuenta.verificado}
+                                </div>
+                                <div className="text-emerald-600">{t("pagos.resumen.pagado")}</div>
                               </div>
-                            ))}
+                              <div className="bg-yellow-50 rounded-xl p-2">
+                                <div className="font-semibold text-yellow-700">
+                                  {pagos.reportado != null ? formatearMonto(pagos.reportado) : pagos.cuenta.reportado}
+                                </div>
+                                <div className="text-yellow-600">{t("pagos.resumen.porVerificar")}</div>
+                              </div>
+                              <div className="bg-gray-50 rounded-xl p-2">
+                                <div className="font-semibold text-gray-700">
+                                  {pagos.pendiente != null ? formatearMonto(pagos.pendiente) : pagos.cuenta.pendiente}
+                                </div>
+                                <div className="text-gray-500">{t("pagos.resumen.pendiente")}</div>
+                              </div>
+                            </div>
+
+                            <p className="text-sm text-gray-600 mb-2">{t("microbus.pasajerosConfirmados")}</p>
+                            <div className="space-y-2">
+                              {reservasMicrobusEspecifico.map((reserva) => {
+                                const estadoPago = reserva.pagoEstado || "pendiente";
+                                const esMia = usuario && reserva.uid === usuario.uid;
+                                const esMiNombre = !esMia && esMismoNombre(reserva.pasajero, nombreUsuario);
+
+                                return (
+                                  <div key={reserva.id} className="text-sm">
+                                    <div className="flex items-center justify-between gap-2">
+                                      <span>{renderNombresReserva(reserva)}</span>
+                                      <div className="flex items-center gap-3">
+                                        <span className={`text-xs ${
+                                          estadoPago === 'verificado' ? 'text-emerald-600' : estadoPago === 'reportado' ? 'text-yellow-600' : 'text-gray-400'
+                                        }`}>
+                                          {etiquetaPago(estadoPago)}
+                                        </span>
+                                        {esOrganizador && estadoPago !== 'pendiente' && (
+                                          <button
+                                            onClick={() => handleVerificarPago(reserva, estadoPago !== 'verificado')}
+                                            className="text-emerald-600 hover:text-emerald-700 text-xs"
+                                          >
+                                            {estadoPago === 'verificado' ? t("pagos.desmarcar") : t("pagos.verificar")}
+                                          </button>
+                                        )}
+                                        {(esMia || esMiNombre) && (
+                                          <button
+                                            onClick={() => handleCancelarReservaMicrobus(reserva)}
+                                            className="text-red-500 hover:text-red-700 text-xs"
+                                          >
+                                            {t("comunes.cancelar")}
+                                          </button>
+                                        )}
+                                      </div>
+                                    </div>
+                                    {esOrganizador && reserva.pagoReferencia && (
+                                      <p className="text-xs text-gray-500">{t("pagos.referencia", { referencia: reserva.pagoReferencia })}</p>
+                                    )}
+                                    {esMia && estadoPago === 'pendiente' && (
+                                      <form onSubmit={(e) => handleReportarPago(e, reserva)} className="mt-2 flex gap-2">
+                                        <input
+                                          type="text"
+                                          value={referenciasPago[reserva.id] || ""}
+                                          onChange={(e) => setReferenciasPago({ ...referenciasPago, [reserva.id]: e.target.value })}
+                                          placeholder={t("pagos.referenciaPlaceholder")}
+                                          className="flex-1 rounded-xl border border-gray-300 bg-white px-3 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                                        />
+                                        <button
+                                          type="submit"
+                                          className="rounded-xl px-3 py-1 text-xs font-semibold text-white bg-emerald-600 hover:bg-emerald-700 transition-colors"
+                                        >
+                                          {t("pagos.transferenciaHecha")}
+                                        </button>
+                                      </form>
+                                    )}
+                                  </div>
+                                );
+                              })}
+                            </div>
                           </div>
-                        </div>
-                      )}
-                    </div>
-                  );
-                })}
-              </div>
-            )})()}
-          </section>
-        )}
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </section>
+          )}
 
-        {activeModule === 'microbus' && (
-          <section id="module-microbus" className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm mb-8">
-            <div className="flex items-center justify-between mb-6">
-              <h2 className="text-xl font-semibold text-gray-800">Microbus Rentado</h2>
-              <button
-                onClick={() => handleModuleChange(null)}
-                className="text-gray-500 hover:text-gray-700"
-              >
-                ✕
-              </button>
-            </div>
+          {activeModule === 'admin' && esOrganizador && (
+            <section id="module-admin" className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm mb-8">
+              <div className="flex items-center justify-between mb-6">
+                <h2 className="text-xl font-semibold text-gray-800">{t("panel.titulo")}</h2>
+                <button
+                  onClick={() => handleModuleChange(null)}
+                  className="text-gray-500 hover:text-gray-700"
+                >
+                  ✕
+                </button>
+              </div>
 
-            {microbuses.length === 0 ? (
-              <div className="text-center py-12">
-                <div className="text-6xl mb-4">🚌</div>
-                <p className="text-gray-500 text-lg">No hay microbuses disponibles</p>
-                <p className="text-gray-400 text-sm mt-2">Los microbuses aún no han sido configurados</p>
+              {/* Manifiesto de pasajeros */}
+              <div className="border border-gray-200 rounded-2xl p-6 mb-6">
+                <h3 className="font-semibold text-gray-800 mb-1">{t("panel.manifiesto.titulo")}</h3>
+                <p className="text-xs text-gray-500 mb-4">
+                  {t("panel.manifiesto.descripcion")}
+                </p>
+                <div className="flex flex-col sm:flex-row gap-3">
+                  <button
+                    onClick={handleExportarCsv}
+                    className="flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-gray-700 border border-gray-300 hover:bg-gray-50 transition-colors"
+                  >
+                    {t("panel.manifiesto.csv")}
+                  </button>
+                  <button
+                    onClick={handleExportarXlsx}
+                    disabled={isLoading}
+                    className="flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-gray-700 border border-gray-300 hover:bg-gray-50 transition-colors"
+                  >
+                    {t("panel.manifiesto.excel")}
+                  </button>
+                  <button
+                    onClick={() => handleModuleChange('manifiesto')}
+                    className="flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 shadow transition-colors"
+                  >
+                    {t("panel.manifiesto.imprimible")}
+                  </button>
+                </div>
               </div>
-            ) : (
-              <div className="space-y-6">
-                <div className="bg-yellow-50 border border-yellow-200 rounded-2xl p-4">
-                  <div className="flex items-start gap-3">
-                    <div className="text-2xl">⚠️</div>
-                    <div>
-                      <h4 className="font-semibold text-yellow-800 mb-1">Importante</h4>
-                      <p className="text-sm text-yellow-700">
-                        Solo reserva un asiento si estás dispuesto a pagar entre $15-$20 por tu lugar en el microbus.
-                      </p>
+
+              {/* Asignación automática de solicitudes sin vehículo */}
+              <div className="border border-gray-200 rounded-2xl p-6 mb-6">
+                <h3 className="font-semibold text-gray-800 mb-1">{t("panel.asignacion.titulo", { count: solicitudes.length })}</h3>
+                <p className="text-xs text-gray-500 mb-4">
+                  {t("panel.asignacion.descripcion")}
+                </p>
+
+                {!asignacion ? (
+                  <>
+                    {solicitudes.length > 0 && (
+                      <div className="divide-y divide-gray-100 text-sm mb-4">
+                        {solicitudes.map((solicitud) => (
+                          <div key={solicitud.id} className="flex items-center justify-between gap-3 py-2">
+                            <span>
+                              {solicitud.pasajero}
+                              <span className="text-gray-500"> · {nombrePunto(solicitud.puntoEncuentro)}{solicitud.grupo && ` · ${t("solicitudes.grupo", { grupo: solicitud.grupo })}`}</span>
+                            </span>
+                            <button
+                              onClick={() => handleRetirarSolicitud(solicitud)}
+                              className="text-xs font-semibold text-red-600 hover:text-red-700"
+                            >
+                              {t("comunes.quitar")}
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                    <button
+                      onClick={handleCalcularAsignacion}
+                      disabled={solicitudes.length === 0 || viaje.archivado}
+                      className={`w-full rounded-2xl px-4 py-2 text-sm font-semibold text-white shadow transition-colors ${
+                        solicitudes.length === 0 || viaje.archivado ? "bg-gray-300 cursor-not-allowed" : "bg-emerald-600 hover:bg-emerald-700"
+                      }`}
+                    >
+                      {t("panel.asignacion.calcular")}
+                    </button>
+                  </>
+                ) : (
+                  <div className="space-y-4">
+                    {asignacion.asignaciones.length === 0 ? (
+                      <p className="text-sm text-gray-600">{t("panel.asignacion.nadie")}</p>
+                    ) : (
+                      <div className="divide-y divide-gray-100 text-sm">
+                        {asignacion.asignaciones.map(({ vehiculo, solicitudes: asignadas }) => (
+                          <div key={vehiculo.id} className="py-2">
+                            <p className="font-semibold text-gray-800">
+                              {vehiculo.propietario}
+                              <span className="font-normal text-gray-500">
+                                {" · "}{nombrePunto(vehiculo.puntoEncuentro)}
+                                {" · "}{t("panel.asientos", { ocupados: getAsientosOcupados(vehiculo) + asignadas.length, total: vehiculo.asientosDisponibles })}
+                              </span>
+                            </p>
+                            {asignadas.map((solicitud) => (
+                              <p key={solicitud.id} className="pl-4 text-emerald-700">
+                                + {solicitud.pasajero}{solicitud.grupo && <span className="text-gray-500"> ({t("panel.asignacion.grupo", { grupo: solicitud.grupo })})</span>}
+                              </p>
+                            ))}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
+                    {asignacion.sinAsignar.length > 0 && (
+                      <ul className="rounded-2xl bg-amber-50 border border-amber-200 p-4 text-xs text-amber-800 space-y-1">
+                        {asignacion.sinAsignar.map(({ solicitud, motivo }) => (
+                          <li key={solicitud.id}>
+                            {solicitud.pasajero} ({nombrePunto(solicitud.puntoEncuentro)}): {motivo}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    <div className="flex gap-3">
+                      <button
+                        onClick={() => setAsignacion(null)}
+                        className="flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-gray-600 border border-gray-300 hover:bg-gray-50 transition-colors"
+                      >
+                        {t("cola.descartar")}
+                      </button>
+                      <button
+                        onClick={handleConfirmarAsignacion}
+                        disabled={isLoading || asignacion.asignaciones.length === 0}
+                        className={`flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-white shadow transition-colors ${
+                          isLoading || asignacion.asignaciones.length === 0
+                            ? "bg-gray-300 cursor-not-allowed"
+                            : "bg-emerald-600 hover:bg-emerald-700"
+                        }`}
+                      >
+                        {isLoading ? t("panel.asignacion.asignando") : t("panel.asignacion.confirmar")}
+                      </button>
                     </div>
                   </div>
-                </div>
+                )}
+              </div>
 
-                {microbuses.map((microbus) => {
-                  const reservasMicrobusEspecifico = reservasMicrobus.filter(r => r.vehiculoId === microbus.id);
-                  const asientosOcupados = reservasMicrobusEspecifico.length;
-                  const asientosLibres = microbus.asientosDisponibles - asientosOcupados;
-                  
+              {/* Importación desde CSV */}
+              <div className="border border-gray-200 rounded-2xl p-6 mb-6">
+                <h3 className="font-semibold text-gray-800 mb-1">{t("panel.importacion.titulo")}</h3>
+                <p className="text-xs text-gray-500 mb-4">
+                  {t("panel.importacion.descripcion")}{" "}
+                  <button onClick={handleDescargarPlantilla} className="font-semibold text-emerald-700 hover:text-emerald-800">
+                    {t("panel.importacion.plantilla")}
+                  </button>
+                </p>
+
+                {!importacion ? (
+                  <input
+                    type="file"
+                    accept=".csv,text/csv"
+                    onChange={handleArchivoImportacion}
+                    disabled={viaje.archivado}
+                    className="block w-full text-sm text-gray-600 file:mr-4 file:rounded-2xl file:border-0 file:bg-emerald-50 file:px-4 file:py-2 file:text-sm file:font-semibold file:text-emerald-700 hover:file:bg-emerald-100"
+                  />
+                ) : (() => {
+                  const { plan } = importacion;
+                  const nuevos = plan.vehiculos.filter(d => d.nuevo).length;
+                  const pasajeros = plan.vehiculos.reduce((total, destino) => total + destino.pasajeros.length, 0);
                   return (
-                    <div key={microbus.id} className="border border-gray-200 rounded-2xl p-6">
-                      <div className="flex items-start justify-between mb-4">
-                        <div>
-                          <h3 className="font-semibold text-gray-800">Microbus Rentado</h3>
-                          <p className="text-sm text-gray-600">Organizado por: {microbus.propietario}</p>
-                          <p className="text-sm text-gray-600">Punto de encuentro: {microbus.puntoEncuentro}</p>
-                        </div>
-                        <div className="text-right">
-                          <div className="text-lg font-semibold text-emerald-600">
-                            {asientosLibres}/{microbus.asientosDisponibles}
-                          </div>
-                          <div className="text-xs text-gray-500">asientos libres</div>
-                        </div>
-                      </div>
+                    <div className="space-y-4">
+                      <p className="text-sm text-gray-700">
+                        <span className="font-semibold">{importacion.archivo}</span>: {t("panel.importacion.resumen", { nuevos, pasajeros })}
+                      </p>
 
-                      {/* Mostrar notas si existen */}
-                      {microbus.notas && microbus.notas.trim() && (
-                        <div className="mb-4 p-3 bg-blue-50 border border-blue-200 rounded-2xl">
-                          <div className="flex items-start gap-2">
-                            <div className="text-blue-500 text-sm">📝</div>
-                            <div>
-                              <p className="text-xs text-blue-600 font-medium mb-1">Notas del organizador:</p>
-                              <p className="text-sm text-blue-700 leading-relaxed">{microbus.notas}</p>
-                            </div>
-                          </div>
+                      {plan.errores.length > 0 && (
+                        <div className="rounded-2xl bg-red-50 border border-red-200 p-4">
+                          <p className="text-sm font-semibold text-red-700 mb-1">{t("panel.importacion.corrige")}</p>
+                          <ul className="text-xs text-red-700 space-y-1">
+                            {plan.errores.map((e, i) => <li key={i}>{t("panel.importacion.linea", { linea: e.linea, mensaje: e.mensaje })}</li>)}
+                          </ul>
                         </div>
                       )}
 
-                      {asientosLibres > 0 ? (
+                      {plan.avisos.length > 0 && (
+                        <ul className="rounded-2xl bg-amber-50 border border-amber-200 p-4 text-xs text-amber-800 space-y-1">
+                          {plan.avisos.map((a, i) => <li key={i}>{t("panel.importacion.linea", { linea: a.linea, mensaje: a.mensaje })}</li>)}
+                        </ul>
+                      )}
+
+                      <div className="divide-y divide-gray-100 text-sm">
+                        {plan.vehiculos.map((destino) => (
+                          <div key={destino.vehiculo.id || `nuevo-${destino.linea}`} className="py-2">
+                            <p className={destino.nuevo ? "text-emerald-700 font-semibold" : "text-gray-700"}>
+                              {destino.nuevo ? t("panel.importacion.nuevo") : t("panel.importacion.existente")}: {destino.vehiculo.propietario}
+                              <span className="font-normal text-gray-500">
+                                {" · "}{t(`tiposVehiculo.${destino.vehiculo.tipoVehiculo}`)}
+                                {" · "}{nombrePunto(destino.vehiculo.puntoEncuentro)}
+                                {" · "}{t("panel.asientos", { ocupados: destino.ocupados + destino.pasajeros.length, total: destino.vehiculo.asientosDisponibles })}
+                              </span>
+                            </p>
+                            {destino.pasajeros.map((p) => (
+                              <p key={p.linea} className="pl-4 text-emerald-700">+ {p.pasajero}</p>
+                            ))}
+                          </div>
+                        ))}
+                      </div>
+
+                      <div className="flex gap-3">
+                        <button
+                          onClick={() => setImportacion(null)}
+                          className="flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-gray-600 border border-gray-300 hover:bg-gray-50 transition-colors"
+                        >
+                          {t("cola.descartar")}
+                        </button>
                         <button
-                          onClick={() => handleReservarMicrobus(microbus.id, microbus.propietario, microbus.asientosDisponibles, microbus.puntoEncuentro)}
-                          disabled={isLoading || !nombreUsuario.trim()}
-                          className={`w-full rounded-2xl px-4 py-2 text-sm font-semibold text-white shadow transition-colors ${
-                            isLoading || !nombreUsuario.trim()
+                          onClick={handleConfirmarImportacion}
+                          disabled={isLoading || plan.errores.length > 0 || plan.vehiculos.length === 0}
+                          className={`flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-white shadow transition-colors ${
+                            isLoading || plan.errores.length > 0 || plan.vehiculos.length === 0
                               ? "bg-gray-300 cursor-not-allowed"
                               : "bg-emerald-600 hover:bg-emerald-700"
                           }`}
                         >
-                          {isLoading ? "Reservando..." : "Reservar Asiento en Microbus"}
+                          {isLoading ? t("panel.importacion.importando") : t("panel.importacion.importar")}
                         </button>
-                      ) : (
-                        <div className="text-center text-sm text-gray-500 bg-gray-100 rounded-2xl px-4 py-2">
-                          Microbus lleno
-                        </div>
-                      )}
+                      </div>
+                    </div>
+                  );
+                })()}
+              </div>
 
-                      {reservasMicrobusEspecifico.length > 0 && (
-                        <div className="mt-4">
-                          <p className="text-sm text-gray-600 mb-2">Pasajeros confirmados:</p>
-                          <div className="space-y-1">
-                            {reservasMicrobusEspecifico.map((reserva) => (
-                              <div key={reserva.id} className="flex items-center justify-between text-sm">
-                                <span>{reserva.pasajero}</span>
-                                {reserva.pasajero.toLowerCase() === nombreUsuario.trim().toLowerCase() && (
-                                  <button
-                                    onClick={() => handleCancelarReservaMicrobus(reserva.id, reserva.pasajero)}
-                                    className="text-red-500 hover:text-red-700 text-xs"
-                                  >
-                                    Cancelar
-                                  </button>
-                                )}
+              {/* Puntos de encuentro del viaje */}
+              <div className="border border-gray-200 rounded-2xl p-6 mb-6">
+                <h3 className="font-semibold text-gray-800 mb-1">{t("panel.puntos.titulo")}</h3>
+                <p className="text-xs text-gray-500 mb-4">
+                  {puntoUbicando
+                    ? t("panel.puntos.ubicar", { nombre: puntoUbicando })
+                    : t("panel.puntos.ubicarNuevo")}
+                </p>
+
+                <MapaPuntos
+                  puntos={puntosEncuentro}
+                  seleccionado={puntoUbicando}
+                  pin={!puntoUbicando && tieneUbicacion(puntoNuevo) ? puntoNuevo : null}
+                  etiquetaPin={puntoNuevo.nombre || t("panel.puntos.nuevo")}
+                  onClicMapa={handleClicMapaPuntos}
+                />
+
+                <form onSubmit={handleAgregarPunto} className="flex flex-col sm:flex-row gap-3 mt-4">
+                  <input
+                    type="text"
+                    value={puntoNuevo.nombre}
+                    onChange={(e) => setPuntoNuevo({ ...puntoNuevo, nombre: e.target.value })}
+                    placeholder={t("panel.puntos.nombreNuevo")}
+                    className="flex-1 rounded-2xl border border-gray-300 bg-white px-4 py-2 focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                  />
+                  <button
+                    type="submit"
+                    disabled={viaje.archivado}
+                    className="rounded-2xl px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 shadow transition-colors"
+                  >
+                    {t("panel.puntos.agregar")}
+                  </button>
+                </form>
+
+                <div className="mt-4 divide-y divide-gray-100">
+                  {puntosEncuentro.map((punto) => (
+                    <div key={punto.nombre} className="flex items-center justify-between gap-3 py-2">
+                      <div>
+                        <p className="text-sm text-gray-800">{punto.nombre}</p>
+                        <p className="text-xs text-gray-500">
+                          {tieneUbicacion(punto) ? `${punto.lat.toFixed(4)}, ${punto.lng.toFixed(4)}` : t("panel.puntos.sinUbicacion")}
+                        </p>
+                      </div>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => setPuntoUbicando(puntoUbicando === punto.nombre ? null : punto.nombre)}
+                          className="text-xs font-semibold text-emerald-700 hover:text-emerald-800"
+                        >
+                          {puntoUbicando === punto.nombre ? t("comunes.cancelar") : t("panel.puntos.ubicarEnMapa")}
+                        </button>
+                        <button
+                          onClick={() => handleQuitarPunto(punto)}
+                          className="text-xs font-semibold text-red-600 hover:text-red-700"
+                        >
+                          {t("comunes.quitar")}
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {vehiculos.length === 0 ? (
+                <div className="text-center py-12">
+                  <div className="text-6xl mb-4">🛠️</div>
+                  <p className="text-gray-500 text-lg">{t("panel.vacio")}</p>
+                </div>
+              ) : (
+                <div className="space-y-6">
+                  {vehiculos.map((vehiculo) => {
+                    const reservasVehiculo = getReservasVehiculo(vehiculo);
+                    const otrosVehiculos = vehiculos.filter(v => v.id !== vehiculo.id && v.tipoVehiculo === vehiculo.tipoVehiculo && !v.retirado);
+                    const editando = vehiculoEditando && vehiculoEditando.id === vehiculo.id;
+
+                    return (
+                      <div key={vehiculo.id} className="border border-gray-200 rounded-2xl p-6">
+                        <div className="flex items-start justify-between mb-4">
+                          <div>
+                            <h3 className="font-semibold text-gray-800">{vehiculo.propietario}</h3>
+                            <p className="text-sm text-gray-600">{nombrePunto(vehiculo.puntoEncuentro)}</p>
+                            <p className="text-xs text-gray-500">
+                              {t(`tiposVehiculo.${vehiculo.tipoVehiculo}`)}
+                              {vehiculo.retirado && t("panel.retiradoPorDueno")}
+                            </p>
+                          </div>
+                          <div className="text-right">
+                            <div className="text-lg font-semibold text-emerald-600">
+                              {getAsientosOcupados(vehiculo)}/{vehiculo.asientosDisponibles}
+                            </div>
+                            <div className="text-xs text-gray-500">{t("misVehiculos.ocupados")}</div>
+                            {ofreceRegreso(vehiculo) && (
+                              <div className="text-xs text-gray-500">
+                                {t("misVehiculos.regreso", { ocupados: getAsientosOcupados(vehiculo, 'regreso'), total: vehiculo.asientosRegreso })}
                               </div>
-                            ))}
+                            )}
                           </div>
                         </div>
-                      )}
-                    </div>
-                  );
-                })}
+
+                        {editando ? (
+                          renderFormularioEdicion(vehiculo, { conTipo: true })
+                        ) : (
+                          <div className="flex flex-col sm:flex-row gap-3 mb-4">
+                            <button
+                              onClick={() => handleEditarVehiculo(vehiculo)}
+                              className="flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-gray-700 border border-gray-300 hover:bg-gray-50 transition-colors"
+                            >
+                              {t("comunes.editar")}
+                            </button>
+                            {reservasVehiculo.length > 0 && (
+                              <select
+                                value={destinosEliminacion[vehiculo.id] || ""}
+                                onChange={(e) => setDestinosEliminacion({ ...destinosEliminacion, [vehiculo.id]: e.target.value })}
+                                className="flex-1 rounded-2xl border border-gray-300 bg-white px-4 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                              >
+                                <option value="">{t("panel.eliminar.borrarReservas")}</option>
+                                {otrosVehiculos.map((otro) => (
+                                  <option key={otro.id} value={otro.id}>{t("panel.eliminar.moverA", { propietario: otro.propietario })}</option>
+                                ))}
+                              </select>
+                            )}
+                            <button
+                              onClick={() => handleEliminarVehiculo(vehiculo)}
+                              disabled={isLoading}
+                              className="flex-1 rounded-2xl px-4 py-2 text-sm font-semibold text-white bg-red-500 hover:bg-red-600 shadow transition-colors"
+                            >
+                              {t("panel.eliminar.boton")}
+                            </button>
+                          </div>
+                        )}
+
+                        {reservasVehiculo.length > 0 && (
+                          <div>
+                            <p className="text-sm text-gray-600 mb-2">{t("reservar.pasajeros")}</p>
+                            <div className="space-y-2">
+                              {reservasVehiculo.map((reserva) => (
+                                <div key={reserva.id} className="flex items-center justify-between gap-3 text-sm">
+                                  <span>{renderNombresReserva(reserva)}</span>
+                                  {otrosVehiculos.length > 0 && (
+                                    <select
+                                      value=""
+                                      onChange={(e) => handleMoverPasajero(reserva, vehiculo, e.target.value)}
+                                      disabled={isLoading}
+                                      className="rounded-xl border border-gray-300 bg-white px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-emerald-400"
+                                    >
+                                      <option value="">{t("panel.moverA")}</option>
+                                      {otrosVehiculos.map((otro) => (
+                                        <option key={otro.id} value={otro.id}>{otro.propietario}</option>
+                                      ))}
+                                    </select>
+                                  )}
+                                </div>
+                              ))}
+                            </div>
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </section>
+          )}
+
+          {activeModule === 'manifiesto' && esOrganizador && (
+            <section id="module-manifiesto" className="bg-white rounded-3xl border border-gray-200 p-6 shadow-sm mb-8 text-left">
+              <div className="flex items-start justify-between gap-4 mb-6">
+                <div>
+                  <h2 className="text-xl font-semibold text-gray-800">{t("panel.manifiesto.titulo")}</h2>
+                  <p className="text-sm text-gray-600">
+                    {[viaje.nombre, formatearFecha(viaje.fecha), viaje.destino].filter(Boolean).join(" · ")}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3 print:hidden">
+                  <button
+                    onClick={() => window.print()}
+                    className="rounded-2xl px-4 py-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 shadow transition-colors"
+                  >
+                    {t("manifiesto.imprimir")}
+                  </button>
+                  <button
+                    onClick={() => handleModuleChange('admin')}
+                    className="text-gray-500 hover:text-gray-700"
+                  >
+                    ✕
+                  </button>
+                </div>
               </div>
-            )}
-          </section>
+
+              {getVehiculosManifiesto().length === 0 ? (
+                <p className="text-center text-gray-500 py-12">{t("panel.vacio")}</p>
+              ) : (
+                <div className="space-y-6">
+                  {getVehiculosManifiesto().map((vehiculo) => {
+                    const reservasVehiculo = getReservasVehiculo(vehiculo);
+                    return (
+                      <div key={vehiculo.id} className="border border-gray-200 rounded-2xl p-4 break-inside-avoid">
+                        <div className="flex items-start justify-between gap-4 mb-3">
+                          <div>
+                            <h3 className="font-semibold text-gray-800">
+                              {vehiculo.tipoVehiculo === 'propio' ? '🚗' : '🚌'} {vehiculo.propietario}
+                              {vehiculo.telefono && <span className="font-normal text-gray-600"> · {vehiculo.telefono}</span>}
+                            </h3>
+                            <p className="text-sm text-gray-600">{nombrePunto(vehiculo.puntoEncuentro)}</p>
+                            {renderHorario(vehiculo)}
+                            {vehiculo.notas?.trim() && <p className="text-xs text-gray-600">💬 {vehiculo.notas}</p>}
+                          </div>
+                          <p className="text-sm text-gray-600 whitespace-nowrap">
+                            {t("panel.asientos", { ocupados: getAsientosOcupados(vehiculo), total: vehiculo.asientosDisponibles })}
+                          </p>
+                        </div>
+
+                        {reservasVehiculo.length === 0 ? (
+                          <p className="text-sm text-gray-400">{t("manifiesto.sinPasajeros")}</p>
+                        ) : (
+                          <table className="w-full text-sm">
+                            <thead>
+                              <tr className="text-left text-xs text-gray-500 border-b border-gray-200">
+                                <th className="py-1 pr-2 w-8">#</th>
+                                <th className="py-1 pr-2">{t("manifiesto.columnas.pasajero")}</th>
+                                <th className="py-1 pr-2">{t("manifiesto.columnas.telefono")}</th>
+                                <th className="py-1 pr-2">{t("manifiesto.columnas.tramos")}</th>
+                                {vehiculo.tipoVehiculo === 'renta' && <th className="py-1 pr-2">{t("manifiesto.columnas.pago")}</th>}
+                                <th className="py-1 w-24 print:table-cell hidden">{t("manifiesto.columnas.firma")}</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {filasManifiesto([vehiculo], getReservasVehiculo).map(({ reserva, pasajero }, indice) => (
+                                <tr key={`${reserva.id}-${pasajero}`} className="border-b border-gray-100">
+                                  <td className="py-1 pr-2 text-gray-500">{indice + 1}</td>
+                                  <td className="py-1 pr-2">
+                                    {pasajero}
+                                    {pasajero !== reserva.pasajero && <span className="text-xs text-gray-500">{t("manifiesto.con", { nombre: reserva.pasajero })}</span>}
+                                  </td>
+                                  <td className="py-1 pr-2">{reserva.telefono || '—'}</td>
+                                  <td className="py-1 pr-2">{describirTramos(getTramos(reserva))}</td>
+                                  {vehiculo.tipoVehiculo === 'renta' && (
+                                    <td className="py-1 pr-2">{etiquetaPago(reserva.pagoEstado || 'pendiente')}</td>
+                                  )}
+                                  <td className="py-1 print:table-cell hidden"></td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+            </section>
+          )}
+          </>
         )}
 
         {/* Pie de página */}
         <footer className="mt-8 text-center text-sm text-gray-500">
-          <p>✨ Actualizaciones en tiempo real con Firebase</p>
+          <p>{t("app.pie")}</p>
         </footer>
 
         {/* Modal de Confirmación */}
@@ -873,7 +4864,7 @@ export default function App() {
                     onClick={handleCancelar}
                     className="flex-1 rounded-2xl px-4 py-3 text-sm font-semibold text-gray-600 border border-gray-300 hover:bg-gray-50 transition-colors"
                   >
-                    Cancelar
+                    {t("comunes.cancelar")}
                   </button>
                   <button
                     onClick={handleConfirmar}
@@ -882,7 +4873,7 @@ export default function App() {
                       isLoading ? "bg-gray-300 cursor-not-allowed" : "bg-emerald-600 hover:bg-emerald-700"
                     }`}
                   >
-                    {isLoading ? "Procesando..." : "Confirmar"}
+                    {isLoading ? t("comunes.procesando") : t("comunes.confirmar")}
                   </button>
                 </div>
               </div>
@@ -903,7 +4894,92 @@ export default function App() {
                   onClick={handleCerrarExito}
                   className="w-full rounded-2xl px-4 py-3 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 shadow transition-colors"
                 >
-                  Entendido
+                  {t("comunes.entendido")}
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Resumen para compartir en WhatsApp */}
+        {compartiendo && viaje && (() => {
+          const resumen = getResumenCompartido();
+          if (!resumen) return null;
+          return (
+            <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+              <div className="bg-white rounded-3xl p-6 max-w-md w-full shadow-xl">
+                <div className="flex items-center justify-between mb-4">
+                  <h3 className="text-xl font-semibold text-gray-800">📣 {resumen.titulo}</h3>
+                  <button onClick={() => setCompartiendo(null)} className="text-gray-500 hover:text-gray-700">✕</button>
+                </div>
+                <pre className="whitespace-pre-wrap font-sans text-sm text-gray-700 bg-gray-50 border border-gray-200 rounded-2xl p-4 mb-4 max-h-80 overflow-y-auto">
+                  {resumen.texto}
+                </pre>
+                <div className="grid grid-cols-2 gap-3">
+                  <a
+                    href={enlaceWhatsApp(resumen.texto)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="col-span-2 text-center rounded-2xl px-4 py-3 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 shadow transition-colors"
+                  >
+                    {t("compartir.whatsapp")}
+                  </a>
+                  <button
+                    onClick={() => handleCopiarTexto(resumen.texto, t("compartir.resumenCopiado"))}
+                    className="rounded-2xl px-4 py-2 text-sm font-semibold text-gray-700 border border-gray-300 hover:bg-gray-50 transition-colors"
+                  >
+                    {t("compartir.copiarTexto")}
+                  </button>
+                  <button
+                    onClick={() => handleCopiarTexto(resumen.enlace, t("compartir.enlaceCopiado"))}
+                    className="rounded-2xl px-4 py-2 text-sm font-semibold text-gray-700 border border-gray-300 hover:bg-gray-50 transition-colors"
+                  >
+                    {t("compartir.copiarEnlace")}
+                  </button>
+                  {navigator.share && (
+                    <button
+                      onClick={() => handleCompartirResumen(resumen)}
+                      className="col-span-2 rounded-2xl px-4 py-2 text-sm font-semibold text-gray-700 border border-gray-300 hover:bg-gray-50 transition-colors"
+                    >
+                      {t("compartir.otraApp")}
+                    </button>
+                  )}
+                </div>
+              </div>
+            </div>
+          );
+        })()}
+
+        {/* Aviso más reciente */}
+        {avisoVisible && activeModule !== 'avisos' && (
+          <div className="fixed bottom-4 right-4 left-4 sm:left-auto sm:w-96 z-40 bg-white border border-emerald-200 rounded-2xl shadow-lg p-4">
+            <div className="flex items-start justify-between gap-3">
+              <div>
+                <p className="font-semibold text-gray-800 text-sm">🔔 {avisoVisible.titulo}</p>
+                <p className="text-sm text-gray-600">{avisoVisible.mensaje}</p>
+              </div>
+              <button onClick={() => setAvisoVisible(null)} className="text-gray-400 hover:text-gray-600">✕</button>
+            </div>
+            <button onClick={handleVerAvisos} className="mt-2 text-xs font-semibold text-emerald-600 hover:text-emerald-700">
+              {t("avisos.verTodos")}
+            </button>
+          </div>
+        )}
+
+        {/* Modal de Error */}
+        {showError && (
+          <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+            <div className="bg-white rounded-3xl p-6 max-w-md w-full shadow-xl">
+              <div className="text-center">
+                <div className="text-4xl mb-4">😕</div>
+                <h3 className="text-xl font-semibold text-gray-800 mb-4">{errorData.titulo}</h3>
+                <p className="text-gray-600 mb-6 leading-relaxed">{errorData.mensaje}</p>
+                
+                <button
+                  onClick={handleCerrarError}
+                  className="w-full rounded-2xl px-4 py-3 text-sm font-semibold text-white bg-red-500 hover:bg-red-600 shadow transition-colors"
+                >
+                  {t("comunes.entendido")}
                 </button>
               </div>
             </div>
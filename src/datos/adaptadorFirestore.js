@@ -0,0 +1,89 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  addDoc,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  onSnapshot,
+  query,
+  where,
+  orderBy,
+  runTransaction,
+  writeBatch,
+  serverTimestamp,
+  increment,
+  deleteField,
+} from "firebase/firestore";
+
+/**
+ * Adaptador de Firestore para el repositorio (ver repositorio.js).
+ * ------------------------------------------------------------
+ * Las rutas son texto ("viajes/abc/vehiculos/xyz"). Las lecturas devuelven
+ * { id, existe, datos } y las suscripciones llaman a `alCambiar` con
+ * { docs, cambios, desdeCache }, igual que el adaptador en memoria.
+ */
+
+// Documento leído dentro de una transacción
+const leido = (snap) => ({ id: snap.id, existe: snap.exists(), datos: snap.exists() ? snap.data() : null });
+
+// Escrituras comunes a transacciones y lotes
+const escrituras = (db, destino) => ({
+  guardar: (ruta, datos) => destino.set(doc(db, ruta), datos),
+  actualizar: (ruta, cambios) => destino.update(doc(db, ruta), cambios),
+  borrar: (ruta) => destino.delete(doc(db, ruta)),
+});
+
+export const crearAdaptadorFirestore = (db) => ({
+  // Suscripción a una colección; `donde` solo admite igualdades ({ tipoVehiculo: "renta" })
+  escuchar(ruta, { donde = {}, ordenarPor, descendente = false } = {}, alCambiar, alError) {
+    const q = query(
+      collection(db, ruta),
+      ...Object.entries(donde).map(([campo, valor]) => where(campo, "==", valor)),
+      ...(ordenarPor ? [orderBy(ordenarPor, descendente ? "desc" : "asc")] : [])
+    );
+    return onSnapshot(q,
+      (snapshot) => alCambiar({
+        docs: snapshot.docs.map((d) => ({ id: d.id, ...d.data() })),
+        // Las escrituras propias que el servidor aún no confirma llegan como pendientes
+        cambios: snapshot.docChanges().map((cambio) => ({
+          tipo: cambio.type,
+          id: cambio.doc.id,
+          datos: cambio.type === "removed" ? null : { id: cambio.doc.id, ...cambio.doc.data() },
+          pendiente: cambio.doc.metadata.hasPendingWrites,
+        })),
+        desdeCache: snapshot.metadata.fromCache,
+      }),
+      alError
+    );
+  },
+
+  // Suscripción a un documento; `alCambiar` recibe { id, existe, datos }
+  escucharDocumento: (ruta, alCambiar, alError) =>
+    onSnapshot(doc(db, ruta), (snap) => alCambiar(leido(snap)), alError),
+
+  transaccion: (fn) =>
+    runTransaction(db, (transaction) => fn({
+      leer: async (ruta) => leido(await transaction.get(doc(db, ruta))),
+      ...escrituras(db, transaction),
+    })),
+
+  lote() {
+    const batch = writeBatch(db);
+    return { ...escrituras(db, batch), confirmar: () => batch.commit() };
+  },
+
+  leer: async (ruta) => leido(await getDoc(doc(db, ruta))),
+  agregar: async (ruta, datos) => (await addDoc(collection(db, ruta), datos)).id,
+  guardar: (ruta, datos) => setDoc(doc(db, ruta), datos),
+  actualizar: (ruta, cambios) => updateDoc(doc(db, ruta), cambios),
+  borrar: (ruta) => deleteDoc(doc(db, ruta)),
+
+  // Id para un documento nuevo sin escribirlo todavía
+  nuevoId: (ruta) => doc(collection(db, ruta)).id,
+
+  marcaDeTiempo: () => serverTimestamp(),
+  incrementar: (cantidad) => increment(cantidad),
+  borrarCampo: () => deleteField(),
+});
@@ -0,0 +1,165 @@
+/**
+ * Adaptador en memoria para el repositorio (ver repositorio.js).
+ * ------------------------------------------------------------
+ * Misma interfaz que el de Firestore, sin red: sirve para probar las reservas
+ * sin un proyecto de Firebase. Las transacciones se ejecutan de una en una,
+ * así que dos reservas simultáneas se comportan como en Firestore: la segunda
+ * ve lo que escribió la primera. Las suscripciones avisan en cuanto se confirma
+ * una escritura, con el mismo formato { docs, cambios, desdeCache }.
+ */
+
+class Incremento {
+  constructor(cantidad) {
+    this.cantidad = cantidad;
+  }
+}
+
+class Borrado {}
+
+const coleccionDe = (ruta) => ruta.slice(0, ruta.lastIndexOf("/"));
+const idDe = (ruta) => ruta.slice(ruta.lastIndexOf("/") + 1);
+const copiar = (datos) => (datos == null ? null : structuredClone(datos));
+
+// Orden como el de Firestore para números, textos y fechas; lo que falta va primero
+const comparar = (a, b) => {
+  if (a == null || b == null) return (a == null ? 0 : 1) - (b == null ? 0 : 1);
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+// Documento resultante, resolviendo los incrementos sobre lo que había y quitando los campos borrados
+const aplicarCampos = (actual, cambios) => {
+  const resultado = { ...actual };
+  Object.entries(cambios).forEach(([campo, valor]) => {
+    if (valor instanceof Borrado) delete resultado[campo];
+    else resultado[campo] = valor instanceof Incremento ? (actual?.[campo] ?? 0) + valor.cantidad : copiar(valor);
+  });
+  return resultado;
+};
+
+export const crearAdaptadorMemoria = (inicial = {}) => {
+  const documentos = new Map(Object.entries(inicial).map(([ruta, datos]) => [ruta, copiar(datos)]));
+  const suscripciones = new Set();
+  const suscripcionesDocumento = new Set();
+  let siguienteId = 1;
+  let ultimaMarca = 0;
+  let enCurso = Promise.resolve();
+
+  const docsDe = (ruta, { donde = {}, ordenarPor, descendente = false } = {}) => {
+    const docs = [...documentos]
+      .filter(([rutaDoc]) => coleccionDe(rutaDoc) === ruta)
+      .map(([rutaDoc, datos]) => ({ id: idDe(rutaDoc), ...copiar(datos) }))
+      .filter((d) => Object.entries(donde).every(([campo, valor]) => d[campo] === valor));
+    if (!ordenarPor) return docs;
+    return docs.sort((a, b) => comparar(a[ordenarPor], b[ordenarPor]) * (descendente ? -1 : 1));
+  };
+
+  const leer = (ruta) => ({ id: idDe(ruta), existe: documentos.has(ruta), datos: copiar(documentos.get(ruta)) });
+
+  // Compara cada suscripción con lo último que vio y le manda solo lo que cambió
+  const avisar = () => {
+    suscripciones.forEach((suscripcion) => {
+      const docs = docsDe(suscripcion.ruta, suscripcion.opciones);
+      const actuales = new Map(docs.map((d) => [d.id, d]));
+      const cambios = [
+        ...docs
+          .filter((d) => JSON.stringify(suscripcion.vistos.get(d.id)) !== JSON.stringify(d))
+          .map((d) => ({ tipo: suscripcion.vistos.has(d.id) ? "modified" : "added", id: d.id, datos: d, pendiente: false })),
+        ...[...suscripcion.vistos.keys()]
+          .filter((id) => !actuales.has(id))
+          .map((id) => ({ tipo: "removed", id, datos: null, pendiente: false })),
+      ];
+      suscripcion.vistos = actuales;
+      if (cambios.length > 0) suscripcion.alCambiar({ docs, cambios, desdeCache: false });
+    });
+    suscripcionesDocumento.forEach((suscripcion) => {
+      const documento = leer(suscripcion.ruta);
+      if (JSON.stringify(documento) === JSON.stringify(suscripcion.visto)) return;
+      suscripcion.visto = documento;
+      suscripcion.alCambiar(documento);
+    });
+  };
+
+  // Aplica un grupo de escrituras completo o ninguna (como un lote de Firestore)
+  const confirmar = (escrituras) => {
+    const resultado = new Map(documentos);
+    escrituras.forEach(({ tipo, ruta, datos }) => {
+      if (tipo === "borrar") {
+        resultado.delete(ruta);
+      } else if (tipo === "guardar") {
+        resultado.set(ruta, aplicarCampos(null, datos));
+      } else if (!resultado.has(ruta)) {
+        throw Object.assign(new Error(`No existe el documento ${ruta}`), { code: "not-found" });
+      } else {
+        resultado.set(ruta, aplicarCampos(resultado.get(ruta), datos));
+      }
+    });
+    documentos.clear();
+    resultado.forEach((datos, ruta) => documentos.set(ruta, datos));
+    avisar();
+  };
+
+  const escrituras = (pendientes) => ({
+    guardar: (ruta, datos) => pendientes.push({ tipo: "guardar", ruta, datos }),
+    actualizar: (ruta, cambios) => pendientes.push({ tipo: "actualizar", ruta, datos: cambios }),
+    borrar: (ruta) => pendientes.push({ tipo: "borrar", ruta }),
+  });
+
+  const nuevoId = () => `m${siguienteId++}`;
+
+  return {
+    escuchar(ruta, opciones = {}, alCambiar) {
+      const suscripcion = { ruta, opciones, alCambiar, vistos: new Map() };
+      suscripciones.add(suscripcion);
+      const docs = docsDe(ruta, opciones);
+      suscripcion.vistos = new Map(docs.map((d) => [d.id, d]));
+      alCambiar({ docs, cambios: docs.map((d) => ({ tipo: "added", id: d.id, datos: d, pendiente: false })), desdeCache: false });
+      return () => suscripciones.delete(suscripcion);
+    },
+
+    escucharDocumento(ruta, alCambiar) {
+      const suscripcion = { ruta, alCambiar, visto: leer(ruta) };
+      suscripcionesDocumento.add(suscripcion);
+      alCambiar(suscripcion.visto);
+      return () => suscripcionesDocumento.delete(suscripcion);
+    },
+
+    // Una transacción espera a que termine la anterior; si falla no escribe nada
+    transaccion(fn) {
+      const ejecutar = async () => {
+        const pendientes = [];
+        const resultado = await fn({ leer: async (ruta) => leer(ruta), ...escrituras(pendientes) });
+        confirmar(pendientes);
+        return resultado;
+      };
+      const promesa = enCurso.then(ejecutar, ejecutar);
+      enCurso = promesa.catch(() => {});
+      return promesa;
+    },
+
+    lote() {
+      const pendientes = [];
+      return { ...escrituras(pendientes), confirmar: async () => confirmar(pendientes) };
+    },
+
+    leer: async (ruta) => leer(ruta),
+
+    agregar: async (ruta, datos) => {
+      const id = nuevoId();
+      confirmar([{ tipo: "guardar", ruta: `${ruta}/${id}`, datos }]);
+      return id;
+    },
+    guardar: async (ruta, datos) => confirmar([{ tipo: "guardar", ruta, datos }]),
+    actualizar: async (ruta, cambios) => confirmar([{ tipo: "actualizar", ruta, datos: cambios }]),
+    borrar: async (ruta) => confirmar([{ tipo: "borrar", ruta }]),
+
+    nuevoId,
+
+    // Marcas crecientes aunque caigan en el mismo milisegundo, para que el orden sea estable
+    marcaDeTiempo: () => {
+      ultimaMarca = Math.max(Date.now(), ultimaMarca + 1);
+      return new Date(ultimaMarca);
+    },
+    incrementar: (cantidad) => new Incremento(cantidad),
+    borrarCampo: () => new Borrado(),
+  };
+};
@@ -0,0 +1,58 @@
+import { t } from "../i18n";
+import { normalizarNombre } from "./reglas";
+
+/**
+ * Asignación automática de solicitudes "llévenme desde X" sin vehículo elegido.
+ * ------------------------------------------------------------
+ * Arma la propuesta que revisa el organizador; no escribe nada. Al confirmarla,
+ * el repositorio convierte cada solicitud en reserva con `asignarSolicitudes`.
+ */
+
+// Los grupos (mismo `grupo` y mismo punto) van juntos en un solo vehículo; se
+// acomodan primero los grupos grandes y cada uno va al vehículo propio del mismo
+// punto de encuentro donde quepa más justo, para dejar espacio a los siguientes.
+// `libres(vehiculo)` da los asientos de ida libres.
+export const asignarSolicitudes = (solicitudes, vehiculos, libres) => {
+  const grupos = [];
+  solicitudes.forEach((solicitud) => {
+    const clave = solicitud.grupo
+      ? `${normalizarNombre(solicitud.grupo)}|${solicitud.puntoEncuentro}`
+      : `solo|${solicitud.id}`;
+    const grupo = grupos.find((g) => g.clave === clave);
+    if (grupo) grupo.solicitudes.push(solicitud);
+    else grupos.push({ clave, puntoEncuentro: solicitud.puntoEncuentro, solicitudes: [solicitud] });
+  });
+
+  const disponibles = new Map(
+    vehiculos
+      .filter((v) => v.tipoVehiculo === "propio" && !v.retirado)
+      .map((v) => [v.id, libres(v)])
+  );
+  const porVehiculo = new Map();
+  const sinAsignar = [];
+
+  // sort es estable: a igual tamaño se respeta el orden de llegada
+  [...grupos].sort((a, b) => b.solicitudes.length - a.solicitudes.length).forEach((grupo) => {
+    const tamano = grupo.solicitudes.length;
+    const candidatos = vehiculos.filter((v) =>
+      disponibles.has(v.id) && v.puntoEncuentro === grupo.puntoEncuentro && disponibles.get(v.id) >= tamano
+    );
+    if (candidatos.length === 0) {
+      const hayEnElPunto = vehiculos.some((v) => disponibles.has(v.id) && v.puntoEncuentro === grupo.puntoEncuentro);
+      const motivo = !hayEnElPunto
+        ? t("asignacion.sinVehiculos")
+        : tamano > 1
+          ? t("asignacion.sinLugarGrupo", { tamano })
+          : t("asignacion.llenos");
+      grupo.solicitudes.forEach((solicitud) => sinAsignar.push({ solicitud, motivo }));
+      return;
+    }
+
+    const elegido = candidatos.reduce((mejor, v) => (disponibles.get(v.id) < disponibles.get(mejor.id) ? v : mejor));
+    disponibles.set(elegido.id, disponibles.get(elegido.id) - tamano);
+    if (!porVehiculo.has(elegido.id)) porVehiculo.set(elegido.id, { vehiculo: elegido, solicitudes: [] });
+    porVehiculo.get(elegido.id).solicitudes.push(...grupo.solicitudes);
+  });
+
+  return { asignaciones: [...porVehiculo.values()], sinAsignar };
+};
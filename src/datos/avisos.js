@@ -0,0 +1,115 @@
+import { t, unirLista } from "../i18n";
+import { TIPO_POR_COLECCION } from "./reglas";
+
+/**
+ * Avisos: cambios en vehículos y reservas que le interesan a cada participante.
+ * ------------------------------------------------------------
+ * Con la app abierta, los listeners guardan lo que cambió en cada snapshot (con
+ * el documento de antes) y detectarAvisos decide qué le toca saber a quien usa
+ * el dispositivo. Con la app cerrada, el envío push (functions/) arma los mismos
+ * cambios desde el trigger de Firestore con prepararAvisosPush y usa
+ * detectarAvisos para cada interesado.
+ */
+
+// Eventos que cada participante puede activar; su texto es avisos.eventos.<evento>
+export const EVENTOS_AVISO = ["pasajeroNuevo", "pasajeroCancelo", "vehiculoEditado", "vehiculoRetirado", "microbusConfirmado"];
+
+// Preferencias de quien todavía no eligió (participantes/{uid}.avisos): todo activo
+export const PREFERENCIAS_AVISOS_VACIAS = Object.fromEntries(EVENTOS_AVISO.map((evento) => [evento, true]));
+
+// Campos del vehículo que el pasajero necesita saber si cambian; texto en avisos.campos.<campo>
+export const CAMPOS_AVISO = ["horaSalida", "horaRegreso", "puntoEncuentro", "ubicacion", "notas", "telefono"];
+
+// Cambios de una suscripción del repositorio junto al documento anterior. Se
+// ignoran las escrituras propias que el servidor aún no confirma.
+export const leerCambios = (coleccion, { cambios }, anteriores) =>
+  cambios
+    .filter((cambio) => !cambio.pendiente)
+    .map((cambio) => ({
+      coleccion,
+      tipo: cambio.tipo,
+      antes: anteriores.get(cambio.id) || null,
+      despues: cambio.datos,
+    }));
+
+// Una lista vacía salida de la caché no dice nada: no hay con qué comparar todavía
+export const documentosConocidos = ({ docs, desdeCache }) =>
+  desdeCache && docs.length === 0 ? null : new Map(docs.map((d) => [d.id, d]));
+
+// Convierte cambios en avisos para `uid`: al conductor le interesan sus pasajeros,
+// al pasajero el vehículo en el que va. Lo que hace el propio usuario no se avisa.
+export const detectarAvisos = (cambios, { uid, vehiculos, reservas }) => {
+  if (!uid) return [];
+  const vehiculoPorId = new Map(vehiculos.map((v) => [v.id, v]));
+  // Si borran el vehículo también se borra la reserva: cuenta la de antes
+  const misReservas = [
+    ...reservas,
+    ...cambios.filter((c) => c.tipo === "removed" && c.coleccion !== "vehiculos").map((c) => c.antes),
+  ].filter((reserva) => reserva?.uid === uid);
+  const voyEn = new Set(misReservas.map((reserva) => reserva.vehiculoId));
+  const avisos = [];
+  const avisar = (evento, titulo, mensaje) => avisos.push({ evento, titulo, mensaje });
+
+  cambios.forEach(({ coleccion, tipo, antes, despues }) => {
+    if (coleccion === "vehiculos") {
+      const vehiculo = despues || antes;
+      if (!vehiculo || !voyEn.has(vehiculo.id) || vehiculo.uid === uid) return;
+      const nombre = t(vehiculo.tipoVehiculo === "renta" ? "avisos.elMicrobusDe" : "avisos.elVehiculoDe", { propietario: vehiculo.propietario });
+
+      if (tipo === "removed" || (despues.retirado && !antes?.retirado)) {
+        avisar("vehiculoRetirado", t("avisos.retiradoTitulo"), t("avisos.retiradoMensaje", { nombre }));
+      } else if (despues.estado === "cancelado" && antes?.estado !== "cancelado") {
+        avisar("vehiculoRetirado", t("avisos.canceladoTitulo"), t("avisos.canceladoMensaje", { nombre }));
+      } else if (despues.estado === "confirmado" && antes?.estado !== "confirmado") {
+        avisar("microbusConfirmado", t("avisos.confirmadoTitulo"), t("avisos.confirmadoMensaje", { nombre }));
+      } else if (antes) {
+        const cambiados = CAMPOS_AVISO
+          .filter((campo) => JSON.stringify(antes[campo] ?? null) !== JSON.stringify(despues[campo] ?? null));
+        if (cambiados.length > 0) {
+          avisar(
+            "vehiculoEditado",
+            t("avisos.editadoTitulo"),
+            t("avisos.editadoMensaje", { nombre, campos: unirLista(cambiados.map((campo) => t(`avisos.campos.${campo}`))) })
+          );
+        }
+      }
+      return;
+    }
+
+    const reserva = despues || antes;
+    const vehiculo = reserva && vehiculoPorId.get(reserva.vehiculoId);
+    if (!vehiculo || vehiculo.uid !== uid || reserva.uid === uid) return;
+    const quien = reserva.acompanantes?.length ? `${reserva.pasajero} (+${reserva.acompanantes.length})` : reserva.pasajero;
+
+    if (tipo === "added") {
+      avisar("pasajeroNuevo", t("avisos.nuevoTitulo"), t("avisos.nuevoMensaje", { quien }));
+    } else if (tipo === "removed") {
+      avisar("pasajeroCancelo", t("avisos.canceloTitulo"), t("avisos.canceloMensaje", { quien }));
+    }
+  });
+
+  return avisos;
+};
+
+// Para el envío push de un documento que cambió: a quiénes puede interesarles y
+// con qué cambios y vehículos llamar a detectarAvisos por cada uno. `vehiculo`
+// es el vehículo del documento tal como quedó (null si ya no existe) y
+// `reservas` las que tiene ahora, de ambas colecciones.
+export const prepararAvisosPush = (cambio, { vehiculo, reservas }) => {
+  const vehiculos = vehiculo ? [vehiculo] : [];
+  if (cambio.coleccion === "vehiculos") {
+    return { uids: [...new Set(reservas.map((reserva) => reserva.uid))], cambios: [cambio], vehiculos };
+  }
+  if (vehiculo) return { uids: [vehiculo.uid], cambios: [cambio], vehiculos };
+
+  // Al borrar un vehículo se borran sus reservas en la misma transacción: cuando
+  // llega la de la reserva el vehículo ya no está, y el pasajero se entera del retiro
+  const reserva = cambio.antes;
+  if (cambio.tipo !== "removed") return { uids: [], cambios: [], vehiculos };
+  const retirado = { id: reserva.vehiculoId, propietario: reserva.propietario, tipoVehiculo: TIPO_POR_COLECCION[cambio.coleccion] };
+  return {
+    uids: [reserva.uid],
+    cambios: [{ coleccion: "vehiculos", tipo: "removed", antes: retirado, despues: null }, cambio],
+    vehiculos,
+  };
+};
@@ -0,0 +1,75 @@
+import { initializeApp, getApps } from "firebase/app";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
+import {
+  getFirestore,
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+  connectFirestoreEmulator,
+} from "firebase/firestore";
+import { getMessaging, getToken, deleteToken, isSupported } from "firebase/messaging";
+import { crearAdaptadorFirestore } from "./adaptadorFirestore";
+
+/**
+ * Conexión a Firebase de la app.
+ * ------------------------------------------------------------
+ * Exporta la sesión (`auth`), el adaptador de datos y el token push del
+ * dispositivo. App.jsx no toca Firestore directamente: todo pasa por
+ * `adaptador`, así las pruebas pueden cambiar este módulo por el adaptador en memoria.
+ */
+
+// 1) Configuración de Firebase desde variables de entorno
+const FIREBASE_CONFIG = {
+  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+  appId: import.meta.env.VITE_FIREBASE_APP_ID,
+};
+
+// Debug: Verificar que las variables de entorno se cargan correctamente
+console.log("Firebase Config:", {
+  apiKey: import.meta.env.VITE_FIREBASE_API_KEY ? "✅ Cargada" : "❌ No encontrada",
+  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN ? "✅ Cargada" : "❌ No encontrada",
+  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID ? "✅ Cargada" : "❌ No encontrada",
+});
+
+// 2) Inicializa Firebase (evita doble init en hot reload)
+// La caché persistente guarda en IndexedDB lo último que se vio, así que el
+// viaje se puede consultar sin señal (en el estacionamiento, en la carretera).
+const primeraCarga = !getApps().length;
+const app = primeraCarga ? initializeApp(FIREBASE_CONFIG) : getApps()[0];
+const db = primeraCarga
+  ? initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) })
+  : getFirestore(app);
+export const auth = getAuth(app);
+
+// Emuladores locales (firebase emulators:start) para probar sin conexión
+if (import.meta.env.VITE_USE_FIREBASE_EMULATORS === "true") {
+  connectAuthEmulator(auth, "http://127.0.0.1:9099", { disableWarnings: true });
+  connectFirestoreEmulator(db, "127.0.0.1", 8080);
+}
+
+export const adaptador = crearAdaptadorFirestore(db);
+
+// 3) Push: token de Firebase Cloud Messaging de este dispositivo, ligado al
+// service worker de la PWA (public/avisos-sw.js muestra lo que llega). Sin
+// soporte o sin service worker (en `npm run dev`) devuelve null.
+const registroPush = async () => {
+  if (!(await isSupported())) return null;
+  return (await navigator.serviceWorker.getRegistration()) ?? null;
+};
+
+export const pedirTokenPush = async () => {
+  const registro = await registroPush();
+  if (!registro) return null;
+  return getToken(getMessaging(app), {
+    vapidKey: import.meta.env.VITE_FIREBASE_VAPID_KEY,
+    serviceWorkerRegistration: registro,
+  });
+};
+
+export const soltarTokenPush = async () => {
+  if (await registroPush()) await deleteToken(getMessaging(app));
+};
@@ -0,0 +1,168 @@
+import { t } from "../i18n";
+import { limpiarNombre, normalizarNombre, esMismoNombre, OTRO_LUGAR } from "./reglas";
+
+/**
+ * Importación masiva desde CSV: la lista de conductores y pasajeros ya asignados.
+ * ------------------------------------------------------------
+ * Lee el archivo y arma un plan (vehículos nuevos, pasajeros que se suman y
+ * errores por línea) sin escribir nada; el repositorio lo guarda con `importar`.
+ */
+
+// Columnas: rol (conductor | pasajero), nombre, telefono, asientos, punto, salida,
+// notas, tipo (propio | microbus) y, para pasajeros, conductor.
+const TIPOS_IMPORTACION = { propio: "propio", "": "propio", microbus: "renta", renta: "renta" };
+const COLUMNAS_IMPORTACION = { "punto de encuentro": "punto", "hora de salida": "salida", "telefono": "telefono" };
+
+// CSV con comillas dobles ("" escapa una comilla) y saltos de línea dentro de comillas.
+// Acepta ";" como separador si el encabezado lo usa (Excel en español exporta así).
+export const parsearCsv = (texto) => {
+  const filas = [];
+  let fila = [];
+  let celda = "";
+  let enComillas = false;
+  const limpio = texto.replace(/^\uFEFF/, "");
+  const encabezado = limpio.split(/\r?\n/, 1)[0];
+  const separador = encabezado.includes(";") && !encabezado.includes(",") ? ";" : ",";
+  for (let i = 0; i < limpio.length; i++) {
+    const caracter = limpio[i];
+    if (enComillas) {
+      if (caracter === '"' && limpio[i + 1] === '"') {
+        celda += '"';
+        i++;
+      } else if (caracter === '"') {
+        enComillas = false;
+      } else {
+        celda += caracter;
+      }
+    } else if (caracter === '"') {
+      enComillas = true;
+    } else if (caracter === separador) {
+      fila.push(celda);
+      celda = "";
+    } else if (caracter === "\n" || caracter === "\r") {
+      if (caracter === "\r" && limpio[i + 1] === "\n") i++;
+      fila.push(celda);
+      filas.push(fila);
+      fila = [];
+      celda = "";
+    } else {
+      celda += caracter;
+    }
+  }
+  if (celda !== "" || fila.length > 0) {
+    fila.push(celda);
+    filas.push(fila);
+  }
+  return filas;
+};
+
+// Objetos { linea, rol, nombre, ... } con los encabezados normalizados; omite filas vacías
+export const leerFilasImportacion = (texto) => {
+  const [encabezados = [], ...filas] = parsearCsv(texto);
+  const claves = encabezados.map((titulo) => {
+    const clave = normalizarNombre(titulo);
+    return COLUMNAS_IMPORTACION[clave] || clave;
+  });
+  return filas
+    .map((celdas, indice) => ({
+      linea: indice + 2,
+      ...Object.fromEntries(claves.map((clave, i) => [clave, limpiarNombre(celdas[i] || "")])),
+    }))
+    .filter((fila) => claves.some((clave) => fila[clave]));
+};
+
+// Simulación de la importación: qué vehículos se crearían, a cuáles se suman
+// pasajeros y qué filas tienen errores. No escribe nada.
+// `ocupados(vehiculo)` da los asientos de ida ya tomados en un vehículo existente.
+export const planificarImportacion = (filas, { vehiculos, getReservasVehiculo, ocupados, puntos }) => {
+  const errores = [];
+  const avisos = [];
+  const destinos = [];
+  const error = (linea, mensaje) => errores.push({ linea, mensaje });
+  const buscarDestino = (nombre) => destinos.find((d) => esMismoNombre(d.vehiculo.propietario, nombre));
+
+  filas.filter((fila) => normalizarNombre(fila.rol) === "conductor").forEach((fila) => {
+    const tipoVehiculo = TIPOS_IMPORTACION[normalizarNombre(fila.tipo)];
+    const asientos = Number(fila.asientos);
+    if (!fila.nombre) return error(fila.linea, t("importacion.errores.conductorSinNombre"));
+    if (!tipoVehiculo) return error(fila.linea, t("importacion.errores.tipoDesconocido", { tipo: fila.tipo }));
+    if (!Number.isInteger(asientos) || asientos < 1 || asientos > 50) {
+      return error(fila.linea, t("importacion.errores.asientosFuera", { nombre: fila.nombre }));
+    }
+    if (fila.salida && !/^[0-2]\d:[0-5]\d$/.test(fila.salida)) {
+      return error(fila.linea, t("importacion.errores.horaInvalida", { nombre: fila.nombre }));
+    }
+    if (buscarDestino(fila.nombre)?.nuevo) {
+      return error(fila.linea, t("importacion.errores.conductorRepetido", { nombre: fila.nombre }));
+    }
+    const existente = vehiculos.find(v => !v.retirado && v.tipoVehiculo === tipoVehiculo && esMismoNombre(v.propietario, fila.nombre));
+    if (existente) {
+      avisos.push({ linea: fila.linea, mensaje: t("importacion.errores.conductorExistente", { nombre: fila.nombre }) });
+      if (!buscarDestino(fila.nombre)) destinos.push({ nuevo: false, vehiculo: existente, pasajeros: [] });
+      return;
+    }
+
+    const puntoEncuentro = fila.punto || OTRO_LUGAR;
+    if (fila.punto && !puntos.some(p => p.nombre === fila.punto)) {
+      avisos.push({ linea: fila.linea, mensaje: t("importacion.errores.puntoDesconocido", { punto: fila.punto }) });
+    }
+    destinos.push({
+      nuevo: true,
+      linea: fila.linea,
+      vehiculo: {
+        propietario: fila.nombre,
+        ...(fila.telefono && { telefono: fila.telefono }),
+        asientosDisponibles: asientos,
+        puntoEncuentro,
+        ...(fila.salida && { horaSalida: fila.salida }),
+        tipoVehiculo,
+        notas: fila.notas || "",
+        ...(tipoVehiculo === "renta" && { estado: "reuniendo" }),
+      },
+      pasajeros: [],
+    });
+  });
+
+  filas.filter((fila) => normalizarNombre(fila.rol) === "pasajero").forEach((fila) => {
+    if (!fila.nombre) return error(fila.linea, t("importacion.errores.pasajeroSinNombre"));
+    if (!fila.conductor) return error(fila.linea, t("importacion.errores.sinConductor", { nombre: fila.nombre }));
+    let destino = buscarDestino(fila.conductor);
+    if (!destino) {
+      // Conductor que no viene en el CSV pero ya ofreció su vehículo en el viaje
+      const existente = vehiculos.find(v => !v.retirado && esMismoNombre(v.propietario, fila.conductor));
+      if (!existente) return error(fila.linea, t("importacion.errores.conductorNoExiste", { nombre: fila.nombre, conductor: fila.conductor }));
+      destino = { nuevo: false, vehiculo: existente, pasajeros: [] };
+      destinos.push(destino);
+    }
+    if (destinos.some(d => d.pasajeros.some(p => esMismoNombre(p.pasajero, fila.nombre)))) {
+      return error(fila.linea, t("importacion.errores.pasajeroRepetido", { nombre: fila.nombre }));
+    }
+    if (!destino.nuevo && getReservasVehiculo(destino.vehiculo).some(r => esMismoNombre(r.pasajero, fila.nombre))) {
+      avisos.push({ linea: fila.linea, mensaje: t("importacion.errores.pasajeroExistente", { nombre: fila.nombre, conductor: destino.vehiculo.propietario }) });
+      return;
+    }
+    destino.pasajeros.push({ linea: fila.linea, pasajero: fila.nombre, ...(fila.telefono && { telefono: fila.telefono }) });
+  });
+
+  filas
+    .filter((fila) => !["conductor", "pasajero"].includes(normalizarNombre(fila.rol)))
+    .forEach((fila) => error(fila.linea, t("importacion.errores.rolDesconocido", { rol: fila.rol })));
+
+  destinos.forEach((destino) => {
+    destino.ocupados = destino.nuevo ? 0 : ocupados(destino.vehiculo);
+    const total = destino.ocupados + destino.pasajeros.length;
+    if (destino.pasajeros.length > 0 && total > destino.vehiculo.asientosDisponibles) {
+      error(destino.linea ?? destino.pasajeros[0].linea, t("importacion.errores.sobrecupo", {
+        conductor: destino.vehiculo.propietario,
+        total,
+        asientos: destino.vehiculo.asientosDisponibles,
+      }));
+    }
+  });
+
+  return {
+    vehiculos: destinos.filter((d) => d.nuevo || d.pasajeros.length > 0),
+    errores: errores.sort((a, b) => a.linea - b.linea),
+    avisos: avisos.sort((a, b) => a.linea - b.linea),
+  };
+};
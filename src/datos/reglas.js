@@ -0,0 +1,205 @@
+import { t } from "../i18n";
+
+/**
+ * Reglas de reserva, sin Firestore ni React.
+ * ------------------------------------------------------------
+ * Deciden si una reserva cabe (capacidad por tramo), si está repetida y quién
+ * puede tocar qué. El repositorio las aplica dentro de cada transacción y la
+ * UI las usa para avisar antes de intentar; las reglas de Firestore repiten
+ * las mismas validaciones del lado del servidor.
+ */
+
+// Error de reserva con un código que la UI puede traducir a un mensaje claro
+export class ReservaError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "ReservaError";
+    this.code = code;
+  }
+}
+
+export const TIPO_POR_COLECCION = {
+  reservas: "propio",
+  reservasMicrobus: "renta",
+};
+
+export const COLECCION_POR_TIPO = {
+  propio: "reservas",
+  renta: "reservasMicrobus",
+};
+
+// Id determinístico de la reserva: una por usuario y vehículo
+export const idReserva = (vehiculoId, uid) => `${vehiculoId}_${uid}`;
+
+// Punto de encuentro que el conductor marca en el mapa; la UI lo muestra traducido
+export const OTRO_LUGAR = "Otro lugar a acordar";
+
+// Nombre tal como se guarda: sin espacios de más
+export const limpiarNombre = (nombre) => nombre.trim().replace(/\s+/g, " ");
+
+// Clave para comparar nombres: "Jonathan Gómez " y "jonathan gomez" son la misma persona
+export const normalizarNombre = (nombre = "") =>
+  limpiarNombre(nombre)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+export const esMismoNombre = (a, b) => normalizarNombre(a) !== "" && normalizarNombre(a) === normalizarNombre(b);
+
+// "Volcán de Santa Ana" -> "volcan-de-santa-ana"
+export const aSlug = (texto) => normalizarNombre(texto).replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+// Los pasajeros importados no tienen sesión: se les da un uid fijo por nombre
+export const uidImportado = (pasajero) => `importado-${aSlug(pasajero)}`;
+
+// Tramos de un viaje: la ida siempre; el regreso solo si el vehículo lo ofrece,
+// con sus propios asientos y su propio contador.
+export const TRAMOS = ["ida", "regreso"];
+export const CONTADOR_TRAMO = { ida: "asientosOcupados", regreso: "asientosOcupadosRegreso" };
+
+// Reservas y esperas anteriores a los tramos son solo de ida
+export const getTramos = (registro) => (registro.tramos?.length ? registro.tramos : ["ida"]);
+
+export const ofreceRegreso = (vehiculo) => vehiculo.asientosRegreso != null;
+
+export const getCapacidadTramo = (vehiculo, tramo) =>
+  tramo === "ida" ? vehiculo.asientosDisponibles : vehiculo.asientosRegreso ?? 0;
+
+// Reserva de grupo: quien reserva ocupa un asiento y cada acompañante otro.
+// Solo quien hizo la reserva puede quitar acompañantes o cancelarla entera.
+export const MAX_ACOMPANANTES = 9;
+export const asientosDeReserva = (reserva) => 1 + (reserva.acompanantes?.length || 0);
+export const contarAsientos = (lista) => lista.reduce((total, reserva) => total + asientosDeReserva(reserva), 0);
+export const nombresDeReserva = (reserva) => [reserva.pasajero, ...(reserva.acompanantes || [])];
+
+// "Luis, Eva Pérez" -> ["Luis", "Eva Pérez"]
+export const leerAcompanantes = (texto) => texto.split(/[,\n]/).map(limpiarNombre).filter(Boolean);
+
+// Un grupo no pasa del máximo ni repite nombres (contando a quien reserva).
+// Devuelve "maximo", "repetidos" o null si está bien.
+export const errorDeGrupo = (nombre, acompanantes) => {
+  if (acompanantes.length > MAX_ACOMPANANTES) return "maximo";
+  const nombres = [nombre, ...acompanantes].map(normalizarNombre);
+  return new Set(nombres).size !== nombres.length ? "repetidos" : null;
+};
+
+// Asientos ocupados en un tramo según las reservas del vehículo (un grupo ocupa varios)
+export const asientosOcupadosEnTramo = (reservasVehiculo, tramo = "ida") =>
+  contarAsientos(reservasVehiculo.filter((reserva) => getTramos(reserva).includes(tramo)));
+
+export const hayLugarEnTramos = (vehiculo, reservasVehiculo, tramos, asientos = 1) =>
+  tramos.every((tramo) => asientosOcupadosEnTramo(reservasVehiculo, tramo) + asientos <= getCapacidadTramo(vehiculo, tramo));
+
+// Dueño de una reserva, espera o vehículo: quien lo creó con su sesión
+export const esDeUsuario = (registro, uid) => Boolean(uid) && registro?.uid === uid;
+
+// El dueño del vehículo y el organizador lo editan, cambian su estado o lo retiran
+export const puedeGestionarVehiculo = (vehiculo, uid, esOrganizador) => esOrganizador || esDeUsuario(vehiculo, uid);
+
+// Solo quien hizo la reserva la cancela o cambia sus acompañantes; el organizador
+// la mueve o la borra desde su panel
+export const puedeCancelarReserva = (reserva, uid, esOrganizador = false) => esOrganizador || esDeUsuario(reserva, uid);
+
+export const deltasTramos = (tramos, delta) => Object.fromEntries(tramos.map((tramo) => [tramo, delta]));
+
+// Nuevos valores de los contadores tras sumar `deltas` ({ ida: 1, regreso: -1 }).
+// Devuelve null si algún tramo se pasa de su capacidad.
+export const ajustarContadores = (vehiculo, deltas) => {
+  const cambios = {};
+  for (const [tramo, delta] of Object.entries(deltas)) {
+    const campo = CONTADOR_TRAMO[tramo];
+    if (delta < 0) {
+      if (vehiculo[campo] > 0) cambios[campo] = Math.max(vehiculo[campo] + delta, 0);
+    } else if (delta > 0) {
+      const valor = (vehiculo[campo] ?? 0) + delta;
+      if (valor > getCapacidadTramo(vehiculo, tramo)) return null;
+      cambios[campo] = valor;
+    }
+  }
+  return cambios;
+};
+
+// Sin mínimo configurado se mantiene la regla original: llenar todos los asientos
+export const getMinimoPasajeros = (microbus) => microbus.minimoPasajeros ?? microbus.asientosDisponibles;
+
+// Ciclo de vida del microbus rentado. `estado` guarda las decisiones del
+// organizador (confirmado/cancelado); el resto se deriva de los pasajeros.
+// Pasada la `fechaLimite` (milisegundos) sin el mínimo cuenta como cancelado,
+// aunque functions/ todavía no lo haya guardado.
+export const getEstadoMicrobus = (microbus, ocupados, ahora = new Date()) => {
+  if (microbus.estado === "cancelado" || microbus.estado === "confirmado") {
+    return microbus.estado;
+  }
+  if (ocupados >= getMinimoPasajeros(microbus)) {
+    return "minimoAlcanzado";
+  }
+  if (microbus.fechaLimite && new Date(microbus.fechaLimite) < ahora) {
+    return "cancelado";
+  }
+  return "reuniendo";
+};
+
+// Cancelado por el organizador o, si es microbus, por llegar a la fecha límite sin el mínimo
+export const vehiculoCancelado = (vehiculo, ahora = new Date()) =>
+  vehiculo.tipoVehiculo === "renta"
+    ? getEstadoMicrobus(vehiculo, vehiculo.asientosOcupados ?? 0, ahora) === "cancelado"
+    : vehiculo.estado === "cancelado";
+
+// El vehículo existe, es del tipo de la colección, no fue retirado y, si es
+// microbus, no está cancelado. `destino` cambia el mensaje al mover o cambiar de vehículo.
+export const comprobarVehiculo = (vehiculo, coleccion, { destino = false, ahora = new Date() } = {}) => {
+  if (!vehiculo || vehiculo.retirado || vehiculo.tipoVehiculo !== TIPO_POR_COLECCION[coleccion]) {
+    throw new ReservaError("vehiculo-no-existe", t(destino ? "errores.destinoNoExiste" : "errores.vehiculoNoExiste"));
+  }
+  if (vehiculoCancelado(vehiculo, ahora)) {
+    throw new ReservaError("microbus-cancelado", t("errores.microbusCancelado"));
+  }
+};
+
+// Contadores tras ocupar `asientos` en cada tramo, o ReservaError si no caben
+export const ocuparAsientos = (vehiculo, tramos, asientos, { destino = false } = {}) => {
+  if (tramos.includes("regreso") && !ofreceRegreso(vehiculo)) {
+    throw new ReservaError("sin-regreso", t("errores.sinRegreso"));
+  }
+  const contadores = ajustarContadores(vehiculo, deltasTramos(tramos, asientos));
+  if (!contadores) {
+    const grupo = destino ? "errores.destinoSinLugarGrupo" : "errores.sinLugarGrupo";
+    throw new ReservaError("vehiculo-lleno", asientos > 1 ? t(grupo, { asientos }) : t("errores.ultimoAsiento"));
+  }
+  return contadores;
+};
+
+// Una reserva nueva: vehículo abierto, sin reserva previa del mismo usuario y con
+// lugar en todos sus tramos. Devuelve los contadores que hay que escribir.
+export const validarReserva = (vehiculo, coleccion, datos, { yaReservado = false, ahora = new Date() } = {}) => {
+  comprobarVehiculo(vehiculo, coleccion, { ahora });
+  if (yaReservado) {
+    throw new ReservaError("reserva-duplicada", t("errores.reservaDuplicada"));
+  }
+  return ocuparAsientos(vehiculo, getTramos(datos), asientosDeReserva(datos));
+};
+
+// Edición de un vehículo sin dejar pasajeros fuera: no baja de los asientos ocupados
+// en ningún tramo, no quita el regreso si alguien lo reservó y no cambia de tipo
+// mientras tenga reservas. Devuelve lo que hay que escribir; `asientosRegreso: null`
+// quita el regreso y también su contador.
+export const validarEdicionVehiculo = (vehiculo, cambios) => {
+  const ocupados = vehiculo.asientosOcupados ?? 0;
+  if (cambios.asientosDisponibles < ocupados) {
+    throw new ReservaError("asientos-insuficientes", t("errores.yaTienePasajeros", { ocupados }));
+  }
+  if (cambios.tipoVehiculo && cambios.tipoVehiculo !== vehiculo.tipoVehiculo && ocupados > 0) {
+    throw new ReservaError("tipo-con-reservas", t("errores.tipoConReservas"));
+  }
+  const ocupadosRegreso = vehiculo.asientosOcupadosRegreso ?? 0;
+  if (cambios.asientosRegreso !== undefined && (cambios.asientosRegreso ?? 0) < ocupadosRegreso) {
+    throw new ReservaError("asientos-insuficientes", t("errores.regresoTienePasajeros", { ocupados: ocupadosRegreso }));
+  }
+  return {
+    ...cambios,
+    asientosOcupados: ocupados,
+    ...(cambios.asientosRegreso !== undefined && {
+      asientosOcupadosRegreso: cambios.asientosRegreso === null ? null : ocupadosRegreso,
+    }),
+  };
+};
@@ -0,0 +1,500 @@
+import { t } from "../i18n";
+import {
+  ReservaError,
+  COLECCION_POR_TIPO,
+  TIPO_POR_COLECCION,
+  TRAMOS,
+  idReserva,
+  uidImportado,
+  getTramos,
+  asientosDeReserva,
+  deltasTramos,
+  ajustarContadores,
+  vehiculoCancelado,
+  comprobarVehiculo,
+  ocuparAsientos,
+  validarReserva,
+  validarEdicionVehiculo,
+} from "./reglas";
+
+/**
+ * Repositorio de un viaje: vehículos, reservas, reservas de microbus, listas de
+ * espera y solicitudes de ride; además, las preferencias de avisos de cada participante.
+ * ------------------------------------------------------------
+ * Todo pasa por un adaptador (Firestore en la app, memoria en las pruebas) con
+ * la misma interfaz: escuchar, escucharDocumento, transaccion, lote, leer,
+ * agregar, guardar, actualizar, borrar, nuevoId, marcaDeTiempo, incrementar y
+ * borrarCampo. Las operaciones que
+ * mueven asientos son transacciones: `asientosOcupados` es el contador del
+ * vehículo y el id de la reserva se deriva del uid del pasajero, así que dos
+ * personas no pueden tomar el mismo último asiento ni reservar dos veces.
+ */
+
+// Rutas dentro de un viaje: viajes/{viajeId}/{coleccion}/{id}
+const ruta = (viajeId, coleccion, id) => `viajes/${viajeId}/${coleccion}${id ? `/${id}` : ""}`;
+
+// Datos personales de avisos: participantes/{uid} y participantes/{uid}/dispositivos/{token}
+const participanteRuta = (uid) => `participantes/${uid}`;
+const dispositivoRuta = (uid, token) => `${participanteRuta(uid)}/dispositivos/${token}`;
+
+export const crearRepositorio = (adaptador) => {
+  const { marcaDeTiempo } = adaptador;
+
+  // Datos de la reserva que recibe alguien que sale de la lista de espera
+  const reservaDesdeEspera = (espera, vehiculo, promovidaDesde) => ({
+    uid: espera.uid,
+    vehiculoId: espera.vehiculoId,
+    pasajero: espera.pasajero,
+    propietario: vehiculo.propietario,
+    ...(vehiculo.tipoVehiculo === "propio" && { puntoEncuentro: vehiculo.puntoEncuentro }),
+    ...(espera.tramos && { tramos: espera.tramos }),
+    promovidaDesde,
+    createdAt: marcaDeTiempo(),
+  });
+
+  // Libera los tramos de una reserva borrada en la misma transacción. Si el
+  // siguiente de la lista de espera cabe en los asientos libres, los recibe;
+  // si no, se descuentan de los contadores. Devuelve el nombre del promovido.
+  // Una reserva de grupo (`asientos` > 1) solo descuenta: la lista de espera se
+  // atiende después con promoverDeEspera. El vehículo nombra la reserva promovida
+  // en `ultimaPromocion` aunque los contadores no cambien: las reglas la buscan
+  // ahí para aceptar el borrado y el movimiento de los contadores.
+  const liberarTramos = (tx, viajeId, coleccion, reservaId, liberados, vehiculoLeido, esperaLeida, asientos = 1) => {
+    if (!vehiculoLeido.existe) return null;
+    const vehiculo = vehiculoLeido.datos;
+    const vehiculoRuta = ruta(viajeId, "vehiculos", vehiculoLeido.id);
+    const aceptaReservas = !vehiculo.retirado && !vehiculoCancelado(vehiculo);
+
+    if (esperaLeida?.existe && aceptaReservas && asientos === 1) {
+      const espera = esperaLeida.datos;
+      const pedidos = getTramos(espera);
+      const deltas = Object.fromEntries(
+        TRAMOS.map((tramo) => [tramo, Number(pedidos.includes(tramo)) - Number(liberados.includes(tramo))])
+      );
+      const contadores = ajustarContadores(vehiculo, deltas);
+      if (contadores) {
+        const promovidaId = idReserva(vehiculoLeido.id, espera.uid);
+        tx.guardar(ruta(viajeId, coleccion, promovidaId), reservaDesdeEspera(espera, vehiculo, reservaId));
+        tx.borrar(ruta(viajeId, "esperas", esperaLeida.id));
+        tx.actualizar(vehiculoRuta, { ...contadores, ultimaPromocion: promovidaId });
+        return espera.pasajero;
+      }
+    }
+
+    const contadores = ajustarContadores(vehiculo, deltasTramos(liberados, -asientos));
+    if (Object.keys(contadores).length > 0) tx.actualizar(vehiculoRuta, contadores);
+    return null;
+  };
+
+  // Mueve reservas a otro vehículo del mismo tipo dentro de una transacción,
+  // verificando capacidad y duplicados y ajustando los contadores de cada origen
+  const moverEnTransaccion = async (tx, viajeId, coleccion, reservasAMover, destinoId) => {
+    const destinoRuta = ruta(viajeId, "vehiculos", destinoId);
+    const destinoLeido = await tx.leer(destinoRuta);
+    if (!destinoLeido.existe || destinoLeido.datos.tipoVehiculo !== TIPO_POR_COLECCION[coleccion]) {
+      throw new ReservaError("vehiculo-no-existe", t("errores.destinoNoExiste"));
+    }
+
+    const movimientos = [];
+    for (const reserva of reservasAMover) {
+      const reservaRuta = ruta(viajeId, coleccion, reserva.id);
+      const nuevaRuta = ruta(viajeId, coleccion, idReserva(destinoId, reserva.uid || reserva.id));
+      const anterior = await tx.leer(reservaRuta);
+      const nueva = await tx.leer(nuevaRuta);
+      if (nueva.existe) {
+        throw new ReservaError("reserva-duplicada", t("errores.pasajeroYaEnDestino", { pasajero: reserva.pasajero }));
+      }
+      if (anterior.existe) {
+        movimientos.push({ reservaRuta, nuevaRuta, data: anterior.datos });
+      }
+    }
+
+    // Asientos por tramo que llegan al destino y que se liberan en cada origen
+    const sumarTramos = (cuenta, data, delta) => {
+      getTramos(data).forEach((tramo) => {
+        cuenta[tramo] = (cuenta[tramo] || 0) + delta * asientosDeReserva(data);
+      });
+      return cuenta;
+    };
+    const llegan = movimientos.reduce((cuenta, { data }) => sumarTramos(cuenta, data, 1), {});
+    const liberados = {};
+    movimientos.forEach(({ data }) => {
+      liberados[data.vehiculoId] = sumarTramos(liberados[data.vehiculoId] || {}, data, -1);
+    });
+
+    const destino = destinoLeido.datos;
+    const contadoresDestino = ajustarContadores(destino, llegan);
+    if (!contadoresDestino) {
+      throw new ReservaError("vehiculo-lleno", t("errores.destinoLleno"));
+    }
+
+    const origenes = [];
+    for (const origenId of Object.keys(liberados)) {
+      origenes.push(await tx.leer(ruta(viajeId, "vehiculos", origenId)));
+    }
+
+    movimientos.forEach(({ reservaRuta, nuevaRuta, data }) => {
+      tx.borrar(reservaRuta);
+      tx.guardar(nuevaRuta, {
+        ...data,
+        vehiculoId: destinoId,
+        propietario: destino.propietario,
+        ...(data.puntoEncuentro !== undefined && { puntoEncuentro: destino.puntoEncuentro }),
+      });
+    });
+    tx.actualizar(destinoRuta, contadoresDestino);
+    origenes.forEach((origen) => {
+      if (!origen.existe) return;
+      const contadores = ajustarContadores(origen.datos, liberados[origen.id]);
+      if (Object.keys(contadores).length > 0) tx.actualizar(ruta(viajeId, "vehiculos", origen.id), contadores);
+    });
+  };
+
+  return {
+    // Suscripción en tiempo real a una colección del viaje, en orden de llegada
+    escuchar: (viajeId, coleccion, alCambiar, alError, { donde } = {}) =>
+      adaptador.escuchar(ruta(viajeId, coleccion), { donde, ordenarPor: "createdAt" }, alCambiar, alError),
+
+    ofrecerVehiculo: (viajeId, datos) =>
+      adaptador.agregar(ruta(viajeId, "vehiculos"), { ...datos, asientosOcupados: 0, createdAt: marcaDeTiempo() }),
+
+    // Reserva un asiento en cada tramo pedido verificando capacidad y duplicados de forma atómica.
+    reservar: (viajeId, coleccion, datos) => {
+      const vehiculoRuta = ruta(viajeId, "vehiculos", datos.vehiculoId);
+      const reservaRuta = ruta(viajeId, coleccion, idReserva(datos.vehiculoId, datos.uid));
+
+      return adaptador.transaccion(async (tx) => {
+        const vehiculo = await tx.leer(vehiculoRuta);
+        const reserva = await tx.leer(reservaRuta);
+        const contadores = validarReserva(vehiculo.datos, coleccion, datos, { yaReservado: reserva.existe });
+
+        tx.guardar(reservaRuta, { ...datos, createdAt: marcaDeTiempo() });
+        tx.actualizar(vehiculoRuta, contadores);
+      });
+    },
+
+    // Cancela una reserva. Si hay alguien en la lista de espera (`siguienteEsperaId`)
+    // el asiento pasa directo a esa persona; si no, se libera en el contador.
+    // Devuelve el nombre de quien fue promovido, si hubo.
+    cancelar: (viajeId, coleccion, reservaId, vehiculoId, siguienteEsperaId = null) => {
+      const reservaRuta = ruta(viajeId, coleccion, reservaId);
+
+      return adaptador.transaccion(async (tx) => {
+        const vehiculo = await tx.leer(ruta(viajeId, "vehiculos", vehiculoId));
+        const reserva = await tx.leer(reservaRuta);
+        const espera = siguienteEsperaId && await tx.leer(ruta(viajeId, "esperas", siguienteEsperaId));
+        if (!reserva.existe) return null;
+
+        tx.borrar(reservaRuta);
+        return liberarTramos(
+          tx, viajeId, coleccion, reservaId, getTramos(reserva.datos), vehiculo, espera, asientosDeReserva(reserva.datos)
+        );
+      });
+    },
+
+    // Entra a la lista de espera de un vehículo lleno
+    unirseAEspera: (viajeId, coleccion, datos) => {
+      const id = idReserva(datos.vehiculoId, datos.uid);
+
+      return adaptador.transaccion(async (tx) => {
+        const reserva = await tx.leer(ruta(viajeId, coleccion, id));
+        if (reserva.existe) {
+          throw new ReservaError("reserva-duplicada", t("errores.reservaDuplicada"));
+        }
+        tx.guardar(ruta(viajeId, "esperas", id), { ...datos, coleccion, createdAt: marcaDeTiempo() });
+      });
+    },
+
+    salirDeEspera: (viajeId, esperaId) => adaptador.borrar(ruta(viajeId, "esperas", esperaId)),
+
+    // Ocupa un asiento recién liberado (p. ej. el dueño agregó asientos) con el
+    // siguiente de la lista de espera
+    promoverDeEspera: (viajeId, coleccion, vehiculoId, esperaId) => {
+      const vehiculoRuta = ruta(viajeId, "vehiculos", vehiculoId);
+      const esperaRuta = ruta(viajeId, "esperas", esperaId);
+
+      return adaptador.transaccion(async (tx) => {
+        const vehiculoLeido = await tx.leer(vehiculoRuta);
+        const esperaLeida = await tx.leer(esperaRuta);
+        if (!vehiculoLeido.existe || !esperaLeida.existe) return null;
+
+        const vehiculo = vehiculoLeido.datos;
+        const espera = esperaLeida.datos;
+        const contadores = ajustarContadores(vehiculo, deltasTramos(getTramos(espera), 1));
+        if (!contadores || vehiculo.retirado || vehiculoCancelado(vehiculo)) {
+          return null;
+        }
+
+        const promovidaId = idReserva(vehiculoId, espera.uid);
+        tx.guardar(ruta(viajeId, coleccion, promovidaId), reservaDesdeEspera(espera, vehiculo, null));
+        tx.borrar(esperaRuta);
+        tx.actualizar(vehiculoRuta, { ...contadores, ultimaPromocion: promovidaId });
+        return espera.pasajero;
+      });
+    },
+
+    // "Llévenme desde X": una solicitud por persona, sin vehículo elegido
+    pedirRide: (viajeId, datos) =>
+      adaptador.guardar(ruta(viajeId, "solicitudes", datos.uid), { ...datos, createdAt: marcaDeTiempo() }),
+
+    retirarSolicitud: (viajeId, solicitudId) => adaptador.borrar(ruta(viajeId, "solicitudes", solicitudId)),
+
+    // Edita un vehículo (organizador o su dueño) sin dejar pasajeros fuera (ver validarEdicionVehiculo)
+    editarVehiculo: (viajeId, vehiculoId, cambios) => {
+      const vehiculoRuta = ruta(viajeId, "vehiculos", vehiculoId);
+
+      return adaptador.transaccion(async (tx) => {
+        const vehiculo = await tx.leer(vehiculoRuta);
+        if (!vehiculo.existe) {
+          throw new ReservaError("vehiculo-no-existe", t("errores.vehiculoNoExiste"));
+        }
+        const aEscribir = validarEdicionVehiculo(vehiculo.datos, cambios);
+        // Sin regreso los campos del tramo se quitan: las reglas no aceptan regreso en un microbus
+        ["asientosRegreso", "asientosOcupadosRegreso"].forEach((campo) => {
+          if (aEscribir[campo] === null) aEscribir[campo] = adaptador.borrarCampo();
+        });
+        tx.actualizar(vehiculoRuta, aEscribir);
+      });
+    },
+
+    // Organizador o dueño del microbus deciden su estado
+    cambiarEstadoMicrobus: (viajeId, microbusId, estado) =>
+      adaptador.actualizar(ruta(viajeId, "vehiculos", microbusId), { estado }),
+
+    // Mueve reservas a otro vehículo del mismo tipo, verificando capacidad y duplicados
+    moverReservas: (viajeId, coleccion, reservasAMover, destinoId) =>
+      adaptador.transaccion((tx) => moverEnTransaccion(tx, viajeId, coleccion, reservasAMover, destinoId)),
+
+    // El pasajero cambia su propia reserva a otro vehículo del mismo tipo: libera
+    // sus asientos de origen (o los pasa a la lista de espera) y ocupa los mismos tramos en el destino.
+    cambiarDeVehiculo: (viajeId, coleccion, reserva, destinoId, siguienteEsperaId = null) => {
+      const reservaRuta = ruta(viajeId, coleccion, reserva.id);
+      const destinoRuta = ruta(viajeId, "vehiculos", destinoId);
+      const nuevaRuta = ruta(viajeId, coleccion, idReserva(destinoId, reserva.uid));
+
+      return adaptador.transaccion(async (tx) => {
+        const origen = await tx.leer(ruta(viajeId, "vehiculos", reserva.vehiculoId));
+        const reservaLeida = await tx.leer(reservaRuta);
+        const espera = siguienteEsperaId && await tx.leer(ruta(viajeId, "esperas", siguienteEsperaId));
+        const destinoLeido = await tx.leer(destinoRuta);
+        const nueva = await tx.leer(nuevaRuta);
+
+        if (!reservaLeida.existe) {
+          throw new ReservaError("reserva-no-existe", t("errores.reservaNoExiste"));
+        }
+        comprobarVehiculo(destinoLeido.datos, coleccion, { destino: true });
+        if (nueva.existe) {
+          throw new ReservaError("reserva-duplicada", t("errores.reservaEnDestino"));
+        }
+
+        const destino = destinoLeido.datos;
+        const anterior = reservaLeida.datos;
+        const tramos = getTramos(anterior);
+        const asientos = asientosDeReserva(anterior);
+        const contadores = ocuparAsientos(destino, tramos, asientos, { destino: true });
+
+        // La reserva nueva conserva sus tramos pero no hereda el pago ni los avisos del vehículo anterior
+        tx.borrar(reservaRuta);
+        tx.guardar(nuevaRuta, {
+          uid: anterior.uid,
+          vehiculoId: destinoId,
+          pasajero: anterior.pasajero,
+          ...(anterior.telefono && { telefono: anterior.telefono }),
+          ...(anterior.tramos && { tramos: anterior.tramos }),
+          ...(anterior.acompanantes && { acompanantes: anterior.acompanantes }),
+          propietario: destino.propietario,
+          puntoEncuentro: destino.puntoEncuentro,
+          createdAt: marcaDeTiempo(),
+        });
+        tx.actualizar(destinoRuta, contadores);
+        liberarTramos(tx, viajeId, coleccion, reserva.id, tramos, origen, espera, asientos);
+      });
+    },
+
+    // Quien hizo una reserva de grupo cambia sus acompañantes: los asientos de cada
+    // tramo suben o bajan según la diferencia, sin pasar la capacidad del vehículo.
+    editarAcompanantes: (viajeId, coleccion, reservaId, acompanantes) => {
+      const reservaRuta = ruta(viajeId, coleccion, reservaId);
+
+      return adaptador.transaccion(async (tx) => {
+        const reservaLeida = await tx.leer(reservaRuta);
+        if (!reservaLeida.existe) {
+          throw new ReservaError("reserva-no-existe", t("errores.reservaNoExiste"));
+        }
+        const reserva = reservaLeida.datos;
+        const vehiculoRuta = ruta(viajeId, "vehiculos", reserva.vehiculoId);
+        const vehiculo = await tx.leer(vehiculoRuta);
+        if (!vehiculo.existe) {
+          throw new ReservaError("vehiculo-no-existe", t("errores.vehiculoNoExiste"));
+        }
+
+        const diferencia = acompanantes.length - (reserva.acompanantes?.length || 0);
+        const contadores = ajustarContadores(vehiculo.datos, deltasTramos(getTramos(reserva), diferencia));
+        if (!contadores) {
+          throw new ReservaError("vehiculo-lleno", t("errores.sinLugarAcompanantes", { diferencia }));
+        }
+
+        tx.actualizar(reservaRuta, { acompanantes });
+        if (Object.keys(contadores).length > 0) tx.actualizar(vehiculoRuta, contadores);
+      });
+    },
+
+    // Pagos del microbus: el pasajero reporta su transferencia y el organizador la verifica
+    reportarPago: (viajeId, reservaId, referencia) =>
+      adaptador.actualizar(ruta(viajeId, "reservasMicrobus", reservaId), {
+        pagoEstado: "reportado",
+        pagoReferencia: referencia,
+        pagoReportadoAt: marcaDeTiempo(),
+      }),
+
+    verificarPago: (viajeId, reservaId, verificado) =>
+      adaptador.actualizar(ruta(viajeId, "reservasMicrobus", reservaId), {
+        pagoEstado: verificado ? "verificado" : "pendiente",
+        pagoVerificadoAt: verificado ? marcaDeTiempo() : null,
+      }),
+
+    // El dueño retira su vehículo: deja de aparecer y sus pasajeros quedan
+    // marcados como afectados para que puedan reservar en otro.
+    retirarVehiculo: (viajeId, vehiculo, reservasVehiculo) => {
+      const lote = adaptador.lote();
+      const coleccion = COLECCION_POR_TIPO[vehiculo.tipoVehiculo];
+      reservasVehiculo.forEach((reserva) => lote.actualizar(ruta(viajeId, coleccion, reserva.id), { afectada: true }));
+      lote.actualizar(ruta(viajeId, "vehiculos", vehiculo.id), { retirado: true });
+      return lote.confirmar();
+    },
+
+    // Elimina un vehículo y su lista de espera en una sola transacción. Sus reservas
+    // se borran o, con `destinoId`, pasan a ese vehículo: si no caben, no se elimina nada.
+    eliminarVehiculo: (viajeId, vehiculo, reservasVehiculo, esperasVehiculo = [], destinoId = null) => {
+      const coleccion = COLECCION_POR_TIPO[vehiculo.tipoVehiculo];
+
+      return adaptador.transaccion(async (tx) => {
+        if (destinoId && reservasVehiculo.length > 0) {
+          await moverEnTransaccion(tx, viajeId, coleccion, reservasVehiculo, destinoId);
+        } else {
+          reservasVehiculo.forEach((reserva) => tx.borrar(ruta(viajeId, coleccion, reserva.id)));
+        }
+        esperasVehiculo.forEach((espera) => tx.borrar(ruta(viajeId, "esperas", espera.id)));
+        tx.borrar(ruta(viajeId, "vehiculos", vehiculo.id));
+      });
+    },
+
+    // Escribe una importación ya revisada (ver planificarImportacion) en una sola
+    // transacción. Los vehículos nuevos quedan a nombre del organizador; los que ya
+    // existían se vuelven a leer, porque pudieron llenarse después de la vista previa:
+    // si a uno ya no le caben sus pasajeros, no se importa nada. Los pasajeros
+    // importados no tienen sesión: su uid es "importado-<nombre>" y se reconocen por el nombre.
+    importar: (viajeId, plan, uidOrganizador) =>
+      adaptador.transaccion(async (tx) => {
+        const destinos = [];
+        for (const { nuevo, vehiculo, pasajeros } of plan.vehiculos) {
+          if (nuevo) {
+            destinos.push({ nuevo, vehiculo, pasajeros, vehiculoId: adaptador.nuevoId(ruta(viajeId, "vehiculos")) });
+            continue;
+          }
+          const leido = await tx.leer(ruta(viajeId, "vehiculos", vehiculo.id));
+          const actual = leido.existe ? leido.datos : null;
+          comprobarVehiculo(actual, COLECCION_POR_TIPO[vehiculo.tipoVehiculo]);
+          let contadores;
+          try {
+            contadores = ocuparAsientos(actual, ["ida"], pasajeros.length);
+          } catch (error) {
+            if (error.code !== "vehiculo-lleno") throw error;
+            throw new ReservaError("vehiculo-lleno", t("errores.sinLugarImportacion", { asientos: pasajeros.length, propietario: actual.propietario }));
+          }
+          destinos.push({ nuevo, vehiculo: actual, pasajeros, vehiculoId: vehiculo.id, contadores });
+        }
+
+        destinos.forEach(({ nuevo, vehiculo, pasajeros, vehiculoId, contadores }) => {
+          const vehiculoRuta = ruta(viajeId, "vehiculos", vehiculoId);
+          if (nuevo) {
+            tx.guardar(vehiculoRuta, {
+              ...vehiculo,
+              uid: uidOrganizador,
+              asientosOcupados: pasajeros.length,
+              importado: true,
+              createdAt: marcaDeTiempo(),
+            });
+          } else {
+            tx.actualizar(vehiculoRuta, contadores);
+          }
+
+          pasajeros.forEach(({ pasajero, telefono }) => {
+            const uid = uidImportado(pasajero);
+            tx.guardar(ruta(viajeId, COLECCION_POR_TIPO[vehiculo.tipoVehiculo], idReserva(vehiculoId, uid)), {
+              uid,
+              vehiculoId,
+              pasajero,
+              ...(telefono && { telefono }),
+              propietario: vehiculo.propietario,
+              ...(vehiculo.tipoVehiculo === "propio" && { puntoEncuentro: vehiculo.puntoEncuentro }),
+              importada: true,
+              createdAt: marcaDeTiempo(),
+            });
+          });
+        });
+      }),
+
+    // Convierte en reservas las solicitudes "llévenme desde X" asignadas a un vehículo
+    // (ver asignarSolicitudes). Si ya no caben todas, no asigna ninguna: así un grupo
+    // no queda partido. Quien ya tenga reserva en el vehículo solo pierde su solicitud.
+    asignarSolicitudes: (viajeId, vehiculoId, solicitudIds) => {
+      const vehiculoRuta = ruta(viajeId, "vehiculos", vehiculoId);
+
+      return adaptador.transaccion(async (tx) => {
+        const vehiculoLeido = await tx.leer(vehiculoRuta);
+        const vehiculo = vehiculoLeido.existe ? vehiculoLeido.datos : null;
+        comprobarVehiculo(vehiculo, "reservas");
+
+        const pendientes = [];
+        for (const solicitudId of solicitudIds) {
+          const solicitudRuta = ruta(viajeId, "solicitudes", solicitudId);
+          const solicitud = await tx.leer(solicitudRuta);
+          if (!solicitud.existe) continue;
+          const reservaRuta = ruta(viajeId, "reservas", idReserva(vehiculoId, solicitud.datos.uid));
+          const reserva = await tx.leer(reservaRuta);
+          pendientes.push({ solicitudRuta, solicitud: solicitud.datos, reservaRuta, yaReservada: reserva.existe });
+        }
+
+        // Las solicitudes son solo de ida: la reserva asignada no ocupa el regreso
+        const nuevas = pendientes.filter((p) => !p.yaReservada);
+        const contadores = ajustarContadores(vehiculo, { ida: nuevas.length });
+        if (!contadores) {
+          throw new ReservaError("vehiculo-lleno", t("errores.sinLugarAsignacion", { asientos: nuevas.length, propietario: vehiculo.propietario }));
+        }
+
+        nuevas.forEach(({ solicitud, reservaRuta }) => {
+          tx.guardar(reservaRuta, {
+            uid: solicitud.uid,
+            vehiculoId,
+            pasajero: solicitud.pasajero,
+            ...(solicitud.telefono && { telefono: solicitud.telefono }),
+            propietario: vehiculo.propietario,
+            puntoEncuentro: vehiculo.puntoEncuentro,
+            asignada: true,
+            createdAt: marcaDeTiempo(),
+          });
+        });
+        pendientes.forEach(({ solicitudRuta }) => tx.borrar(solicitudRuta));
+        if (nuevas.length > 0) tx.actualizar(vehiculoRuta, contadores);
+        return nuevas.map((p) => p.solicitud.pasajero);
+      });
+    },
+
+    // Avisos de cada participante (fuera de los viajes): qué eventos quiere
+    // recibir y los dispositivos donde recibirlos como push (ver functions/)
+    escucharPreferenciasAvisos: (uid, alCambiar, alError) =>
+      adaptador.escucharDocumento(participanteRuta(uid), ({ datos }) => alCambiar(datos?.avisos ?? {}), alError),
+
+    guardarPreferenciasAvisos: (uid, avisos) =>
+      adaptador.guardar(participanteRuta(uid), { avisos, updatedAt: marcaDeTiempo() }),
+
+    // El id del dispositivo es su token; el idioma decide en qué idioma llegan los textos
+    registrarDispositivo: (uid, token, idioma) =>
+      adaptador.guardar(dispositivoRuta(uid, token), { idioma, updatedAt: marcaDeTiempo() }),
+
+    dispositivoRegistrado: async (uid, token) => (await adaptador.leer(dispositivoRuta(uid, token))).existe,
+
+    quitarDispositivo: (uid, token) => adaptador.borrar(dispositivoRuta(uid, token)),
+  };
+};
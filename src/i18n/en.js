@@ -0,0 +1,711 @@
+// English texts. Keys mirror es.js; see i18n/index.js.
+export default {
+  pagos: {
+    pendiente: "Payment pending",
+    reportado: "Transfer reported",
+    verificado: "Payment verified",
+    errorReportar: "Could not report your transfer. Try again.",
+    errorVerificar: "Could not update the payment. Try again.",
+    resumen: {
+      pagado: "Paid",
+      porVerificar: "To verify",
+      pendiente: "Pending",
+    },
+    desmarcar: "Unmark",
+    verificar: "Verify",
+    referencia: "Reference: {referencia}",
+    referenciaPlaceholder: "Reference (optional)",
+    transferenciaHecha: "Transfer made",
+  },
+  microbus: {
+    estados: {
+      reuniendo: "Gathering passengers",
+      minimoAlcanzado: "Minimum reached",
+      confirmado: "Confirmed",
+      cancelado: "Cancelled",
+    },
+    noHay: "There is no minibus available right now.",
+    yaTienes: "You already have a booking in this minibus.",
+    yaEnCola: "You already have a booking in this minibus waiting for the connection to come back.",
+    sinLugarGrupo: "This minibus doesn't have {count} free seats.",
+    lleno: "This minibus is full.",
+    cancelado: "This minibus was cancelled.",
+    costoCompartido: "{monto} per person (goes down if more passengers join)",
+    yaConfirmado: "This minibus is already confirmed.",
+    minimo: "It will only be confirmed if at least {count} passengers sign up.",
+    minimoAntesDe: "It will only be confirmed if at least {count} passengers sign up before {fecha}.",
+    confirmarTitulo: "Confirm Minibus Booking",
+    confirmarMensaje: "You are booking {grupo} in \"{propietario}\"'s minibus under the name \"{nombre}\". Remember the cost: {costo}. {minimo} If you need to cancel or change your mind, let {organizador} know.",
+    exitoTitulo: "Minibus booking confirmed!",
+    exitoMensaje: "You've booked {grupo} in {propietario}'s minibus. See you at {punto}. Remember the final cost depends on how many passengers sign up.",
+    confirmarEstado: {
+      confirmado: "Confirm this minibus? Passengers will see that the trip is on.",
+      cancelado: "Cancel this minibus? Passengers will see that it won't run.",
+      reuniendo: "Reopen this minibus to gather passengers?",
+    },
+    errorEstado: "Could not update the minibus. Try again.",
+    titulo: "Rented Minibus",
+    vacio: "No minibuses available",
+    sinConfigurar: "Minibuses haven't been set up yet",
+    advertenciaPago: "Only book a seat if you are willing to pay {precio} for your place in the minibus.",
+    ningunoCerca: "No minibuses within {km} km",
+    organizadoPor: "Organized by: {propietario}",
+    costoPorAsiento: "Cost per seat: {monto}",
+    rentaTotal: "(total rental {monto} ÷ {pasajeros})",
+    pasajerosMinimo: "Passengers: {ocupados} of {minimo} minimum",
+    fechaLimite: "Deadline: {fecha}",
+    notasOrganizador: "Organizer's notes:",
+    tuConfirmado: "🎉 Your minibus is confirmed!",
+    tuAsientoCuesta: "Your seat costs {monto}.",
+    minimoAlcanzado: "The minimum number of passengers was reached. The organizer still needs to confirm the minibus.",
+    canceladoAviso: "This minibus was cancelled. Find another way to get there.",
+    canceladoSinMinimo: "This minibus was cancelled because the minimum wasn't reached in time. Find another way to get there.",
+    confirmar: "Confirm minibus",
+    cancelar: "Cancel minibus",
+    reabrir: "Reopen",
+    canceladoEtiqueta: "Minibus cancelled",
+    boton: "Book Minibus Seat",
+    llenoEtiqueta: "Minibus full",
+    pasajerosConfirmados: "Confirmed passengers:",
+    precioPorConfirmar: "price to be confirmed",
+    advertenciaPagoSinPrecio: "Only book a seat if you are willing to pay for your place in the minibus; the organizer will confirm the price.",
+  },
+  puntos: {
+    otroLugar: "Another place to be agreed",
+    errorGuardar: "Could not save the meeting points. Try again.",
+    sinNombre: "The point needs a name.",
+    repetido: "A point with that name already exists.",
+    enUso: {
+      one: "1 vehicle uses it and will keep its current location.",
+      other: "{count} vehicles use it and will keep their current location.",
+    },
+    confirmarQuitar: "Remove \"{nombre}\" from the meeting points?",
+  },
+  errores: {
+    vehiculoNoExiste: "The vehicle is no longer available.",
+    microbusCancelado: "This minibus was cancelled.",
+    reservaDuplicada: "You already have a booking in this vehicle.",
+    sinRegreso: "This vehicle does not offer a return trip.",
+    sinLugarGrupo: "There are no longer {asientos} free seats for the whole group.",
+    ultimoAsiento: "Someone just took the last seat.",
+    yaTienePasajeros: "The vehicle already has {ocupados} passengers.",
+    tipoConReservas: "Move or remove the passengers before changing the type.",
+    regresoTienePasajeros: "The return trip already has {ocupados} passengers.",
+    destinoNoExiste: "The destination vehicle is no longer available.",
+    pasajeroYaEnDestino: "{pasajero} already has a booking in that vehicle.",
+    destinoLleno: "The destination vehicle does not have enough free seats.",
+    reservaNoExiste: "Your booking no longer exists.",
+    reservaEnDestino: "You already have a booking in that vehicle.",
+    destinoSinLugarGrupo: "That vehicle does not have {asientos} free seats for the whole group.",
+    sinLugarAcompanantes: "This vehicle does not have {diferencia} more free seats.",
+    sinLugarAsignacion: "There are no longer {asientos} free seats with {propietario}.",
+    sinLugarImportacion: "The {asientos} imported passengers no longer fit with {propietario}.",
+  },
+  tramos: {
+    ida: "Outbound",
+    regreso: "Return",
+  },
+  grupo: {
+    unAsiento: "one seat",
+    varios: "{count} seats (you, {nombres})",
+    placeholder: "👥 Going with someone else? Their names, separated by commas",
+    botonConAsientos: "{texto} ({count} seats)",
+    maximo: "You can book for up to {count} companions.",
+    repetidos: "There are repeated names in the group.",
+  },
+  tiposVehiculo: {
+    propio: "Own vehicle",
+    renta: "Rented minibus",
+  },
+  manifiesto: {
+    columnas: {
+      conductor: "Driver",
+      tipo: "Type",
+      punto: "Meeting point",
+      salida: "Departure",
+      pasajero: "Passenger",
+      reservadoPor: "Booked by",
+      telefono: "Phone",
+      tramos: "Legs",
+      pago: "Payment",
+      notas: "Notes",
+      reservadoEl: "Booked on",
+      firma: "Signature",
+    },
+    archivo: "manifest",
+    viaje: "trip",
+    hoja: "Manifest",
+    imprimir: "🖨️ Print",
+    sinPasajeros: "No passengers",
+    con: " (with {nombre})",
+  },
+  importacion: {
+    errores: {
+      conductorSinNombre: "The driver has no name.",
+      tipoDesconocido: "Unknown vehicle type: \"{tipo}\".",
+      asientosFuera: "{nombre}: seats must be between 1 and 50.",
+      horaInvalida: "{nombre}: the departure time must be HH:MM.",
+      conductorRepetido: "{nombre} appears twice as a driver.",
+      conductorExistente: "{nombre} already has a vehicle; their passengers are added to it.",
+      puntoDesconocido: "\"{punto}\" is not one of the trip's meeting points.",
+      pasajeroSinNombre: "The passenger has no name.",
+      sinConductor: "{nombre} has no assigned driver.",
+      conductorNoExiste: "{nombre}: there is no driver named \"{conductor}\".",
+      pasajeroRepetido: "{nombre} appears twice as a passenger.",
+      pasajeroExistente: "{nombre} already has a booking with {conductor}; skipped.",
+      rolDesconocido: "Unknown role: \"{rol}\" (use conductor or pasajero).",
+      sobrecupo: "{conductor} would end up with {total} passengers for {asientos} seats.",
+    },
+    demasiadoGrande: "The import is too large for a single transaction (maximum 500 vehicles and passengers). Split the file.",
+    completaTitulo: "Import complete",
+    completaMensaje: "{nuevos} vehicles and {pasajeros} bookings were created.",
+  },
+  asignacion: {
+    sinVehiculos: "There are no vehicles at that meeting point",
+    sinLugarGrupo: "No vehicle at that point has {tamano} free seats together",
+    llenos: "The vehicles at that point are full",
+    yaReservo: "Already booked a ride on their own",
+    noSeAsigno: "Could not assign to {propietario}.",
+    parcialTitulo: "Some assignments were not saved",
+    parcialMensaje: {
+      one: "1 passenger assigned. {fallidos} Recalculate the assignment.",
+      other: "{count} passengers assigned. {fallidos} Recalculate the assignment.",
+    },
+    guardadaTitulo: "Assignment saved",
+    guardadaMensaje: {
+      one: "1 passenger now has a booking in a vehicle.",
+      other: "{count} passengers now have a booking in a vehicle.",
+    },
+  },
+  cola: {
+    estados: {
+      pendiente: "⏳ Waiting to send",
+      enviando: "🔄 Syncing…",
+      conflicto: "⚠️ Could not be completed",
+    },
+    noSeEnvio: "Could not be sent. Try again.",
+    reservaGuardadaTitulo: "Booking saved offline",
+    reservaGuardadaMensaje: "There's no signal right now. Your booking in {propietario}'s vehicle will be sent automatically when you reconnect; check \"My bookings\" to see whether it was confirmed.",
+    cancelacionGuardada: "There's no signal right now. The cancellation will be sent automatically when you reconnect.",
+    cancelacionYaGuardada: "Your cancellation is already saved and will be sent when you reconnect.",
+    reservaSinConexion: "📝 Booking made offline",
+    cancelacionSinConexion: "🗑️ Cancellation made offline",
+    enviandoPronto: "Sending as soon as possible.",
+    alVolverSenal: "It will be sent automatically when the signal comes back.",
+    buscarOtro: "Find another vehicle",
+    reintentar: "Retry",
+    descartar: "Discard",
+    cancelacionPendiente: "⏳ Your cancellation will be sent when the signal comes back.",
+  },
+  avisos: {
+    eventos: {
+      pasajeroNuevo: "Someone booked a seat in my vehicle",
+      pasajeroCancelo: "A passenger cancelled in my vehicle",
+      vehiculoEditado: "The time, meeting point or notes of my vehicle changed",
+      vehiculoRetirado: "The vehicle I am in was withdrawn or cancelled",
+      microbusConfirmado: "My minibus was confirmed",
+    },
+    campos: {
+      horaSalida: "departure time",
+      horaRegreso: "return time",
+      puntoEncuentro: "meeting point",
+      ubicacion: "location",
+      notas: "notes",
+      telefono: "phone",
+    },
+    elMicrobusDe: "{propietario}'s minibus",
+    elVehiculoDe: "{propietario}'s vehicle",
+    retiradoTitulo: "Vehicle withdrawn",
+    retiradoMensaje: "{nombre} is no longer going. Find another one in \"My bookings\".",
+    canceladoTitulo: "Minibus cancelled",
+    canceladoMensaje: "{nombre} was cancelled.",
+    confirmadoTitulo: "Minibus confirmed!",
+    confirmadoMensaje: "{nombre} is confirmed.",
+    editadoTitulo: "Your vehicle changed",
+    editadoMensaje: "{nombre} changed: {campos}.",
+    nuevoTitulo: "New passenger",
+    nuevoMensaje: "{quien} booked a seat in your vehicle.",
+    canceloTitulo: "Passenger cancelled",
+    canceloMensaje: "{quien} is no longer going in your vehicle.",
+    sinSoporte: "This browser doesn't support notifications. Try installing the app on your home screen.",
+    sinPermiso: "Notification permission was not granted. You can turn it on in your browser settings.",
+    errorPreferencias: "Your notification preferences couldn't be saved. Please try again.",
+    errorPush: "Notifications couldn't be turned on or off. Please try again.",
+    titulo: "Notifications",
+    vacio: "No notifications yet",
+    vacioDetalle: "Changes to your vehicle and your passengers show up here while the app is open.",
+    quieroEnterarme: "Let me know when…",
+    sistema: "Also as a notification on this phone or computer, even with the app closed",
+    preferenciasDetalle: "Preferences are saved with your session and apply on all your devices. Notifications are turned on per device.",
+    verTodos: "See all notifications",
+  },
+  compartir: {
+    quedan: {
+      one: "1 seat left",
+      other: "{count} seats left",
+    },
+    sinAsientos: "No free seats",
+    microbusDe: "🚌 {propietario}'s minibus · from {punto}",
+    carroDe: "🚗 {propietario}'s car · from {punto}",
+    salida: "departs {hora}",
+    regreso: "returns {hora}",
+    libres: "🪑 {libres} of {total} seats free",
+    lleno: "🪑 Full",
+    libresRegreso: " (return: {libres} of {total})",
+    porPersona: "{monto} per person",
+    reservaAqui: "👉 Book here: {url}",
+    enVehiculos: {
+      one: "{asientos} in 1 vehicle",
+      other: "{asientos} in {count} vehicles",
+    },
+    tituloMicrobus: "{propietario}'s minibus",
+    tituloVehiculo: "{propietario}'s vehicle",
+    copiaTexto: "Copy the text:",
+    resumenCopiado: "Summary copied. Paste it in the group.",
+    boton: "📣 Share",
+    whatsapp: "Send via WhatsApp",
+    enlaceCopiado: "Link copied.",
+    copiarTexto: "📋 Copy text",
+    copiarEnlace: "🔗 Copy link",
+    otraApp: "📤 Share with another app",
+    enlaceNoDisponible: "The linked vehicle is no longer available. Here are the others.",
+  },
+  cercania: {
+    sinGeolocalizacion: "Your browser can't share your location. Choose a preferred point in Your Information.",
+    ubicacionActual: "your current location",
+    sinUbicacion: "We couldn't get your location. Choose a preferred point in Your Information to sort by distance.",
+    ordenadosPor: "📍 Sorted by distance to {origen}",
+    cualquierDistancia: "Any distance",
+    aMenosDe: "Within {km} km",
+    ordenar: "📍 Sort by distance",
+    aDistancia: "{distancia} from you",
+    verMapa: "View on map",
+  },
+  filtros: {
+    buscarConductor: "Search by driver",
+    todosLosPuntos: "All meeting points",
+    salidaEntre: "Leaving between",
+    y: "and",
+    soloLibres: "Only with free seats",
+    ordenCercania: "Sort by distance",
+    ordenPublicacion: "Sort by date posted",
+    ordenLibres: "Most free seats first",
+    ordenSalida: "Earliest departure first",
+    mostrando: {
+      one: "Showing {mostrados} of 1 vehicle",
+      other: "Showing {mostrados} of {count} vehicles",
+    },
+    limpiar: "Clear filters",
+    copiarEnlace: "🔗 Copy link with filters",
+    ningunoCerca: "No vehicles within {km} km",
+    ninguno: "No vehicle matches the filters",
+  },
+  horario: {
+    salida: "Departs {hora}",
+    regreso: "Returns {hora}",
+  },
+  tipos: {
+    vehiculo: "vehicle",
+    microbus: "minibus",
+  },
+  erroresReserva: {
+    "vehiculo-lleno": {
+      titulo: "It just filled up!",
+      mensaje: "Someone just took the last seat in this {tipo}. Check whether another one has room.",
+    },
+    "reserva-duplicada": {
+      titulo: "You already have a booking",
+      mensaje: "You already have a booking in this {tipo}.",
+    },
+    "vehiculo-no-existe": {
+      titulo: "Vehicle not available",
+      mensaje: "This {tipo} is no longer available.",
+    },
+    "microbus-cancelado": {
+      titulo: "Minibus cancelled",
+      mensaje: "This minibus was cancelled and no longer takes bookings.",
+    },
+    "sin-regreso": {
+      titulo: "No return trip",
+      mensaje: "This {tipo} no longer offers a return trip. Book only the outbound trip or find another vehicle.",
+    },
+    "reserva-no-existe": {
+      titulo: "Booking not found",
+      mensaje: "Your booking no longer exists. It may have been cancelled from another device.",
+    },
+    generico: {
+      titulo: "Booking failed",
+      mensaje: "Could not book the seat. Try again.",
+    },
+  },
+  validacion: {
+    viajeArchivado: "This trip is archived and no longer accepts changes.",
+    iniciandoSesion: "We're still signing you in. Try again in a moment.",
+    nombre: "Please enter your first and last name.",
+    punto: "Please choose a meeting point.",
+    minimoMayor: "The minimum number of passengers cannot exceed the available seats.",
+    asientosRegreso: "Return seats must be between 1 and 50.",
+    asientos: "Seats must be between 1 and 50.",
+  },
+  ofrecer: {
+    saliendo: "leaving at {hora}",
+    conRegreso: {
+      one: "with 1 return seat at {hora}",
+      other: "with {count} return seats at {hora}",
+    },
+    resumenPropio: {
+      one: "offer your vehicle with 1 available seat from {punto}",
+      other: "offer your vehicle with {count} available seats from {punto}",
+    },
+    resumenRenta: {
+      one: "offer your minibus for hire with 1 available seat from {punto}",
+      other: "offer your minibus for hire with {count} available seats from {punto}",
+    },
+    confirmarPropio: "Confirm Vehicle",
+    confirmarRenta: "Confirm Minibus",
+    confirmarMensaje: "Are you sure you want to {resumen}?",
+    exitoPropio: "Thank you for offering your vehicle. It will now appear under \"I Need a Ride\". To withdraw it or change the number of seats, use \"My vehicles\" in this same section.",
+    exitoRenta: "Thank you for offering your minibus for hire. Once the seats are filled we'll let you know so we can arrange payments.",
+    exitoTitulo: "Vehicle registered successfully!",
+    error: "Could not add the vehicle. Try again.",
+    titulo: "Offer a Vehicle",
+    tipo: "Vehicle type",
+    tipoPropio: "My own vehicle",
+    tipoRenta: "Minibus rental",
+    asientos: "Available seats",
+    punto: "Meeting point",
+    seleccionaPunto: "Choose a meeting point",
+    mapaAyuda: "Tap a point on the map to choose it, or anywhere else to set your own meeting point.",
+    horaSalida: "Departure time",
+    horaRegreso: "Return time (optional)",
+    asientosRegreso: "Seats for the return trip",
+    regresoAyuda: "If you set a return time, passengers can book just the outbound trip, just the return, or both.",
+    notas: "Additional notes (optional)",
+    notasPlaceholder: "E.g.: I will pick people up at X, no smoking, bring lunch, etc.",
+    costoAsiento: "Cost per seat in dollars (optional)",
+    costoDelViaje: "Trip cost: {monto}",
+    costoEjemplo: "E.g.: 18",
+    costoTotal: "Total rental cost (optional)",
+    costoTotalPlaceholder: "Split among the passengers",
+    minimo: "Minimum passengers",
+    todosLosAsientos: "All seats ({count})",
+    fechaLimite: "Deadline (optional)",
+    agregando: "Adding...",
+  },
+  reservar: {
+    yaTienesVehiculo: "You already have a booking in this vehicle.",
+    yaEnCola: "You already have a booking in this vehicle waiting for the connection to come back.",
+    sinLugarGrupo: "This vehicle doesn't have {count} free seats for the whole group.",
+    confirmarTitulo: "Confirm Booking",
+    confirmarMensaje: "You are booking {grupo}{tramos} in \"{propietario}\"'s vehicle, under the name \"{nombre}\". If you need to cancel or change your mind, let {organizador} know.",
+    exitoTitulo: "Booking confirmed!",
+    exitoMensaje: "You've booked {grupo} in {propietario}'s vehicle. See you at {punto}.",
+    titulo: "Available Vehicles",
+    vacio: "No private vehicles available",
+    seElPrimero: "Be the first to offer your vehicle",
+    tuPunto: "📍 Your preferred point",
+    libresIda: "free outbound",
+    libres: "free seats",
+    libresRegreso: "free on return",
+    notasConductor: "Driver's notes:",
+    reservando: "Booking...",
+    boton: "Book Seat",
+    sinLugarTramos: "No room: {tramos}",
+    lleno: "Vehicle full",
+    pasajeros: "Passengers:",
+  },
+  espera: {
+    yaEstas: "You're already on this vehicle's waiting list.",
+    confirmarSalir: "Leave the waiting list?",
+    errorSalir: "Could not leave the waiting list. Try again.",
+    enLista: "{count} on the waiting list",
+    posicion: "You're on the waiting list: position {posicion}",
+    salir: "Leave",
+    unirme: "Join the waiting list",
+    tarjeta: "⏳ Waiting list · position {posicion}",
+    noDisponible: "Vehicle not available",
+    salirDeLista: "Leave the list",
+  },
+  solicitudes: {
+    elegirPunto: "Choose the meeting point you need the ride from.",
+    yaTienesRide: "You already have a ride booked. Cancel it in \"My bookings\" if you would rather be assigned another one.",
+    errorEnviar: "Could not send your request. Try again.",
+    confirmarRetirar: "Withdraw your ride request?",
+    errorRetirar: "Could not withdraw the request. Try again.",
+    sinAsignar: "🙋 Ride without an assigned vehicle",
+    desde: "From {punto}",
+    grupo: "Group: {grupo}",
+    retirar: "Withdraw request",
+    pedisteDesde: "🙋 You asked for a ride from",
+    conElGrupo: "with the group",
+    teAvisaremos: "We'll let you know in \"My bookings\" when the organizer assigns you a vehicle.",
+    invitacion: "🙋 Don't mind which car you go in? Ask for a ride from your meeting point and the organizer will assign you one.",
+    punto: "Meeting point...",
+    grupoPlaceholder: "Group (optional, to ride together)",
+    pedir: "Ask for a ride",
+  },
+  cancelar: {
+    otroDispositivo: "The booking under \"{pasajero}\" was made from another device. Sign in with the same email you used there to cancel it.",
+    soloPropia: "You can only cancel your own booking.",
+    confirmar: "Are you sure you want to cancel your booking?",
+    confirmarMicrobus: "Are you sure you want to cancel your minibus booking?",
+    error: "Could not cancel the booking. Try again.",
+    botonGrupo: "Cancel the group's booking",
+    boton: "Cancel booking",
+  },
+  cambiar: {
+    avisoPago: "Your recorded payment doesn't carry over: let the organizer know so they can verify it for the new minibus.",
+    confirmar: "Move your booking to {propietario}'s vehicle ({punto})?",
+    exitoTitulo: "Booking moved!",
+    exitoMensaje: "You're now in {propietario}'s vehicle. See you at {punto}.",
+    opcion: "Move to another vehicle…",
+    libres: {
+      one: "1 free",
+      other: "{count} free",
+    },
+  },
+  viajes: {
+    enlaceCopiado: "Link copied. Share it with the people on the trip!",
+    copiaEnlace: "Copy the trip link:",
+    faltanDatos: "The trip needs a name and a date.",
+    errorCrear: "Could not create the trip. Try again.",
+    archivar: {
+      confirmar: "Archive the trip \"{nombre}\"?",
+      error: "Could not archive the trip. Try again.",
+      boton: "Archive",
+    },
+    reactivar: {
+      confirmar: "Reactivate the trip \"{nombre}\"?",
+      error: "Could not reactivate the trip. Try again.",
+      boton: "Reactivate",
+    },
+    elige: "Choose your trip",
+    nuevo: "+ New trip",
+    campos: {
+      nombre: "Trip name",
+      destino: "Destination",
+      precioMicrobus: "Minibus price (e.g. $15-$20)",
+      costoMicrobus: "Minibus cost per seat in dollars",
+      puntos: "Meeting points (one per line)",
+    },
+    creando: "Creating...",
+    crear: "Create trip",
+    sinProximos: "No upcoming trips",
+    pideEnlace: "Ask the organizer for your trip link",
+    ocultarAnteriores: "Hide past trips ({count})",
+    verAnteriores: "Show past trips ({count})",
+    noEncontrado: "We couldn't find this trip",
+    verTodos: "See all trips",
+    cargando: "Loading trip...",
+    archivadoAviso: "This trip is archived. You can still look at the information, but bookings and changes are closed.",
+  },
+  comunes: {
+    cancelar: "Cancel",
+    intentaDeNuevo: "Try again.",
+    guardando: "Saving...",
+    guardarCambios: "Save changes",
+    editar: "Edit",
+    procesando: "Processing...",
+    confirmar: "Confirm",
+    entendido: "Got it",
+    quitar: "Remove",
+  },
+  sesion: {
+    errorEnlace: "Could not send the link. Check your email address and try again.",
+    confirmarSalir: "Sign out? To see your bookings again you will need to sign in with your email.",
+    iniciando: "Signing in...",
+    enlaceEnviadoA: "We sent a link to",
+    abrelo: "Open it on this device to keep your session.",
+    correo: "Your email (so you don't lose your bookings)",
+    enviarEnlace: "Send link",
+    iniciadaComo: "Signed in as",
+    cerrar: "Sign out",
+    confirmaCorreo: "Confirm your email to finish signing in",
+    enlaceInvalido: "The sign-in link is invalid or has expired.",
+  },
+  acciones: {
+    noSePudo: "Could not {accion}",
+    exportarManifiesto: "export the manifest",
+    importarArchivo: "import the file",
+    editarVehiculo: "edit the vehicle",
+    eliminarVehiculo: "delete the vehicle",
+    retirarVehiculo: "withdraw the vehicle",
+    moverPasajero: "move the passenger",
+  },
+  organizador: {
+    eliminarMover: {
+      one: "Its passenger will move to {propietario}'s vehicle.",
+      other: "Its {count} passengers will move to {propietario}'s vehicle.",
+    },
+    eliminarReservas: {
+      one: "Its booking will also be deleted.",
+      other: "Its {count} bookings will also be deleted.",
+    },
+    confirmarEliminar: "Delete {propietario}'s vehicle?",
+    confirmarMover: "Move {pasajero} to {propietario}'s vehicle?",
+  },
+  misVehiculos: {
+    retirarAviso: {
+      one: "Your passenger will be told to book another vehicle.",
+      other: "Your {count} passengers will be told to book another vehicle.",
+    },
+    confirmarRetirarVehiculo: "Withdraw your vehicle?",
+    confirmarRetirarMicrobus: "Withdraw your minibus?",
+    titulo: "My vehicles",
+    ocupados: "seats taken",
+    regreso: "Return: {ocupados}/{total}",
+    retirar: "Withdraw",
+  },
+  misReservas: {
+    errorLiberar: "Could not release your booking. Try again.",
+    titulo: "My Bookings",
+    vacio: "You don't have any bookings on this trip yet",
+    reservaUnAsiento: "Book a seat in a ride or in the minibus",
+    escribeTuNombre: "Type your name above to find your bookings",
+    tipoMicrobus: "🚌 Rented minibus",
+    tipoRide: "🚗 Ride",
+    punto: "Meeting point: {punto}",
+    reservaste: "You booked: {tramos}",
+    aNombreDe: "Under the name {pasajero}",
+    vehiculoRetirado: "Vehicle withdrawn",
+    asientoConfirmado: "Seat confirmed",
+    paraPersonas: "Booking for {count} people:",
+    soloParaTi: "Booking just for you",
+    quitarA: "Remove {nombre}",
+    agregarAcompanante: "Add companion",
+    agregar: "Add",
+    otroDispositivo: "This booking was made from another device. Sign in with the same email to manage it here.",
+  },
+  edicion: {
+    costoAsiento: "Cost per seat in dollars (optional)",
+    costoTotal: "Total rental cost",
+    minimoPasajeros: "Minimum passengers",
+    horaSalida: "Departure time",
+    horaRegreso: "Return time",
+    asientosRegreso: "Return seats",
+    notas: "Notes",
+  },
+  app: {
+    titulo: "Transport Organizer",
+    pie: "✨ Real-time updates with Firebase",
+  },
+  encabezado: {
+    todosLosViajes: "← All trips",
+    copiarEnlace: "🔗 Copy trip link",
+    resumenWhatsApp: "📣 WhatsApp summary",
+    lema: "Let's organize the rides",
+    sinConexion: "Offline · showing the last saved data",
+    conectando: "Connecting...",
+    conectado: "Connected to Firebase",
+    porEnviar: "{count} waiting to send",
+    idioma: "Language",
+  },
+  perfil: {
+    titulo: "Your Information",
+    importante: "Important",
+    ligadas: "Your bookings are tied to this device.",
+    ingresaCorreo: "Enter your email to get a link so you can cancel your bookings from any other device.",
+    nombre: "Your first and last name",
+    seGuarda: "Saved on this device",
+    telefono: "Your phone (optional)",
+    puntoPreferido: "Your preferred meeting point",
+  },
+  afectadas: {
+    titulo: "Your vehicle was withdrawn",
+    retiroPropietario: "{propietario} withdrew their vehicle.",
+    retirado: "The vehicle was withdrawn.",
+    sinGarantia: "Your seat is no longer guaranteed.",
+    reservarEnOtro: "Book another vehicle",
+  },
+  modulos: {
+    ofrecer: {
+      titulo: "I have a vehicle",
+      descripcion: "Offer your vehicle and say how many seats you have available",
+    },
+    reservar: {
+      titulo: "I need a ride",
+      descripcion: "Book a seat in the available vehicles",
+    },
+    microbus: {
+      titulo: "I want to go in the minibus",
+      descripcion: "Book a seat in the rented minibus ({precio})",
+    },
+  },
+  accesos: {
+    misReservas: "🧾 My bookings",
+    avisos: "🔔 Notifications",
+    panel: "🛠️ Organizer panel",
+  },
+  opcionesTramos: {
+    ambos: "Round trip",
+    ida: "Outbound only",
+    regreso: "Return only",
+  },
+  panel: {
+    titulo: "Organizer Panel",
+    manifiesto: {
+      titulo: "Passenger manifest",
+      descripcion: "One row per passenger with driver, vehicle type, meeting point, notes and booking time.",
+      csv: "📄 Download CSV",
+      excel: "📊 Download Excel",
+      imprimible: "🖨️ Printable manifest",
+    },
+    asignacion: {
+      titulo: "Rides to assign ({count})",
+      descripcion: "Passengers who only asked for a ride from a meeting point. The assignment spreads them across private vehicles at the same point with free seats and keeps groups together.",
+      calcular: "Calculate assignment",
+      nadie: "Nobody could be assigned with the current vehicles.",
+      grupo: "group {grupo}",
+      asignando: "Assigning...",
+      confirmar: "Confirm assignment",
+    },
+    asientos: "{ocupados}/{total} seats",
+    importacion: {
+      titulo: "Import from CSV",
+      descripcion: "Drivers with their seats, meeting point and notes, and passengers with their assigned driver. Before saving you will see what is going to be created.",
+      plantilla: "Download template",
+      resumen: "{nuevos} vehicles and {pasajeros} bookings would be created.",
+      corrige: "Fix these errors and upload the file again:",
+      linea: "Line {linea}: {mensaje}",
+      nuevo: "+ New",
+      existente: "Existing",
+      importando: "Importing...",
+      importar: "Import",
+    },
+    puntos: {
+      titulo: "Meeting points",
+      ubicar: "Click the map to place \"{nombre}\".",
+      ubicarNuevo: "Click the map to place a new point and give it a name.",
+      nuevo: "New point",
+      nombreNuevo: "Name of the new point",
+      agregar: "Add point",
+      sinUbicacion: "No location on the map",
+      ubicarEnMapa: "Place on the map",
+    },
+    vacio: "No vehicles registered",
+    retiradoPorDueno: " · Withdrawn by its owner",
+    eliminar: {
+      borrarReservas: "On delete: remove bookings",
+      moverA: "On delete: move to {propietario}",
+      boton: "Delete",
+    },
+    moverA: "Move to...",
+  },
+  configuracion: {
+    organizadorGenerico: "the organizer",
+    boton: "⚙️ Settings",
+    titulo: "Group settings",
+    descripcion: "Applies to every trip. Each trip can change its minibus price and meeting points from the panel.",
+    campos: {
+      titulo: "App title",
+      precioMicrobus: "Minibus price (e.g. $15 or $15-$20)",
+      organizadorNombre: "Organizer's name",
+      organizadorContacto: "Contact (phone or email)",
+      puntosEncuentro: "Meeting points for new trips (one per line)",
+      instrucciones: "Instructions for participants",
+    },
+    errorGuardar: "Error saving the settings. Try again.",
+    indicaciones: "📌 Instructions",
+    contacto: "Questions or changes: {organizador}",
+  },
+};
@@ -0,0 +1,711 @@
+// Textos en español, el idioma original de la app. Ver i18n/index.js.
+export default {
+  pagos: {
+    pendiente: "Pago pendiente",
+    reportado: "Transferencia reportada",
+    verificado: "Pago verificado",
+    errorReportar: "Error al reportar tu transferencia. Intenta de nuevo.",
+    errorVerificar: "Error al actualizar el pago. Intenta de nuevo.",
+    resumen: {
+      pagado: "Pagado",
+      porVerificar: "Por verificar",
+      pendiente: "Pendiente",
+    },
+    desmarcar: "Desmarcar",
+    verificar: "Verificar",
+    referencia: "Referencia: {referencia}",
+    referenciaPlaceholder: "Referencia (opcional)",
+    transferenciaHecha: "Transferencia hecha",
+  },
+  microbus: {
+    estados: {
+      reuniendo: "Reuniendo pasajeros",
+      minimoAlcanzado: "Mínimo alcanzado",
+      confirmado: "Confirmado",
+      cancelado: "Cancelado",
+    },
+    noHay: "No hay microbus disponible en este momento.",
+    yaTienes: "Ya tienes una reserva en este microbus.",
+    yaEnCola: "Ya tienes una reserva en este microbus esperando a que vuelva la conexión.",
+    sinLugarGrupo: "Este microbus no tiene {count} asientos libres.",
+    lleno: "Este microbus está lleno.",
+    cancelado: "Este microbus fue cancelado.",
+    costoCompartido: "{monto} por persona (baja si se suman más pasajeros)",
+    yaConfirmado: "Este microbus ya está confirmado.",
+    minimo: "Solamente se confirmará si se reúnen al menos {count} pasajeros.",
+    minimoAntesDe: "Solamente se confirmará si se reúnen al menos {count} pasajeros antes del {fecha}.",
+    confirmarTitulo: "Confirmar Reserva en Microbus",
+    confirmarMensaje: "Vas a reservar {grupo} en el microbus de \"{propietario}\" bajo el nombre de \"{nombre}\". Recuerda el costo: {costo}. {minimo} Si necesitas cancelarlo o cambias de opinión, déjale saber a {organizador}.",
+    exitoTitulo: "¡Reserva en Microbus confirmada!",
+    exitoMensaje: "Has reservado exitosamente {grupo} en el microbus de {propietario}. Te esperamos en {punto}. Recuerda que el costo final depende de cuántos pasajeros se reúnan.",
+    confirmarEstado: {
+      confirmado: "¿Confirmar este microbus? Los pasajeros verán que el viaje va.",
+      cancelado: "¿Cancelar este microbus? Los pasajeros verán que no se realizará.",
+      reuniendo: "¿Volver a abrir este microbus para reunir pasajeros?",
+    },
+    errorEstado: "Error al actualizar el microbus. Intenta de nuevo.",
+    titulo: "Microbus Rentado",
+    vacio: "No hay microbuses disponibles",
+    sinConfigurar: "Los microbuses aún no han sido configurados",
+    advertenciaPago: "Solo reserva un asiento si estás dispuesto a pagar {precio} por tu lugar en el microbus.",
+    ningunoCerca: "No hay microbuses a menos de {km} km",
+    organizadoPor: "Organizado por: {propietario}",
+    costoPorAsiento: "Costo por asiento: {monto}",
+    rentaTotal: "(renta total {monto} ÷ {pasajeros})",
+    pasajerosMinimo: "Pasajeros: {ocupados} de {minimo} mínimo",
+    fechaLimite: "Fecha límite: {fecha}",
+    notasOrganizador: "Notas del organizador:",
+    tuConfirmado: "🎉 ¡Tu microbus está confirmado!",
+    tuAsientoCuesta: "Tu asiento cuesta {monto}.",
+    minimoAlcanzado: "Ya se alcanzó el mínimo de pasajeros. Falta que el organizador confirme el microbus.",
+    canceladoAviso: "Este microbus se canceló. Busca otra forma de llegar.",
+    canceladoSinMinimo: "Este microbus se canceló porque no se alcanzó el mínimo a tiempo. Busca otra forma de llegar.",
+    confirmar: "Confirmar microbus",
+    cancelar: "Cancelar microbus",
+    reabrir: "Reabrir",
+    canceladoEtiqueta: "Microbus cancelado",
+    boton: "Reservar Asiento en Microbus",
+    llenoEtiqueta: "Microbus lleno",
+    pasajerosConfirmados: "Pasajeros confirmados:",
+    precioPorConfirmar: "precio por confirmar",
+    advertenciaPagoSinPrecio: "Solo reserva un asiento si estás dispuesto a pagar tu lugar en el microbus; el organizador confirmará el precio.",
+  },
+  puntos: {
+    otroLugar: "Otro lugar a acordar",
+    errorGuardar: "Error al guardar los puntos de encuentro. Intenta de nuevo.",
+    sinNombre: "El punto necesita un nombre.",
+    repetido: "Ya existe un punto con ese nombre.",
+    enUso: {
+      one: "1 vehículo lo usa y conservará su ubicación actual.",
+      other: "{count} vehículos lo usan y conservarán su ubicación actual.",
+    },
+    confirmarQuitar: "¿Quitar \"{nombre}\" de los puntos de encuentro?",
+  },
+  errores: {
+    vehiculoNoExiste: "El vehículo ya no está disponible.",
+    microbusCancelado: "Este microbus fue cancelado.",
+    reservaDuplicada: "Ya tienes una reserva en este vehículo.",
+    sinRegreso: "Este vehículo no ofrece regreso.",
+    sinLugarGrupo: "No quedan {asientos} asientos libres para todo el grupo.",
+    ultimoAsiento: "Alguien acaba de tomar el último asiento.",
+    yaTienePasajeros: "El vehículo ya tiene {ocupados} pasajeros.",
+    tipoConReservas: "Mueve o elimina a los pasajeros antes de cambiar el tipo.",
+    regresoTienePasajeros: "El regreso ya tiene {ocupados} pasajeros.",
+    destinoNoExiste: "El vehículo de destino ya no está disponible.",
+    pasajeroYaEnDestino: "{pasajero} ya tiene una reserva en ese vehículo.",
+    destinoLleno: "El vehículo de destino no tiene suficientes asientos libres.",
+    reservaNoExiste: "Tu reserva ya no existe.",
+    reservaEnDestino: "Ya tienes una reserva en ese vehículo.",
+    destinoSinLugarGrupo: "Ese vehículo no tiene {asientos} asientos libres para todo el grupo.",
+    sinLugarAcompanantes: "No quedan {diferencia} asientos libres más en este vehículo.",
+    sinLugarAsignacion: "Ya no hay {asientos} asientos libres con {propietario}.",
+    sinLugarImportacion: "Ya no caben los {asientos} pasajeros importados con {propietario}.",
+  },
+  tramos: {
+    ida: "Ida",
+    regreso: "Regreso",
+  },
+  grupo: {
+    unAsiento: "un asiento",
+    varios: "{count} asientos (tú, {nombres})",
+    placeholder: "👥 ¿Vas con alguien más? Sus nombres, separados por coma",
+    botonConAsientos: "{texto} ({count} asientos)",
+    maximo: "Puedes reservar para un máximo de {count} acompañantes.",
+    repetidos: "Hay nombres repetidos en el grupo.",
+  },
+  tiposVehiculo: {
+    propio: "Vehículo propio",
+    renta: "Microbus rentado",
+  },
+  manifiesto: {
+    columnas: {
+      conductor: "Conductor",
+      tipo: "Tipo",
+      punto: "Punto de encuentro",
+      salida: "Salida",
+      pasajero: "Pasajero",
+      reservadoPor: "Reservado por",
+      telefono: "Teléfono",
+      tramos: "Tramos",
+      pago: "Pago",
+      notas: "Notas",
+      reservadoEl: "Reservado el",
+      firma: "Firma",
+    },
+    archivo: "manifiesto",
+    viaje: "viaje",
+    hoja: "Manifiesto",
+    imprimir: "🖨️ Imprimir",
+    sinPasajeros: "Sin pasajeros",
+    con: " (con {nombre})",
+  },
+  importacion: {
+    errores: {
+      conductorSinNombre: "El conductor no tiene nombre.",
+      tipoDesconocido: "Tipo de vehículo desconocido: \"{tipo}\".",
+      asientosFuera: "{nombre}: los asientos deben estar entre 1 y 50.",
+      horaInvalida: "{nombre}: la hora de salida debe ser HH:MM.",
+      conductorRepetido: "{nombre} aparece dos veces como conductor.",
+      conductorExistente: "{nombre} ya tiene un vehículo; sus pasajeros se suman a ese.",
+      puntoDesconocido: "\"{punto}\" no está entre los puntos de encuentro del viaje.",
+      pasajeroSinNombre: "El pasajero no tiene nombre.",
+      sinConductor: "{nombre} no tiene conductor asignado.",
+      conductorNoExiste: "{nombre}: no hay ningún conductor llamado \"{conductor}\".",
+      pasajeroRepetido: "{nombre} aparece dos veces como pasajero.",
+      pasajeroExistente: "{nombre} ya tiene reserva con {conductor}; se omite.",
+      rolDesconocido: "Rol desconocido: \"{rol}\" (usa conductor o pasajero).",
+      sobrecupo: "{conductor} quedaría con {total} pasajeros para {asientos} asientos.",
+    },
+    demasiadoGrande: "La importación es demasiado grande para una sola transacción (máximo 500 vehículos y pasajeros). Divide el archivo.",
+    completaTitulo: "Importación completa",
+    completaMensaje: "Se crearon {nuevos} vehículos y {pasajeros} reservas.",
+  },
+  asignacion: {
+    sinVehiculos: "No hay vehículos en ese punto de encuentro",
+    sinLugarGrupo: "Ningún vehículo de ese punto tiene {tamano} asientos libres juntos",
+    llenos: "Los vehículos de ese punto están llenos",
+    yaReservo: "Ya reservó un ride por su cuenta",
+    noSeAsigno: "No se pudo asignar a {propietario}.",
+    parcialTitulo: "Algunas asignaciones no se guardaron",
+    parcialMensaje: {
+      one: "1 pasajero asignado. {fallidos} Vuelve a calcular la asignación.",
+      other: "{count} pasajeros asignados. {fallidos} Vuelve a calcular la asignación.",
+    },
+    guardadaTitulo: "Asignación guardada",
+    guardadaMensaje: {
+      one: "1 pasajero ya tiene reserva en un vehículo.",
+      other: "{count} pasajeros ya tienen reserva en un vehículo.",
+    },
+  },
+  cola: {
+    estados: {
+      pendiente: "⏳ Pendiente de enviar",
+      enviando: "🔄 Sincronizando…",
+      conflicto: "⚠️ No se pudo completar",
+    },
+    noSeEnvio: "No se pudo enviar. Intenta de nuevo.",
+    reservaGuardadaTitulo: "Reserva guardada sin conexión",
+    reservaGuardadaMensaje: "No hay señal en este momento. Tu reserva en el vehículo de {propietario} se enviará sola al reconectar; revisa en \"Mis reservas\" si se confirmó.",
+    cancelacionGuardada: "No hay señal en este momento. La cancelación se enviará sola al reconectar.",
+    cancelacionYaGuardada: "Tu cancelación ya está guardada y se enviará al reconectar.",
+    reservaSinConexion: "📝 Reserva hecha sin conexión",
+    cancelacionSinConexion: "🗑️ Cancelación hecha sin conexión",
+    enviandoPronto: "Enviando en cuanto sea posible.",
+    alVolverSenal: "Se enviará sola cuando vuelva la señal.",
+    buscarOtro: "Buscar otro vehículo",
+    reintentar: "Reintentar",
+    descartar: "Descartar",
+    cancelacionPendiente: "⏳ Tu cancelación se enviará cuando vuelva la señal.",
+  },
+  avisos: {
+    eventos: {
+      pasajeroNuevo: "Alguien reservó en mi vehículo",
+      pasajeroCancelo: "Un pasajero canceló en mi vehículo",
+      vehiculoEditado: "Cambió el horario, punto o notas del vehículo en el que voy",
+      vehiculoRetirado: "Retiraron o cancelaron el vehículo en el que voy",
+      microbusConfirmado: "Se confirmó mi microbus",
+    },
+    campos: {
+      horaSalida: "hora de salida",
+      horaRegreso: "hora de regreso",
+      puntoEncuentro: "punto de encuentro",
+      ubicacion: "ubicación",
+      notas: "notas",
+      telefono: "teléfono",
+    },
+    elMicrobusDe: "El microbus de {propietario}",
+    elVehiculoDe: "El vehículo de {propietario}",
+    retiradoTitulo: "Vehículo retirado",
+    retiradoMensaje: "{nombre} ya no va. Busca otro en \"Mis reservas\".",
+    canceladoTitulo: "Microbus cancelado",
+    canceladoMensaje: "{nombre} se canceló.",
+    confirmadoTitulo: "¡Microbus confirmado!",
+    confirmadoMensaje: "{nombre} está confirmado.",
+    editadoTitulo: "Cambió tu vehículo",
+    editadoMensaje: "{nombre} cambió: {campos}.",
+    nuevoTitulo: "Nuevo pasajero",
+    nuevoMensaje: "{quien} reservó en tu vehículo.",
+    canceloTitulo: "Pasajero canceló",
+    canceloMensaje: "{quien} ya no va en tu vehículo.",
+    sinSoporte: "Este navegador no permite notificaciones. Prueba instalando la app en tu pantalla de inicio.",
+    sinPermiso: "No se dio permiso para notificaciones. Puedes activarlo desde la configuración del navegador.",
+    errorPreferencias: "No se pudieron guardar tus preferencias de avisos. Intenta de nuevo.",
+    errorPush: "No se pudieron activar o desactivar las notificaciones. Intenta de nuevo.",
+    titulo: "Avisos",
+    vacio: "Sin avisos por ahora",
+    vacioDetalle: "Aquí aparecen los cambios en tu vehículo y en tus pasajeros mientras tengas la app abierta.",
+    quieroEnterarme: "Quiero enterarme cuando…",
+    sistema: "También como notificación en este teléfono o computadora, aunque la app esté cerrada",
+    preferenciasDetalle: "Las preferencias se guardan con tu sesión y valen en todos tus dispositivos. Las notificaciones se activan en cada dispositivo.",
+    verTodos: "Ver todos los avisos",
+  },
+  compartir: {
+    quedan: {
+      one: "Queda 1 asiento",
+      other: "Quedan {count} asientos",
+    },
+    sinAsientos: "Sin asientos libres",
+    microbusDe: "🚌 Microbus de {propietario} · desde {punto}",
+    carroDe: "🚗 Carro de {propietario} · desde {punto}",
+    salida: "salida {hora}",
+    regreso: "regreso {hora}",
+    libres: "🪑 {libres} de {total} asientos libres",
+    lleno: "🪑 Lleno",
+    libresRegreso: " (regreso: {libres} de {total})",
+    porPersona: "{monto} por persona",
+    reservaAqui: "👉 Reserva aquí: {url}",
+    enVehiculos: {
+      one: "{asientos} en 1 vehículo",
+      other: "{asientos} en {count} vehículos",
+    },
+    tituloMicrobus: "Microbus de {propietario}",
+    tituloVehiculo: "Vehículo de {propietario}",
+    copiaTexto: "Copia el texto:",
+    resumenCopiado: "Resumen copiado. Pégalo en el grupo.",
+    boton: "📣 Compartir",
+    whatsapp: "Enviar por WhatsApp",
+    enlaceCopiado: "Enlace copiado.",
+    copiarTexto: "📋 Copiar texto",
+    copiarEnlace: "🔗 Copiar enlace",
+    otraApp: "📤 Compartir con otra app",
+    enlaceNoDisponible: "El vehículo del enlace ya no está disponible. Te mostramos los demás.",
+  },
+  cercania: {
+    sinGeolocalizacion: "Tu navegador no permite obtener tu ubicación. Elige un punto preferido en Tu Información.",
+    ubicacionActual: "tu ubicación actual",
+    sinUbicacion: "No pudimos obtener tu ubicación. Elige un punto preferido en Tu Información para ordenar por cercanía.",
+    ordenadosPor: "📍 Ordenados por cercanía a {origen}",
+    cualquierDistancia: "Cualquier distancia",
+    aMenosDe: "A menos de {km} km",
+    ordenar: "📍 Ordenar por cercanía",
+    aDistancia: "A {distancia} de ti",
+    verMapa: "Ver en el mapa",
+  },
+  filtros: {
+    buscarConductor: "Buscar por conductor",
+    todosLosPuntos: "Todos los puntos de encuentro",
+    salidaEntre: "Salida entre",
+    y: "y",
+    soloLibres: "Solo con asientos libres",
+    ordenCercania: "Ordenar por cercanía",
+    ordenPublicacion: "Ordenar por publicación",
+    ordenLibres: "Más asientos libres primero",
+    ordenSalida: "Salida más temprana primero",
+    mostrando: {
+      one: "Mostrando {mostrados} de 1 vehículo",
+      other: "Mostrando {mostrados} de {count} vehículos",
+    },
+    limpiar: "Limpiar filtros",
+    copiarEnlace: "🔗 Copiar enlace con filtros",
+    ningunoCerca: "No hay vehículos a menos de {km} km",
+    ninguno: "Ningún vehículo coincide con los filtros",
+  },
+  horario: {
+    salida: "Salida {hora}",
+    regreso: "Regreso {hora}",
+  },
+  tipos: {
+    vehiculo: "vehículo",
+    microbus: "microbus",
+  },
+  erroresReserva: {
+    "vehiculo-lleno": {
+      titulo: "¡Se acaba de llenar!",
+      mensaje: "Alguien acaba de tomar el último asiento de este {tipo}. Revisa si hay otro con espacio disponible.",
+    },
+    "reserva-duplicada": {
+      titulo: "Ya tienes una reserva",
+      mensaje: "Ya tienes una reserva en este {tipo}.",
+    },
+    "vehiculo-no-existe": {
+      titulo: "Vehículo no disponible",
+      mensaje: "Este {tipo} ya no está disponible.",
+    },
+    "microbus-cancelado": {
+      titulo: "Microbus cancelado",
+      mensaje: "Este microbus fue cancelado y ya no acepta reservas.",
+    },
+    "sin-regreso": {
+      titulo: "Sin regreso",
+      mensaje: "Este {tipo} ya no ofrece regreso. Reserva solo la ida o busca otro vehículo.",
+    },
+    "reserva-no-existe": {
+      titulo: "Reserva no encontrada",
+      mensaje: "Tu reserva ya no existe. Es posible que se haya cancelado desde otro dispositivo.",
+    },
+    generico: {
+      titulo: "Error al reservar",
+      mensaje: "Error al reservar asiento. Intenta de nuevo.",
+    },
+  },
+  validacion: {
+    viajeArchivado: "Este viaje está archivado y ya no acepta cambios.",
+    iniciandoSesion: "Aún estamos iniciando tu sesión. Intenta de nuevo en un momento.",
+    nombre: "Por favor, ingresa tu nombre y apellido.",
+    punto: "Por favor, selecciona un punto de encuentro.",
+    minimoMayor: "El mínimo de pasajeros no puede ser mayor que los asientos disponibles.",
+    asientosRegreso: "Los asientos de regreso deben estar entre 1 y 50.",
+    asientos: "Los asientos deben estar entre 1 y 50.",
+  },
+  ofrecer: {
+    saliendo: "saliendo a las {hora}",
+    conRegreso: {
+      one: "con 1 asiento de regreso a las {hora}",
+      other: "con {count} asientos de regreso a las {hora}",
+    },
+    resumenPropio: {
+      one: "ofrecer tu vehículo con 1 asiento disponible desde {punto}",
+      other: "ofrecer tu vehículo con {count} asientos disponibles desde {punto}",
+    },
+    resumenRenta: {
+      one: "ofrecer tu microbus para renta con 1 asiento disponible desde {punto}",
+      other: "ofrecer tu microbus para renta con {count} asientos disponibles desde {punto}",
+    },
+    confirmarPropio: "Confirmar Vehículo",
+    confirmarRenta: "Confirmar Microbus",
+    confirmarMensaje: "¿Estás seguro de que quieres {resumen}?",
+    exitoPropio: "Muchas gracias por poner tu vehículo a disposición. Ahora aparecerá en la sección de \"Quiero Pedir Ride\". Si deseas retirarlo o editar el número de asientos, hazlo desde \"Mis vehículos\" en este mismo módulo.",
+    exitoRenta: "Muchas gracias por ofrecer tu microbus para la renta. Una vez que tengamos llenos los asientos te avisaremos para organizar los pagos.",
+    exitoTitulo: "¡Vehículo registrado exitosamente!",
+    error: "Error al agregar vehículo. Intenta de nuevo.",
+    titulo: "Ofrecer Vehículo",
+    tipo: "Tipo de vehículo",
+    tipoPropio: "Mi propio vehículo",
+    tipoRenta: "Renta de Microbus",
+    asientos: "Asientos disponibles",
+    punto: "Punto de encuentro",
+    seleccionaPunto: "Selecciona un punto de encuentro",
+    mapaAyuda: "Toca un punto del mapa para elegirlo, o cualquier otro lugar para marcar tu propio punto de encuentro.",
+    horaSalida: "Hora de salida",
+    horaRegreso: "Hora de regreso (opcional)",
+    asientosRegreso: "Asientos para el regreso",
+    regresoAyuda: "Si indicas hora de regreso, los pasajeros podrán reservar solo la ida, solo el regreso o ambos.",
+    notas: "Notas adicionales (opcional)",
+    notasPlaceholder: "Ej: Pasaré por las personas en X lugar, No fumar, traer almuerzo, etc.",
+    costoAsiento: "Costo por asiento en dólares (opcional)",
+    costoDelViaje: "Costo del viaje: {monto}",
+    costoEjemplo: "Ej: 18",
+    costoTotal: "Costo total de la renta (opcional)",
+    costoTotalPlaceholder: "Se divide entre los pasajeros",
+    minimo: "Mínimo de pasajeros",
+    todosLosAsientos: "Todos los asientos ({count})",
+    fechaLimite: "Fecha límite (opcional)",
+    agregando: "Agregando...",
+  },
+  reservar: {
+    yaTienesVehiculo: "Ya tienes una reserva en este vehículo.",
+    yaEnCola: "Ya tienes una reserva en este vehículo esperando a que vuelva la conexión.",
+    sinLugarGrupo: "Este vehículo no tiene {count} asientos libres para todo el grupo.",
+    confirmarTitulo: "Confirmar Reserva",
+    confirmarMensaje: "Vas a reservar {grupo}{tramos} en el vehículo de \"{propietario}\", bajo el nombre de \"{nombre}\". Si necesitas cancelarlo o cambias de opinión, déjale saber a {organizador}.",
+    exitoTitulo: "¡Reserva confirmada!",
+    exitoMensaje: "Has reservado exitosamente {grupo} en el vehículo de {propietario}. Te esperamos en {punto}.",
+    titulo: "Vehículos Disponibles",
+    vacio: "No hay vehículos propios disponibles",
+    seElPrimero: "Sé el primero en ofrecer tu vehículo",
+    tuPunto: "📍 Tu punto preferido",
+    libresIda: "libres de ida",
+    libres: "asientos libres",
+    libresRegreso: "libres de regreso",
+    notasConductor: "Notas del conductor:",
+    reservando: "Reservando...",
+    boton: "Reservar Asiento",
+    sinLugarTramos: "Sin lugar: {tramos}",
+    lleno: "Vehículo lleno",
+    pasajeros: "Pasajeros:",
+  },
+  espera: {
+    yaEstas: "Ya estás en la lista de espera de este vehículo.",
+    confirmarSalir: "¿Salir de la lista de espera?",
+    errorSalir: "Error al salir de la lista de espera. Intenta de nuevo.",
+    enLista: "{count} en lista de espera",
+    posicion: "Estás en la lista de espera: posición {posicion}",
+    salir: "Salir",
+    unirme: "Unirme a la lista de espera",
+    tarjeta: "⏳ Lista de espera · posición {posicion}",
+    noDisponible: "Vehículo no disponible",
+    salirDeLista: "Salir de la lista",
+  },
+  solicitudes: {
+    elegirPunto: "Elige desde qué punto de encuentro necesitas el ride.",
+    yaTienesRide: "Ya tienes un ride reservado. Cancélalo en \"Mis reservas\" si prefieres que te asignen otro.",
+    errorEnviar: "Error al enviar tu solicitud. Intenta de nuevo.",
+    confirmarRetirar: "¿Retirar tu solicitud de ride?",
+    errorRetirar: "Error al retirar la solicitud. Intenta de nuevo.",
+    sinAsignar: "🙋 Ride sin vehículo asignado",
+    desde: "Desde {punto}",
+    grupo: "Grupo: {grupo}",
+    retirar: "Retirar solicitud",
+    pedisteDesde: "🙋 Pediste ride desde",
+    conElGrupo: "con el grupo",
+    teAvisaremos: "Te avisaremos en \"Mis reservas\" cuando el organizador te asigne un vehículo.",
+    invitacion: "🙋 ¿No te importa en qué carro vas? Pide ride desde tu punto de encuentro y el organizador te asigna uno.",
+    punto: "Punto de encuentro...",
+    grupoPlaceholder: "Grupo (opcional, para ir juntos)",
+    pedir: "Pedir ride",
+  },
+  cancelar: {
+    otroDispositivo: "La reserva a nombre de \"{pasajero}\" se hizo desde otro dispositivo. Ingresa con el mismo correo que usaste allí para cancelarla.",
+    soloPropia: "Solo puedes cancelar tu propia reserva.",
+    confirmar: "¿Estás seguro de que quieres cancelar tu reserva?",
+    confirmarMicrobus: "¿Estás seguro de que quieres cancelar tu reserva en el microbus?",
+    error: "Error al cancelar reserva. Intenta de nuevo.",
+    botonGrupo: "Cancelar reserva del grupo",
+    boton: "Cancelar reserva",
+  },
+  cambiar: {
+    avisoPago: "Tu pago registrado no se traslada: avísale al organizador para que lo verifique en el nuevo microbus.",
+    confirmar: "¿Cambiar tu reserva al vehículo de {propietario} ({punto})?",
+    exitoTitulo: "¡Reserva cambiada!",
+    exitoMensaje: "Ahora vas en el vehículo de {propietario}. Te esperamos en {punto}.",
+    opcion: "Cambiar de vehículo…",
+    libres: {
+      one: "1 libre",
+      other: "{count} libres",
+    },
+  },
+  viajes: {
+    enlaceCopiado: "Enlace copiado. ¡Compártelo con los participantes del viaje!",
+    copiaEnlace: "Copia el enlace del viaje:",
+    faltanDatos: "El viaje necesita un nombre y una fecha.",
+    errorCrear: "Error al crear el viaje. Intenta de nuevo.",
+    archivar: {
+      confirmar: "¿Quieres archivar el viaje \"{nombre}\"?",
+      error: "Error al archivar el viaje. Intenta de nuevo.",
+      boton: "Archivar",
+    },
+    reactivar: {
+      confirmar: "¿Quieres reactivar el viaje \"{nombre}\"?",
+      error: "Error al reactivar el viaje. Intenta de nuevo.",
+      boton: "Reactivar",
+    },
+    elige: "Elige tu viaje",
+    nuevo: "+ Nuevo viaje",
+    campos: {
+      nombre: "Nombre del viaje",
+      destino: "Destino",
+      precioMicrobus: "Precio del microbus (ej: $15-$20)",
+      costoMicrobus: "Costo por asiento del microbus en dólares",
+      puntos: "Puntos de encuentro (uno por línea)",
+    },
+    creando: "Creando...",
+    crear: "Crear viaje",
+    sinProximos: "No hay viajes próximos",
+    pideEnlace: "Pide al organizador el enlace de tu viaje",
+    ocultarAnteriores: "Ocultar viajes anteriores ({count})",
+    verAnteriores: "Ver viajes anteriores ({count})",
+    noEncontrado: "No encontramos este viaje",
+    verTodos: "Ver todos los viajes",
+    cargando: "Cargando viaje...",
+    archivadoAviso: "Este viaje está archivado. Puedes consultar la información pero ya no se aceptan reservas ni cambios.",
+  },
+  comunes: {
+    cancelar: "Cancelar",
+    intentaDeNuevo: "Intenta de nuevo.",
+    guardando: "Guardando...",
+    guardarCambios: "Guardar cambios",
+    editar: "Editar",
+    procesando: "Procesando...",
+    confirmar: "Confirmar",
+    entendido: "Entendido",
+    quitar: "Quitar",
+  },
+  sesion: {
+    errorEnlace: "Error al enviar el enlace. Revisa tu correo e intenta de nuevo.",
+    confirmarSalir: "¿Cerrar sesión? Para volver a ver tus reservas tendrás que ingresar con tu correo.",
+    iniciando: "Iniciando sesión...",
+    enlaceEnviadoA: "Te enviamos un enlace a",
+    abrelo: "Ábrelo en este dispositivo para guardar tu sesión.",
+    correo: "Tu correo (para no perder tus reservas)",
+    enviarEnlace: "Enviar enlace",
+    iniciadaComo: "Sesión iniciada como",
+    cerrar: "Cerrar sesión",
+    confirmaCorreo: "Confirma tu correo para completar el ingreso",
+    enlaceInvalido: "El enlace de ingreso no es válido o ya expiró.",
+  },
+  acciones: {
+    noSePudo: "No se pudo {accion}",
+    exportarManifiesto: "exportar el manifiesto",
+    importarArchivo: "importar el archivo",
+    editarVehiculo: "editar el vehículo",
+    eliminarVehiculo: "eliminar el vehículo",
+    retirarVehiculo: "retirar el vehículo",
+    moverPasajero: "mover al pasajero",
+  },
+  organizador: {
+    eliminarMover: {
+      one: "Su pasajero pasará al vehículo de {propietario}.",
+      other: "Sus {count} pasajeros pasarán al vehículo de {propietario}.",
+    },
+    eliminarReservas: {
+      one: "También se eliminará su reserva.",
+      other: "También se eliminarán sus {count} reservas.",
+    },
+    confirmarEliminar: "¿Eliminar el vehículo de {propietario}?",
+    confirmarMover: "¿Mover a {pasajero} al vehículo de {propietario}?",
+  },
+  misVehiculos: {
+    retirarAviso: {
+      one: "Tu pasajero recibirá un aviso para reservar en otro vehículo.",
+      other: "Tus {count} pasajeros recibirán un aviso para reservar en otro vehículo.",
+    },
+    confirmarRetirarVehiculo: "¿Retirar tu vehículo?",
+    confirmarRetirarMicrobus: "¿Retirar tu microbus?",
+    titulo: "Mis vehículos",
+    ocupados: "asientos ocupados",
+    regreso: "Regreso: {ocupados}/{total}",
+    retirar: "Retirar",
+  },
+  misReservas: {
+    errorLiberar: "Error al liberar tu reserva. Intenta de nuevo.",
+    titulo: "Mis Reservas",
+    vacio: "Aún no tienes reservas en este viaje",
+    reservaUnAsiento: "Reserva un asiento en un ride o en el microbus",
+    escribeTuNombre: "Escribe tu nombre arriba para encontrar tus reservas",
+    tipoMicrobus: "🚌 Microbus rentado",
+    tipoRide: "🚗 Ride",
+    punto: "Punto de encuentro: {punto}",
+    reservaste: "Reservaste: {tramos}",
+    aNombreDe: "A nombre de {pasajero}",
+    vehiculoRetirado: "Vehículo retirado",
+    asientoConfirmado: "Asiento confirmado",
+    paraPersonas: "Reserva para {count} personas:",
+    soloParaTi: "Reserva solo para ti",
+    quitarA: "Quitar a {nombre}",
+    agregarAcompanante: "Agregar acompañante",
+    agregar: "Agregar",
+    otroDispositivo: "Esta reserva se hizo desde otro dispositivo. Ingresa con el mismo correo para gestionarla aquí.",
+  },
+  edicion: {
+    costoAsiento: "Costo por asiento en dólares (opcional)",
+    costoTotal: "Costo total de la renta",
+    minimoPasajeros: "Mínimo de pasajeros",
+    horaSalida: "Hora de salida",
+    horaRegreso: "Hora de regreso",
+    asientosRegreso: "Asientos de regreso",
+    notas: "Notas",
+  },
+  app: {
+    titulo: "Organización de Transporte",
+    pie: "✨ Actualizaciones en tiempo real con Firebase",
+  },
+  encabezado: {
+    todosLosViajes: "← Todos los viajes",
+    copiarEnlace: "🔗 Copiar enlace del viaje",
+    resumenWhatsApp: "📣 Resumen para WhatsApp",
+    lema: "Organicemos el transporte",
+    sinConexion: "Sin conexión · mostrando lo último guardado",
+    conectando: "Conectando...",
+    conectado: "Conectado a Firebase",
+    porEnviar: "{count} por enviar",
+    idioma: "Idioma",
+  },
+  perfil: {
+    titulo: "Tu Información",
+    importante: "Importante",
+    ligadas: "Tus reservas quedan ligadas a este dispositivo.",
+    ingresaCorreo: "Ingresa tu correo para recibir un enlace y poder cancelar tus reservas desde cualquier otro dispositivo.",
+    nombre: "Tu nombre y apellido",
+    seGuarda: "Se guarda localmente",
+    telefono: "Tu teléfono (opcional)",
+    puntoPreferido: "Tu punto de encuentro preferido",
+  },
+  afectadas: {
+    titulo: "Tu vehículo fue retirado",
+    retiroPropietario: "{propietario} retiró su vehículo.",
+    retirado: "El vehículo fue retirado.",
+    sinGarantia: "Tu asiento ya no está garantizado.",
+    reservarEnOtro: "Reservar en otro vehículo",
+  },
+  modulos: {
+    ofrecer: {
+      titulo: "Yo tengo un vehículo",
+      descripcion: "Ofrece tu vehículo y especifica cuántos asientos tienes disponibles",
+    },
+    reservar: {
+      titulo: "Quiero pedir ride",
+      descripcion: "Reserva un asiento en los vehículos disponibles",
+    },
+    microbus: {
+      titulo: "Yo quiero ir en el microbus",
+      descripcion: "Reserva un asiento en el microbus rentado ({precio})",
+    },
+  },
+  accesos: {
+    misReservas: "🧾 Mis reservas",
+    avisos: "🔔 Avisos",
+    panel: "🛠️ Panel del organizador",
+  },
+  opcionesTramos: {
+    ambos: "Ida y regreso",
+    ida: "Solo ida",
+    regreso: "Solo regreso",
+  },
+  panel: {
+    titulo: "Panel del Organizador",
+    manifiesto: {
+      titulo: "Manifiesto de pasajeros",
+      descripcion: "Una fila por pasajero con conductor, tipo de vehículo, punto de encuentro, notas y hora de la reserva.",
+      csv: "📄 Descargar CSV",
+      excel: "📊 Descargar Excel",
+      imprimible: "🖨️ Manifiesto imprimible",
+    },
+    asignacion: {
+      titulo: "Rides por asignar ({count})",
+      descripcion: "Pasajeros que solo pidieron ride desde un punto de encuentro. La asignación los reparte en los vehículos propios del mismo punto con asientos libres y mantiene juntos a los grupos.",
+      calcular: "Calcular asignación",
+      nadie: "No se pudo asignar a nadie con los vehículos actuales.",
+      grupo: "grupo {grupo}",
+      asignando: "Asignando...",
+      confirmar: "Confirmar asignación",
+    },
+    asientos: "{ocupados}/{total} asientos",
+    importacion: {
+      titulo: "Importar desde CSV",
+      descripcion: "Conductores con sus asientos, punto de encuentro y notas, y pasajeros con su conductor asignado. Antes de guardar verás qué se va a crear.",
+      plantilla: "Descargar plantilla",
+      resumen: "se crearían {nuevos} vehículos y {pasajeros} reservas.",
+      corrige: "Corrige estos errores y vuelve a subir el archivo:",
+      linea: "Línea {linea}: {mensaje}",
+      nuevo: "+ Nuevo",
+      existente: "Existente",
+      importando: "Importando...",
+      importar: "Importar",
+    },
+    puntos: {
+      titulo: "Puntos de encuentro",
+      ubicar: "Haz clic en el mapa para ubicar \"{nombre}\".",
+      ubicarNuevo: "Haz clic en el mapa para ubicar un punto nuevo y ponle nombre.",
+      nuevo: "Punto nuevo",
+      nombreNuevo: "Nombre del punto nuevo",
+      agregar: "Agregar punto",
+      sinUbicacion: "Sin ubicación en el mapa",
+      ubicarEnMapa: "Ubicar en el mapa",
+    },
+    vacio: "No hay vehículos registrados",
+    retiradoPorDueno: " · Retirado por su dueño",
+    eliminar: {
+      borrarReservas: "Al eliminar: borrar reservas",
+      moverA: "Al eliminar: mover a {propietario}",
+      boton: "Eliminar",
+    },
+    moverA: "Mover a...",
+  },
+  configuracion: {
+    organizadorGenerico: "quien organiza el viaje",
+    boton: "⚙️ Configuración",
+    titulo: "Configuración del grupo",
+    descripcion: "Se aplica a todos los viajes. Cada viaje puede cambiar su precio del microbus y sus puntos de encuentro desde el panel.",
+    campos: {
+      titulo: "Título de la app",
+      precioMicrobus: "Precio del microbus (ej: $15 o $15-$20)",
+      organizadorNombre: "Nombre de quien organiza",
+      organizadorContacto: "Contacto (teléfono o correo)",
+      puntosEncuentro: "Puntos de encuentro para viajes nuevos (uno por línea)",
+      instrucciones: "Indicaciones para los participantes",
+    },
+    errorGuardar: "Error al guardar la configuración. Intenta de nuevo.",
+    indicaciones: "📌 Indicaciones",
+    contacto: "Dudas o cambios: {organizador}",
+  },
+};
@@ -0,0 +1,67 @@
+import es from "./es";
+import en from "./en";
+
+/**
+ * Textos de la app en español e inglés.
+ * ------------------------------------------------------------
+ * Los catálogos agrupan las claves por área ("reservar.confirmarTitulo").
+ * Los valores pueden llevar variables entre llaves ("Hola, {nombre}") y, si
+ * dependen de una cantidad, venir como { one, other } y elegirse con `count`.
+ * El idioma elegido se guarda en este dispositivo; la primera vez se toma el
+ * del navegador.
+ */
+
+const CATALOGOS = { es, en };
+
+export const IDIOMAS = { es: "Español", en: "English" };
+
+// Locale para fechas, horas y montos
+const LOCALES = { es: "es-SV", en: "en-US" };
+
+const IDIOMA_KEY = "idioma";
+
+// Fuera del navegador (pruebas en Node) no hay dónde guardar el idioma: español
+const enNavegador = typeof window !== "undefined";
+
+const idiomaInicial = () => {
+  if (!enNavegador) return "es";
+  const guardado = localStorage.getItem(IDIOMA_KEY);
+  if (guardado in CATALOGOS) return guardado;
+  return navigator.language?.toLowerCase().startsWith("en") ? "en" : "es";
+};
+
+let idiomaActual = idiomaInicial();
+if (enNavegador) document.documentElement.lang = idiomaActual;
+
+export const getIdioma = () => idiomaActual;
+export const getLocale = () => LOCALES[idiomaActual];
+
+export const setIdioma = (idioma) => {
+  if (!(idioma in CATALOGOS)) return;
+  idiomaActual = idioma;
+  if (!enNavegador) return;
+  localStorage.setItem(IDIOMA_KEY, idioma);
+  document.documentElement.lang = idioma;
+};
+
+const buscar = (catalogo, clave) => clave.split(".").reduce((nodo, parte) => nodo?.[parte], catalogo);
+
+// Traduce `clave` al idioma actual (si falta, en español) y reemplaza {variables}
+export const t = (clave, variables = {}) => {
+  let texto = buscar(CATALOGOS[idiomaActual], clave) ?? buscar(CATALOGOS.es, clave);
+  if (texto == null) {
+    console.warn(`Falta el texto "${clave}"`);
+    return clave;
+  }
+  if (typeof texto === "object") {
+    texto = texto[new Intl.PluralRules(getLocale()).select(variables.count ?? 0)] ?? texto.other;
+  }
+  return texto.replace(/\{(\w+)\}/g, (original, nombre) => (variables[nombre] ?? original));
+};
+
+// Montos en dólares (la moneda del viaje) con el formato del idioma
+export const formatearMonto = (monto) =>
+  new Intl.NumberFormat(getLocale(), { style: "currency", currency: "USD", currencyDisplay: "narrowSymbol" }).format(monto);
+
+// ["Ida", "Regreso"] -> "Ida y Regreso" / "Outbound and Return"
+export const unirLista = (partes) => new Intl.ListFormat(getLocale(), { type: "conjunction" }).format(partes);
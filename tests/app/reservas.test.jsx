@@ -0,0 +1,236 @@
+// @vitest-environment jsdom
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { cleanup, fireEvent, render, screen, waitFor, within } from "@testing-library/react";
+import { adaptador } from "../../src/datos/firebase";
+import { t } from "../../src/i18n";
+import App from "../../src/App";
+
+// La app completa contra el adaptador en memoria: sin Firebase ni red (npm test).
+// La sesión es siempre la de "beto", anónima.
+vi.mock("../../src/datos/firebase", async () => {
+  const { crearAdaptadorMemoria } = await import("../../src/datos/adaptadorMemoria");
+  return { auth: {}, adaptador: crearAdaptadorMemoria(), pedirTokenPush: async () => null, soltarTokenPush: async () => {} };
+});
+
+vi.mock("firebase/auth", () => ({
+  onAuthStateChanged: (auth, alCambiar) => {
+    alCambiar({ uid: "beto", isAnonymous: true });
+    return () => {};
+  },
+  signInAnonymously: vi.fn(),
+  sendSignInLinkToEmail: vi.fn(),
+  isSignInWithEmailLink: () => false,
+  signInWithEmailLink: vi.fn(),
+  linkWithCredential: vi.fn(),
+  EmailAuthProvider: { credentialWithLink: vi.fn() },
+  signOut: vi.fn(),
+}));
+
+// Cada prueba usa su propio viaje: el adaptador en memoria se comparte en el archivo
+let numeroViaje = 0;
+let viajeId;
+
+const ruta = (coleccion, id) => `viajes/${viajeId}/${coleccion}/${id}`;
+const leerDatos = async (coleccion, id) => (await adaptador.leer(ruta(coleccion, id))).datos;
+
+// La suscripción entrega la colección de inmediato; se corta en cuanto llega
+const leerColeccion = (coleccion) =>
+  new Promise((resolve) => adaptador.escuchar(`viajes/${viajeId}/${coleccion}`, {}, ({ docs }) => resolve(docs))());
+
+const sembrarVehiculo = (id, extra = {}) =>
+  adaptador.guardar(ruta("vehiculos", id), {
+    uid: "ana",
+    propietario: "Ana López",
+    asientosDisponibles: 2,
+    asientosOcupados: 0,
+    puntoEncuentro: "Metrocentro",
+    tipoVehiculo: "propio",
+    notas: "",
+    createdAt: adaptador.marcaDeTiempo(),
+    ...extra,
+  });
+
+const sembrarReserva = (vehiculoId, uid, { coleccion = "reservas", ...extra } = {}) =>
+  adaptador.guardar(ruta(coleccion, `${vehiculoId}_${uid}`), {
+    uid,
+    vehiculoId,
+    pasajero: `Pasajero ${uid}`,
+    propietario: "Ana López",
+    createdAt: adaptador.marcaDeTiempo(),
+    ...extra,
+  });
+
+// Abre la app en el viaje de la prueba y entra a un módulo
+const abrirModulo = async (clave) => {
+  render(<App />);
+  fireEvent.click(await screen.findByText(t(`modulos.${clave}.titulo`)));
+};
+
+const boton = (nombre) => screen.getByRole("button", { name: nombre });
+
+beforeEach(async () => {
+  viajeId = `t${++numeroViaje}`;
+  localStorage.clear();
+  localStorage.setItem("perfilParticipante", JSON.stringify({ nombre: "Beto Ruiz", telefono: "", puntoPreferido: "" }));
+  window.history.replaceState(null, "", `/?tour=${viajeId}`);
+  vi.spyOn(window, "alert").mockImplementation(() => {});
+  vi.spyOn(window, "confirm").mockImplementation(() => true);
+  vi.spyOn(console, "log").mockImplementation(() => {});
+
+  await adaptador.guardar(`viajes/${viajeId}`, {
+    nombre: "Tour de hongos",
+    fecha: "2026-11-08",
+    destino: "Parque Imposible",
+    puntosEncuentro: [{ nombre: "Metrocentro", lat: 13.7, lng: -89.21 }],
+    precioMicrobus: "$15",
+    archivado: false,
+  });
+});
+
+afterEach(() => {
+  cleanup();
+  vi.restoreAllMocks();
+});
+
+describe("ofrecer un vehículo", () => {
+  it("pide confirmación, lo guarda y muestra el mensaje de éxito", async () => {
+    await abrirModulo("ofrecer");
+    const formulario = screen.getByRole("heading", { name: t("ofrecer.titulo") }).closest("section");
+    fireEvent.change(within(formulario).getByDisplayValue(t("ofrecer.seleccionaPunto")), { target: { value: "Metrocentro" } });
+    fireEvent.change(within(formulario).getByDisplayValue("4"), { target: { value: "3" } });
+    fireEvent.click(within(formulario).getByRole("button", { name: t("ofrecer.titulo") }));
+
+    expect(await screen.findByText(t("ofrecer.confirmarPropio"))).toBeTruthy();
+    fireEvent.click(boton(t("comunes.confirmar")));
+
+    expect(await screen.findByText(t("ofrecer.exitoTitulo"))).toBeTruthy();
+    expect(await leerColeccion("vehiculos")).toEqual([
+      expect.objectContaining({ uid: "beto", propietario: "Beto Ruiz", asientosDisponibles: 3, asientosOcupados: 0 }),
+    ]);
+
+    fireEvent.click(boton(t("comunes.entendido")));
+    expect(screen.queryByText(t("ofrecer.exitoTitulo"))).toBeNull();
+  });
+
+  it("cancelar la confirmación no guarda nada", async () => {
+    await abrirModulo("ofrecer");
+    const formulario = screen.getByRole("heading", { name: t("ofrecer.titulo") }).closest("section");
+    fireEvent.change(within(formulario).getByDisplayValue(t("ofrecer.seleccionaPunto")), { target: { value: "Metrocentro" } });
+    fireEvent.click(within(formulario).getByRole("button", { name: t("ofrecer.titulo") }));
+
+    fireEvent.click(await screen.findByRole("button", { name: t("comunes.cancelar") }));
+
+    expect(screen.queryByText(t("ofrecer.confirmarPropio"))).toBeNull();
+    expect(await leerColeccion("vehiculos")).toEqual([]);
+  });
+});
+
+describe("pedir ride", () => {
+  it("reserva un asiento y luego lo cancela", async () => {
+    await sembrarVehiculo("v1");
+    await abrirModulo("reservar");
+
+    fireEvent.click(await screen.findByRole("button", { name: t("reservar.boton") }));
+    expect(screen.getByText(t("reservar.confirmarTitulo"))).toBeTruthy();
+    fireEvent.click(boton(t("comunes.confirmar")));
+
+    expect(await screen.findByText(t("reservar.exitoTitulo"))).toBeTruthy();
+    expect(await leerDatos("reservas", "v1_beto")).toMatchObject({ pasajero: "Beto Ruiz", vehiculoId: "v1" });
+    expect((await leerDatos("vehiculos", "v1")).asientosOcupados).toBe(1);
+
+    fireEvent.click(boton(t("comunes.entendido")));
+    fireEvent.click(screen.getByText(t("modulos.reservar.titulo")));
+    fireEvent.click(await screen.findByRole("button", { name: t("comunes.cancelar") }));
+
+    await waitFor(async () => expect(await leerDatos("reservas", "v1_beto")).toBe(null));
+    expect(window.confirm).toHaveBeenCalledWith(t("cancelar.confirmar"));
+    expect((await leerDatos("vehiculos", "v1")).asientosOcupados).toBe(0);
+  });
+
+  it("no deja reservar dos veces el mismo vehículo", async () => {
+    await sembrarVehiculo("v1", { asientosOcupados: 1 });
+    await sembrarReserva("v1", "beto", { pasajero: "Beto Ruiz" });
+    await abrirModulo("reservar");
+
+    fireEvent.click(await screen.findByRole("button", { name: t("reservar.boton") }));
+
+    expect(window.alert).toHaveBeenCalledWith(t("reservar.yaTienesVehiculo"));
+    expect(screen.queryByText(t("reservar.confirmarTitulo"))).toBeNull();
+  });
+
+  it("avisa si la reserva ya existía al confirmar (otra pestaña)", async () => {
+    await sembrarVehiculo("v1");
+    await abrirModulo("reservar");
+    fireEvent.click(await screen.findByRole("button", { name: t("reservar.boton") }));
+
+    await sembrarReserva("v1", "beto", { pasajero: "Otro nombre" });
+    fireEvent.click(boton(t("comunes.confirmar")));
+
+    expect(await screen.findByText(t("erroresReserva.reserva-duplicada.titulo"))).toBeTruthy();
+    expect(screen.queryByText(t("reservar.exitoTitulo"))).toBeNull();
+  });
+
+  it("un vehículo lleno no se puede reservar", async () => {
+    await sembrarVehiculo("v1", { asientosDisponibles: 1, asientosOcupados: 1 });
+    await sembrarReserva("v1", "carla");
+    await abrirModulo("reservar");
+
+    expect(await screen.findByText(t("reservar.lleno"))).toBeTruthy();
+    expect(screen.queryByRole("button", { name: t("reservar.boton") })).toBeNull();
+  });
+
+  it("si alguien toma el último asiento antes de confirmar, avisa que se llenó", async () => {
+    await sembrarVehiculo("v1", { asientosDisponibles: 1 });
+    await abrirModulo("reservar");
+    fireEvent.click(await screen.findByRole("button", { name: t("reservar.boton") }));
+
+    await sembrarReserva("v1", "carla");
+    await adaptador.actualizar(ruta("vehiculos", "v1"), { asientosOcupados: 1 });
+    fireEvent.click(boton(t("comunes.confirmar")));
+
+    expect(await screen.findByText(t("erroresReserva.vehiculo-lleno.titulo"))).toBeTruthy();
+    expect(await leerDatos("reservas", "v1_beto")).toBe(null);
+  });
+
+  it("solo se puede cancelar la reserva propia", async () => {
+    await sembrarVehiculo("v1", { asientosDisponibles: 3, asientosOcupados: 2 });
+    // Mismo nombre pero otra sesión: se ve el botón, pero no deja cancelar
+    await sembrarReserva("v1", "otra-sesion", { pasajero: "Beto Ruiz" });
+    await sembrarReserva("v1", "carla", { pasajero: "Carla Díaz" });
+    await abrirModulo("reservar");
+
+    const cancelar = await screen.findAllByRole("button", { name: t("comunes.cancelar") });
+    expect(cancelar).toHaveLength(1);
+    fireEvent.click(cancelar[0]);
+
+    expect(window.alert).toHaveBeenCalledWith(t("cancelar.otroDispositivo", { pasajero: "Beto Ruiz" }));
+    expect(window.confirm).not.toHaveBeenCalled();
+    expect(await leerDatos("reservas", "v1_otra-sesion")).not.toBe(null);
+  });
+});
+
+describe("microbus", () => {
+  it("reserva un asiento en el microbus", async () => {
+    await sembrarVehiculo("m1", { tipoVehiculo: "renta", asientosDisponibles: 10, propietario: "Organizador", estado: "reuniendo" });
+    await abrirModulo("microbus");
+
+    fireEvent.click(await screen.findByRole("button", { name: t("microbus.boton") }));
+    expect(screen.getByText(t("microbus.confirmarTitulo"))).toBeTruthy();
+    fireEvent.click(boton(t("comunes.confirmar")));
+
+    expect(await screen.findByText(t("microbus.exitoTitulo"))).toBeTruthy();
+    expect(await leerDatos("reservasMicrobus", "m1_beto")).toMatchObject({ pasajero: "Beto Ruiz", vehiculoId: "m1" });
+    expect((await leerDatos("vehiculos", "m1")).asientosOcupados).toBe(1);
+  });
+
+  it("no deja reservar dos veces el mismo microbus", async () => {
+    await sembrarVehiculo("m1", { tipoVehiculo: "renta", asientosDisponibles: 10, asientosOcupados: 1, estado: "reuniendo" });
+    await sembrarReserva("m1", "beto", { coleccion: "reservasMicrobus", pasajero: "Beto Ruiz" });
+    await abrirModulo("microbus");
+
+    fireEvent.click(await screen.findByRole("button", { name: t("microbus.boton") }));
+
+    expect(window.alert).toHaveBeenCalledWith(t("microbus.yaTienes"));
+    expect(screen.queryByText(t("microbus.confirmarTitulo"))).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { t } from "../../src/i18n";
+import { asignarSolicitudes } from "../../src/datos/asignacion";
+
+// Propuesta de asignación de rides sin vehículo elegido: npm test
+const vehiculo = (id, libres, extra = {}) => ({ id, libres, puntoEncuentro: "Metrocentro", tipoVehiculo: "propio", ...extra });
+
+const solicitud = (id, extra = {}) => ({ id, uid: id, pasajero: `Pasajero ${id}`, puntoEncuentro: "Metrocentro", ...extra });
+
+const asignar = (solicitudes, vehiculos) => asignarSolicitudes(solicitudes, vehiculos, (v) => v.libres);
+
+// { vehiculoId: [solicitudIds] } para comparar fácil
+const porVehiculo = ({ asignaciones }) =>
+  Object.fromEntries(asignaciones.map(({ vehiculo, solicitudes }) => [vehiculo.id, solicitudes.map((s) => s.id)]));
+
+describe("asignarSolicitudes", () => {
+  it("un grupo va completo en un solo vehículo del mismo punto", () => {
+    const familia = ["a", "b", "c"].map((id) => solicitud(id, { grupo: "Familia Ruiz" }));
+    const plan = asignar(
+      [...familia, solicitud("d", { grupo: "familia ruiz", puntoEncuentro: "Santa Tecla" })],
+      [vehiculo("v1", 2), vehiculo("v2", 3), vehiculo("v3", 1, { puntoEncuentro: "Santa Tecla" })]
+    );
+    expect(porVehiculo(plan)).toEqual({ v2: ["a", "b", "c"], v3: ["d"] });
+    expect(plan.sinAsignar).toEqual([]);
+  });
+
+  it("acomoda primero los grupos grandes aunque hayan pedido después", () => {
+    const plan = asignar(
+      [solicitud("solo"), solicitud("a", { grupo: "amigos" }), solicitud("b", { grupo: "amigos" })],
+      [vehiculo("v1", 2), vehiculo("v2", 1)]
+    );
+    expect(porVehiculo(plan)).toEqual({ v1: ["a", "b"], v2: ["solo"] });
+  });
+
+  it("elige el vehículo donde quepa más justo", () => {
+    const plan = asignar([solicitud("a")], [vehiculo("v1", 4), vehiculo("v2", 1), vehiculo("v3", 2)]);
+    expect(porVehiculo(plan)).toEqual({ v2: ["a"] });
+  });
+
+  it("no usa microbuses ni vehículos retirados", () => {
+    const plan = asignar(
+      [solicitud("a")],
+      [vehiculo("m1", 10, { tipoVehiculo: "renta" }), vehiculo("v1", 3, { retirado: true })]
+    );
+    expect(porVehiculo(plan)).toEqual({});
+    expect(plan.sinAsignar).toEqual([{ solicitud: solicitud("a"), motivo: t("asignacion.sinVehiculos") }]);
+  });
+
+  it("explica por qué no se asignó cada solicitud", () => {
+    const grupo = ["a", "b", "c"].map((id) => solicitud(id, { grupo: "amigos" }));
+    const plan = asignar(
+      [...grupo, solicitud("d"), solicitud("e"), solicitud("f", { puntoEncuentro: "Santa Tecla" })],
+      [vehiculo("v1", 2)]
+    );
+
+    expect(porVehiculo(plan)).toEqual({ v1: ["d", "e"] });
+    expect(plan.sinAsignar.map(({ solicitud, motivo }) => [solicitud.id, motivo])).toEqual([
+      ["a", t("asignacion.sinLugarGrupo", { tamano: 3 })],
+      ["b", t("asignacion.sinLugarGrupo", { tamano: 3 })],
+      ["c", t("asignacion.sinLugarGrupo", { tamano: 3 })],
+      ["f", t("asignacion.sinVehiculos")],
+    ]);
+
+    const llenos = asignar([solicitud("g"), solicitud("h")], [vehiculo("v1", 1)]);
+    expect(llenos.sinAsignar).toEqual([{ solicitud: solicitud("h"), motivo: t("asignacion.llenos") }]);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, expect, it } from "vitest";
+import { t } from "../../src/i18n";
+import { leerCambios, documentosConocidos, detectarAvisos, prepararAvisosPush } from "../../src/datos/avisos";
+
+// Qué avisos le tocan a cada participante, sin Firebase: npm test
+const vehiculo = (extra = {}) => ({
+  id: "v1",
+  uid: "ana",
+  propietario: "Ana López",
+  tipoVehiculo: "propio",
+  puntoEncuentro: "Metrocentro",
+  horaSalida: "06:30",
+  notas: "",
+  ...extra,
+});
+
+const reserva = (uid, extra = {}) => ({
+  id: `v1_${uid}`,
+  uid,
+  vehiculoId: "v1",
+  pasajero: `Pasajero ${uid}`,
+  propietario: "Ana López",
+  ...extra,
+});
+
+const eventos = (avisos) => avisos.map((aviso) => aviso.evento);
+
+describe("leerCambios", () => {
+  it("junta cada cambio con el documento de antes y omite las escrituras pendientes", () => {
+    const anteriores = new Map([["v1", vehiculo()]]);
+    const lista = {
+      cambios: [
+        { tipo: "modified", id: "v1", datos: vehiculo({ notas: "Llevar agua" }), pendiente: false },
+        { tipo: "added", id: "v2", datos: vehiculo({ id: "v2" }), pendiente: true },
+        { tipo: "removed", id: "v3", datos: null, pendiente: false },
+      ],
+    };
+    expect(leerCambios("vehiculos", lista, anteriores)).toEqual([
+      { coleccion: "vehiculos", tipo: "modified", antes: vehiculo(), despues: vehiculo({ notas: "Llevar agua" }) },
+      { coleccion: "vehiculos", tipo: "removed", antes: null, despues: null },
+    ]);
+  });
+});
+
+describe("documentosConocidos", () => {
+  it("no toma como punto de partida una lista vacía salida de la caché", () => {
+    expect(documentosConocidos({ docs: [], desdeCache: true })).toBeNull();
+    expect(documentosConocidos({ docs: [], desdeCache: false })).toEqual(new Map());
+    expect(documentosConocidos({ docs: [vehiculo()], desdeCache: true })).toEqual(new Map([["v1", vehiculo()]]));
+  });
+});
+
+describe("detectarAvisos", () => {
+  const contexto = (uid) => ({ uid, vehiculos: [vehiculo()], reservas: [reserva("beto")] });
+
+  it("avisa al conductor de pasajeros nuevos y cancelaciones, con su grupo", () => {
+    const cambios = [
+      { coleccion: "reservas", tipo: "added", antes: null, despues: reserva("carla", { acompanantes: ["Dani"] }) },
+      { coleccion: "reservas", tipo: "removed", antes: reserva("beto"), despues: null },
+    ];
+    expect(detectarAvisos(cambios, contexto("ana"))).toEqual([
+      { evento: "pasajeroNuevo", titulo: t("avisos.nuevoTitulo"), mensaje: t("avisos.nuevoMensaje", { quien: "Pasajero carla (+1)" }) },
+      { evento: "pasajeroCancelo", titulo: t("avisos.canceloTitulo"), mensaje: t("avisos.canceloMensaje", { quien: "Pasajero beto" }) },
+    ]);
+    expect(detectarAvisos(cambios, contexto("beto"))).toEqual([]);
+  });
+
+  it("avisa al pasajero qué cambió en su vehículo, sin contar campos que no le importan", () => {
+    const cambios = [{
+      coleccion: "vehiculos",
+      tipo: "modified",
+      antes: vehiculo(),
+      despues: vehiculo({ horaSalida: "07:00", notas: "Llevar agua", asientosOcupados: 3 }),
+    }];
+    expect(detectarAvisos(cambios, contexto("beto"))).toEqual([{
+      evento: "vehiculoEditado",
+      titulo: t("avisos.editadoTitulo"),
+      mensaje: t("avisos.editadoMensaje", {
+        nombre: t("avisos.elVehiculoDe", { propietario: "Ana López" }),
+        campos: `${t("avisos.campos.horaSalida")} y ${t("avisos.campos.notas")}`,
+      }),
+    }]);
+    expect(detectarAvisos([{ ...cambios[0], despues: vehiculo({ asientosOcupados: 3 }) }], contexto("beto"))).toEqual([]);
+  });
+
+  it("avisa del retiro aunque su reserva se borre en el mismo cambio", () => {
+    const cambios = [
+      { coleccion: "vehiculos", tipo: "removed", antes: vehiculo(), despues: null },
+      { coleccion: "reservas", tipo: "removed", antes: reserva("beto"), despues: null },
+    ];
+    expect(eventos(detectarAvisos(cambios, { uid: "beto", vehiculos: [], reservas: [] }))).toEqual(["vehiculoRetirado"]);
+    expect(eventos(detectarAvisos(cambios, { uid: "carla", vehiculos: [], reservas: [] }))).toEqual([]);
+  });
+
+  it("avisa a los pasajeros del microbus cuando se confirma o se cancela", () => {
+    const microbus = vehiculo({ tipoVehiculo: "renta", estado: "reuniendo" });
+    const otroEstado = (estado) => [{ coleccion: "vehiculos", tipo: "modified", antes: microbus, despues: { ...microbus, estado } }];
+    const pasajero = { uid: "beto", vehiculos: [microbus], reservas: [reserva("beto")] };
+
+    expect(detectarAvisos(otroEstado("confirmado"), pasajero)).toEqual([{
+      evento: "microbusConfirmado",
+      titulo: t("avisos.confirmadoTitulo"),
+      mensaje: t("avisos.confirmadoMensaje", { nombre: t("avisos.elMicrobusDe", { propietario: "Ana López" }) }),
+    }]);
+    expect(detectarAvisos(otroEstado("cancelado"), pasajero)).toEqual([{
+      evento: "vehiculoRetirado",
+      titulo: t("avisos.canceladoTitulo"),
+      mensaje: t("avisos.canceladoMensaje", { nombre: t("avisos.elMicrobusDe", { propietario: "Ana López" }) }),
+    }]);
+  });
+
+  it("no avisa a quien hizo el cambio ni sin sesión", () => {
+    const cambios = [{ coleccion: "vehiculos", tipo: "modified", antes: vehiculo(), despues: vehiculo({ retirado: true }) }];
+    expect(detectarAvisos(cambios, { ...contexto("ana"), reservas: [reserva("ana")] })).toEqual([]);
+    expect(detectarAvisos(cambios, contexto(null))).toEqual([]);
+  });
+});
+
+describe("prepararAvisosPush", () => {
+  it("un cambio en el vehículo les interesa a sus pasajeros", () => {
+    const cambio = { coleccion: "vehiculos", tipo: "modified", antes: vehiculo(), despues: vehiculo({ notas: "Llevar agua" }) };
+    const reservas = [reserva("beto"), reserva("carla", { acompanantes: ["Dani"] })];
+    expect(prepararAvisosPush(cambio, { vehiculo: cambio.despues, reservas })).toEqual({
+      uids: ["beto", "carla"],
+      cambios: [cambio],
+      vehiculos: [cambio.despues],
+    });
+  });
+
+  it("una reserva le interesa al dueño del vehículo", () => {
+    const cambio = { coleccion: "reservas", tipo: "added", antes: null, despues: reserva("beto") };
+    const envio = prepararAvisosPush(cambio, { vehiculo: vehiculo(), reservas: [reserva("beto")] });
+    expect(envio.uids).toEqual(["ana"]);
+    expect(eventos(detectarAvisos(envio.cambios, { uid: "ana", vehiculos: envio.vehiculos, reservas: [] }))).toEqual(["pasajeroNuevo"]);
+  });
+
+  it("una reserva borrada junto con su vehículo le avisa al pasajero del retiro", () => {
+    const cambio = { coleccion: "reservasMicrobus", tipo: "removed", antes: reserva("beto"), despues: null };
+    const envio = prepararAvisosPush(cambio, { vehiculo: null, reservas: [] });
+    expect(envio.uids).toEqual(["beto"]);
+    expect(detectarAvisos(envio.cambios, { uid: "beto", vehiculos: envio.vehiculos, reservas: [] })).toEqual([{
+      evento: "vehiculoRetirado",
+      titulo: t("avisos.retiradoTitulo"),
+      mensaje: t("avisos.retiradoMensaje", { nombre: t("avisos.elMicrobusDe", { propietario: "Ana López" }) }),
+    }]);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, expect, it } from "vitest";
+import { t } from "../../src/i18n";
+import { parsearCsv, leerFilasImportacion, planificarImportacion } from "../../src/datos/importacion";
+
+// Lectura y revisión del CSV de importación, sin escribir nada: npm test
+const ENCABEZADO = "rol,nombre,telefono,asientos,punto,salida,notas,tipo,conductor";
+
+const vehiculoExistente = (extra = {}) => ({
+  id: "v1",
+  uid: "ana",
+  propietario: "Ana López",
+  asientosDisponibles: 2,
+  asientosOcupados: 1,
+  puntoEncuentro: "Metrocentro",
+  tipoVehiculo: "propio",
+  ...extra,
+});
+
+// Plan de un CSV con el encabezado completo; `lineas` sin encabezado
+const planificar = (lineas, { vehiculos = [], reservas = [] } = {}) =>
+  planificarImportacion(leerFilasImportacion([ENCABEZADO, ...lineas].join("\n")), {
+    vehiculos,
+    getReservasVehiculo: (vehiculo) => reservas.filter((r) => r.vehiculoId === vehiculo.id),
+    ocupados: (vehiculo) => vehiculo.asientosOcupados,
+    puntos: [{ nombre: "Metrocentro" }],
+  });
+
+const mensajes = (plan) => plan.errores.map(({ linea, mensaje }) => `${linea}: ${mensaje}`);
+
+describe("parsearCsv", () => {
+  it("respeta comillas, comillas escapadas y separadores dentro de comillas", () => {
+    expect(parsearCsv('a,"b, c","dijo ""hola"""\n')).toEqual([["a", "b, c", 'dijo "hola"']]);
+  });
+
+  it("acepta saltos de línea dentro de comillas y finales de línea de Windows", () => {
+    expect(parsearCsv('nombre,notas\r\nAna,"Sale 6:30\r\nLlamar antes"\r\nBeto,')).toEqual([
+      ["nombre", "notas"],
+      ["Ana", "Sale 6:30\r\nLlamar antes"],
+      ["Beto", ""],
+    ]);
+  });
+
+  it("usa ; como separador si el encabezado lo usa, y quita la marca BOM", () => {
+    expect(parsearCsv("\uFEFFrol;nombre;notas\nconductor;Ana;Sale 6,30")).toEqual([
+      ["rol", "nombre", "notas"],
+      ["conductor", "Ana", "Sale 6,30"],
+    ]);
+  });
+});
+
+describe("leerFilasImportacion", () => {
+  it("normaliza encabezados, limpia celdas y omite filas vacías", () => {
+    expect(leerFilasImportacion("Rol,Nombre,Punto de encuentro\n conductor , Ana  López ,Metrocentro\n,,\n")).toEqual([
+      { linea: 2, rol: "conductor", nombre: "Ana López", punto: "Metrocentro" },
+    ]);
+  });
+});
+
+describe("planificarImportacion", () => {
+  it("arma vehículos nuevos con sus pasajeros y suma a los que ya existen", () => {
+    const plan = planificar(
+      [
+        "conductor,Carla Díaz,,3,Metrocentro,06:30,,propio,",
+        "pasajero,Beto Ruiz,7000-0000,,,,,,carla diaz",
+        "pasajero,Eva Núñez,,,,,,,Ana López",
+      ],
+      { vehiculos: [vehiculoExistente()] }
+    );
+
+    expect(plan.errores).toEqual([]);
+    expect(plan.vehiculos).toEqual([
+      expect.objectContaining({
+        nuevo: true,
+        vehiculo: expect.objectContaining({ propietario: "Carla Díaz", asientosDisponibles: 3, horaSalida: "06:30" }),
+        pasajeros: [{ linea: 3, pasajero: "Beto Ruiz", telefono: "7000-0000" }],
+      }),
+      expect.objectContaining({ nuevo: false, ocupados: 1, pasajeros: [{ linea: 4, pasajero: "Eva Núñez" }] }),
+    ]);
+  });
+
+  it("rechaza un vehículo con más pasajeros que asientos, contando los que ya tenía", () => {
+    const plan = planificar(["pasajero,Beto Ruiz,,,,,,,Ana López", "pasajero,Eva Núñez,,,,,,,Ana López"], {
+      vehiculos: [vehiculoExistente()],
+    });
+    expect(mensajes(plan)).toEqual([
+      `2: ${t("importacion.errores.sobrecupo", { conductor: "Ana López", total: 3, asientos: 2 })}`,
+    ]);
+  });
+
+  it("rechaza pasajeros de un conductor que no existe", () => {
+    const plan = planificar(["pasajero,Beto Ruiz,,,,,,,Nadie"]);
+    expect(mensajes(plan)).toEqual([
+      `2: ${t("importacion.errores.conductorNoExiste", { nombre: "Beto Ruiz", conductor: "Nadie" })}`,
+    ]);
+  });
+
+  it("rechaza conductores y pasajeros repetidos", () => {
+    const plan = planificar([
+      "conductor,Carla Díaz,,3,,,,propio,",
+      "conductor,carla  diaz,,4,,,,propio,",
+      "pasajero,Beto Ruiz,,,,,,,Carla Díaz",
+      "pasajero,Beto Ruíz,,,,,,,Carla Díaz",
+    ]);
+    expect(mensajes(plan)).toEqual([
+      `3: ${t("importacion.errores.conductorRepetido", { nombre: "carla diaz" })}`,
+      `5: ${t("importacion.errores.pasajeroRepetido", { nombre: "Beto Ruíz" })}`,
+    ]);
+  });
+
+  it("señala cada dato inválido con su línea", () => {
+    const plan = planificar([
+      "conductor,,,3,,,,propio,",
+      "conductor,Dani,,3,,,,avion,",
+      "conductor,Eva,,0,,,,propio,",
+      "conductor,Fer,,3,,7am,,propio,",
+      "pasajero,,,,,,,,Eva",
+      "pasajero,Gabi,,,,,,,",
+      "chofer,Hugo,,,,,,,",
+    ]);
+    expect(mensajes(plan)).toEqual([
+      `2: ${t("importacion.errores.conductorSinNombre")}`,
+      `3: ${t("importacion.errores.tipoDesconocido", { tipo: "avion" })}`,
+      `4: ${t("importacion.errores.asientosFuera", { nombre: "Eva" })}`,
+      `5: ${t("importacion.errores.horaInvalida", { nombre: "Fer" })}`,
+      `6: ${t("importacion.errores.pasajeroSinNombre")}`,
+      `7: ${t("importacion.errores.sinConductor", { nombre: "Gabi" })}`,
+      `8: ${t("importacion.errores.rolDesconocido", { rol: "chofer" })}`,
+    ]);
+    expect(plan.vehiculos).toEqual([]);
+  });
+
+  it("avisa sin bloquear: conductor ya inscrito, punto desconocido, pasajero con reserva", () => {
+    const plan = planificar(
+      [
+        "conductor,Ana López,,2,,,,propio,",
+        "conductor,Carla Díaz,,3,Volcán,,,propio,",
+        "pasajero,Beto Ruiz,,,,,,,Ana López",
+      ],
+      { vehiculos: [vehiculoExistente()], reservas: [{ vehiculoId: "v1", pasajero: "beto ruiz" }] }
+    );
+    expect(plan.errores).toEqual([]);
+    expect(plan.avisos.map((a) => a.linea)).toEqual([2, 3, 4]);
+    expect(plan.vehiculos).toEqual([expect.objectContaining({ nuevo: true, vehiculo: expect.objectContaining({ puntoEncuentro: "Volcán" }) })]);
+  });
+});
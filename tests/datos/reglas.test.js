@@ -0,0 +1,164 @@
+import { describe, expect, it } from "vitest";
+import {
+  ReservaError,
+  esMismoNombre,
+  errorDeGrupo,
+  asientosOcupadosEnTramo,
+  hayLugarEnTramos,
+  esDeUsuario,
+  puedeGestionarVehiculo,
+  puedeCancelarReserva,
+  ajustarContadores,
+  validarReserva,
+  validarEdicionVehiculo,
+  getEstadoMicrobus,
+  uidImportado,
+} from "../../src/datos/reglas";
+
+// Reglas puras: se ejecutan sin Firebase con npm test
+const vehiculo = (extra = {}) => ({
+  uid: "ana",
+  propietario: "Ana López",
+  asientosDisponibles: 2,
+  asientosOcupados: 0,
+  tipoVehiculo: "propio",
+  ...extra,
+});
+
+const codigoDe = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(ReservaError);
+    return error.code;
+  }
+  return null;
+};
+
+describe("nombres", () => {
+  it("compara nombres sin tildes, mayúsculas ni espacios de más", () => {
+    expect(esMismoNombre("Jonathan Gómez ", "jonathan  gomez")).toBe(true);
+    expect(esMismoNombre("", "")).toBe(false);
+    expect(uidImportado("Volcán de Santa Ana")).toBe("importado-volcan-de-santa-ana");
+  });
+
+  it("un grupo no repite nombres ni pasa del máximo", () => {
+    expect(errorDeGrupo("Beto", ["Luis", "Eva"])).toBe(null);
+    expect(errorDeGrupo("Beto", ["beto"])).toBe("repetidos");
+    expect(errorDeGrupo("Beto", Array.from({ length: 10 }, (_, i) => `Persona ${i}`))).toBe("maximo");
+  });
+});
+
+describe("capacidad", () => {
+  it("cuenta los asientos de cada tramo, un grupo ocupa varios", () => {
+    const reservas = [
+      { uid: "b", acompanantes: ["Luis"] },
+      { uid: "c", tramos: ["regreso"] },
+    ];
+    expect(asientosOcupadosEnTramo(reservas, "ida")).toBe(2);
+    expect(asientosOcupadosEnTramo(reservas, "regreso")).toBe(1);
+    expect(hayLugarEnTramos(vehiculo(), reservas, ["ida"])).toBe(false);
+    expect(hayLugarEnTramos(vehiculo({ asientosRegreso: 2 }), reservas, ["regreso"])).toBe(true);
+  });
+
+  it("no deja pasar la capacidad ni bajar de cero", () => {
+    expect(ajustarContadores(vehiculo({ asientosOcupados: 1 }), { ida: 1 })).toEqual({ asientosOcupados: 2 });
+    expect(ajustarContadores(vehiculo({ asientosOcupados: 2 }), { ida: 1 })).toBe(null);
+    expect(ajustarContadores(vehiculo({ asientosOcupados: 1 }), { ida: -3 })).toEqual({ asientosOcupados: 0 });
+  });
+
+  it("un tramo sin contador empieza en cero", () => {
+    expect(ajustarContadores(vehiculo({ asientosOcupados: undefined }), { ida: 1 })).toEqual({ asientosOcupados: 1 });
+  });
+});
+
+describe("validarReserva", () => {
+  const datos = { uid: "beto", vehiculoId: "v1", pasajero: "Beto Ruiz" };
+
+  it("devuelve los contadores nuevos si hay lugar", () => {
+    expect(validarReserva(vehiculo(), "reservas", datos)).toEqual({ asientosOcupados: 1 });
+  });
+
+  it("rechaza reservas repetidas, vehículos llenos y grupos que no caben", () => {
+    expect(codigoDe(() => validarReserva(vehiculo(), "reservas", datos, { yaReservado: true }))).toBe("reserva-duplicada");
+    expect(codigoDe(() => validarReserva(vehiculo({ asientosOcupados: 2 }), "reservas", datos))).toBe("vehiculo-lleno");
+    expect(codigoDe(() => validarReserva(vehiculo(), "reservas", { ...datos, acompanantes: ["Luis", "Eva"] }))).toBe("vehiculo-lleno");
+  });
+
+  it("rechaza vehículos retirados, de otro tipo o microbuses cancelados", () => {
+    expect(codigoDe(() => validarReserva(null, "reservas", datos))).toBe("vehiculo-no-existe");
+    expect(codigoDe(() => validarReserva(vehiculo({ retirado: true }), "reservas", datos))).toBe("vehiculo-no-existe");
+    expect(codigoDe(() => validarReserva(vehiculo(), "reservasMicrobus", datos))).toBe("vehiculo-no-existe");
+    const microbus = vehiculo({ tipoVehiculo: "renta", estado: "cancelado" });
+    expect(codigoDe(() => validarReserva(microbus, "reservasMicrobus", datos))).toBe("microbus-cancelado");
+  });
+
+  it("pasada la fecha límite sin el mínimo, el microbus ya no acepta reservas", () => {
+    const limite = new Date("2026-11-01T18:00:00Z");
+    const antes = new Date("2026-11-01T17:00:00Z");
+    const despues = new Date("2026-11-01T19:00:00Z");
+    const microbus = (extra = {}) =>
+      vehiculo({ tipoVehiculo: "renta", asientosDisponibles: 15, minimoPasajeros: 10, fechaLimite: limite.getTime(), ...extra });
+
+    expect(validarReserva(microbus(), "reservasMicrobus", datos, { ahora: antes })).toEqual({ asientosOcupados: 1 });
+    expect(codigoDe(() => validarReserva(microbus(), "reservasMicrobus", datos, { ahora: despues }))).toBe("microbus-cancelado");
+    // Con el mínimo alcanzado o confirmado sigue abierto
+    expect(validarReserva(microbus({ asientosOcupados: 10 }), "reservasMicrobus", datos, { ahora: despues }))
+      .toEqual({ asientosOcupados: 11 });
+    expect(validarReserva(microbus({ estado: "confirmado" }), "reservasMicrobus", datos, { ahora: despues }))
+      .toEqual({ asientosOcupados: 1 });
+  });
+
+  it("solo reserva el regreso si el vehículo lo ofrece", () => {
+    const conRegreso = { ...datos, tramos: ["ida", "regreso"] };
+    expect(codigoDe(() => validarReserva(vehiculo(), "reservas", conRegreso))).toBe("sin-regreso");
+    expect(validarReserva(vehiculo({ asientosRegreso: 1 }), "reservas", conRegreso))
+      .toEqual({ asientosOcupados: 1, asientosOcupadosRegreso: 1 });
+  });
+});
+
+describe("getEstadoMicrobus", () => {
+  const microbus = (extra = {}) =>
+    vehiculo({ tipoVehiculo: "renta", asientosDisponibles: 15, minimoPasajeros: 10, fechaLimite: "2026-11-01T18:00", ...extra });
+
+  it("deriva el estado de los pasajeros y la fecha límite, salvo decisión del organizador", () => {
+    const despues = new Date(2026, 10, 1, 19);
+    expect(getEstadoMicrobus(microbus(), 3, new Date(2026, 10, 1, 17))).toBe("reuniendo");
+    expect(getEstadoMicrobus(microbus(), 10, despues)).toBe("minimoAlcanzado");
+    // Las fechas guardadas como texto local (antes de los milisegundos) también cuentan
+    expect(getEstadoMicrobus(microbus(), 3, despues)).toBe("cancelado");
+    expect(getEstadoMicrobus(microbus({ estado: "confirmado" }), 3, despues)).toBe("confirmado");
+    // Sin mínimo configurado hay que llenar todos los asientos
+    expect(getEstadoMicrobus(microbus({ minimoPasajeros: undefined, fechaLimite: null }), 14)).toBe("reuniendo");
+  });
+});
+
+describe("validarEdicionVehiculo", () => {
+  it("no baja de los asientos ocupados ni cambia de tipo con pasajeros", () => {
+    const conPasajeros = vehiculo({ asientosOcupados: 2 });
+    expect(codigoDe(() => validarEdicionVehiculo(conPasajeros, { asientosDisponibles: 1 }))).toBe("asientos-insuficientes");
+    expect(codigoDe(() => validarEdicionVehiculo(conPasajeros, { asientosDisponibles: 3, tipoVehiculo: "renta" }))).toBe("tipo-con-reservas");
+    expect(validarEdicionVehiculo(conPasajeros, { asientosDisponibles: 3 })).toEqual({ asientosDisponibles: 3, asientosOcupados: 2 });
+  });
+
+  it("quitar el regreso quita también su contador, salvo que alguien lo haya reservado", () => {
+    const conRegreso = vehiculo({ asientosRegreso: 2, asientosOcupadosRegreso: 0 });
+    expect(validarEdicionVehiculo(conRegreso, { asientosDisponibles: 2, asientosRegreso: null }))
+      .toEqual({ asientosDisponibles: 2, asientosRegreso: null, asientosOcupados: 0, asientosOcupadosRegreso: null });
+    expect(codigoDe(() => validarEdicionVehiculo({ ...conRegreso, asientosOcupadosRegreso: 1 }, { asientosDisponibles: 2, asientosRegreso: null })))
+      .toBe("asientos-insuficientes");
+  });
+});
+
+describe("dueños", () => {
+  it("solo la sesión que reservó cancela; el organizador gestiona todo", () => {
+    const reserva = { uid: "beto" };
+    expect(esDeUsuario(reserva, "beto")).toBe(true);
+    expect(esDeUsuario(reserva, undefined)).toBe(false);
+    expect(esDeUsuario({}, undefined)).toBe(false);
+    expect(puedeCancelarReserva(reserva, "carla")).toBe(false);
+    expect(puedeCancelarReserva(reserva, "carla", true)).toBe(true);
+    expect(puedeGestionarVehiculo(vehiculo(), "ana", false)).toBe(true);
+    expect(puedeGestionarVehiculo(vehiculo(), "beto", false)).toBe(false);
+  });
+});
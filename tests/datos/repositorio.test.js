@@ -0,0 +1,204 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { t } from "../../src/i18n";
+import { crearAdaptadorMemoria } from "../../src/datos/adaptadorMemoria";
+import { crearRepositorio } from "../../src/datos/repositorio";
+
+// Flujos de reserva contra el adaptador en memoria: npm test
+let adaptador;
+let repositorio;
+
+const vehiculo = (extra = {}) => ({
+  uid: "ana",
+  propietario: "Ana López",
+  asientosDisponibles: 1,
+  asientosOcupados: 0,
+  puntoEncuentro: "Metrocentro",
+  tipoVehiculo: "propio",
+  ...extra,
+});
+
+const reserva = (uid, extra = {}) => ({ uid, vehiculoId: "v1", pasajero: `Pasajero ${uid}`, ...extra });
+
+const leerDatos = async (ruta) => (await adaptador.leer(`viajes/t1/${ruta}`)).datos;
+
+beforeEach(() => {
+  adaptador = crearAdaptadorMemoria({ "viajes/t1/vehiculos/v1": vehiculo() });
+  repositorio = crearRepositorio(adaptador);
+});
+
+describe("reservar", () => {
+  it("dos personas no toman el mismo último asiento", async () => {
+    const resultados = await Promise.allSettled([
+      repositorio.reservar("t1", "reservas", reserva("beto")),
+      repositorio.reservar("t1", "reservas", reserva("carla")),
+    ]);
+
+    expect(resultados.map((r) => r.status)).toEqual(["fulfilled", "rejected"]);
+    expect(resultados[1].reason.code).toBe("vehiculo-lleno");
+    expect((await leerDatos("vehiculos/v1")).asientosOcupados).toBe(1);
+  });
+
+  it("no deja reservar dos veces el mismo vehículo", async () => {
+    await adaptador.actualizar("viajes/t1/vehiculos/v1", { asientosDisponibles: 3 });
+    await repositorio.reservar("t1", "reservas", reserva("beto"));
+
+    await expect(repositorio.reservar("t1", "reservas", reserva("beto"))).rejects.toMatchObject({ code: "reserva-duplicada" });
+    expect((await leerDatos("vehiculos/v1")).asientosOcupados).toBe(1);
+  });
+});
+
+describe("cancelar", () => {
+  it("libera el asiento o se lo pasa al primero de la lista de espera", async () => {
+    await repositorio.reservar("t1", "reservas", reserva("beto"));
+    await repositorio.unirseAEspera("t1", "reservas", reserva("carla"));
+
+    const promovido = await repositorio.cancelar("t1", "reservas", "v1_beto", "v1", "v1_carla");
+
+    expect(promovido).toBe("Pasajero carla");
+    expect(await leerDatos("reservas/v1_beto")).toBe(null);
+    expect(await leerDatos("reservas/v1_carla")).toMatchObject({ promovidaDesde: "v1_beto" });
+    expect(await leerDatos("esperas/v1_carla")).toBe(null);
+    expect((await leerDatos("vehiculos/v1")).asientosOcupados).toBe(1);
+
+    await repositorio.cancelar("t1", "reservas", "v1_carla", "v1");
+    expect((await leerDatos("vehiculos/v1")).asientosOcupados).toBe(0);
+  });
+
+  it("no pasa a nadie de la lista a un microbus que llegó a su fecha límite sin el mínimo", async () => {
+    const vencido = vehiculo({
+      tipoVehiculo: "renta",
+      asientosDisponibles: 15,
+      asientosOcupados: 1,
+      minimoPasajeros: 10,
+      fechaLimite: Date.now() - 60 * 1000,
+    });
+    await adaptador.guardar("viajes/t1/vehiculos/m1", vencido);
+    await adaptador.guardar("viajes/t1/reservasMicrobus/m1_beto", reserva("beto", { vehiculoId: "m1" }));
+    await adaptador.guardar("viajes/t1/esperas/m1_carla", reserva("carla", { vehiculoId: "m1", coleccion: "reservasMicrobus" }));
+
+    expect(await repositorio.promoverDeEspera("t1", "reservasMicrobus", "m1", "m1_carla")).toBe(null);
+    expect(await repositorio.cancelar("t1", "reservasMicrobus", "m1_beto", "m1", "m1_carla")).toBe(null);
+    expect(await leerDatos("reservasMicrobus/m1_carla")).toBe(null);
+    expect(await leerDatos("esperas/m1_carla")).toMatchObject({ uid: "carla" });
+    expect(await leerDatos("vehiculos/m1")).toMatchObject({ asientosOcupados: 0 });
+  });
+});
+
+describe("escuchar", () => {
+  it("avisa de cada cambio con el mismo formato que Firestore", async () => {
+    const recibidos = [];
+    const dejarDeEscuchar = repositorio.escuchar("t1", "reservas", (lista) => recibidos.push(lista));
+
+    await repositorio.reservar("t1", "reservas", reserva("beto"));
+    await repositorio.cancelar("t1", "reservas", "v1_beto", "v1");
+    dejarDeEscuchar();
+    await repositorio.reservar("t1", "reservas", reserva("carla"));
+
+    expect(recibidos.map(({ cambios }) => cambios.map((c) => `${c.tipo}:${c.id}`))).toEqual([
+      [],
+      ["added:v1_beto"],
+      ["removed:v1_beto"],
+    ]);
+    expect(recibidos[1].docs[0]).toMatchObject({ id: "v1_beto", pasajero: "Pasajero beto" });
+  });
+});
+
+describe("acciones del organizador", () => {
+  it("mueve reservas solo si caben en el destino", async () => {
+    await adaptador.guardar("viajes/t1/vehiculos/v2", vehiculo({ uid: "dani", propietario: "Dani" }));
+    await adaptador.actualizar("viajes/t1/vehiculos/v1", { asientosDisponibles: 2 });
+    await repositorio.reservar("t1", "reservas", reserva("beto"));
+    await repositorio.reservar("t1", "reservas", reserva("carla"));
+    const aMover = [{ id: "v1_beto", ...reserva("beto") }, { id: "v1_carla", ...reserva("carla") }];
+
+    await expect(repositorio.moverReservas("t1", "reservas", aMover, "v2")).rejects.toMatchObject({ code: "vehiculo-lleno" });
+    await repositorio.moverReservas("t1", "reservas", aMover.slice(0, 1), "v2");
+
+    expect(await leerDatos("reservas/v2_beto")).toMatchObject({ vehiculoId: "v2", propietario: "Dani" });
+    expect((await leerDatos("vehiculos/v1")).asientosOcupados).toBe(1);
+    expect((await leerDatos("vehiculos/v2")).asientosOcupados).toBe(1);
+  });
+
+  it("al eliminar un vehículo mueve sus reservas en la misma transacción, o no hace nada", async () => {
+    await adaptador.guardar("viajes/t1/vehiculos/v2", vehiculo({ uid: "dani", propietario: "Dani" }));
+    await repositorio.reservar("t1", "reservas", reserva("beto"));
+    await repositorio.reservar("t1", "reservas", reserva("carla", { vehiculoId: "v2" }));
+    const v1 = { id: "v1", ...vehiculo() };
+    const reservasV1 = [{ id: "v1_beto", ...reserva("beto") }];
+
+    await expect(repositorio.eliminarVehiculo("t1", v1, reservasV1, [], "v2")).rejects.toMatchObject({ code: "vehiculo-lleno" });
+    expect(await leerDatos("vehiculos/v1")).not.toBe(null);
+    expect(await leerDatos("reservas/v1_beto")).not.toBe(null);
+
+    await adaptador.actualizar("viajes/t1/vehiculos/v2", { asientosDisponibles: 2 });
+    await repositorio.eliminarVehiculo("t1", v1, reservasV1, [], "v2");
+    expect(await leerDatos("vehiculos/v1")).toBe(null);
+    expect(await leerDatos("reservas/v2_beto")).toMatchObject({ vehiculoId: "v2", propietario: "Dani" });
+    expect((await leerDatos("vehiculos/v2")).asientosOcupados).toBe(2);
+  });
+
+  it("al pasar un vehículo a microbus borra sus campos de regreso", async () => {
+    await adaptador.actualizar("viajes/t1/vehiculos/v1", { asientosRegreso: 2, asientosOcupadosRegreso: 0 });
+    await repositorio.editarVehiculo("t1", "v1", { asientosDisponibles: 1, tipoVehiculo: "renta", asientosRegreso: null });
+
+    const editado = await leerDatos("vehiculos/v1");
+    expect(editado.tipoVehiculo).toBe("renta");
+    expect(editado).not.toHaveProperty("asientosRegreso");
+    expect(editado).not.toHaveProperty("asientosOcupadosRegreso");
+  });
+
+  it("asigna solicitudes solo a la ida y nunca a un vehículo retirado o a un microbus", async () => {
+    await adaptador.actualizar("viajes/t1/vehiculos/v1", { asientosDisponibles: 2, asientosRegreso: 2, asientosOcupadosRegreso: 0 });
+    await adaptador.guardar("viajes/t1/vehiculos/m1", vehiculo({ tipoVehiculo: "renta", asientosDisponibles: 15 }));
+    await adaptador.guardar("viajes/t1/solicitudes/s1", { uid: "beto", pasajero: "Pasajero beto" });
+
+    await expect(repositorio.asignarSolicitudes("t1", "m1", ["s1"])).rejects.toMatchObject({ code: "vehiculo-no-existe" });
+    expect(await repositorio.asignarSolicitudes("t1", "v1", ["s1"])).toEqual(["Pasajero beto"]);
+    expect(await leerDatos("reservas/v1_beto")).toMatchObject({ asignada: true });
+    expect(await leerDatos("vehiculos/v1")).toMatchObject({ asientosOcupados: 1, asientosOcupadosRegreso: 0 });
+  });
+
+  it("importa pasajeros sin sesión con un uid por nombre", async () => {
+    const v1 = { id: "v1", ...vehiculo() };
+    await repositorio.importar("t1", { vehiculos: [{ nuevo: false, vehiculo: v1, pasajeros: [{ pasajero: "Éva Núñez" }] }] }, "org");
+
+    expect(await leerDatos("reservas/v1_importado-eva-nunez")).toMatchObject({ importada: true });
+    expect((await leerDatos("vehiculos/v1")).asientosOcupados).toBe(1);
+  });
+
+  it("no importa nada si un vehículo se llenó después de la vista previa", async () => {
+    const v1 = { id: "v1", ...vehiculo() };
+    const plan = {
+      vehiculos: [
+        { nuevo: true, vehiculo: vehiculo({ propietario: "Dani" }), pasajeros: [{ pasajero: "Fer" }] },
+        { nuevo: false, vehiculo: v1, pasajeros: [{ pasajero: "Éva Núñez" }] },
+      ],
+    };
+    await repositorio.reservar("t1", "reservas", reserva("beto"));
+
+    await expect(repositorio.importar("t1", plan, "org")).rejects.toMatchObject({
+      code: "vehiculo-lleno",
+      message: t("errores.sinLugarImportacion", { asientos: 1, propietario: v1.propietario }),
+    });
+    expect(await leerDatos("reservas/v1_importado-eva-nunez")).toBe(null);
+    expect((await leerDatos("vehiculos/v1")).asientosOcupados).toBe(1);
+    let vehiculos = [];
+    adaptador.escuchar("viajes/t1/vehiculos", {}, ({ docs }) => { vehiculos = docs; })();
+    expect(vehiculos.map((v) => v.id)).toEqual(["v1"]);
+  });
+});
+
+describe("preferencias de avisos", () => {
+  it("se comparten entre dispositivos y cada dispositivo se registra con su idioma", async () => {
+    const recibidas = [];
+    repositorio.escucharPreferenciasAvisos("beto", (avisos) => recibidas.push(avisos));
+    await repositorio.guardarPreferenciasAvisos("beto", { pasajeroNuevo: false });
+    expect(recibidas).toEqual([{}, { pasajeroNuevo: false }]);
+
+    await repositorio.registrarDispositivo("beto", "token-1", "en");
+    expect(await repositorio.dispositivoRegistrado("beto", "token-1")).toBe(true);
+    expect((await adaptador.leer("participantes/beto/dispositivos/token-1")).datos).toMatchObject({ idioma: "en" });
+    await repositorio.quitarDispositivo("beto", "token-1");
+    expect(await repositorio.dispositivoRegistrado("beto", "token-1")).toBe(false);
+  });
+});
@@ -0,0 +1,938 @@
+import { readFileSync } from "node:fs";
+import { afterAll, beforeAll, beforeEach, describe, it } from "vitest";
+import {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} from "@firebase/rules-unit-testing";
+import {
+  doc,
+  getDoc,
+  setDoc,
+  deleteDoc,
+  updateDoc,
+  writeBatch,
+  serverTimestamp,
+  deleteField,
+} from "firebase/firestore";
+
+// Se ejecuta contra el emulador de Firestore: npm run test:rules
+let testEnv;
+
+const vehiculo = (uid, extra = {}) => ({
+  uid,
+  propietario: "Ana López",
+  asientosDisponibles: 4,
+  asientosOcupados: 0,
+  puntoEncuentro: "Metrocentro",
+  tipoVehiculo: "propio",
+  notas: "",
+  createdAt: serverTimestamp(),
+  ...extra,
+});
+
+// Escribe datos saltándose las reglas para preparar cada caso
+const sembrar = (ruta, data) =>
+  testEnv.withSecurityRulesDisabled((context) =>
+    setDoc(doc(context.firestore(), ruta), data)
+  );
+
+const viaje = (extra = {}) => ({
+  nombre: "Tour de hongos",
+  fecha: "2026-11-08",
+  destino: "Parque Imposible",
+  puntosEncuentro: ["Metrocentro", "Santa Tecla"],
+  precioMicrobus: "$15-$20",
+  archivado: false,
+  ...extra,
+});
+
+// Reserva igual que la app: documento de reserva + incremento del contador
+const reservar = (db, coleccion, vehiculoId, uid, asientosOcupados) => {
+  const batch = writeBatch(db);
+  batch.set(doc(db, "viajes", "t1", coleccion, `${vehiculoId}_${uid}`), {
+    uid,
+    vehiculoId,
+    pasajero: "Beto Ruiz",
+    createdAt: serverTimestamp(),
+  });
+  batch.update(doc(db, "viajes", "t1", "vehiculos", vehiculoId), { asientosOcupados });
+  return batch.commit();
+};
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: "demo-organizatutour",
+    firestore: { rules: readFileSync("firestore.rules", "utf8") },
+  });
+});
+
+afterAll(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await sembrar("viajes/t1", viaje());
+});
+
+describe("viajes", () => {
+  it("solo el organizador puede crear y archivar viajes", async () => {
+    await sembrar("organizadores/jonathan", { nombre: "Jonathan" });
+
+    const participante = testEnv.authenticatedContext("ana").firestore();
+    await assertFails(setDoc(doc(participante, "viajes/t2"), viaje()));
+    await assertFails(updateDoc(doc(participante, "viajes/t1"), { archivado: true }));
+
+    const organizador = testEnv.authenticatedContext("jonathan").firestore();
+    await assertSucceeds(setDoc(doc(organizador, "viajes/t2"), viaje()));
+    await assertSucceeds(updateDoc(doc(organizador, "viajes/t1"), { archivado: true }));
+  });
+
+  it("un viaje archivado no acepta vehículos, reservas ni cancelaciones", async () => {
+    await sembrar("viajes/t1", viaje({ archivado: true }));
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana", { asientosOcupados: 1 }));
+    await sembrar("viajes/t1/reservas/v1_beto", { uid: "beto", vehiculoId: "v1", pasajero: "Beto Ruiz" });
+
+    const ana = testEnv.authenticatedContext("ana").firestore();
+    await assertFails(setDoc(doc(ana, "viajes/t1/vehiculos/v2"), vehiculo("ana")));
+
+    const carla = testEnv.authenticatedContext("carla").firestore();
+    await assertFails(reservar(carla, "reservas", "v1", "carla", 2));
+
+    const beto = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(deleteDoc(doc(beto, "viajes/t1/reservas/v1_beto")));
+  });
+
+  it("los vehículos de un viaje no existen en otro", async () => {
+    await sembrar("viajes/t2", viaje());
+    await sembrar("viajes/t2/vehiculos/v1", vehiculo("ana"));
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(reservar(db, "reservas", "v1", "beto", 1));
+  });
+});
+
+describe("vehiculos", () => {
+  it("permite ofrecer un vehículo con 1 a 50 asientos", async () => {
+    const db = testEnv.authenticatedContext("ana").firestore();
+    await assertSucceeds(setDoc(doc(db, "viajes/t1/vehiculos/v1"), vehiculo("ana")));
+    await assertSucceeds(setDoc(doc(db, "viajes/t1/vehiculos/v2"), vehiculo("ana", { asientosDisponibles: 50 })));
+  });
+
+  it("rechaza asientos fuera del rango 1-50", async () => {
+    const db = testEnv.authenticatedContext("ana").firestore();
+    await assertFails(setDoc(doc(db, "viajes/t1/vehiculos/v1"), vehiculo("ana", { asientosDisponibles: 0 })));
+    await assertFails(setDoc(doc(db, "viajes/t1/vehiculos/v2"), vehiculo("ana", { asientosDisponibles: 500 })));
+  });
+
+  it("rechaza vehículos a nombre de otro usuario o sin sesión", async () => {
+    const db = testEnv.authenticatedContext("ana").firestore();
+    await assertFails(setDoc(doc(db, "viajes/t1/vehiculos/v1"), vehiculo("beto")));
+
+    const anonimo = testEnv.unauthenticatedContext().firestore();
+    await assertFails(setDoc(doc(anonimo, "viajes/t1/vehiculos/v2"), vehiculo("ana")));
+  });
+
+  it("rechaza tipos de vehículo desconocidos", async () => {
+    const db = testEnv.authenticatedContext("ana").firestore();
+    await assertFails(setDoc(doc(db, "viajes/t1/vehiculos/v1"), vehiculo("ana", { tipoVehiculo: "avion" })));
+  });
+
+  it("no permite borrar vehículos ni editar otros campos", async () => {
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana"));
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(deleteDoc(doc(db, "viajes/t1/vehiculos/v1")));
+    await assertFails(updateDoc(doc(db, "viajes/t1/vehiculos/v1"), { asientosDisponibles: 40 }));
+  });
+
+  it("no permite saltos en el contador de asientos", async () => {
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana"));
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(updateDoc(doc(db, "viajes/t1/vehiculos/v1"), { asientosOcupados: 3 }));
+  });
+
+  it("no mueve el contador sin cambiar una reserva en la misma escritura", async () => {
+    const sinContador = vehiculo("ana");
+    delete sinContador.asientosOcupados;
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana", { asientosOcupados: 1 }));
+    await sembrar("viajes/t1/vehiculos/v2", sinContador);
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(updateDoc(doc(db, "viajes/t1/vehiculos/v1"), { asientosOcupados: 2 }));
+    await assertFails(updateDoc(doc(db, "viajes/t1/vehiculos/v1"), { asientosOcupados: 0 }));
+    await assertFails(updateDoc(doc(db, "viajes/t1/vehiculos/v2"), { asientosOcupados: 4 }));
+  });
+});
+
+describe("reservas", () => {
+  it("permite reservar en un vehículo propio con espacio", async () => {
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana"));
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertSucceeds(reservar(db, "reservas", "v1", "beto", 1));
+  });
+
+  it("rechaza reservas en vehículos que no existen", async () => {
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(
+      setDoc(doc(db, "viajes/t1/reservas/nada_beto"), {
+        uid: "beto",
+        vehiculoId: "nada",
+        pasajero: "Beto Ruiz",
+        createdAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it("rechaza reservas en un vehículo del tipo equivocado", async () => {
+    await sembrar("viajes/t1/vehiculos/m1", vehiculo("ana", { tipoVehiculo: "renta" }));
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(reservar(db, "reservas", "m1", "beto", 1));
+  });
+
+  it("rechaza reservas sin incrementar el contador", async () => {
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana"));
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(
+      setDoc(doc(db, "viajes/t1/reservas/v1_beto"), {
+        uid: "beto",
+        vehiculoId: "v1",
+        pasajero: "Beto Ruiz",
+        createdAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it("rechaza reservas en un vehículo lleno", async () => {
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana", { asientosDisponibles: 1, asientosOcupados: 1 }));
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(reservar(db, "reservas", "v1", "beto", 2));
+  });
+
+  it("rechaza reservas a nombre de otro usuario", async () => {
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana"));
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(reservar(db, "reservas", "v1", "carla", 1));
+  });
+
+  it("solo el dueño puede cancelar su reserva, bajando el contador en la misma escritura", async () => {
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana", { asientosOcupados: 1 }));
+    await sembrar("viajes/t1/reservas/v1_beto", { uid: "beto", vehiculoId: "v1", pasajero: "Beto Ruiz" });
+
+    const otro = testEnv.authenticatedContext("carla").firestore();
+    await assertFails(deleteDoc(doc(otro, "viajes/t1/reservas/v1_beto")));
+
+    // Sin bajar el contador el vehículo quedaría lleno sin nadie
+    const dueno = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(deleteDoc(doc(dueno, "viajes/t1/reservas/v1_beto")));
+
+    const batch = writeBatch(dueno);
+    batch.delete(doc(dueno, "viajes/t1/reservas/v1_beto"));
+    batch.update(doc(dueno, "viajes/t1/vehiculos/v1"), { asientosOcupados: 0 });
+    await assertSucceeds(batch.commit());
+  });
+});
+
+describe("reservasMicrobus", () => {
+  it("permite reservar en un microbus de renta", async () => {
+    await sembrar("viajes/t1/vehiculos/m1", vehiculo("ana", { tipoVehiculo: "renta", asientosDisponibles: 15 }));
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertSucceeds(reservar(db, "reservasMicrobus", "m1", "beto", 1));
+  });
+
+  it("rechaza reservas de microbus en un vehículo propio", async () => {
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana"));
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(reservar(db, "reservasMicrobus", "v1", "beto", 1));
+  });
+
+  it("solo el dueño puede cancelar su reserva de microbus", async () => {
+    await sembrar("viajes/t1/vehiculos/m1", vehiculo("ana", { tipoVehiculo: "renta", asientosOcupados: 1 }));
+    await sembrar("viajes/t1/reservasMicrobus/m1_beto", { uid: "beto", vehiculoId: "m1", pasajero: "Beto Ruiz" });
+
+    const otro = testEnv.authenticatedContext("carla").firestore();
+    await assertFails(deleteDoc(doc(otro, "viajes/t1/reservasMicrobus/m1_beto")));
+
+    const dueno = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(deleteDoc(doc(dueno, "viajes/t1/reservasMicrobus/m1_beto")));
+
+    const batch = writeBatch(dueno);
+    batch.delete(doc(dueno, "viajes/t1/reservasMicrobus/m1_beto"));
+    batch.update(doc(dueno, "viajes/t1/vehiculos/m1"), { asientosOcupados: 0 });
+    await assertSucceeds(batch.commit());
+  });
+});
+
+describe("organizador", () => {
+  beforeEach(async () => {
+    await sembrar("organizadores/jonathan", { nombre: "Jonathan" });
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana", { asientosOcupados: 1 }));
+    await sembrar("viajes/t1/vehiculos/v2", vehiculo("carla"));
+    await sembrar("viajes/t1/reservas/v1_beto", { uid: "beto", vehiculoId: "v1", pasajero: "Beto Ruiz" });
+  });
+
+  it("puede editar asientos, punto de encuentro, notas y tipo de un vehículo", async () => {
+    const db = testEnv.authenticatedContext("jonathan").firestore();
+    await assertSucceeds(
+      updateDoc(doc(db, "viajes/t1/vehiculos/v1"), {
+        asientosDisponibles: 6,
+        puntoEncuentro: "Santa Tecla",
+        notas: "Salida 7am",
+      })
+    );
+    await assertSucceeds(updateDoc(doc(db, "viajes/t1/vehiculos/v2"), { tipoVehiculo: "renta" }));
+  });
+
+  it("no puede dejar asientos fuera de rango ni por debajo de los ocupados", async () => {
+    const db = testEnv.authenticatedContext("jonathan").firestore();
+    await assertFails(updateDoc(doc(db, "viajes/t1/vehiculos/v1"), { asientosDisponibles: 51 }));
+    await assertFails(updateDoc(doc(db, "viajes/t1/vehiculos/v1"), { asientosDisponibles: 2, asientosOcupados: 3 }));
+  });
+
+  it("puede eliminar un vehículo con sus reservas", async () => {
+    const db = testEnv.authenticatedContext("jonathan").firestore();
+    const batch = writeBatch(db);
+    batch.delete(doc(db, "viajes/t1/reservas/v1_beto"));
+    batch.delete(doc(db, "viajes/t1/vehiculos/v1"));
+    await assertSucceeds(batch.commit());
+  });
+
+  it("puede mover un pasajero a otro vehículo del mismo tipo", async () => {
+    const db = testEnv.authenticatedContext("jonathan").firestore();
+    const batch = writeBatch(db);
+    batch.delete(doc(db, "viajes/t1/reservas/v1_beto"));
+    batch.set(doc(db, "viajes/t1/reservas/v2_beto"), { uid: "beto", vehiculoId: "v2", pasajero: "Beto Ruiz" });
+    batch.update(doc(db, "viajes/t1/vehiculos/v1"), { asientosOcupados: 0 });
+    batch.update(doc(db, "viajes/t1/vehiculos/v2"), { asientosOcupados: 1 });
+    await assertSucceeds(batch.commit());
+  });
+
+  it("un usuario normal no puede editar ni eliminar vehículos ajenos", async () => {
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(updateDoc(doc(db, "viajes/t1/vehiculos/v2"), { notas: "hackeado" }));
+    await assertFails(deleteDoc(doc(db, "viajes/t1/vehiculos/v2")));
+  });
+});
+
+describe("dueño del vehículo", () => {
+  beforeEach(async () => {
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana", { asientosOcupados: 2 }));
+    await sembrar("viajes/t1/reservas/v1_beto", { uid: "beto", vehiculoId: "v1", pasajero: "Beto Ruiz" });
+  });
+
+  it("puede editar asientos, punto de encuentro y notas", async () => {
+    const db = testEnv.authenticatedContext("ana").firestore();
+    await assertSucceeds(
+      updateDoc(doc(db, "viajes/t1/vehiculos/v1"), {
+        asientosDisponibles: 3,
+        puntoEncuentro: "Multiplaza",
+        notas: "Salida 8am",
+      })
+    );
+  });
+
+  it("no puede bajar los asientos por debajo de los ocupados ni cambiar el tipo", async () => {
+    const db = testEnv.authenticatedContext("ana").firestore();
+    await assertFails(updateDoc(doc(db, "viajes/t1/vehiculos/v1"), { asientosDisponibles: 1 }));
+    await assertFails(updateDoc(doc(db, "viajes/t1/vehiculos/v1"), { tipoVehiculo: "renta" }));
+  });
+
+  it("puede retirar su vehículo marcando a sus pasajeros", async () => {
+    const db = testEnv.authenticatedContext("ana").firestore();
+    const batch = writeBatch(db);
+    batch.update(doc(db, "viajes/t1/reservas/v1_beto"), { afectada: true });
+    batch.update(doc(db, "viajes/t1/vehiculos/v1"), { retirado: true });
+    await assertSucceeds(batch.commit());
+  });
+
+  it("otro usuario no puede marcar reservas ajenas", async () => {
+    const db = testEnv.authenticatedContext("carla").firestore();
+    await assertFails(updateDoc(doc(db, "viajes/t1/reservas/v1_beto"), { afectada: true }));
+    await assertFails(updateDoc(doc(db, "viajes/t1/vehiculos/v1"), { retirado: true }));
+  });
+
+  it("nadie puede reservar en un vehículo retirado", async () => {
+    await sembrar("viajes/t1/vehiculos/v2", vehiculo("ana", { retirado: true }));
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(reservar(db, "reservas", "v2", "beto", 1));
+  });
+});
+
+describe("pagos del microbus", () => {
+  beforeEach(async () => {
+    await sembrar("organizadores/jonathan", { nombre: "Jonathan" });
+    await sembrar("viajes/t1/vehiculos/m1", vehiculo("ana", { tipoVehiculo: "renta", costoAsiento: 18, asientosOcupados: 1 }));
+    await sembrar("viajes/t1/reservasMicrobus/m1_beto", { uid: "beto", vehiculoId: "m1", pasajero: "Beto Ruiz" });
+  });
+
+  const reporte = { pagoEstado: "reportado", pagoReferencia: "TRX-123", pagoReportadoAt: serverTimestamp() };
+
+  it("el pasajero puede reportar su transferencia", async () => {
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertSucceeds(updateDoc(doc(db, "viajes/t1/reservasMicrobus/m1_beto"), reporte));
+  });
+
+  it("el pasajero no puede marcarse como verificado ni reportar por otro", async () => {
+    const beto = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(updateDoc(doc(beto, "viajes/t1/reservasMicrobus/m1_beto"), { pagoEstado: "verificado" }));
+
+    const carla = testEnv.authenticatedContext("carla").firestore();
+    await assertFails(updateDoc(doc(carla, "viajes/t1/reservasMicrobus/m1_beto"), reporte));
+  });
+
+  it("una reserva nueva no puede nacer verificada ni con marcas del organizador", async () => {
+    await sembrar("viajes/t1/vehiculos/m2", vehiculo("ana", { tipoVehiculo: "renta" }));
+    const db = testEnv.authenticatedContext("beto").firestore();
+    const reservarCon = (extra) => {
+      const batch = writeBatch(db);
+      batch.set(doc(db, "viajes/t1/reservasMicrobus/m2_beto"), {
+        uid: "beto",
+        vehiculoId: "m2",
+        pasajero: "Beto Ruiz",
+        createdAt: serverTimestamp(),
+        ...extra,
+      });
+      batch.update(doc(db, "viajes/t1/vehiculos/m2"), { asientosOcupados: 1 });
+      return batch.commit();
+    };
+    await assertFails(reservarCon({ pagoEstado: "verificado", pagoVerificadoAt: serverTimestamp() }));
+    await assertFails(reservarCon({ importada: true }));
+    await assertFails(reservarCon({ asignada: true }));
+    await assertFails(reservarCon({ afectada: true }));
+    await assertSucceeds(reservarCon({ propietario: "Ana López" }));
+  });
+
+  it("solo el organizador verifica pagos", async () => {
+    const ana = testEnv.authenticatedContext("ana").firestore();
+    await assertFails(updateDoc(doc(ana, "viajes/t1/reservasMicrobus/m1_beto"), { pagoEstado: "verificado" }));
+
+    const jonathan = testEnv.authenticatedContext("jonathan").firestore();
+    await assertSucceeds(
+      updateDoc(doc(jonathan, "viajes/t1/reservasMicrobus/m1_beto"), {
+        pagoEstado: "verificado",
+        pagoVerificadoAt: serverTimestamp(),
+      })
+    );
+  });
+
+  it("rechaza costos negativos por asiento", async () => {
+    const db = testEnv.authenticatedContext("ana").firestore();
+    await assertFails(
+      setDoc(doc(db, "viajes/t1/vehiculos/m2"), vehiculo("ana", { tipoVehiculo: "renta", costoAsiento: -5 }))
+    );
+  });
+});
+
+describe("ciclo de vida del microbus", () => {
+  const microbus = (extra = {}) =>
+    vehiculo("ana", {
+      tipoVehiculo: "renta",
+      asientosDisponibles: 15,
+      costoTotal: 240,
+      minimoPasajeros: 10,
+      fechaLimite: Date.now() + 7 * 24 * 60 * 60 * 1000,
+      estado: "reuniendo",
+      ...extra,
+    });
+
+  it("acepta un microbus con costo total, mínimo y fecha límite", async () => {
+    const db = testEnv.authenticatedContext("ana").firestore();
+    await assertSucceeds(setDoc(doc(db, "viajes/t1/vehiculos/m1"), microbus()));
+  });
+
+  it("rechaza un mínimo mayor que los asientos o un estado inicial distinto", async () => {
+    const db = testEnv.authenticatedContext("ana").firestore();
+    await assertFails(setDoc(doc(db, "viajes/t1/vehiculos/m1"), microbus({ minimoPasajeros: 20 })));
+    await assertFails(setDoc(doc(db, "viajes/t1/vehiculos/m2"), microbus({ estado: "confirmado" })));
+  });
+
+  it("el dueño puede confirmar o cancelar su microbus, otros no", async () => {
+    await sembrar("viajes/t1/vehiculos/m1", microbus());
+
+    const carla = testEnv.authenticatedContext("carla").firestore();
+    await assertFails(updateDoc(doc(carla, "viajes/t1/vehiculos/m1"), { estado: "confirmado" }));
+
+    const ana = testEnv.authenticatedContext("ana").firestore();
+    await assertSucceeds(updateDoc(doc(ana, "viajes/t1/vehiculos/m1"), { estado: "confirmado" }));
+    await assertFails(updateDoc(doc(ana, "viajes/t1/vehiculos/m1"), { estado: "lleno" }));
+  });
+
+  it("nadie puede reservar en un microbus cancelado", async () => {
+    await sembrar("viajes/t1/vehiculos/m1", microbus({ estado: "cancelado" }));
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(reservar(db, "reservasMicrobus", "m1", "beto", 1));
+  });
+
+  it("pasada la fecha límite sin el mínimo no acepta reservas, aunque no diga cancelado", async () => {
+    const vencida = Date.now() - 60 * 1000;
+    await sembrar("viajes/t1/vehiculos/m1", microbus({ fechaLimite: vencida }));
+    await sembrar("viajes/t1/vehiculos/m2", microbus({ fechaLimite: vencida, asientosOcupados: 10 }));
+    await sembrar("viajes/t1/vehiculos/m3", microbus({ fechaLimite: vencida, estado: "confirmado" }));
+
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(reservar(db, "reservasMicrobus", "m1", "beto", 1));
+    await assertSucceeds(reservar(db, "reservasMicrobus", "m2", "beto", 11));
+    await assertSucceeds(reservar(db, "reservasMicrobus", "m3", "beto", 1));
+  });
+
+  it("la fecha límite se guarda en milisegundos; la de texto de un microbus anterior se conserva", async () => {
+    const db = testEnv.authenticatedContext("ana").firestore();
+    await assertFails(setDoc(doc(db, "viajes/t1/vehiculos/m1"), microbus({ fechaLimite: "2026-11-01T18:00" })));
+
+    await sembrar("viajes/t1/vehiculos/m2", microbus({ fechaLimite: "2026-11-01T18:00" }));
+    await assertSucceeds(updateDoc(doc(db, "viajes/t1/vehiculos/m2"), { notas: "Sale puntual" }));
+    await assertFails(updateDoc(doc(db, "viajes/t1/vehiculos/m2"), { fechaLimite: "2026-12-01T18:00" }));
+  });
+});
+
+describe("lista de espera", () => {
+  const espera = (uid, extra = {}) => ({
+    uid,
+    vehiculoId: "v1",
+    pasajero: "Carla Díaz",
+    coleccion: "reservas",
+    createdAt: serverTimestamp(),
+    ...extra,
+  });
+
+  beforeEach(async () => {
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana", { asientosDisponibles: 1, asientosOcupados: 1 }));
+    await sembrar("viajes/t1/reservas/v1_beto", { uid: "beto", vehiculoId: "v1", pasajero: "Beto Ruiz" });
+  });
+
+  it("permite unirse a la lista de espera a nombre propio", async () => {
+    const carla = testEnv.authenticatedContext("carla").firestore();
+    await assertSucceeds(setDoc(doc(carla, "viajes/t1/esperas/v1_carla"), espera("carla")));
+    await assertFails(setDoc(doc(carla, "viajes/t1/esperas/v1_dani"), espera("dani")));
+  });
+
+  it("no permite esperar en un vehículo donde ya se tiene reserva", async () => {
+    const beto = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(setDoc(doc(beto, "viajes/t1/esperas/v1_beto"), espera("beto")));
+  });
+
+  it("al cancelar, el asiento pasa al primero de la lista", async () => {
+    await sembrar("viajes/t1/esperas/v1_carla", espera("carla"));
+    const beto = testEnv.authenticatedContext("beto").firestore();
+    const batch = writeBatch(beto);
+    batch.delete(doc(beto, "viajes/t1/reservas/v1_beto"));
+    batch.set(doc(beto, "viajes/t1/reservas/v1_carla"), {
+      uid: "carla",
+      vehiculoId: "v1",
+      pasajero: "Carla Díaz",
+      promovidaDesde: "v1_beto",
+      createdAt: serverTimestamp(),
+    });
+    batch.delete(doc(beto, "viajes/t1/esperas/v1_carla"));
+    // El contador no cambia, pero el vehículo nombra la reserva que recibe el asiento
+    batch.update(doc(beto, "viajes/t1/vehiculos/v1"), { ultimaPromocion: "v1_carla" });
+    await assertSucceeds(batch.commit());
+  });
+
+  it("un asiento nuevo pasa al primero de la lista nombrando su reserva en el vehículo", async () => {
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana", { asientosDisponibles: 2, asientosOcupados: 1 }));
+    await sembrar("viajes/t1/esperas/v1_carla", espera("carla"));
+    const promover = (db, ultimaPromocion) => {
+      const batch = writeBatch(db);
+      batch.set(doc(db, "viajes/t1/reservas/v1_carla"), {
+        uid: "carla",
+        vehiculoId: "v1",
+        pasajero: "Carla Díaz",
+        promovidaDesde: null,
+        createdAt: serverTimestamp(),
+      });
+      batch.delete(doc(db, "viajes/t1/esperas/v1_carla"));
+      batch.update(doc(db, "viajes/t1/vehiculos/v1"), { asientosOcupados: 2, ultimaPromocion });
+      return batch.commit();
+    };
+    const ana = testEnv.authenticatedContext("ana").firestore();
+    await assertFails(promover(ana, "v1_beto"));
+    await assertSucceeds(promover(ana, "v1_carla"));
+  });
+
+  it("la reserva del promovido no puede traer campos de más", async () => {
+    await sembrar("viajes/t1/esperas/v1_carla", espera("carla"));
+    const beto = testEnv.authenticatedContext("beto").firestore();
+    const batch = writeBatch(beto);
+    batch.delete(doc(beto, "viajes/t1/reservas/v1_beto"));
+    batch.set(doc(beto, "viajes/t1/reservas/v1_carla"), {
+      uid: "carla",
+      vehiculoId: "v1",
+      pasajero: "Carla Díaz",
+      promovidaDesde: "v1_beto",
+      pagoEstado: "verificado",
+      createdAt: serverTimestamp(),
+    });
+    batch.delete(doc(beto, "viajes/t1/esperas/v1_carla"));
+    await assertFails(batch.commit());
+  });
+
+  it("no permite crear reservas ajenas sin liberar un asiento", async () => {
+    await sembrar("viajes/t1/esperas/v1_carla", espera("carla"));
+    const dani = testEnv.authenticatedContext("dani").firestore();
+    const batch = writeBatch(dani);
+    batch.set(doc(dani, "viajes/t1/reservas/v1_carla"), {
+      uid: "carla",
+      vehiculoId: "v1",
+      pasajero: "Carla Díaz",
+      promovidaDesde: null,
+      createdAt: serverTimestamp(),
+    });
+    batch.delete(doc(dani, "viajes/t1/esperas/v1_carla"));
+    await assertFails(batch.commit());
+  });
+
+  it("otro usuario no puede sacar a alguien de la lista", async () => {
+    await sembrar("viajes/t1/esperas/v1_carla", espera("carla"));
+    const dani = testEnv.authenticatedContext("dani").firestore();
+    await assertFails(deleteDoc(doc(dani, "viajes/t1/esperas/v1_carla")));
+  });
+});
+
+describe("ubicación del punto de encuentro", () => {
+  it("acepta un vehículo con coordenadas válidas o sin ellas", async () => {
+    const db = testEnv.authenticatedContext("ana").firestore();
+    await assertSucceeds(
+      setDoc(doc(db, "viajes/t1/vehiculos/v1"), vehiculo("ana", { ubicacion: { lat: 13.7057, lng: -89.2127 } }))
+    );
+    await assertSucceeds(setDoc(doc(db, "viajes/t1/vehiculos/v2"), vehiculo("ana")));
+  });
+
+  it("rechaza coordenadas fuera de rango o con campos extra", async () => {
+    const db = testEnv.authenticatedContext("ana").firestore();
+    await assertFails(
+      setDoc(doc(db, "viajes/t1/vehiculos/v1"), vehiculo("ana", { ubicacion: { lat: 120, lng: -89.2 } }))
+    );
+    await assertFails(
+      setDoc(doc(db, "viajes/t1/vehiculos/v2"), vehiculo("ana", { ubicacion: { lat: 13.7, lng: -89.2, nota: "x" } }))
+    );
+  });
+
+  it("el dueño puede mover su punto a un lugar marcado en el mapa", async () => {
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana"));
+    const db = testEnv.authenticatedContext("ana").firestore();
+    await assertSucceeds(
+      updateDoc(doc(db, "viajes/t1/vehiculos/v1"), {
+        puntoEncuentro: "Otro lugar a acordar",
+        ubicacion: { lat: 13.69, lng: -89.25 },
+      })
+    );
+  });
+
+  it("solo el organizador cambia los puntos de encuentro del viaje", async () => {
+    await sembrar("organizadores/jonathan", { nombre: "Jonathan" });
+    const puntos = [{ nombre: "Metrocentro", lat: 13.7057, lng: -89.2127 }];
+    const ana = testEnv.authenticatedContext("ana").firestore();
+    await assertFails(updateDoc(doc(ana, "viajes/t1"), { puntosEncuentro: puntos }));
+    const organizador = testEnv.authenticatedContext("jonathan").firestore();
+    await assertSucceeds(updateDoc(doc(organizador, "viajes/t1"), { puntosEncuentro: puntos }));
+  });
+});
+
+describe("tramos de ida y regreso", () => {
+  const reservarTramos = (db, vehiculoId, uid, tramos, contadores) => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, "viajes", "t1", "reservas", `${vehiculoId}_${uid}`), {
+      uid,
+      vehiculoId,
+      pasajero: "Beto Ruiz",
+      tramos,
+      createdAt: serverTimestamp(),
+    });
+    batch.update(doc(db, "viajes", "t1", "vehiculos", vehiculoId), contadores);
+    return batch.commit();
+  };
+
+  beforeEach(async () => {
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana", {
+      horaSalida: "07:30",
+      horaRegreso: "16:00",
+      asientosRegreso: 2,
+      asientosOcupadosRegreso: 2,
+    }));
+    await sembrar("viajes/t1/vehiculos/v2", vehiculo("ana", {
+      horaRegreso: "16:00",
+      asientosRegreso: 3,
+      asientosOcupadosRegreso: 0,
+    }));
+  });
+
+  it("acepta ofertas con horas y asientos de regreso", async () => {
+    const db = testEnv.authenticatedContext("ana").firestore();
+    await assertSucceeds(
+      setDoc(doc(db, "viajes/t1/vehiculos/v3"), vehiculo("ana", {
+        horaSalida: "08:00",
+        horaRegreso: "17:30",
+        asientosRegreso: 3,
+        asientosOcupadosRegreso: 0,
+      }))
+    );
+  });
+
+  it("rechaza horas mal formadas o regreso con asientos en un microbus", async () => {
+    const db = testEnv.authenticatedContext("ana").firestore();
+    await assertFails(setDoc(doc(db, "viajes/t1/vehiculos/v3"), vehiculo("ana", { horaSalida: "8am" })));
+    await assertFails(
+      setDoc(doc(db, "viajes/t1/vehiculos/v4"), vehiculo("ana", { tipoVehiculo: "renta", asientosRegreso: 10 }))
+    );
+  });
+
+  it("reservar ida y regreso sube ambos contadores", async () => {
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertSucceeds(
+      reservarTramos(db, "v2", "beto", ["ida", "regreso"], { asientosOcupados: 1, asientosOcupadosRegreso: 1 })
+    );
+  });
+
+  it("rechaza reservar un tramo sin subir su contador", async () => {
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(reservarTramos(db, "v2", "beto", ["ida", "regreso"], { asientosOcupados: 1 }));
+  });
+
+  it("el regreso lleno no acepta más reservas aunque haya lugar de ida", async () => {
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(reservarTramos(db, "v1", "beto", ["regreso"], { asientosOcupadosRegreso: 3 }));
+    await assertSucceeds(reservarTramos(db, "v1", "beto", ["ida"], { asientosOcupados: 1 }));
+  });
+
+  it("rechaza el regreso en un vehículo que no lo ofrece", async () => {
+    await sembrar("viajes/t1/vehiculos/v5", vehiculo("ana"));
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(reservarTramos(db, "v5", "beto", ["regreso"], { asientosOcupadosRegreso: 1 }));
+  });
+
+  it("un vehículo que pasa a microbus pierde sus campos de regreso", async () => {
+    await sembrar("organizadores/jonathan", { nombre: "Jonathan" });
+    const db = testEnv.authenticatedContext("jonathan").firestore();
+    await assertFails(updateDoc(doc(db, "viajes/t1/vehiculos/v2"), { tipoVehiculo: "renta" }));
+    await assertSucceeds(
+      updateDoc(doc(db, "viajes/t1/vehiculos/v2"), {
+        tipoVehiculo: "renta",
+        asientosRegreso: deleteField(),
+        asientosOcupadosRegreso: deleteField(),
+      })
+    );
+  });
+
+  it("un regreso guardado en null no bloquea las reservas de ida", async () => {
+    await sembrar("viajes/t1/vehiculos/v6", vehiculo("ana", { asientosRegreso: null }));
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertSucceeds(reservarTramos(db, "v6", "beto", ["ida"], { asientosOcupados: 1 }));
+  });
+});
+
+describe("importación desde CSV", () => {
+  beforeEach(async () => {
+    await sembrar("organizadores/jonathan", { nombre: "Jonathan" });
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana", { asientosOcupados: 1 }));
+  });
+
+  // Igual que importarEnLote: vehículo nuevo con sus pasajeros y un pasajero más en uno existente
+  const importar = (db, asientosOcupados) => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, "viajes/t1/vehiculos/nuevo"), vehiculo("jonathan", { asientosOcupados, importado: true }));
+    batch.set(doc(db, "viajes/t1/reservas/nuevo_importado-beto-ruiz"), {
+      uid: "importado-beto-ruiz",
+      vehiculoId: "nuevo",
+      pasajero: "Beto Ruiz",
+      importada: true,
+      createdAt: serverTimestamp(),
+    });
+    batch.set(doc(db, "viajes/t1/reservas/v1_importado-carla"), {
+      uid: "importado-carla",
+      vehiculoId: "v1",
+      pasajero: "Carla",
+      importada: true,
+      createdAt: serverTimestamp(),
+    });
+    batch.update(doc(db, "viajes/t1/vehiculos/v1"), { asientosOcupados: 2 });
+    return batch.commit();
+  };
+
+  it("el organizador importa vehículos con pasajeros en un solo lote", async () => {
+    const db = testEnv.authenticatedContext("jonathan").firestore();
+    await assertSucceeds(importar(db, 1));
+  });
+
+  it("rechaza vehículos importados con más pasajeros que asientos", async () => {
+    const db = testEnv.authenticatedContext("jonathan").firestore();
+    await assertFails(importar(db, 5));
+  });
+
+  it("un usuario normal no puede crear vehículos con asientos ya ocupados", async () => {
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(setDoc(doc(db, "viajes/t1/vehiculos/v9"), vehiculo("beto", { asientosOcupados: 2 })));
+  });
+});
+
+describe("rides por asignar", () => {
+  const solicitud = (uid, extra = {}) => ({
+    uid,
+    pasajero: "Beto Ruiz",
+    puntoEncuentro: "Metrocentro",
+    createdAt: serverTimestamp(),
+    ...extra,
+  });
+
+  beforeEach(async () => {
+    await sembrar("organizadores/jonathan", { nombre: "Jonathan" });
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana"));
+  });
+
+  it("cada quien pide ride a su nombre, con grupo opcional", async () => {
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertSucceeds(setDoc(doc(db, "viajes/t1/solicitudes/beto"), solicitud("beto", { grupo: "Los primos" })));
+    await assertFails(setDoc(doc(db, "viajes/t1/solicitudes/carla"), solicitud("carla")));
+    await assertFails(setDoc(doc(db, "viajes/t1/solicitudes/beto"), solicitud("beto", { vehiculoId: "v1" })));
+  });
+
+  it("el organizador convierte la solicitud en reserva", async () => {
+    await sembrar("viajes/t1/solicitudes/beto", solicitud("beto"));
+    const db = testEnv.authenticatedContext("jonathan").firestore();
+    const batch = writeBatch(db);
+    batch.set(doc(db, "viajes/t1/reservas/v1_beto"), {
+      uid: "beto",
+      vehiculoId: "v1",
+      pasajero: "Beto Ruiz",
+      asignada: true,
+      createdAt: serverTimestamp(),
+    });
+    batch.delete(doc(db, "viajes/t1/solicitudes/beto"));
+    batch.update(doc(db, "viajes/t1/vehiculos/v1"), { asientosOcupados: 1 });
+    await assertSucceeds(batch.commit());
+  });
+
+  it("otro usuario no puede retirar una solicitud ajena", async () => {
+    await sembrar("viajes/t1/solicitudes/beto", solicitud("beto"));
+    const db = testEnv.authenticatedContext("carla").firestore();
+    await assertFails(deleteDoc(doc(db, "viajes/t1/solicitudes/beto")));
+  });
+});
+
+describe("reservas de grupo", () => {
+  // Reserva de quien escribe con sus acompañantes, subiendo el contador en todo el grupo
+  const reservarGrupo = (db, vehiculoId, uid, acompanantes, asientosOcupados) => {
+    const batch = writeBatch(db);
+    batch.set(doc(db, "viajes", "t1", "reservas", `${vehiculoId}_${uid}`), {
+      uid,
+      vehiculoId,
+      pasajero: "Beto Ruiz",
+      acompanantes,
+      createdAt: serverTimestamp(),
+    });
+    batch.update(doc(db, "viajes", "t1", "vehiculos", vehiculoId), { asientosOcupados });
+    return batch.commit();
+  };
+
+  beforeEach(async () => {
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana", { asientosOcupados: 1 }));
+  });
+
+  it("reserva varios asientos de una vez si caben todos", async () => {
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertSucceeds(reservarGrupo(db, "v1", "beto", ["Luis", "Eva"], 4));
+  });
+
+  it("rechaza el grupo si no cabe completo o si el contador no sube en todos", async () => {
+    const db = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(reservarGrupo(db, "v1", "beto", ["Luis", "Eva", "Sofía"], 5));
+    await assertFails(reservarGrupo(db, "v1", "beto", ["Luis", "Eva"], 2));
+  });
+
+  it("quien reservó quita acompañantes y libera sus asientos; nadie más puede", async () => {
+    await sembrar("viajes/t1/reservas/v1_beto", {
+      uid: "beto",
+      vehiculoId: "v1",
+      pasajero: "Beto Ruiz",
+      acompanantes: ["Luis", "Eva"],
+    });
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana", { asientosOcupados: 4 }));
+
+    const quitarA = (db) => {
+      const batch = writeBatch(db);
+      batch.update(doc(db, "viajes/t1/reservas/v1_beto"), { acompanantes: ["Luis"] });
+      batch.update(doc(db, "viajes/t1/vehiculos/v1"), { asientosOcupados: 3 });
+      return batch.commit();
+    };
+    await assertFails(quitarA(testEnv.authenticatedContext("carla").firestore()));
+    await assertSucceeds(quitarA(testEnv.authenticatedContext("beto").firestore()));
+  });
+
+  it("al cancelar, el grupo libera todos sus asientos", async () => {
+    await sembrar("viajes/t1/reservas/v1_beto", {
+      uid: "beto",
+      vehiculoId: "v1",
+      pasajero: "Beto Ruiz",
+      acompanantes: ["Luis", "Eva"],
+    });
+    await sembrar("viajes/t1/vehiculos/v1", vehiculo("ana", { asientosOcupados: 4 }));
+    const db = testEnv.authenticatedContext("beto").firestore();
+    const batch = writeBatch(db);
+    batch.delete(doc(db, "viajes/t1/reservas/v1_beto"));
+    batch.update(doc(db, "viajes/t1/vehiculos/v1"), { asientosOcupados: 1 });
+    await assertSucceeds(batch.commit());
+  });
+});
+
+describe("configuración del grupo", () => {
+  const configuracion = (extra = {}) => ({
+    titulo: "🍄 Tours de hongos 🍄",
+    organizadorNombre: "Jonathan",
+    organizadorContacto: "7000-0000",
+    precioMicrobus: "$15-$20",
+    puntosEncuentro: [{ nombre: "Metrocentro", lat: 13.7057, lng: -89.2127 }],
+    instrucciones: "Lleva botas y capa.",
+    updatedAt: serverTimestamp(),
+    ...extra,
+  });
+
+  it("cualquiera la lee; solo el organizador la edita", async () => {
+    await sembrar("organizadores/jonathan", { nombre: "Jonathan" });
+    await sembrar("configuracion/general", configuracion());
+
+    const anonimo = testEnv.unauthenticatedContext().firestore();
+    await assertSucceeds(getDoc(doc(anonimo, "configuracion/general")));
+
+    const participante = testEnv.authenticatedContext("ana").firestore();
+    await assertFails(setDoc(doc(participante, "configuracion/general"), configuracion({ titulo: "Mío" })));
+
+    const organizador = testEnv.authenticatedContext("jonathan").firestore();
+    await assertSucceeds(setDoc(doc(organizador, "configuracion/general"), configuracion({ precioMicrobus: "$18" })));
+    await assertFails(deleteDoc(doc(organizador, "configuracion/general")));
+  });
+
+  it("rechaza otros documentos, campos extra o textos fuera de límite", async () => {
+    await sembrar("organizadores/jonathan", { nombre: "Jonathan" });
+    const organizador = testEnv.authenticatedContext("jonathan").firestore();
+
+    await assertFails(setDoc(doc(organizador, "configuracion/otra"), configuracion()));
+    await assertFails(setDoc(doc(organizador, "configuracion/general"), configuracion({ admin: true })));
+    await assertFails(setDoc(doc(organizador, "configuracion/general"), configuracion({ precioMicrobus: 15 })));
+    await assertFails(setDoc(doc(organizador, "configuracion/general"), configuracion({ instrucciones: "x".repeat(2001) })));
+  });
+});
+
+describe("avisos de cada participante", () => {
+  const preferencias = (extra = {}) => ({
+    avisos: { pasajeroNuevo: true, vehiculoEditado: false },
+    updatedAt: serverTimestamp(),
+    ...extra,
+  });
+
+  it("solo su dueño lee y guarda sus preferencias y dispositivos", async () => {
+    const ana = testEnv.authenticatedContext("ana").firestore();
+    await assertSucceeds(setDoc(doc(ana, "participantes/ana"), preferencias()));
+    await assertSucceeds(setDoc(doc(ana, "participantes/ana/dispositivos/token-ana"), { idioma: "es", updatedAt: serverTimestamp() }));
+    await assertSucceeds(deleteDoc(doc(ana, "participantes/ana/dispositivos/token-ana")));
+
+    const beto = testEnv.authenticatedContext("beto").firestore();
+    await assertFails(getDoc(doc(beto, "participantes/ana")));
+    await assertFails(setDoc(doc(beto, "participantes/ana"), preferencias()));
+    await assertFails(setDoc(doc(beto, "participantes/ana/dispositivos/token-beto"), { idioma: "es", updatedAt: serverTimestamp() }));
+  });
+
+  it("rechaza eventos desconocidos, campos extra o idiomas que no existen", async () => {
+    const ana = testEnv.authenticatedContext("ana").firestore();
+    await assertFails(setDoc(doc(ana, "participantes/ana"), preferencias({ avisos: { todo: true } })));
+    await assertFails(setDoc(doc(ana, "participantes/ana"), preferencias({ organizador: true })));
+    await assertFails(setDoc(doc(ana, "participantes/ana/dispositivos/token-ana"), { idioma: "fr", updatedAt: serverTimestamp() }));
+  });
+});
@@ -1,7 +1,47 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Instalable y con la app en caché: abre sin señal y los datos vienen de
+    // la caché persistente de Firestore
+    VitePWA({
+      registerType: 'autoUpdate',
+      includeAssets: ['apple-touch-icon.png'],
+      manifest: {
+        name: 'Organización de Transporte',
+        short_name: 'Transporte',
+        description: 'Ofrece tu vehículo o reserva un asiento para el viaje',
+        lang: 'es',
+        start_url: '/',
+        display: 'standalone',
+        background_color: '#ecfdf5',
+        theme_color: '#10b981',
+        icons: [
+          { src: 'icono-192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'icono-512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'icono-512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,png,svg}'],
+        // Muestra los avisos push que manda functions/ (ver public/avisos-sw.js)
+        importScripts: ['avisos-sw.js'],
+        // Los mosaicos del mapa se guardan a medida que se ven
+        runtimeCaching: [
+          {
+            urlPattern: /^https:\/\/([abc]\.)?tile\.openstreetmap\.org\//,
+            handler: 'CacheFirst',
+            options: {
+              cacheName: 'mosaicos-mapa',
+              expiration: { maxEntries: 300, maxAgeSeconds: 60 * 60 * 24 * 30 },
+            },
+          },
+        ],
+      },
+    }),
+  ],
 })